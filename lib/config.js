@@ -0,0 +1,109 @@
+/**
+ * @file config.js
+ * @description Server configuration for the demo server. Settings are read
+ * from an optional JSON file (config.json next to server.js, or the file named
+ * by the CONFIG_FILE environment variable), and environment variables override
+ * the file:
+ *
+ *   SESSION_SECRETS                 Comma-separated session cookie secrets.
+ *                                   The first signs new cookies; the others
+ *                                   are still accepted, so secrets can be
+ *                                   rotated without logging everyone out.
+ *   SESSION_IDLE_TIMEOUT_MINUTES    Inactivity after which a session ends.
+ *   SESSION_ABSOLUTE_TIMEOUT_HOURS  Time after login after which a session
+ *                                   ends, however active it is.
+ *   ADMIN_USERS                     Comma-separated usernames that may list
+ *                                   and revoke everyone's sessions.
+ *   OIDC_ISSUER                     The OpenID Connect provider to offer
+ *                                   single sign-on with; unset turns it off.
+ *   OIDC_CLIENT_ID                  This app's client ID at the provider.
+ *   OIDC_CLIENT_SECRET              The client secret, if the provider
+ *                                   issued one (PKCE is used either way).
+ *   OIDC_REDIRECT_URI               The callback URL registered with the
+ *                                   provider, ending in /auth/oidc/callback.
+ *   OIDC_USERNAME_CLAIM             The ID token claim that becomes the
+ *                                   username of new users.
+ *
+ * See config.example.json for the file format. Secrets belong in the
+ * environment or in a config file that is kept out of version control.
+ */
+
+import { readJsonFile } from "./json-store.js";
+
+const DEFAULTS = {
+  sessionSecrets: [],
+  sessionIdleTimeoutMinutes: 30,
+  sessionAbsoluteTimeoutHours: 12,
+  adminUsers: [],
+  oidc: {
+    issuer: null,
+    clientId: null,
+    clientSecret: null,
+    redirectUri: null,
+    usernameClaim: "preferred_username",
+  },
+};
+
+/**
+ * Splits a comma-separated environment variable into its non-empty entries.
+ * @param {string|undefined} value
+ * @returns {Array<string>|undefined} The entries, or undefined if unset.
+ */
+function parseList(value) {
+  if (value === undefined) return undefined;
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses a positive number from an environment variable.
+ * @param {string} name - The variable's name, for the error message.
+ * @returns {number|undefined} The number, or undefined if unset.
+ */
+function parsePositiveNumber(name) {
+  const value = process.env[name];
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new Error(`${name} must be a positive number, not "${value}".`);
+  }
+  return number;
+}
+
+/**
+ * Loads the server configuration.
+ * @param {string} defaultFile - Absolute path of the config file to read if
+ *   CONFIG_FILE is not set. The file is optional.
+ * @returns {Promise<{sessionSecrets: Array<string>, sessionIdleTimeoutMinutes: number, sessionAbsoluteTimeoutHours: number, adminUsers: Array<string>, oidc: {issuer: string|null, clientId: string|null, clientSecret: string|null, redirectUri: string|null, usernameClaim: string}}>}
+ */
+export async function loadConfig(defaultFile) {
+  const file = await readJsonFile(process.env.CONFIG_FILE || defaultFile, {});
+  const fromEnv = {
+    sessionSecrets: parseList(process.env.SESSION_SECRETS),
+    sessionIdleTimeoutMinutes: parsePositiveNumber(
+      "SESSION_IDLE_TIMEOUT_MINUTES"
+    ),
+    sessionAbsoluteTimeoutHours: parsePositiveNumber(
+      "SESSION_ABSOLUTE_TIMEOUT_HOURS"
+    ),
+    adminUsers: parseList(process.env.ADMIN_USERS),
+  };
+  const oidcFromEnv = {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM,
+  };
+  const config = { ...DEFAULTS, ...file };
+  for (const [key, value] of Object.entries(fromEnv)) {
+    if (value !== undefined) config[key] = value;
+  }
+  config.oidc = { ...DEFAULTS.oidc, ...file.oidc };
+  for (const [key, value] of Object.entries(oidcFromEnv)) {
+    if (value !== undefined) config.oidc[key] = value;
+  }
+  return config;
+}
@@ -0,0 +1,67 @@
+/**
+ * @file json-store.js
+ * @description A tiny persistence helper for the demo server. Each "store" is a
+ * single JSON file on disk. Reads are cheap and uncached; writes are serialized
+ * per file and performed atomically (write to a temporary file, then rename) so
+ * a crash mid-write never leaves a truncated file behind. This is deliberately
+ * simple and is not meant to replace a real database.
+ */
+
+import path from "path";
+import { promises as fs } from "fs";
+
+// Pending write chains, keyed by absolute file path. Every update waits for the
+// previous one on the same file, which gives us read-modify-write atomicity.
+const writeQueues = new Map();
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} file - Absolute path to the JSON file.
+ * @param {*} fallback - The value to return if the file does not exist yet.
+ * @returns {Promise<*>} The parsed contents, or the fallback.
+ */
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Atomically replaces the contents of a JSON file.
+ * @param {string} file - Absolute path to the JSON file.
+ * @param {*} value - Any JSON-serializable value.
+ */
+export async function writeJsonFile(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(value, null, 2));
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Performs a serialized read-modify-write cycle on a JSON file. The mutator
+ * receives the current contents and modifies them in place; whatever it returns
+ * is passed back to the caller, which makes it easy to report the outcome.
+ * @param {string} file - Absolute path to the JSON file.
+ * @param {*} fallback - The initial value used when the file does not exist yet.
+ * @param {function(*): *} mutator - Receives the current contents.
+ * @returns {Promise<*>} The value returned by the mutator.
+ */
+export function updateJsonFile(file, fallback, mutator) {
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const next = previous.then(async () => {
+    const contents = await readJsonFile(file, fallback);
+    const result = await mutator(contents);
+    await writeJsonFile(file, contents);
+    return result;
+  });
+  // Keep the chain alive even if this update fails, so later writes still run.
+  writeQueues.set(
+    file,
+    next.catch(() => {})
+  );
+  return next;
+}
@@ -0,0 +1,262 @@
+/**
+ * @file oidc.js
+ * @description A minimal OpenID Connect relying party for the demo server:
+ * the authorization code flow with PKCE (RFC 7636), and validation of the ID
+ * token against the provider's published signing keys (JWKS). Only what the
+ * login needs is implemented; there are no access token or userinfo calls.
+ *
+ * The provider's endpoints come from its discovery document. Both the
+ * document and the keys are cached; the keys are fetched again when a token
+ * names a key ID that is not known yet, so provider key rotation just works.
+ */
+
+import {
+  createHash,
+  createPublicKey,
+  randomBytes,
+  timingSafeEqual,
+  verify,
+} from "crypto";
+
+// Signature algorithms accepted for ID tokens, with their node:crypto
+// parameters. "none" and symmetric algorithms are deliberately absent.
+const ID_TOKEN_ALGORITHMS = {
+  RS256: { hash: "sha256", keyType: "rsa" },
+  ES256: {
+    hash: "sha256",
+    keyType: "ec",
+    namedCurve: "prime256v1",
+    dsaEncoding: "ieee-p1363",
+  },
+};
+// Tolerance for clock differences with the provider.
+const CLOCK_SKEW_SECONDS = 60;
+// Tokens with an unknown key ID make the JWKS be fetched again, but not more
+// often than this, so that forged tokens cannot flood the provider.
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Returns random bytes as base64url, for state, nonce and PKCE values.
+ * @returns {string}
+ */
+function randomToken() {
+  return randomBytes(32).toString("base64url");
+}
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Fetches a JSON document, failing on any non-2xx response.
+ * @param {string} url
+ * @param {Object} [options] - Extra fetch options.
+ * @returns {Promise<Object>}
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      `${url} responded with ${response.status}${
+        body.error ? ` (${body.error})` : ""
+      }.`
+    );
+  }
+  return body;
+}
+
+export class OidcClient {
+  #issuer;
+  #clientId;
+  #clientSecret;
+  #redirectUri;
+  #discovery = null;
+  // kid -> KeyObject
+  #keys = new Map();
+  #keysFetchedAt = 0;
+
+  /**
+   * @param {{issuer: string, clientId: string, clientSecret?: string|null, redirectUri: string}} options
+   */
+  constructor({ issuer, clientId, clientSecret, redirectUri }) {
+    if (!issuer || !clientId || !redirectUri) {
+      throw new Error("OIDC needs an issuer, a client ID and a redirect URI.");
+    }
+    this.#issuer = issuer;
+    this.#clientId = clientId;
+    this.#clientSecret = clientSecret || null;
+    this.#redirectUri = redirectUri;
+  }
+
+  get issuer() {
+    return this.#issuer;
+  }
+
+  /**
+   * Starts a login: returns the provider URL to send the browser to, and the
+   * values to keep in the session until the callback.
+   * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+   */
+  async createAuthorizationRequest() {
+    const { authorization_endpoint } = await this.#getDiscovery();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: this.#clientId,
+      redirect_uri: this.#redirectUri,
+      scope: "openid profile email",
+      state,
+      nonce,
+      code_challenge: createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url"),
+      code_challenge_method: "S256",
+    });
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  /**
+   * Redeems an authorization code and validates the ID token it yields.
+   * @param {string} code - The code from the callback.
+   * @param {{nonce: string, codeVerifier: string}} request - The values kept
+   *   from createAuthorizationRequest.
+   * @returns {Promise<Object>} The ID token's claims.
+   */
+  async completeLogin(code, { nonce, codeVerifier }) {
+    const { token_endpoint } = await this.#getDiscovery();
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: this.#redirectUri,
+      client_id: this.#clientId,
+      code_verifier: codeVerifier,
+    });
+    if (this.#clientSecret) body.set("client_secret", this.#clientSecret);
+    const { id_token } = await fetchJson(token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    if (typeof id_token !== "string") {
+      throw new Error("The provider returned no ID token.");
+    }
+    return this.verifyIdToken(id_token, nonce);
+  }
+
+  /**
+   * Validates an ID token: its signature against the provider's keys, and its
+   * issuer, audience, lifetime and nonce.
+   * @param {string} idToken - The compact JWS.
+   * @param {string} nonce - The nonce sent with the authorization request.
+   * @returns {Promise<Object>} The token's claims.
+   */
+  async verifyIdToken(idToken, nonce) {
+    const parts = idToken.split(".");
+    if (parts.length !== 3) throw new Error("The ID token is malformed.");
+    const [header, claims] = parts
+      .slice(0, 2)
+      .map((part) => JSON.parse(Buffer.from(part, "base64url").toString()));
+    const algorithm = Object.hasOwn(ID_TOKEN_ALGORITHMS, header.alg)
+      ? ID_TOKEN_ALGORITHMS[header.alg]
+      : null;
+    if (!algorithm) {
+      throw new Error(`ID tokens signed with ${header.alg} are not accepted.`);
+    }
+    const key = await this.#getKey(header.kid);
+    if (
+      key.asymmetricKeyType !== algorithm.keyType ||
+      (algorithm.namedCurve &&
+        key.asymmetricKeyDetails.namedCurve !== algorithm.namedCurve)
+    ) {
+      throw new Error(`The ID token's key does not fit ${header.alg}.`);
+    }
+    const valid = verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(parts[2], "base64url")
+    );
+    if (!valid) throw new Error("The ID token's signature is invalid.");
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = [].concat(claims.aud);
+    if (claims.iss !== this.#issuer) {
+      throw new Error("The ID token was issued by another provider.");
+    }
+    if (
+      !audiences.includes(this.#clientId) ||
+      (audiences.length > 1 && claims.azp !== this.#clientId)
+    ) {
+      throw new Error("The ID token was issued for another client.");
+    }
+    if (!(claims.exp + CLOCK_SKEW_SECONDS > now)) {
+      throw new Error("The ID token has expired.");
+    }
+    if (!(claims.iat - CLOCK_SKEW_SECONDS <= now)) {
+      throw new Error("The ID token was issued in the future.");
+    }
+    if (!safeEqual(claims.nonce, nonce)) {
+      throw new Error("The ID token does not belong to this login.");
+    }
+    if (typeof claims.sub !== "string" || !claims.sub) {
+      throw new Error("The ID token has no subject.");
+    }
+    return claims;
+  }
+
+  /**
+   * Returns the provider's discovery document, fetching it once.
+   * @returns {Promise<Object>}
+   */
+  async #getDiscovery() {
+    if (!this.#discovery) {
+      const discovery = await fetchJson(
+        `${this.#issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+      );
+      if (discovery.issuer !== this.#issuer) {
+        throw new Error(
+          "The provider's discovery document names another issuer."
+        );
+      }
+      this.#discovery = discovery;
+    }
+    return this.#discovery;
+  }
+
+  /**
+   * Returns the provider's signing key with the given ID, fetching the JWKS
+   * again if the key is not known yet (see JWKS_REFRESH_INTERVAL_MS).
+   * @param {string} kid
+   * @returns {Promise<import("crypto").KeyObject>}
+   */
+  async #getKey(kid) {
+    if (
+      !this.#keys.has(kid) &&
+      Date.now() - this.#keysFetchedAt >= JWKS_REFRESH_INTERVAL_MS
+    ) {
+      this.#keysFetchedAt = Date.now();
+      const { jwks_uri } = await this.#getDiscovery();
+      const { keys } = await fetchJson(jwks_uri);
+      this.#keys.clear();
+      for (const jwk of keys || []) {
+        if (jwk.use && jwk.use !== "sig") continue;
+        this.#keys.set(jwk.kid, createPublicKey({ key: jwk, format: "jwk" }));
+      }
+    }
+    const key = this.#keys.get(kid);
+    if (!key) throw new Error("The ID token is signed with an unknown key.");
+    return key;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * @file passwords.js
+ * @description Password hashing for the demo server. Passwords are hashed with
+ * scrypt, a memory-hard key derivation function built into node:crypto, so a
+ * leaked users.json cannot be cracked cheaply on GPUs. Hashes are stored as
+ * self-describing strings so the cost parameters can be raised later without
+ * invalidating existing hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<base64 salt>$<base64 hash>
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- scrypt Parameters ---
+const SCRYPT_N = 2 ** 15; // CPU/memory cost: 32 MiB of memory per hash with r = 8.
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH_BYTES = 64;
+const SALT_LENGTH_BYTES = 16;
+
+/**
+ * Derives the scrypt hash for a password with the given parameters.
+ * @returns {Promise<Buffer>}
+ */
+function deriveHash(password, salt, N, r, p) {
+  return scrypt(password, salt, KEY_LENGTH_BYTES, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r, // Leave headroom above the 128 * N * r scrypt needs.
+  });
+}
+
+/**
+ * Hashes a password with a fresh random salt.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The encoded hash, safe to store in users.json.
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH_BYTES);
+  const hash = await deriveHash(password, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Checks a password against an encoded hash in constant time.
+ * @param {string} password - The plaintext password to check.
+ * @param {string} encodedHash - A hash produced by hashPassword().
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+export async function verifyPassword(password, encodedHash) {
+  const [scheme, N, r, p, salt, hash] = (encodedHash || "").split("$");
+  if (scheme !== "scrypt" || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await deriveHash(
+    password,
+    Buffer.from(salt, "base64"),
+    Number(N),
+    Number(r),
+    Number(p)
+  );
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// A valid hash of a random password. Verifying against it when a username does
+// not exist keeps login timing the same for known and unknown usernames.
+export const DUMMY_PASSWORD_HASH = await hashPassword(
+  crypto.randomBytes(16).toString("hex")
+);
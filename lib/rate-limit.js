@@ -0,0 +1,82 @@
+/**
+ * @file rate-limit.js
+ * @description In-memory attempt counting for the demo server. An
+ * AttemptLimiter counts attempts per key (an IP address, a username, ...)
+ * within a fixed window. Once a key reaches the limit it is locked out for a
+ * while, and every attempt until then is refused. Counters live in memory
+ * only, so a server restart clears them; a deployment with several server
+ * processes would need a shared store instead.
+ */
+
+export class AttemptLimiter {
+  #maxAttempts;
+  #windowMs;
+  #lockoutMs;
+  // key -> { count, windowStart, lockedUntil }
+  #entries = new Map();
+
+  /**
+   * @param {{maxAttempts: number, windowMs: number, lockoutMs: number}} options
+   *   `maxAttempts` attempts within `windowMs` lock the key for `lockoutMs`.
+   */
+  constructor({ maxAttempts, windowMs, lockoutMs }) {
+    this.#maxAttempts = maxAttempts;
+    this.#windowMs = windowMs;
+    this.#lockoutMs = lockoutMs;
+  }
+
+  /**
+   * Returns how long a key is still locked out.
+   * @param {string} key
+   * @returns {number} The remaining lockout in milliseconds, or 0 if the key
+   *   may make another attempt.
+   */
+  retryAfter(key) {
+    const now = Date.now();
+    this.#prune(now);
+    const entry = this.#entries.get(key);
+    return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+  }
+
+  /**
+   * Counts an attempt for a key, locking the key out if it reached the limit.
+   * @param {string} key
+   */
+  record(key) {
+    const now = Date.now();
+    this.#prune(now);
+    let entry = this.#entries.get(key);
+    if (!entry) {
+      entry = { count: 0, windowStart: now, lockedUntil: 0 };
+      this.#entries.set(key, entry);
+    }
+    entry.count++;
+    if (entry.count >= this.#maxAttempts) {
+      entry.lockedUntil = now + this.#lockoutMs;
+    }
+  }
+
+  /**
+   * Forgets the attempts of a key, e.g. after a successful login.
+   * @param {string} key
+   */
+  reset(key) {
+    this.#entries.delete(key);
+  }
+
+  /**
+   * Drops entries whose window and lockout have both ended, so that a key
+   * starts counting from zero again and the map does not grow without bound.
+   * @param {number} now
+   */
+  #prune(now) {
+    for (const [key, entry] of this.#entries) {
+      if (
+        entry.windowStart + this.#windowMs <= now &&
+        entry.lockedUntil <= now
+      ) {
+        this.#entries.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * @file session-store.js
+ * @description A file-backed store for express-session, so that sessions
+ * survive server restarts without an external database. All sessions live in
+ * one JSON file (see json-store.js), keyed by session ID:
+ *
+ *   { "<sid>": { "session": { ...session data... }, "expiresAt": <ms> } }
+ *
+ * A session expires when its cookie does. With `rolling` sessions the cookie
+ * is renewed on every response, so this is an idle timeout. Expired sessions
+ * are never returned and are dropped whenever the file is written.
+ */
+
+import session from "express-session";
+import { readJsonFile, updateJsonFile } from "./json-store.js";
+
+// A touch that moves the expiry by less than this is not written to disk, so
+// that a busy session does not rewrite the file on every request. Idle
+// timeouts are therefore only accurate to this interval.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export class FileSessionStore extends session.Store {
+  #file;
+
+  /**
+   * @param {string} file - Absolute path of the JSON file holding the sessions.
+   */
+  constructor(file) {
+    super();
+    this.#file = file;
+  }
+
+  /**
+   * Reads all unexpired sessions.
+   * @returns {Promise<Array<{sid: string, session: Object, expiresAt: number}>>}
+   */
+  async list() {
+    const sessions = await readJsonFile(this.#file, {});
+    const now = Date.now();
+    return Object.entries(sessions)
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([sid, entry]) => ({ sid, ...entry }));
+  }
+
+  get(sid, callback) {
+    readJsonFile(this.#file, {}).then((sessions) => {
+      const entry = Object.hasOwn(sessions, sid) ? sessions[sid] : null;
+      callback(
+        null,
+        entry && entry.expiresAt > Date.now() ? entry.session : null
+      );
+    }, callback);
+  }
+
+  set(sid, sess, callback) {
+    this.#update((sessions) => {
+      sessions[sid] = { session: sess, expiresAt: expiryOf(sess) };
+    }, callback);
+  }
+
+  touch(sid, sess, callback) {
+    const expiresAt = expiryOf(sess);
+    readJsonFile(this.#file, {}).then((sessions) => {
+      if (
+        !Object.hasOwn(sessions, sid) ||
+        expiresAt - sessions[sid].expiresAt < TOUCH_INTERVAL_MS
+      ) {
+        return callback();
+      }
+      this.#update((sessions) => {
+        if (!Object.hasOwn(sessions, sid)) return;
+        sessions[sid].session.cookie = sess.cookie;
+        sessions[sid].expiresAt = expiresAt;
+      }, callback);
+    }, callback);
+  }
+
+  destroy(sid, callback) {
+    this.#update((sessions) => {
+      delete sessions[sid];
+    }, callback);
+  }
+
+  all(callback) {
+    this.list().then(
+      (entries) =>
+        callback(
+          null,
+          Object.fromEntries(entries.map(({ sid, session }) => [sid, session]))
+        ),
+      callback
+    );
+  }
+
+  /**
+   * Applies a change to the session file, dropping expired sessions first.
+   * @param {function(Object): void} mutator - Changes the sessions in place.
+   * @param {function(Error=): void} [callback]
+   */
+  #update(mutator, callback = () => {}) {
+    updateJsonFile(this.#file, {}, (sessions) => {
+      const now = Date.now();
+      for (const [sid, entry] of Object.entries(sessions)) {
+        if (entry.expiresAt <= now) delete sessions[sid];
+      }
+      mutator(sessions);
+    }).then(() => callback(), callback);
+  }
+}
+
+/**
+ * Returns when a session expires, from its cookie. Sessions whose cookie has
+ * no expiry (browser-session cookies) are kept for a day.
+ * @param {Object} sess - The session data, including its cookie.
+ * @returns {number} The expiry in milliseconds since the epoch.
+ */
+function expiryOf(sess) {
+  return sess.cookie?.expires
+    ? new Date(sess.cookie.expires).getTime()
+    : Date.now() + 24 * 60 * 60 * 1000;
+}
@@ -1,27 +1,606 @@
 /**
  * @file api-client.js
- * @description This file handles all communication with the backend server.
- * For this demo, it only contains a login function. In a real application,
- * it would handle all API requests.
+ * @description This file handles all communication with the backend server:
+ * online account management (including the single sign-on status), the
+ * ciphertext-only item sync endpoints, the key
+ * directory and item sharing, device registration and revocation, audit log
+ * uploads, two-factor authentication, session administration and the device
+ * pairing relay. Every request is sent with the session cookie, and
+ * failed responses are turned into Errors carrying the HTTP status so callers
+ * can tell "not logged in" apart from other failures.
+ *
+ * State-changing requests also carry the session's CSRF token in the
+ * X-CSRF-Token header. The token is fetched when first needed, replaced by the
+ * one returned from login and registration, and fetched again once if the
+ * server rejects it (e.g. after the session expired).
  */
 
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+// The error the server answers with when the CSRF token does not match.
+const CSRF_ERROR = "Invalid or missing CSRF token.";
+
+// The CSRF token of the current server session, or null if not fetched yet.
+let csrfToken = null;
+
+/**
+ * Returns the CSRF token of the current session, fetching it if needed.
+ * @returns {Promise<string>}
+ */
+async function getCsrfToken() {
+  if (!csrfToken) {
+    const response = await fetch("/api/csrf-token", {
+      credentials: "include",
+    });
+    if (!response.ok) {
+      const error = new Error("Could not fetch a CSRF token.");
+      error.status = response.status;
+      throw error;
+    }
+    ({ csrfToken } = await response.json());
+  }
+  return csrfToken;
+}
+
+/**
+ * Sends a request with the session cookie and, for state-changing methods,
+ * the CSRF token.
+ * @param {string} url - The API endpoint.
+ * @param {Object} options - Fetch options (method, body, ...).
+ * @returns {Promise<Response>}
+ */
+async function sendRequest(url, options) {
+  const method = (options.method || "GET").toUpperCase();
+  const headers = { "Content-Type": "application/json", ...options.headers };
+  if (!CSRF_SAFE_METHODS.has(method)) {
+    headers["X-CSRF-Token"] = await getCsrfToken();
+  }
+  return fetch(url, { ...options, headers, credentials: "include" });
+}
+
+/**
+ * Sends a JSON request to the server and returns the parsed JSON response.
+ * @param {string} url - The API endpoint.
+ * @param {Object} [options] - Extra fetch options (method, body, ...).
+ * @param {string} fallbackError - Message used when the server gives no error text.
+ * @returns {Promise<object>} The parsed response body.
+ */
+async function requestJson(
+  url,
+  options = {},
+  fallbackError = "Request failed"
+) {
+  let response = await sendRequest(url, options);
+  if (response.status === 403 && csrfToken) {
+    const { error } = await response
+      .clone()
+      .json()
+      .catch(() => ({}));
+    if (error === CSRF_ERROR) {
+      // The session changed since the token was fetched; try a fresh one.
+      csrfToken = null;
+      response = await sendRequest(url, options);
+    }
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || fallbackError);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Keeps the CSRF token of the new session that login and registration start.
+ * @param {{csrfToken: string}} response - The server's login response.
+ * @returns {object} The response.
+ */
+function adoptCsrfToken(response) {
+  csrfToken = response.csrfToken;
+  return response;
+}
+
 /**
  * Sends login credentials to the server.
  * @param {string} username
  * @param {string} password
- * @returns {Promise<object>} The server response, which includes the username.
+ * @returns {Promise<object>} The server response, which includes the username
+ *   and whether the user is an administrator, or `twoFactorRequired` if the
+ *   login must be completed with verifyLoginCode.
  */
 export async function loginUser(username, password) {
-  const response = await fetch("/api/login", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ username, password }),
-    credentials: "include",
-  });
+  return adoptCsrfToken(
+    await requestJson(
+      "/api/login",
+      { method: "POST", body: JSON.stringify({ username, password }) },
+      "Login failed"
+    )
+  );
+}
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || "Login failed");
+/**
+ * Completes a login that requires a second factor.
+ * @param {{code: string}|{recoveryCode: string}} factor - A code from the
+ *   user's authenticator app, or one of their recovery codes.
+ * @returns {Promise<object>} The server response, like loginUser's, plus how
+ *   many recovery codes are left.
+ */
+export async function verifyLoginCode(factor) {
+  return adoptCsrfToken(
+    await requestJson(
+      "/api/login/2fa",
+      { method: "POST", body: JSON.stringify(factor) },
+      "Verification failed"
+    )
+  );
+}
+
+/**
+ * Creates a new online account and logs the user in.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object>} The server response, which includes the username
+ *   and whether the user is an administrator.
+ */
+export async function registerUser(username, password) {
+  return adoptCsrfToken(
+    await requestJson(
+      "/api/register",
+      { method: "POST", body: JSON.stringify({ username, password }) },
+      "Registration failed"
+    )
+  );
+}
+
+/**
+ * Asks the server whether single sign-on through an identity provider is
+ * offered. The login itself is a browser navigation to /auth/oidc/login, not
+ * an API call; the provider sends the browser back to the app afterwards.
+ * @returns {Promise<{enabled: boolean}>}
+ */
+export async function getSingleSignOnStatus() {
+  return requestJson("/api/oidc", {}, "Failed to check for single sign-on");
+}
+
+/**
+ * Ends the online session on the server. This does not lock or deprovision
+ * anything on the device.
+ * @returns {Promise<object>}
+ */
+export async function logoutUser() {
+  const response = await requestJson(
+    "/api/logout",
+    { method: "POST" },
+    "Logout failed"
+  );
+  csrfToken = null;
+  return response;
+}
+
+/**
+ * Asks the server who is logged in with the current session cookie.
+ * @returns {Promise<{username: string, admin: boolean}|null>} The logged-in
+ *   user and whether they are an administrator, or null if there is no
+ *   authenticated online session.
+ */
+export async function getCurrentAccount() {
+  try {
+    return await requestJson("/api/me");
+  } catch (error) {
+    if (error.status === 401) return null;
+    throw error;
+  }
+}
+
+/**
+ * Tells whether the logged-in user has two-factor authentication on.
+ * @returns {Promise<{enabled: boolean, recoveryCodesLeft: number, available: boolean}>}
+ *   `available` is false for single sign-on accounts, whose second factor is
+ *   up to the identity provider.
+ */
+export async function getTwoFactorStatus() {
+  return requestJson("/api/2fa", {}, "Failed to check two-factor status");
+}
+
+/**
+ * Starts adding an authenticator app. The secret only takes effect once
+ * confirmed with enableTwoFactor.
+ * @returns {Promise<{secret: string, otpauthUri: string}>} The base32 secret
+ *   and the otpauth:// URI for the app.
+ */
+export async function startTwoFactorSetup() {
+  return requestJson(
+    "/api/2fa/setup",
+    { method: "POST" },
+    "Failed to start two-factor setup"
+  );
+}
+
+/**
+ * Turns two-factor authentication on with a first code from the app.
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: Array<string>}>} The recovery codes, which
+ *   are only ever shown this once.
+ */
+export async function enableTwoFactor(code) {
+  return requestJson(
+    "/api/2fa/enable",
+    { method: "POST", body: JSON.stringify({ code }) },
+    "Failed to turn on two-factor authentication"
+  );
+}
+
+/**
+ * Turns two-factor authentication off.
+ * @param {{code: string}|{recoveryCode: string}} factor - A current second
+ *   factor.
+ * @returns {Promise<object>}
+ */
+export async function disableTwoFactor(factor) {
+  return requestJson(
+    "/api/2fa/disable",
+    { method: "POST", body: JSON.stringify(factor) },
+    "Failed to turn off two-factor authentication"
+  );
+}
+
+/**
+ * Replaces all recovery codes of the logged-in user.
+ * @param {{code: string}|{recoveryCode: string}} factor - A current second
+ *   factor.
+ * @returns {Promise<{recoveryCodes: Array<string>}>} The new codes.
+ */
+export async function regenerateRecoveryCodes(factor) {
+  return requestJson(
+    "/api/2fa/recovery-codes",
+    { method: "POST", body: JSON.stringify(factor) },
+    "Failed to create new recovery codes"
+  );
+}
+
+/**
+ * Fetches the current user's encrypted items that changed on the server.
+ * @param {number} [since=0] - The sync cursor returned by a previous pull.
+ * @returns {Promise<{items: Array<{id: string, owner: string, data: string, schemaVersion: number, envelope: Object, wrappedKey: string, versions: Object<string, number>, revision: number}>, cursor: number}>}
+ *   The changed records (with base64 ciphertext) and the new cursor.
+ */
+export async function pullItems(since = 0) {
+  return requestJson(
+    `/api/items?since=${encodeURIComponent(since)}`,
+    {},
+    "Failed to pull items"
+  );
+}
+
+/**
+ * Uploads locally changed encrypted items to the server.
+ * @param {Array<{id: string, data: string, schemaVersion: number, envelope: Object, wrappedKey: string, versions: Object<string, number>, baseRevision: number}>} items - The
+ *   records to upload, with base64 ciphertext and the last server revision the
+ *   client has seen for each of them.
+ * @returns {Promise<{applied: Array<{id: string, revision: number}>, conflicts: Array<{id: string, revision: number}>}>}
+ */
+export async function pushItems(items) {
+  return requestJson(
+    "/api/items",
+    { method: "POST", body: JSON.stringify({ items }) },
+    "Failed to push items"
+  );
+}
+
+/**
+ * Fetches the logged-in user's published key pair.
+ * @returns {Promise<{publicKey: string, wrappedPrivateKey: string}|null>} The
+ *   base64 public key and DEK-wrapped private key, or null if none is published.
+ */
+export async function getOwnKeyPair() {
+  try {
+    return await requestJson("/api/keys", {}, "Failed to fetch key pair");
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Publishes the logged-in user's key pair. The private key must be wrapped
+ * under the user's DEK.
+ * @param {string} publicKey - The base64 raw public key.
+ * @param {string} wrappedPrivateKey - The base64 wrapped private key.
+ * @returns {Promise<object>}
+ */
+export async function publishKeyPair(publicKey, wrappedPrivateKey) {
+  return requestJson(
+    "/api/keys",
+    { method: "PUT", body: JSON.stringify({ publicKey, wrappedPrivateKey }) },
+    "Failed to publish key pair"
+  );
+}
+
+/**
+ * Looks up another user's public key in the server's key directory.
+ * @param {string} username
+ * @returns {Promise<string>} The base64 raw public key.
+ */
+export async function getPublicKey(username) {
+  const { publicKey } = await requestJson(
+    `/api/directory/${encodeURIComponent(username)}`,
+    {},
+    "Failed to look up user"
+  );
+  return publicKey;
+}
+
+/**
+ * Shares one of the logged-in user's synced items with another user.
+ * @param {{recipient: string, itemId: string, ephemeralPublicKey: string, wrappedKey: string}} share -
+ *   The item's content key, sealed for the recipient.
+ * @returns {Promise<object>}
+ */
+export async function createShare(share) {
+  return requestJson(
+    "/api/shares",
+    { method: "POST", body: JSON.stringify(share) },
+    "Failed to share item"
+  );
+}
+
+/**
+ * Fetches the items other users have shared with the logged-in user.
+ * @returns {Promise<Array<{owner: string, itemId: string, ephemeralPublicKey: string, wrappedKey: string, data: string, schemaVersion: number, envelope: Object, revision: number}>>}
+ *   Each share with the owner's current ciphertext of the item, base64-encoded.
+ */
+export async function listShares() {
+  const { shares } = await requestJson(
+    "/api/shares",
+    {},
+    "Failed to fetch shared items"
+  );
+  return shares;
+}
+
+/**
+ * Registers this device for the logged-in user. Unless the device is revoked,
+ * the server also issues a signed offline ticket for it.
+ * @param {{id: string, name: string, provisioned: boolean}} device - The
+ *   device ID, a description for the user, and whether the user was just
+ *   provisioned on the device (which lifts an earlier revocation).
+ * @returns {Promise<{id: string, name: string, registeredAt: number, lastSeenAt: number, revokedAt: number|null, revoked: boolean, offlineTicket?: {ticket: Object, signature: string, publicKey: string}}>}
+ */
+export async function registerDevice(device) {
+  return requestJson(
+    "/api/devices",
+    { method: "POST", body: JSON.stringify(device) },
+    "Failed to register device"
+  );
+}
+
+/**
+ * Lists the devices the logged-in user has registered.
+ * @returns {Promise<Array<{id: string, name: string, registeredAt: number, lastSeenAt: number, revokedAt: number|null}>>}
+ */
+export async function listDevices() {
+  const { devices } = await requestJson(
+    "/api/devices",
+    {},
+    "Failed to list devices"
+  );
+  return devices;
+}
+
+/**
+ * Revokes one of the logged-in user's devices. The device wipes the user's
+ * data the next time it checks its status.
+ * @param {string} id - The device ID.
+ * @returns {Promise<Object>} The revoked device.
+ */
+export async function revokeDevice(id) {
+  return requestJson(
+    `/api/devices/${encodeURIComponent(id)}`,
+    { method: "DELETE" },
+    "Failed to revoke device"
+  );
+}
+
+/**
+ * Escrows the server's share of the logged-in user's PIN recovery key for
+ * this device, replacing any earlier share.
+ * @param {string} deviceId - This device's ID.
+ * @param {string} share - The share, base64-encoded.
+ * @returns {Promise<{createdAt: number}>}
+ */
+export async function putRecoveryShare(deviceId, share) {
+  return requestJson(
+    `/api/recovery/${encodeURIComponent(deviceId)}`,
+    { method: "PUT", body: JSON.stringify({ share }) },
+    "Failed to store the recovery share"
+  );
+}
+
+/**
+ * Deletes the server's share of the logged-in user's PIN recovery key for
+ * this device.
+ * @param {string} deviceId - This device's ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteRecoveryShare(deviceId) {
+  const response = await sendRequest(
+    `/api/recovery/${encodeURIComponent(deviceId)}`,
+    { method: "DELETE" }
+  );
+  if (!response.ok && response.status !== 404) {
+    const error = new Error("Failed to delete the recovery share");
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Asks the server for its share of the logged-in user's PIN recovery key for
+ * this device. The server only releases it shortly after an online login; it
+ * fails with status 401 otherwise.
+ * @param {string} deviceId - This device's ID.
+ * @returns {Promise<string>} The share, base64-encoded.
+ */
+export async function releaseRecoveryShare(deviceId) {
+  const { share } = await requestJson(
+    `/api/recovery/${encodeURIComponent(deviceId)}/release`,
+    { method: "POST" },
+    "Failed to get the recovery share"
+  );
+  return share;
+}
+
+/**
+ * Lists the active sessions of all users. Only administrators may do this.
+ * @param {string} [username] - Only list this user's sessions.
+ * @returns {Promise<Array<{id: string, username: string, createdAt: number, lastActiveAt: number, expiresAt: number, ip: string, userAgent: string, current: boolean}>>}
+ */
+export async function listSessions(username) {
+  const query = username ? `?username=${encodeURIComponent(username)}` : "";
+  const { sessions } = await requestJson(
+    `/api/admin/sessions${query}`,
+    {},
+    "Failed to list sessions"
+  );
+  return sessions;
+}
+
+/**
+ * Ends one session. Only administrators may do this.
+ * @param {string} id - The session's ID from listSessions.
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(id) {
+  const response = await sendRequest(
+    `/api/admin/sessions/${encodeURIComponent(id)}`,
+    { method: "DELETE" }
+  );
+  if (!response.ok && response.status !== 404) {
+    const error = new Error("Failed to revoke session");
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Ends every session of a user. Only administrators may do this.
+ * @param {string} username
+ * @returns {Promise<{revoked: number}>} How many sessions were ended.
+ */
+export async function revokeUserSessions(username) {
+  return requestJson(
+    `/api/admin/users/${encodeURIComponent(username)}/sessions`,
+    { method: "DELETE" },
+    "Failed to revoke sessions"
+  );
+}
+
+/**
+ * Asks which of the given users have revoked this device. Works without an
+ * online session.
+ * @param {string} id - This device's ID.
+ * @param {Array<string>} usernames - The users provisioned on this device.
+ * @returns {Promise<Array<string>>} The users who revoked the device.
+ */
+export async function getRevokedUsers(id, usernames) {
+  const { revoked } = await requestJson(
+    "/api/devices/status",
+    { method: "POST", body: JSON.stringify({ id, usernames }) },
+    "Failed to check device status"
+  );
+  return revoked;
+}
+
+/**
+ * Uploads entries of the logged-in user's audit log from this device. The
+ * server verifies that they continue the chain it already holds; if they do
+ * not, the request fails with status 409.
+ * @param {string} deviceId - This device's ID.
+ * @param {string} chainId - The hash of the log's first entry.
+ * @param {Array<Object>} entries - The entries to upload, in order.
+ * @returns {Promise<{uploadedSeq: number}>} The sequence number of the last
+ *   entry the server holds.
+ */
+export async function uploadAuditEntries(deviceId, chainId, entries) {
+  return requestJson(
+    "/api/audit",
+    { method: "POST", body: JSON.stringify({ deviceId, chainId, entries }) },
+    "Failed to upload the audit log"
+  );
+}
+
+/**
+ * Starts pairing this device with another device of the same user.
+ * @param {string} commitment - The base64 SHA-256 hash of this device's ECDH
+ *   public key.
+ * @returns {Promise<Object>} The new pairing, including its `id`.
+ */
+export async function createPairing(commitment) {
+  return requestJson(
+    "/api/pairings",
+    { method: "POST", body: JSON.stringify({ commitment }) },
+    "Failed to start pairing"
+  );
+}
+
+/**
+ * Lists the pairings started by the user's other devices that are waiting for
+ * a device to respond.
+ * @returns {Promise<Array<{id: string, createdAt: number, expiresAt: number}>>}
+ */
+export async function listPairings() {
+  const { pairings } = await requestJson(
+    "/api/pairings",
+    {},
+    "Failed to list pairings"
+  );
+  return pairings;
+}
+
+/**
+ * Fetches the current state of a pairing.
+ * @param {string} id - The pairing ID.
+ * @returns {Promise<{id: string, commitment: string, responderKey: string|null, initiatorKey: string|null, encryptedKey: string|null, keyId: string|null}>}
+ */
+export async function getPairing(id) {
+  return requestJson(
+    `/api/pairings/${encodeURIComponent(id)}`,
+    {},
+    "Failed to fetch pairing"
+  );
+}
+
+/**
+ * Advances a pairing by one step.
+ * @param {string} id - The pairing ID.
+ * @param {Object} step - One of `{ responderKey }`, `{ initiatorKey }` or
+ *   `{ encryptedKey, keyId }`, with base64-encoded values.
+ * @returns {Promise<Object>} The updated pairing.
+ */
+export async function updatePairing(id, step) {
+  return requestJson(
+    `/api/pairings/${encodeURIComponent(id)}`,
+    { method: "PATCH", body: JSON.stringify(step) },
+    "Failed to update pairing"
+  );
+}
+
+/**
+ * Cancels a pairing, or removes it once it is complete.
+ * @param {string} id - The pairing ID.
+ * @returns {Promise<void>}
+ */
+export async function deletePairing(id) {
+  const response = await sendRequest(
+    `/api/pairings/${encodeURIComponent(id)}`,
+    {
+      method: "DELETE",
+    }
+  );
+  if (!response.ok && response.status !== 404) {
+    const error = new Error("Failed to cancel pairing");
+    error.status = response.status;
+    throw error;
   }
-  return response.json();
 }
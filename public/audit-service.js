@@ -0,0 +1,51 @@
+/**
+ * @file audit-service.js
+ * @description This module uploads the audit logs that the session manager
+ * keeps on this device (see SessionManager#recordAudit) to the server. Entries
+ * are uploaded exactly as stored: sealed events that only the user can
+ * decrypt, linked by their hashes. The server checks that every uploaded
+ * entry continues the chain it already holds for the user and device, so
+ * entries cannot be changed or removed on the device after they were
+ * uploaded without the next upload failing. Uploading requires an
+ * authenticated online session, but does not require the session to be
+ * unlocked.
+ */
+
+import { uploadAuditEntries } from "./api-client.js";
+import { dbService } from "./db-service.js";
+import { sessionManager } from "./session-manager.js";
+
+// Kept below the server's per-request limit (MAX_AUDIT_UPLOAD_ENTRIES).
+const UPLOAD_BATCH_SIZE = 200;
+
+export const auditService = {
+  /**
+   * Uploads the entries of a user's audit log that the server does not have
+   * yet. If the server rejects the log because it does not continue the
+   * uploaded chain, the error is rethrown with status 409.
+   * @param {string} username - The logged-in user.
+   * @returns {Promise<number>} The number of entries uploaded.
+   */
+  async uploadLog(username) {
+    const user = await dbService.getProvisionedUser(username);
+    if (!user) return 0;
+    const entries = await dbService.getAuditEntries(
+      username,
+      user.auditUploadedSeq || 0
+    );
+    if (entries.length === 0) return 0;
+    const deviceId = await sessionManager.getDeviceId();
+    const chainId = (await dbService.getFirstAuditEntry(username)).hash;
+    for (let start = 0; start < entries.length; start += UPLOAD_BATCH_SIZE) {
+      const { uploadedSeq } = await uploadAuditEntries(
+        deviceId,
+        chainId,
+        entries.slice(start, start + UPLOAD_BATCH_SIZE)
+      );
+      await dbService.updateProvisionedUser(username, {
+        auditUploadedSeq: uploadedSeq,
+      });
+    }
+    return entries.length;
+  },
+};
@@ -7,15 +7,45 @@
  * provisioning to the secure lock/unlock cycle for accessing encrypted data.
  */
 
-import { cryptoService } from "./crypto-service.js";
 import { dbService } from "./db-service.js";
 import { sessionManager } from "./session-manager.js";
-import { loginUser } from "./api-client.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  getCurrentAccount,
+  getSingleSignOnStatus,
+  getTwoFactorStatus,
+  listSessions,
+  loginUser,
+  logoutUser,
+  regenerateRecoveryCodes,
+  registerUser,
+  revokeSession,
+  revokeUserSessions,
+  startTwoFactorSetup,
+  verifyLoginCode,
+} from "./api-client.js";
+import { syncService } from "./sync-service.js";
+import { pairingService } from "./pairing-service.js";
+import { sharingService } from "./sharing-service.js";
+import { recoveryService } from "./recovery-service.js";
+import { deviceService } from "./device-service.js";
+import { auditService } from "./audit-service.js";
+import { renderQrCode } from "./qr-code.js";
+
+// --- Configuration ---
+// Session policy for shared field devices. See SessionManager.configure().
+const SESSION_OPTIONS = {
+  idleTimeoutMs: 5 * 60 * 1000, // Lock after five minutes without interaction.
+  lockOnHide: false, // Set to true to lock whenever the app is backgrounded.
+};
 
 // --- Global State ---
 // These variables hold the application's current state.
 let currentOnlineUser = null; // Stores the username of the user authenticated via online login.
 let selectedOfflineUser = null; // Stores the username selected for an offline unlock operation.
+let attachmentItemId = null; // The item the file picker is choosing an attachment for.
+const attachmentUrls = new Set(); // Blob URLs of decrypted attachments, revoked on lock.
 
 // --- DOM Element References ---
 // Caching references to all interactive DOM elements for performance and convenience.
@@ -29,20 +59,113 @@ const usernameInput = document.getElementById("username");
 const passwordInput = document.getElementById("password");
 const userSelect = document.getElementById("userSelect");
 const provisionPinInput = document.getElementById("provisionPin");
+const provisionKdfSelect = document.getElementById("provisionKdf");
+const provisionRecoveryCheckbox = document.getElementById("provisionRecovery");
 const unlockPinInput = document.getElementById("unlockPin");
 const unlockHeader = document.getElementById("unlockHeader");
+const unlockStatus = document.getElementById("unlockStatus");
+const pinRecoverySection = document.getElementById("pinRecoverySection");
+const recoveredPinInput = document.getElementById("recoveredPin");
+const currentPinInput = document.getElementById("currentPin");
+const newPinInput = document.getElementById("newPin");
+const rotatePinInput = document.getElementById("rotatePin");
+const exportPinInput = document.getElementById("exportPin");
+const exportPassphraseInput = document.getElementById("exportPassphrase");
+const importFileInput = document.getElementById("importFile");
+const importPassphraseInput = document.getElementById("importPassphrase");
+const pairPinInput = document.getElementById("pairPin");
+const pinRecoveryStatus = document.getElementById("pinRecoveryStatus");
+const pinRecoveryPinInput = document.getElementById("pinRecoveryPin");
 
 const loginButton = document.getElementById("loginButton");
+const registerButton = document.getElementById("registerButton");
+const singleSignOnButton = document.getElementById("singleSignOnButton");
+const logoutButton = document.getElementById("logoutButton");
+const accountBar = document.getElementById("accountBar");
+const accountName = document.getElementById("accountName");
+const devicesButton = document.getElementById("devicesButton");
+const devicesSection = document.getElementById("devicesSection");
+const deviceList = document.getElementById("deviceList");
+const twoFactorButton = document.getElementById("twoFactorButton");
+const twoFactorSection = document.getElementById("twoFactorSection");
+const twoFactorStatus = document.getElementById("twoFactorStatus");
+const twoFactorSetup = document.getElementById("twoFactorSetup");
+const twoFactorQr = document.getElementById("twoFactorQr");
+const twoFactorSecret = document.getElementById("twoFactorSecret");
+const twoFactorUri = document.getElementById("twoFactorUri");
+const twoFactorSettingsCodeInput = document.getElementById(
+  "twoFactorSettingsCode"
+);
+const setupTwoFactorButton = document.getElementById("setupTwoFactorButton");
+const enableTwoFactorButton = document.getElementById("enableTwoFactorButton");
+const disableTwoFactorButton = document.getElementById(
+  "disableTwoFactorButton"
+);
+const newRecoveryCodesButton = document.getElementById(
+  "newRecoveryCodesButton"
+);
+const recoveryCodesOutput = document.getElementById("recoveryCodesOutput");
+const recoveryCodeList = document.getElementById("recoveryCodeList");
+const twoFactorLoginSection = document.getElementById("twoFactorLoginSection");
+const loginCodeInput = document.getElementById("loginCode");
+const verifyLoginCodeButton = document.getElementById("verifyLoginCodeButton");
+const cancelLoginCodeButton = document.getElementById("cancelLoginCodeButton");
+const sessionsButton = document.getElementById("sessionsButton");
+const sessionsSection = document.getElementById("sessionsSection");
+const sessionList = document.getElementById("sessionList");
 const selectUserButton = document.getElementById("selectUserButton");
 const setupButton = document.getElementById("setupButton");
+const pairDeviceButton = document.getElementById("pairDeviceButton");
 const unlockButton = document.getElementById("unlockButton");
+const recoverPinButton = document.getElementById("recoverPinButton");
 const lockButton = document.getElementById("lockButton");
+const syncButton = document.getElementById("syncButton");
+const changePinButton = document.getElementById("changePinButton");
+const rotateKeyButton = document.getElementById("rotateKeyButton");
+const enablePinRecoveryButton = document.getElementById(
+  "enablePinRecoveryButton"
+);
+const disablePinRecoveryButton = document.getElementById(
+  "disablePinRecoveryButton"
+);
 const addButton = document.getElementById("addButton");
+const exportBackupButton = document.getElementById("exportBackupButton");
+const importBackupButton = document.getElementById("importBackupButton");
+const addDeviceButton = document.getElementById("addDeviceButton");
+const removeUserButton = document.getElementById("removeUserButton");
+const auditLogButton = document.getElementById("auditLogButton");
+const resetDeviceButton = document.getElementById("resetDeviceButton");
+
+const searchButton = document.getElementById("searchButton");
+const clearSearchButton = document.getElementById("clearSearchButton");
 
 const newItemContentInput = document.getElementById("newItemContent");
+const searchQueryInput = document.getElementById("searchQuery");
+const attachmentFileInput = document.getElementById("attachmentFile");
+const pendingChanges = document.getElementById("pendingChanges");
 const itemsTableBody = document.querySelector("#itemsTable tbody");
+const auditSection = document.getElementById("auditSection");
+const auditStatus = document.getElementById("auditStatus");
+const auditList = document.getElementById("auditList");
 const logs = document.getElementById("logs");
 
+// Action buttons of a table row whose content is not decrypted.
+const LOCKED_ITEM_ACTIONS = `<button class="unlock-btn">Unlock</button><button class="share-btn">Share…</button><button class="delete-btn">Delete</button>`;
+// Action buttons of a row that was changed on this and another device at the
+// same time, whose content is not decrypted.
+const CONFLICTED_ITEM_ACTIONS = `<button class="resolve-btn">Resolve…</button><button class="unlock-btn">Unlock</button>`;
+// Action buttons of a conflicted row while both versions are shown.
+const RESOLVING_ITEM_ACTIONS = `<button class="keep-local-btn">Keep Mine</button><button class="keep-remote-btn">Keep Theirs</button><button class="save-merged-btn">Save Merged</button><button class="lock-btn">Cancel</button>`;
+// Action buttons of a row shared by another user, whose content is not decrypted.
+const LOCKED_SHARED_ITEM_ACTIONS = `<button class="unlock-btn">Unlock</button>`;
+// Action buttons of a table row whose content is decrypted.
+const UNLOCKED_ITEM_ACTIONS = `<button class="update-btn">Update</button><button class="attach-btn">Attach…</button><button class="lock-btn">Lock</button>`;
+// Attachment types that are inert when shown in a new tab; others are
+// downloaded. A blob: URL has the app's origin, so an HTML or SVG attachment
+// opened in a tab could script the app and its unlocked session.
+const PREVIEWABLE_TYPES =
+  /^(image\/(png|jpeg|gif|webp|avif|bmp)|audio\/[\w.+-]+|video\/[\w.+-]+|application\/pdf|text\/plain)$/;
+
 // --- Utility Functions ---
 
 /**
@@ -51,8 +174,9 @@ const logs = document.getElementById("logs");
  */
 function log(message) {
   console.log(message);
-  logs.innerHTML =
-    `${new Date().toLocaleTimeString()}: ${message}\n` + logs.innerHTML;
+  // Messages may contain server or user data, so they are only set as text.
+  logs.textContent =
+    `${new Date().toLocaleTimeString()}: ${message}\n` + logs.textContent;
 }
 
 /**
@@ -73,6 +197,7 @@ function disableAllButtons(disabled) {
 function showSection(sectionToShow) {
   [
     loginSection,
+    twoFactorLoginSection,
     userSelectionSection,
     provisioningSection,
     sessionSection,
@@ -85,6 +210,85 @@ function showSection(sectionToShow) {
   }
 }
 
+/**
+ * Shows the PIN entry screen for the given user, including their current
+ * PIN attempt status.
+ * @param {string} username - The user who is about to unlock.
+ */
+function showUnlockScreen(username) {
+  selectedOfflineUser = username;
+  unlockHeader.textContent = `3. Unlock Session for ${selectedOfflineUser}`;
+  showSection(sessionSection);
+  updateUnlockStatus();
+}
+
+let unlockStatusTimer = null;
+
+/**
+ * Shows how many PIN attempts the selected user has left, or how long they
+ * have to wait. While a lockout is active, the message counts down every second.
+ */
+async function updateUnlockStatus() {
+  clearTimeout(unlockStatusTimer);
+  const status = await sessionManager.getPinAttemptStatus(selectedOfflineUser);
+  const messages = [];
+  if (status?.tampered) {
+    messages.push(
+      "⚠️ The PIN attempt counter was modified outside the app. Only one attempt remains."
+    );
+  }
+  if (status?.wiped) {
+    messages.push(
+      status.wipeReason === "revoked"
+        ? "This profile was wiped because this device was revoked. Log in online to set it up again."
+        : "This profile was wiped after too many failed PIN attempts. Log in online to set it up again."
+    );
+  } else if (status?.lockedUntil) {
+    const seconds = Math.ceil((status.lockedUntil - Date.now()) / 1000);
+    messages.push(`Too many failed attempts. Try again in ${seconds}s.`);
+    unlockStatusTimer = setTimeout(updateUnlockStatus, 1000);
+  } else if (status?.failedAttempts > 0 && !status.tampered) {
+    messages.push(
+      `${status.remainingAttempts} attempt(s) remaining before this profile's data is wiped.`
+    );
+  }
+  if (status && !status.wiped) {
+    messages.push(
+      offlineAccessMessage(
+        await sessionManager.getOfflineAccessExpiry(selectedOfflineUser)
+      )
+    );
+  }
+  unlockStatus.textContent = messages.join(" ");
+  pinRecoverySection.classList.toggle(
+    "hidden",
+    !(await recoveryService.isEnabled(selectedOfflineUser))
+  );
+}
+
+/**
+ * Describes how much longer the selected user may unlock offline.
+ * @param {number|null} expiresAt - The expiry of the user's offline ticket.
+ * @returns {string}
+ */
+function offlineAccessMessage(expiresAt) {
+  if (!expiresAt) {
+    return "Log in online to unlock: this device has no valid offline ticket.";
+  }
+  const remainingMs = expiresAt - Date.now();
+  if (remainingMs <= 0) {
+    return "Offline access has expired. Log in online to unlock.";
+  }
+  const hours = Math.floor(remainingMs / (60 * 60 * 1000));
+  const remaining =
+    hours >= 24
+      ? `${Math.floor(hours / 24)}d ${hours % 24}h`
+      : hours > 0
+      ? `${hours}h`
+      : `${Math.ceil(remainingMs / (60 * 1000))}min`;
+  return `Offline access remaining: ${remaining}.`;
+}
+
 // --- Main Application Logic ---
 
 /**
@@ -102,310 +306,1742 @@ async function handleLogin() {
     }
     log(`Attempting to log in as ${username}...`);
     const loginResult = await loginUser(username, password);
-
-    currentOnlineUser = loginResult.username;
-    if (!currentOnlineUser) {
+    if (loginResult.twoFactorRequired) {
+      log("Password accepted. Enter your authentication code.");
+      showSection(twoFactorLoginSection);
+      loginCodeInput.focus();
+      return;
+    }
+    if (!loginResult.username) {
       throw new Error("Server did not return a username on login.");
     }
 
-    log(`✅ Login successful for ${currentOnlineUser}!`);
-    await checkProvisioningState();
+    log(`✅ Login successful for ${loginResult.username}!`);
+    await completeOnlineLogin(loginResult.username, loginResult.admin);
   } catch (error) {
     log(`❌ Login failed: ${error.message}`);
     showSection(loginSection);
   } finally {
+    passwordInput.value = "";
     disableAllButtons(false);
   }
 }
 
 /**
- * After a successful online login, this function checks if the user has already
- * set up a PIN on this device. It directs them to either the PIN unlock screen
- * or the one-time PIN setup screen.
+ * Starts a login through the identity provider. This leaves the app; the
+ * provider sends the browser back to it, and initialize() then finds the new
+ * online session.
  */
-async function checkProvisioningState() {
-  if (!currentOnlineUser) {
-    log("Cannot check provisioning state without a logged-in user.");
-    showSection(loginSection);
-    return;
-  }
-  const user = await dbService.getProvisionedUser(currentOnlineUser);
-  if (user) {
-    log(
-      `Device is already provisioned for ${currentOnlineUser}. Ready to unlock session.`
-    );
-    selectedOfflineUser = currentOnlineUser;
-    unlockHeader.textContent = `3. Unlock Session for ${selectedOfflineUser}`;
-    showSection(sessionSection);
-  } else {
-    log(
-      `Device not provisioned for ${currentOnlineUser}. Please complete setup.`
-    );
-    showSection(provisioningSection);
-  }
+function handleSingleSignOn() {
+  log("Redirecting to the identity provider...");
+  window.location.assign("/auth/oidc/login");
 }
 
 /**
- * Populates the user selection dropdown with usernames of all users who have
- * provisioned this device for offline use.
- * @param {Array<Object>} users - An array of user objects from the database.
+ * Shows the single sign-on button if the server offers it.
  */
-function populateUserSelection(users) {
-  userSelect.innerHTML = "";
-  users.forEach((user) => {
-    const option = document.createElement("option");
-    option.value = user.username;
-    option.textContent = user.username;
-    userSelect.appendChild(option);
-  });
+async function showSingleSignOnOption() {
+  try {
+    const { enabled } = await getSingleSignOnStatus();
+    singleSignOnButton.classList.toggle("hidden", !enabled);
+  } catch (error) {
+    log(`Could not check for single sign-on: ${error.message}`);
+  }
 }
 
 /**
- * Handles the selection of a user from the dropdown in offline mode,
- * then transitions to the PIN entry screen for that user.
+ * Logs the error of a failed single sign-on, which the server passes back in
+ * the loginError query parameter, and removes it from the address bar.
  */
-function handleUserSelection() {
-  selectedOfflineUser = userSelect.value;
-  if (!selectedOfflineUser) {
-    log("ERROR: Please select a user.");
-    return;
-  }
-  log(`User selected: ${selectedOfflineUser}. Please enter PIN.`);
-  unlockHeader.textContent = `3. Unlock Session for ${selectedOfflineUser}`;
-  showSection(sessionSection);
+function reportSingleSignOnError() {
+  const url = new URL(window.location.href);
+  const loginError = url.searchParams.get("loginError");
+  if (loginError === null) return;
+  log(`❌ Single sign-on failed: ${loginError}`);
+  url.searchParams.delete("loginError");
+  window.history.replaceState(null, "", url);
 }
 
 /**
- * Fetches and renders the encrypted data items for the currently unlocked user.
- * It queries the database for items owned by the `selectedOfflineUser`.
+ * Parses what the user typed as a second factor: six digits are a code from
+ * the authenticator app, anything else is taken as a recovery code.
+ * @param {string} input
+ * @returns {{code: string}|{recoveryCode: string}}
  */
-async function renderItemsTable() {
-  log("Refreshing items table...");
-  itemsTableBody.innerHTML = "";
-  const allItems = await dbService.getAllDataForUser(selectedOfflineUser);
-  if (!allItems || allItems.length === 0) {
-    log("No items found in the database for this user.");
-    return;
-  }
-  allItems.forEach((item) => {
-    const row = document.createElement("tr");
-    row.dataset.id = item.id;
-    row.innerHTML = `
-            <td>${item.id}</td>
-            <td class="content-cell"><span>[Encrypted]</span></td>
-            <td class="action-cell"><button class="unlock-btn">Unlock</button></td>
-        `;
-    itemsTableBody.appendChild(row);
-  });
-  log(`Rendered ${allItems.length} items.`);
+function parseSecondFactor(input) {
+  const value = input.trim();
+  return /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
 }
 
 /**
- * Handles clicks on buttons within the data table (Unlock, Update, Lock).
- * This function acts as a delegate for all table actions.
- * @param {Event} event - The click event from the table.
+ * Completes a login that requires a second factor, after the password was
+ * accepted by handleLogin.
  */
-async function handleTableAction(event) {
-  const target = event.target;
-  if (!target.matches("button")) return;
-  if (sessionManager.isLocked()) {
-    log("❌ Action failed: Session is locked.");
-    return;
-  }
-  const row = target.closest("tr");
-  const id = row.dataset.id;
-  const contentCell = row.querySelector(".content-cell");
-  const actionCell = row.querySelector(".action-cell");
+async function handleLoginCode() {
   disableAllButtons(true);
   try {
-    if (target.classList.contains("unlock-btn")) {
-      log(`Unlocking item ${id}...`);
-      const decryptedItem = await sessionManager.getDecryptedItem(id);
-      contentCell.innerHTML = `<input type="text" value="${decryptedItem.content}">`;
-      actionCell.innerHTML = `<button class="update-btn">Update</button><button class="lock-btn">Lock</button>`;
-      log(`Item ${id} unlocked.`);
-    } else if (target.classList.contains("update-btn")) {
-      log(`Updating item ${id}...`);
-      const newContent = contentCell.querySelector("input").value;
-      await sessionManager.saveItem({
-        id,
-        content: newContent,
-        owner: selectedOfflineUser,
-      });
-      contentCell.innerHTML = `<span>[Encrypted]</span>`;
-      actionCell.innerHTML = `<button class="unlock-btn">Unlock</button>`;
-      log(`Item ${id} updated and locked.`);
-    } else if (target.classList.contains("lock-btn")) {
-      log(`Locking item ${id}...`);
-      contentCell.innerHTML = `<span>[Encrypted]</span>`;
-      actionCell.innerHTML = `<button class="unlock-btn">Unlock</button>`;
-      log(`Item ${id} locked.`);
+    const factor = parseSecondFactor(loginCodeInput.value);
+    const loginResult = await verifyLoginCode(factor);
+    log(`✅ Login successful for ${loginResult.username}!`);
+    if (factor.recoveryCode) {
+      log(
+        `⚠️ You used a recovery code; ${loginResult.recoveryCodesLeft} are left.`
+      );
     }
+    await completeOnlineLogin(loginResult.username, loginResult.admin);
   } catch (error) {
-    log(`❌ Action failed for item ${id}: ${error.message}`);
+    log(`❌ Verification failed: ${error.message}`);
+    // The pending login has expired; start over with the password.
+    if (error.status === 401 && /password/.test(error.message)) {
+      showSection(loginSection);
+    }
   } finally {
+    loginCodeInput.value = "";
     disableAllButtons(false);
   }
 }
 
 /**
- * Handles the "Add Item" button click. It creates a new item object,
- * associates it with the current user, and saves it via the session manager.
+ * Handles the creation of a new online account. The server logs the new user
+ * in right away, so this continues straight into provisioning.
  */
-async function addNewItem() {
-  if (sessionManager.isLocked()) {
-    log("❌ Action failed: Session is locked.");
-    return;
-  }
+async function handleRegister() {
   disableAllButtons(true);
   try {
-    const content = newItemContentInput.value;
-    if (!content) {
-      log("ERROR: Please provide content for the new item.");
+    const username = usernameInput.value;
+    const password = passwordInput.value;
+    if (!username || !password) {
+      log("ERROR: Username and password are required.");
       return;
     }
-    const newItem = {
-      id: crypto.randomUUID(),
-      content: content,
-      owner: selectedOfflineUser,
-    };
-    log(`Adding new item with ID: ${newItem.id}...`);
-    await sessionManager.saveItem(newItem);
-    log(`✅ Successfully saved new item.`);
-    newItemContentInput.value = "";
-    await renderItemsTable();
+    log(`Registering new account ${username}...`);
+    const result = await registerUser(username, password);
+    log(`✅ Account created for ${result.username}!`);
+    await completeOnlineLogin(result.username, result.admin);
   } catch (error) {
-    log(`❌ Failed to save new item: ${error.message}`);
+    log(`❌ Registration failed: ${error.message}`);
   } finally {
+    passwordInput.value = "";
     disableAllButtons(false);
   }
 }
 
 /**
- * Handles the one-time PIN setup process for a user on a new device.
- * This is the core provisioning flow.
+ * Ends the online session. Offline access on this device is not affected, so
+ * an unlocked session stays unlocked.
  */
-async function setupOfflineAccess() {
+async function handleLogout() {
   disableAllButtons(true);
   try {
-    const pin = provisionPinInput.value;
-    if (!pin || pin.length < 6) {
-      log("ERROR: PIN must be at least 6 digits.");
-      return;
+    await logoutUser();
+    log(`Logged out ${currentOnlineUser} from the server.`);
+    await endOnlineSession();
+  } catch (error) {
+    log(`❌ Logout failed: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Forgets the online session after logout or after it was revoked, and hides
+ * what only a logged-in user can see.
+ */
+async function endOnlineSession() {
+  setOnlineUser(null);
+  devicesSection.classList.add("hidden");
+  deviceList.replaceChildren();
+  sessionsSection.classList.add("hidden");
+  sessionList.replaceChildren();
+  twoFactorSection.classList.add("hidden");
+  clearTwoFactorSettings();
+  if (sessionManager.isLocked()) {
+    await showStartScreen();
+  }
+}
+
+/**
+ * Records the user of the current online session and shows it in the
+ * account bar.
+ * @param {string|null} username - The logged-in user, or null after logout.
+ * @param {boolean} [admin=false] - Whether the user is an administrator, who
+ *   can list and revoke everyone's sessions.
+ */
+function setOnlineUser(username, admin = false) {
+  currentOnlineUser = username;
+  accountName.textContent = username || "";
+  accountBar.classList.toggle("hidden", !username);
+  sessionsButton.classList.toggle("hidden", !admin);
+}
+
+/**
+ * Continues the workflow after the user has been authenticated online.
+ * @param {string} username - The authenticated user.
+ * @param {boolean} admin - Whether the user is an administrator.
+ */
+async function completeOnlineLogin(username, admin) {
+  setOnlineUser(username, admin);
+  await registerThisDevice(username, false);
+  await uploadAuditLog(username);
+  await checkProvisioningState();
+}
+
+/**
+ * Registers this device for the logged-in user, if they are provisioned on
+ * it, so it shows up in their device list and can be revoked. This also
+ * renews the user's offline ticket. Failures are only logged; the device
+ * registers again on the next online login.
+ * @param {string} username - The logged-in user.
+ * @param {boolean} provisioned - Whether the user was just provisioned here.
+ */
+async function registerThisDevice(username, provisioned) {
+  const user = await dbService.getProvisionedUser(username);
+  if (!user || user.wiped) return;
+  try {
+    if (await deviceService.registerDevice(username, { provisioned })) {
+      log(`⚠️ ${username} has revoked this device. Their data was wiped.`);
     }
-    log(`1. Starting provisioning process for ${currentOnlineUser}...`);
-    const salt = cryptoService.generateSalt();
-    log("2. Generating salt...");
-    log("3. Generating new DEK...");
-    const dek = await window.crypto.subtle.generateKey(
-      { name: "AES-GCM", length: 256 },
-      true,
-      ["encrypt", "decrypt"]
-    );
-    const masterKey = await cryptoService.deriveMasterKey(pin, salt);
-    log("4. Deriving Master Key from PIN (this might take a moment)...");
-    const wrappedDek = await cryptoService.wrapDek(masterKey, dek);
-    log("5. Wrapping the DEK with the Master Key...");
+  } catch (error) {
+    log(`Could not register this device: ${error.message}`);
+  }
+}
+
+/**
+ * Asks the server whether any user of this device has revoked it, and wipes
+ * their data if so. Runs on startup and whenever the app comes back online.
+ * @returns {Promise<Array<string>>} The users who were wiped.
+ */
+async function checkDeviceRevocation() {
+  if (!navigator.onLine) return [];
+  try {
+    const wiped = await deviceService.checkRevocation();
+    for (const username of wiped) {
+      log(`⚠️ ${username} has revoked this device. Their data was wiped.`);
+    }
+    return wiped;
+  } catch (error) {
+    log(`Could not check whether this device was revoked: ${error.message}`);
+    return [];
+  }
+}
 
-    await dbService.saveProvisionedUser(currentOnlineUser, salt, wrappedDek);
+/**
+ * Shows or hides the logged-in user's devices.
+ */
+async function toggleDevices() {
+  if (!devicesSection.classList.toggle("hidden")) {
+    await renderDevices();
+  }
+}
 
-    log(
-      `6. Storing salt and wrapped DEK for ${currentOnlineUser} in IndexedDB...`
+/**
+ * Lists the logged-in user's devices, each with a button to revoke it. Device
+ * names come from the server, so they are only ever inserted as text.
+ */
+async function renderDevices() {
+  try {
+    const devices = await deviceService.listDevices();
+    deviceList.replaceChildren(
+      ...devices.map((device) => {
+        const entry = document.createElement("li");
+        const lastSeen = new Date(device.lastSeenAt).toLocaleString();
+        entry.textContent = `${device.name}${
+          device.current ? " (this device)" : ""
+        }, last seen ${lastSeen}`;
+        if (device.revokedAt) {
+          entry.append(
+            ` (revoked ${new Date(device.revokedAt).toLocaleString()})`
+          );
+        } else {
+          const button = document.createElement("button");
+          button.className = "revoke-device-btn";
+          button.textContent = "Revoke";
+          button.dataset.deviceId = device.id;
+          button.dataset.name = device.name;
+          entry.append(" ", button);
+        }
+        return entry;
+      })
     );
-    log("✅ Provisioning complete! Device is ready for offline use.");
-    selectedOfflineUser = currentOnlineUser;
-    unlockHeader.textContent = `3. Unlock Session for ${selectedOfflineUser}`;
-    showSection(sessionSection);
+    if (devices.length === 0) log("No devices are registered yet.");
   } catch (error) {
-    log(`❌ Provisioning failed: ${error.message}`);
-  } finally {
-    disableAllButtons(false);
+    log(`❌ Could not list devices: ${error.message}`);
   }
 }
 
 /**
- * Handles the PIN entry to unlock an existing offline session.
+ * Handles clicks on the Revoke buttons of the device list.
+ * @param {Event} event - The click event from the list.
  */
-async function unlockSession() {
+async function handleDeviceAction(event) {
+  const button = event.target.closest(".revoke-device-btn");
+  if (!button) return;
+  const { deviceId, name } = button.dataset;
+  if (
+    !confirm(
+      `Revoke ${name}? Your offline data on it is wiped as soon as it is online.`
+    )
+  ) {
+    return;
+  }
   disableAllButtons(true);
   try {
-    const pin = unlockPinInput.value;
-    if (!pin) {
-      log("ERROR: Please enter your PIN.");
-      return;
-    }
-    log(`Attempting to unlock session for ${selectedOfflineUser} with PIN...`);
-    const success = await sessionManager.unlockSession(
-      pin,
-      selectedOfflineUser
-    );
-    if (success) {
-      log("✅ Session unlocked successfully!");
-      sessionStorage.setItem("lastUser", selectedOfflineUser); // Remember the user for refresh
-      showSection(dataSection);
-      await renderItemsTable();
-    } else {
-      log("❌ Invalid PIN. Failed to unlock session.");
-    }
+    await deviceService.revokeDevice(currentOnlineUser, deviceId);
+    log(`✅ Revoked ${name}.`);
+    await renderDevices();
   } catch (error) {
-    log(`❌ Unlock process failed: ${error.message}`);
+    log(`❌ Could not revoke ${name}: ${error.message}`);
   } finally {
     disableAllButtons(false);
   }
 }
 
 /**
- * Locks the current session by clearing the in-memory key and resetting the UI.
+ * Shows or hides the two-factor login settings of the logged-in user.
  */
-function lockSession() {
-  log("Locking session...");
-  sessionManager.lockSession();
-  sessionStorage.removeItem("lastUser"); // Forget the user on explicit lock
-  unlockPinInput.value = "";
+async function toggleTwoFactor() {
+  if (!twoFactorSection.classList.toggle("hidden")) {
+    clearTwoFactorSettings();
+    await renderTwoFactorStatus();
+  }
+}
 
-  // Re-initialize the app to show the correct starting screen (online vs offline)
-  initialize();
+/**
+ * Hides the enrollment details and recovery codes, so that neither the secret
+ * nor the codes stay on screen.
+ */
+function clearTwoFactorSettings() {
+  twoFactorSetup.classList.add("hidden");
+  twoFactorQr.replaceChildren();
+  twoFactorSecret.textContent = "";
+  twoFactorUri.removeAttribute("href");
+  recoveryCodesOutput.classList.add("hidden");
+  recoveryCodeList.replaceChildren();
+  twoFactorSettingsCodeInput.value = "";
 }
 
 /**
- * The main entry point for the application. This function determines the
- * initial state of the application (online, offline, provisioned, etc.)
- * and sets up all the necessary event listeners.
+ * Shows whether two-factor login is on, and the buttons that apply.
  */
-async function initialize() {
-  log("Client initialized.");
-  if ("serviceWorker" in navigator) {
-    try {
-      await navigator.serviceWorker.register("/service-worker.js");
-      await navigator.serviceWorker.ready;
-      log("Service Worker registered and active.");
-    } catch (error) {
-      log(`Service Worker registration failed: ${error}`);
+async function renderTwoFactorStatus() {
+  try {
+    const { enabled, recoveryCodesLeft, available } =
+      await getTwoFactorStatus();
+    if (enabled) {
+      twoFactorStatus.textContent = `Two-factor login is on. ${recoveryCodesLeft} recovery codes are left.`;
+    } else if (available) {
+      twoFactorStatus.textContent =
+        "Two-factor login is off. Add an authenticator app so that your password alone is not enough to log in.";
+    } else {
+      twoFactorStatus.textContent =
+        "You log in through single sign-on; two-factor login is managed by your identity provider.";
     }
+    const settingUp = !twoFactorSetup.classList.contains("hidden");
+    setupTwoFactorButton.classList.toggle(
+      "hidden",
+      enabled || settingUp || !available
+    );
+    enableTwoFactorButton.classList.toggle("hidden", !settingUp);
+    twoFactorSettingsCodeInput.classList.toggle(
+      "hidden",
+      !enabled && !settingUp
+    );
+    disableTwoFactorButton.classList.toggle("hidden", !enabled);
+    newRecoveryCodesButton.classList.toggle("hidden", !enabled);
+  } catch (error) {
+    log(`❌ Could not check two-factor login: ${error.message}`);
   }
+}
 
+/**
+ * Starts adding an authenticator app: shows the new secret as a QR code, as
+ * an otpauth:// link and as text.
+ */
+async function setupTwoFactor() {
+  disableAllButtons(true);
   try {
-    const lastUser = sessionStorage.getItem("lastUser");
-    if (lastUser) {
-      log(`Found last active user: ${lastUser}. Going to PIN unlock.`);
-      selectedOfflineUser = lastUser;
-      unlockHeader.textContent = `3. Unlock Session for ${selectedOfflineUser}`;
-      showSection(sessionSection);
-    } else {
-      const users = await dbService.getAllProvisionedUsers();
-      if (users && users.length > 0) {
-        log(`Found ${users.length} provisioned users. Showing user selection.`);
-        populateUserSelection(users);
-        showSection(userSelectionSection);
-      } else {
-        log("Device is not provisioned for any user.");
-        if (navigator.onLine) {
-          log("App is online. Showing login screen for first-time setup.");
-          showSection(loginSection);
-        } else {
-          log("App is offline and no users are set up. Login is disabled.");
+    const { secret, otpauthUri } = await startTwoFactorSetup();
+    twoFactorQr.replaceChildren(renderQrCode(otpauthUri));
+    twoFactorSecret.textContent = secret.match(/.{1,4}/g).join(" ");
+    twoFactorUri.href = otpauthUri;
+    twoFactorSetup.classList.remove("hidden");
+    await renderTwoFactorStatus();
+  } catch (error) {
+    log(`❌ Could not set up two-factor login: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Shows recovery codes that were just created.
+ * @param {Array<string>} codes
+ */
+function showRecoveryCodes(codes) {
+  recoveryCodeList.replaceChildren(
+    ...codes.map((code) => {
+      const entry = document.createElement("li");
+      const text = document.createElement("code");
+      text.textContent = code;
+      entry.append(text);
+      return entry;
+    })
+  );
+  recoveryCodesOutput.classList.remove("hidden");
+}
+
+/**
+ * Handles the Turn On, Turn Off and New Recovery Codes buttons, which all take
+ * the code typed into the settings.
+ * @param {Event} event - The click event.
+ */
+async function handleTwoFactorAction(event) {
+  const input = twoFactorSettingsCodeInput.value;
+  disableAllButtons(true);
+  try {
+    if (event.target === enableTwoFactorButton) {
+      const { recoveryCodes } = await enableTwoFactor(input.trim());
+      clearTwoFactorSettings();
+      showRecoveryCodes(recoveryCodes);
+      log("✅ Two-factor login is on.");
+    } else if (event.target === disableTwoFactorButton) {
+      if (!confirm("Turn off two-factor login?")) return;
+      await disableTwoFactor(parseSecondFactor(input));
+      clearTwoFactorSettings();
+      log("✅ Two-factor login is off.");
+    } else if (event.target === newRecoveryCodesButton) {
+      const { recoveryCodes } = await regenerateRecoveryCodes(
+        parseSecondFactor(input)
+      );
+      clearTwoFactorSettings();
+      showRecoveryCodes(recoveryCodes);
+      log("✅ Created new recovery codes. The old ones no longer work.");
+    }
+    await renderTwoFactorStatus();
+  } catch (error) {
+    log(`❌ ${error.message}`);
+  } finally {
+    twoFactorSettingsCodeInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Shows or hides the active sessions of all users (administrators only).
+ */
+async function toggleSessions() {
+  if (!sessionsSection.classList.toggle("hidden")) {
+    await renderSessions();
+  }
+}
+
+/**
+ * Lists the active sessions grouped by user, with buttons to revoke a single
+ * session or all of a user's sessions. Usernames, addresses and browser names
+ * come from the server, so they are only ever inserted as text.
+ */
+async function renderSessions() {
+  try {
+    const sessions = await listSessions();
+    const byUser = new Map();
+    for (const session of sessions) {
+      if (!byUser.has(session.username)) byUser.set(session.username, []);
+      byUser.get(session.username).push(session);
+    }
+    sessionList.replaceChildren(
+      ...[...byUser].map(([username, userSessions]) => {
+        const entry = document.createElement("li");
+        const revokeAll = document.createElement("button");
+        revokeAll.className = "revoke-user-sessions-btn";
+        revokeAll.textContent = "Revoke all";
+        revokeAll.dataset.username = username;
+        const list = document.createElement("ul");
+        list.append(...userSessions.map(renderSessionEntry));
+        entry.append(`${username} `, revokeAll, list);
+        return entry;
+      })
+    );
+    if (sessions.length === 0) log("There are no active sessions.");
+  } catch (error) {
+    log(`❌ Could not list sessions: ${error.message}`);
+  }
+}
+
+/**
+ * Renders one session of the session list.
+ * @param {{id: string, createdAt: number, lastActiveAt: number, expiresAt: number, ip: string, userAgent: string, current: boolean}} session
+ * @returns {HTMLLIElement}
+ */
+function renderSessionEntry(session) {
+  const entry = document.createElement("li");
+  entry.textContent = `${session.userAgent || "Unknown browser"} from ${
+    session.ip
+  }${session.current ? " (this session)" : ""}, logged in ${new Date(
+    session.createdAt
+  ).toLocaleString()}, last active ${new Date(
+    session.lastActiveAt
+  ).toLocaleString()}, expires ${new Date(
+    session.expiresAt
+  ).toLocaleString()} `;
+  const button = document.createElement("button");
+  button.className = "revoke-session-btn";
+  button.textContent = "Revoke";
+  button.dataset.sessionId = session.id;
+  button.dataset.current = session.current;
+  entry.append(button);
+  return entry;
+}
+
+/**
+ * Handles clicks on the Revoke buttons of the session list. Revoking this
+ * browser's own session logs it out.
+ * @param {Event} event - The click event from the list.
+ */
+async function handleSessionAction(event) {
+  const button = event.target.closest(
+    ".revoke-session-btn, .revoke-user-sessions-btn"
+  );
+  if (!button) return;
+  const { sessionId, username, current } = button.dataset;
+  if (username && !confirm(`Revoke every session of ${username}?`)) return;
+  disableAllButtons(true);
+  try {
+    if (sessionId) {
+      await revokeSession(sessionId);
+      log("✅ Revoked the session.");
+    } else {
+      const { revoked } = await revokeUserSessions(username);
+      log(`✅ Revoked ${revoked} session(s) of ${username}.`);
+    }
+    if (current === "true" || username === currentOnlineUser) {
+      log("This browser's session was revoked; you are logged out.");
+      await endOnlineSession();
+    } else {
+      await renderSessions();
+    }
+  } catch (error) {
+    log(`❌ Could not revoke: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Uploads the logged-in user's audit log from this device. Failures are only
+ * logged; the upload is retried the next time the device is online.
+ * @param {string} username - The logged-in user.
+ */
+async function uploadAuditLog(username) {
+  try {
+    const uploaded = await auditService.uploadLog(username);
+    if (uploaded > 0) log(`Uploaded ${uploaded} audit log entries.`);
+  } catch (error) {
+    if (error.status === 409) {
+      log(`⚠️ The server rejected this device's audit log: ${error.message}`);
+    } else {
+      log(`Could not upload the audit log: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Shows or hides the unlocked user's audit log.
+ */
+async function toggleAuditLog() {
+  if (!auditSection.classList.toggle("hidden")) {
+    await renderAuditLog();
+  }
+}
+
+/**
+ * Lists the unlocked user's audit log on this device, newest first, with the
+ * result of the hash chain check.
+ */
+async function renderAuditLog() {
+  try {
+    const { events, brokenAt, truncated, uploadedSeq } =
+      await sessionManager.getAuditLog();
+    const problems = [];
+    if (brokenAt !== null) {
+      problems.push(`the chain is broken at entry ${brokenAt}`);
+    }
+    if (truncated) {
+      problems.push(
+        `entries up to ${uploadedSeq} were uploaded but are missing`
+      );
+    }
+    auditStatus.textContent =
+      problems.length > 0
+        ? `⚠️ The audit log was modified: ${problems.join("; ")}.`
+        : `✅ ${events.length} entries, chain intact. ${uploadedSeq} uploaded to the server.`;
+    auditList.replaceChildren(
+      ...events.reverse().map(({ seq, event }) => {
+        const entry = document.createElement("li");
+        entry.textContent = `#${seq} ${describeAuditEvent(event)}`;
+        return entry;
+      })
+    );
+  } catch (error) {
+    log(`❌ Could not read the audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Describes an audit event for the audit log viewer.
+ * @param {Object|null} event - The decrypted event, or null if unreadable.
+ * @returns {string}
+ */
+function describeAuditEvent(event) {
+  if (!event) return "(written before this device was set up again)";
+  const time = new Date(event.at).toLocaleString();
+  switch (event.type) {
+    case "unlock":
+      return `${time}: Session unlocked`;
+    case "pin-failed":
+      return `${time}: Wrong PIN (${event.failedAttempts} failed in a row)`;
+    case "pin-recovered":
+      return `${time}: PIN reset with PIN recovery`;
+    case "wipe":
+      return `${time}: Data wiped (${
+        event.reason === "revoked" ? "device revoked" : "too many PIN attempts"
+      })`;
+    case "read":
+      if (event.attachmentId) {
+        return `${time}: Opened an attachment of item ${event.itemId}`;
+      }
+      return event.owner
+        ? `${time}: Read item ${event.itemId} shared by ${event.owner}`
+        : `${time}: Read item ${event.itemId}`;
+    case "update":
+      return `${time}: Saved item ${event.itemId}`;
+    case "delete":
+      return `${time}: Deleted item ${event.itemId}`;
+    case "lock":
+      return `${time}: Session locked (${event.reason})`;
+    default:
+      return `${time}: ${event.type}`;
+  }
+}
+
+/**
+ * After a successful online login, this function checks if the user has already
+ * set up a PIN on this device. It directs them to either the PIN unlock screen
+ * or the one-time PIN setup screen.
+ */
+async function checkProvisioningState() {
+  if (!currentOnlineUser) {
+    log("Cannot check provisioning state without a logged-in user.");
+    showSection(loginSection);
+    return;
+  }
+  const user = await dbService.getProvisionedUser(currentOnlineUser);
+  if (user && !user.wiped) {
+    log(
+      `Device is already provisioned for ${currentOnlineUser}. Ready to unlock session.`
+    );
+    showUnlockScreen(currentOnlineUser);
+  } else {
+    log(
+      `Device not provisioned for ${currentOnlineUser}. Please complete setup.`
+    );
+    showSection(provisioningSection);
+  }
+}
+
+/**
+ * Populates the user selection dropdown with usernames of all users who have
+ * provisioned this device for offline use.
+ * @param {Array<Object>} users - An array of user objects from the database.
+ */
+function populateUserSelection(users) {
+  userSelect.innerHTML = "";
+  users.forEach((user) => {
+    const option = document.createElement("option");
+    option.value = user.username;
+    option.textContent = user.wiped
+      ? `${user.username} (wiped)`
+      : user.username;
+    userSelect.appendChild(option);
+  });
+}
+
+/**
+ * Handles the selection of a user from the dropdown in offline mode,
+ * then transitions to the PIN entry screen for that user.
+ */
+function handleUserSelection() {
+  selectedOfflineUser = userSelect.value;
+  if (!selectedOfflineUser) {
+    log("ERROR: Please select a user.");
+    return;
+  }
+  log(`User selected: ${selectedOfflineUser}. Please enter PIN.`);
+  showUnlockScreen(selectedOfflineUser);
+}
+
+/**
+ * Fetches and renders the encrypted data items for the currently unlocked user.
+ * It queries the database for items owned by the `selectedOfflineUser`.
+ */
+async function renderItemsTable() {
+  log("Refreshing items table...");
+  itemsTableBody.innerHTML = "";
+  const allItems = await dbService.getAllDataForUser(selectedOfflineUser);
+  const sharedItems = await dbService.getSharedItemsForUser(
+    selectedOfflineUser
+  );
+  if (allItems.length === 0 && sharedItems.length === 0) {
+    log("No items found in the database for this user.");
+    return;
+  }
+  allItems.forEach((item) => {
+    const row = document.createElement("tr");
+    row.dataset.id = item.id;
+    if (item.conflict) row.dataset.conflict = "true";
+    // Item IDs come from the server, so they are only ever inserted as text.
+    const idCell = document.createElement("td");
+    idCell.textContent = item.id;
+    const contentCell = document.createElement("td");
+    contentCell.className = "content-cell";
+    contentCell.innerHTML = lockedContent(row);
+    const actionCell = document.createElement("td");
+    actionCell.className = "action-cell";
+    actionCell.innerHTML = lockedActions(row);
+    row.append(idCell, contentCell, actionCell);
+    itemsTableBody.appendChild(row);
+  });
+  // Items shared by other users are read-only. Their owner's name comes from
+  // the server, so it is only ever inserted as text.
+  for (const share of sharedItems) {
+    const row = document.createElement("tr");
+    row.dataset.id = share.itemId;
+    row.dataset.sharedBy = share.owner;
+    const idCell = document.createElement("td");
+    idCell.textContent = share.itemId;
+    const contentCell = document.createElement("td");
+    contentCell.className = "content-cell";
+    contentCell.textContent = `[Encrypted] shared by ${share.owner}`;
+    const actionCell = document.createElement("td");
+    actionCell.className = "action-cell";
+    actionCell.innerHTML = LOCKED_SHARED_ITEM_ACTIONS;
+    row.append(idCell, contentCell, actionCell);
+    itemsTableBody.appendChild(row);
+  }
+  log(
+    `Rendered ${allItems.length} items and ${sharedItems.length} shared items.`
+  );
+}
+
+/**
+ * Returns the placeholder shown in the content cell of a locked row.
+ * @param {HTMLTableRowElement} row
+ * @returns {string}
+ */
+function lockedContent(row) {
+  return row.dataset.conflict
+    ? `<span>[Encrypted] ⚠️ Changed on another device</span>`
+    : `<span>[Encrypted]</span>`;
+}
+
+/**
+ * Returns the action buttons of a locked row.
+ * @param {HTMLTableRowElement} row
+ * @returns {string}
+ */
+function lockedActions(row) {
+  return row.dataset.conflict ? CONFLICTED_ITEM_ACTIONS : LOCKED_ITEM_ACTIONS;
+}
+
+/**
+ * Remembers the version of an item that is shown for editing, so that saving
+ * it can tell whether the item was changed (e.g. by a sync) in the meantime.
+ * @param {HTMLTableRowElement} row
+ */
+async function rememberVersion(row) {
+  const record = await dbService.getEncryptedData(row.dataset.id);
+  row.dataset.versions = JSON.stringify(record?.versions ?? {});
+  if (record?.conflict) row.dataset.conflict = "true";
+}
+
+/**
+ * Shows both versions of a conflicting item side by side, with an editable
+ * copy of this device's version to merge them in. The contents are decrypted
+ * user data, so they are only ever inserted as form values.
+ * @param {HTMLElement} contentCell - The item's content cell.
+ * @param {{local: Object, remote: Object|null}} conflict - Both versions.
+ */
+function renderConflict(contentCell, { local, remote }) {
+  const versions = document.createElement("div");
+  versions.className = "conflict-versions";
+  const version = (title, content) => {
+    const label = document.createElement("label");
+    label.append(title);
+    const text = document.createElement("textarea");
+    text.readOnly = true;
+    text.value = content;
+    label.appendChild(text);
+    return label;
+  };
+  versions.append(
+    version("This device", local.content),
+    remote
+      ? version("Other device", remote.content)
+      : version("Other device", "(Deleted on the other device.)")
+  );
+  const merged = document.createElement("label");
+  merged.append("Merged");
+  const mergedText = document.createElement("textarea");
+  mergedText.className = "merged-content";
+  mergedText.value = local.content;
+  merged.appendChild(mergedText);
+  contentCell.replaceChildren(versions, merged);
+}
+
+/**
+ * Searches the unlocked user's items with the blind keyword index and shows
+ * only the matches, already decrypted. An empty query shows all items again.
+ */
+async function searchItems() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  const query = searchQueryInput.value.trim();
+  if (!query) {
+    await renderItemsTable();
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    log("Searching items...");
+    const items = await sessionManager.searchItems(query);
+    itemsTableBody.replaceChildren();
+    for (const item of items) {
+      const row = document.createElement("tr");
+      row.dataset.id = item.id;
+      await rememberVersion(row);
+      const idCell = document.createElement("td");
+      idCell.textContent = item.id;
+      const contentCell = document.createElement("td");
+      contentCell.className = "content-cell";
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = item.content;
+      contentCell.appendChild(input);
+      const actionCell = document.createElement("td");
+      actionCell.className = "action-cell";
+      actionCell.innerHTML = UNLOCKED_ITEM_ACTIONS;
+      row.append(idCell, contentCell, actionCell);
+      itemsTableBody.appendChild(row);
+      await renderAttachments(contentCell, item.id);
+    }
+    log(`Found ${items.length} matching item(s).`);
+  } catch (error) {
+    log(`❌ Search failed: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Clears the search box and shows all items again.
+ */
+async function clearSearch() {
+  searchQueryInput.value = "";
+  await renderItemsTable();
+}
+
+/**
+ * Handles clicks on buttons within the data table (Unlock, Update, Lock, Share,
+ * Delete, the attachment buttons and the conflict resolution buttons).
+ * This function acts as a delegate for all table actions.
+ * @param {Event} event - The click event from the table.
+ */
+async function handleTableAction(event) {
+  const target = event.target;
+  if (!target.matches("button")) return;
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  const row = target.closest("tr");
+  const id = row.dataset.id;
+  const sharedBy = row.dataset.sharedBy;
+  const contentCell = row.querySelector(".content-cell");
+  const actionCell = row.querySelector(".action-cell");
+  disableAllButtons(true);
+  try {
+    if (sharedBy && target.classList.contains("unlock-btn")) {
+      log(`Unlocking item ${id} shared by ${sharedBy}...`);
+      const sharedItem = await sessionManager.getSharedItem(sharedBy, id);
+      if (!sharedItem) throw new Error("The item is no longer shared.");
+      contentCell.textContent = sharedItem.content;
+      actionCell.innerHTML = `<button class="lock-btn">Lock</button>`;
+      log(`Item ${id} unlocked.`);
+    } else if (sharedBy && target.classList.contains("lock-btn")) {
+      log(`Locking item ${id}...`);
+      contentCell.textContent = `[Encrypted] shared by ${sharedBy}`;
+      actionCell.innerHTML = LOCKED_SHARED_ITEM_ACTIONS;
+      log(`Item ${id} locked.`);
+    } else if (target.classList.contains("unlock-btn")) {
+      log(`Unlocking item ${id}...`);
+      await rememberVersion(row);
+      const decryptedItem = await sessionManager.getDecryptedItem(id);
+      // Decrypted content is set as the input's value, never parsed as HTML.
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = decryptedItem.content;
+      contentCell.replaceChildren(input);
+      actionCell.innerHTML = UNLOCKED_ITEM_ACTIONS;
+      await renderAttachments(contentCell, id);
+      log(`Item ${id} unlocked.`);
+    } else if (target.classList.contains("update-btn")) {
+      log(`Updating item ${id}...`);
+      const newContent = contentCell.querySelector("input").value;
+      await sessionManager.saveItem(
+        {
+          id,
+          content: newContent,
+          owner: selectedOfflineUser,
+        },
+        JSON.parse(row.dataset.versions)
+      );
+      contentCell.innerHTML = lockedContent(row);
+      actionCell.innerHTML = lockedActions(row);
+      log(`Item ${id} updated and locked.`);
+      await changesQueued();
+    } else if (target.classList.contains("lock-btn")) {
+      log(`Locking item ${id}...`);
+      contentCell.innerHTML = lockedContent(row);
+      actionCell.innerHTML = lockedActions(row);
+      log(`Item ${id} locked.`);
+    } else if (target.classList.contains("resolve-btn")) {
+      log(`Decrypting both versions of item ${id}...`);
+      const conflict = await sessionManager.getConflict(id);
+      if (!conflict) throw new Error("The item has no conflict anymore.");
+      renderConflict(contentCell, conflict);
+      actionCell.innerHTML = RESOLVING_ITEM_ACTIONS;
+      log(`Pick a version of item ${id}, or merge them.`);
+    } else if (
+      target.classList.contains("keep-local-btn") ||
+      target.classList.contains("save-merged-btn")
+    ) {
+      const { local } = await sessionManager.getConflict(id);
+      if (target.classList.contains("save-merged-btn")) {
+        local.content = contentCell.querySelector(".merged-content").value;
+      }
+      await sessionManager.resolveConflict(id, local);
+      log(`✅ Conflict on item ${id} resolved.`);
+      await renderItemsTable();
+      await changesQueued();
+    } else if (target.classList.contains("keep-remote-btn")) {
+      await sessionManager.resolveConflict(id, null);
+      log(
+        `✅ Conflict on item ${id} resolved with the other device's version.`
+      );
+      await renderItemsTable();
+      await updatePendingCount();
+    } else if (target.classList.contains("attach-btn")) {
+      // The file is encrypted once it has been chosen (see attachFile).
+      attachmentItemId = id;
+      attachmentFileInput.value = "";
+      attachmentFileInput.click();
+    } else if (target.classList.contains("open-attachment-btn")) {
+      const { attachmentId, name } = target.dataset;
+      log(`Decrypting attachment ${name}...`);
+      const blob = await sessionManager.openAttachment(attachmentId);
+      const url = URL.createObjectURL(blob);
+      attachmentUrls.add(url);
+      const link = document.createElement("a");
+      link.href = url;
+      link.rel = "noopener noreferrer";
+      if (PREVIEWABLE_TYPES.test(blob.type)) {
+        link.target = "_blank";
+      } else {
+        link.download = name;
+      }
+      link.click();
+      log(`Attachment ${name} decrypted.`);
+    } else if (target.classList.contains("remove-attachment-btn")) {
+      const { attachmentId, name } = target.dataset;
+      if (!confirm(`Remove attachment ${name}?`)) return;
+      await sessionManager.deleteAttachment(attachmentId);
+      await renderAttachments(contentCell, id);
+      log(`Attachment ${name} removed.`);
+    } else if (target.classList.contains("share-btn")) {
+      const recipient = prompt(`Share item ${id} with which user?`)?.trim();
+      if (!recipient) return;
+      log(`Sharing item ${id} with ${recipient}...`);
+      await sharingService.shareItem(selectedOfflineUser, id, recipient);
+      log(`✅ Item ${id} shared with ${recipient}.`);
+    } else if (target.classList.contains("delete-btn")) {
+      if (!confirm(`Delete item ${id}? This cannot be undone.`)) return;
+      log(`Deleting item ${id}...`);
+      await sessionManager.deleteItem(id);
+      row.remove();
+      log(`Item ${id} deleted.`);
+      await changesQueued();
+    }
+  } catch (error) {
+    if (error.status === 401) {
+      log("❌ Action failed: log in online to share items.");
+    } else if (error.name === "ConflictError") {
+      log(
+        `❌ Item ${id} was changed by a sync since it was unlocked. Lock and unlock it to edit the latest version.`
+      );
+    } else {
+      log(`❌ Action failed for item ${id}: ${error.message}`);
+    }
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Shows the attachments of an unlocked item below its content. File names are
+ * decrypted user data, so they are only ever inserted as text.
+ * @param {HTMLElement} contentCell - The item's content cell.
+ * @param {string} itemId - The item's ID.
+ */
+async function renderAttachments(contentCell, itemId) {
+  contentCell.querySelector(".attachments")?.remove();
+  const attachments = await sessionManager.listAttachments(itemId);
+  if (attachments.length === 0) return;
+  const list = document.createElement("ul");
+  list.className = "attachments";
+  for (const { id, name, size } of attachments) {
+    const entry = document.createElement("li");
+    const openButton = document.createElement("button");
+    openButton.className = "open-attachment-btn";
+    openButton.textContent = `${name} (${size} bytes)`;
+    const removeButton = document.createElement("button");
+    removeButton.className = "remove-attachment-btn";
+    removeButton.textContent = "Remove";
+    for (const button of [openButton, removeButton]) {
+      button.dataset.attachmentId = id;
+      button.dataset.name = name;
+    }
+    entry.append(openButton, removeButton);
+    list.appendChild(entry);
+  }
+  contentCell.appendChild(list);
+}
+
+/**
+ * Encrypts the file chosen with an item's "Attach…" button and stores it as
+ * an attachment of that item.
+ */
+async function attachFile() {
+  const file = attachmentFileInput.files[0];
+  const itemId = attachmentItemId;
+  attachmentItemId = null;
+  if (!file || !itemId) return;
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    log(`Encrypting ${file.name} (${file.size} bytes)...`);
+    await sessionManager.addAttachment(itemId, file);
+    log(`✅ Attached ${file.name} to item ${itemId}.`);
+    // Refresh the list if the item is still shown decrypted.
+    for (const row of itemsTableBody.querySelectorAll("tr")) {
+      if (row.dataset.id !== itemId || row.dataset.sharedBy) continue;
+      const contentCell = row.querySelector(".content-cell");
+      if (contentCell.querySelector("input")) {
+        await renderAttachments(contentCell, itemId);
+      }
+    }
+  } catch (error) {
+    log(`❌ Failed to attach ${file.name}: ${error.message}`);
+  } finally {
+    attachmentFileInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Handles the "Add Item" button click. It creates a new item object,
+ * associates it with the current user, and saves it via the session manager.
+ */
+async function addNewItem() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const content = newItemContentInput.value;
+    if (!content) {
+      log("ERROR: Please provide content for the new item.");
+      return;
+    }
+    const newItem = {
+      id: crypto.randomUUID(),
+      content: content,
+      owner: selectedOfflineUser,
+    };
+    log(`Adding new item with ID: ${newItem.id}...`);
+    await sessionManager.saveItem(newItem);
+    log(`✅ Successfully saved new item.`);
+    newItemContentInput.value = "";
+    await renderItemsTable();
+    await changesQueued();
+  } catch (error) {
+    log(`❌ Failed to save new item: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Synchronizes the unlocked user's encrypted items with the server. Only
+ * ciphertext is exchanged, so this is safe to run at any time, but it requires
+ * an authenticated online session.
+ */
+async function syncItems() {
+  if (!navigator.onLine) {
+    log("Sync skipped: the app is offline.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    log(`Syncing encrypted items for ${selectedOfflineUser}...`);
+    const { pushed, pulled, conflicts } = await syncService.syncUser(
+      selectedOfflineUser
+    );
+    log(`✅ Sync complete: ${pushed} pushed, ${pulled} pulled.`);
+    if (conflicts.length > 0) {
+      log(
+        `⚠️ ${conflicts.length} item(s) were changed on this and another device at the same time. Use "Resolve…" to pick a version or merge them.`
+      );
+    }
+    if (!sessionManager.isLocked()) {
+      const shared = await sharingService.syncSharing(selectedOfflineUser);
+      log(`${shared} item(s) are shared with you.`);
+    }
+    await uploadAuditLog(selectedOfflineUser);
+    await updatePendingCount();
+    await renderItemsTable();
+  } catch (error) {
+    if (error.status === 401) {
+      log("Sync skipped: log in online to sync your items.");
+    } else {
+      log(`❌ Sync failed: ${error.message}`);
+    }
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Shows how many of the unlocked user's changes are still waiting to be sent
+ * to the server, and schedules a retry of the ones whose delivery failed.
+ */
+async function updatePendingCount() {
+  if (sessionManager.isLocked()) return;
+  const count = await dbService.countOutboxForUser(selectedOfflineUser);
+  pendingChanges.textContent =
+    count === 0
+      ? "All changes are synced."
+      : `${count} change(s) waiting to be synced.`;
+  await syncService.scheduleRetry(selectedOfflineUser);
+}
+
+/**
+ * Called after local changes were queued in the outbox: updates the pending
+ * count and asks the service worker to deliver the changes in the background.
+ */
+async function changesQueued() {
+  await updatePendingCount();
+  try {
+    await syncService.requestBackgroundSync();
+  } catch (error) {
+    log(`Background sync is unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Handles the one-time PIN setup process for a user on a new device.
+ * This is the core provisioning flow.
+ */
+async function setupOfflineAccess() {
+  disableAllButtons(true);
+  try {
+    const pin = provisionPinInput.value;
+    if (!pin || pin.length < 6) {
+      log("ERROR: PIN must be at least 6 digits.");
+      return;
+    }
+    const kdfName = provisionKdfSelect.value;
+    log(`1. Starting provisioning process for ${currentOnlineUser}...`);
+    log(
+      `2. Generating salt and DEK, deriving Master Key from PIN with ${kdfName} (this might take a moment)...`
+    );
+    const pinRecovery = await sessionManager.provisionUser(
+      currentOnlineUser,
+      pin,
+      kdfName,
+      recoveryService.provisioningOptions(
+        currentOnlineUser,
+        provisionRecoveryCheckbox.checked
+      )
+    );
+    log(
+      `3. Stored salt and wrapped DEK for ${currentOnlineUser} in IndexedDB.`
+    );
+    reportProvisionedRecovery(pinRecovery);
+    await registerThisDevice(currentOnlineUser, true);
+    log("✅ Provisioning complete! Device is ready for offline use.");
+    showUnlockScreen(currentOnlineUser);
+  } catch (error) {
+    log(`❌ Provisioning failed: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Warns if the user asked for PIN recovery when provisioning but it could not
+ * be set up.
+ * @param {boolean} pinRecovery - Whether PIN recovery was set up.
+ */
+function reportProvisionedRecovery(pinRecovery) {
+  if (provisionRecoveryCheckbox.checked && !pinRecovery) {
+    log(
+      "⚠️ PIN recovery could not be set up. You can enable it under Security once unlocked."
+    );
+  }
+}
+
+/**
+ * Provisions this device with the DEK of one of the user's other devices, so
+ * both can read the same items. The user confirms that both devices show the
+ * same verification code before the key is accepted.
+ */
+async function pairWithExistingDevice() {
+  if (!navigator.onLine) {
+    log("ERROR: Pairing requires an internet connection.");
+    return;
+  }
+  disableAllButtons(true);
+  let pairingId = null;
+  try {
+    const pin = provisionPinInput.value;
+    if (!pin || pin.length < 6) {
+      log("ERROR: PIN must be at least 6 digits.");
+      return;
+    }
+    const kdfName = provisionKdfSelect.value;
+    pairingId = await pairingService.requestPairing();
+    log(
+      `1. Waiting for another device. On a device where ${currentOnlineUser} is unlocked, enter your PIN and choose "Add a Device".`
+    );
+    const code = await pairingService.awaitVerificationCode(pairingId);
+    log(`2. Verification code: ${code}`);
+    if (!confirm(`Does the other device show the code ${code}?`)) {
+      await pairingService.cancelPairing(pairingId);
+      log("❌ Pairing cancelled: the verification codes did not match.");
+      return;
+    }
+    log("3. Waiting for the other device to send the encryption key...");
+    const pinRecovery = await pairingService.receiveKey(
+      pairingId,
+      currentOnlineUser,
+      pin,
+      kdfName,
+      recoveryService.provisioningOptions(
+        currentOnlineUser,
+        provisionRecoveryCheckbox.checked
+      )
+    );
+    reportProvisionedRecovery(pinRecovery);
+    await registerThisDevice(currentOnlineUser, true);
+    log(
+      "✅ Pairing complete! Unlock with your new PIN to sync your items to this device."
+    );
+    showUnlockScreen(currentOnlineUser);
+  } catch (error) {
+    log(`❌ Pairing failed: ${error.message}`);
+    if (pairingId) pairingService.cancelPairing(pairingId).catch(() => {});
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Sends the unlocked user's DEK to a new device that is waiting to pair,
+ * after the user has confirmed that both devices show the same code.
+ */
+async function addDevice() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  let pairingId = null;
+  try {
+    const pin = pairPinInput.value;
+    if (!pin) {
+      log("ERROR: Please enter your PIN to add a device.");
+      return;
+    }
+    pairingId = await pairingService.findPairingRequest();
+    if (!pairingId) {
+      log(
+        'No device is waiting to pair. Choose "Pair With Another Device" on the new device first.'
+      );
+      return;
+    }
+    log("Found a device waiting to pair. Exchanging keys...");
+    const code = await pairingService.acceptPairing(pairingId);
+    log(`Verification code: ${code}`);
+    if (!confirm(`Does the new device show the code ${code}?`)) {
+      await pairingService.cancelPairing(pairingId);
+      log("❌ Pairing cancelled: the verification codes did not match.");
+      return;
+    }
+    await pairingService.sendKey(pairingId, pin);
+    log("✅ Encryption key sent. The new device can now read your items.");
+  } catch (error) {
+    if (error.status === 401) {
+      log("❌ Log in online to add a device.");
+    } else {
+      log(`❌ Failed to add device: ${error.message}`);
+    }
+    if (pairingId) pairingService.cancelPairing(pairingId).catch(() => {});
+  } finally {
+    pairPinInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Changes the PIN of the currently unlocked user. The DEK is re-wrapped under
+ * the new PIN, so all stored items remain readable.
+ */
+async function changePin() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const oldPin = currentPinInput.value;
+    const newPin = newPinInput.value;
+    if (!oldPin) {
+      log("ERROR: Please enter your current PIN.");
+      return;
+    }
+    if (!newPin || newPin.length < 6) {
+      log("ERROR: New PIN must be at least 6 digits.");
+      return;
+    }
+    log("Changing PIN (this might take a moment)...");
+    await sessionManager.changePin(oldPin, newPin);
+    log("✅ PIN changed successfully.");
+  } catch (error) {
+    log(`❌ Failed to change PIN: ${error.message}`);
+  } finally {
+    currentPinInput.value = "";
+    newPinInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Sets a new PIN for the selected user, who forgot theirs. The server only
+ * releases its share of the recovery key shortly after an online login, so
+ * the user is sent to log in first if needed.
+ */
+async function recoverPin() {
+  const username = selectedOfflineUser;
+  const newPin = recoveredPinInput.value;
+  if (!newPin || newPin.length < 6) {
+    log("ERROR: New PIN must be at least 6 digits.");
+    return;
+  }
+  if (currentOnlineUser !== username) {
+    log(`Log in online as ${username} to reset the PIN.`);
+    usernameInput.value = username;
+    showSection(loginSection);
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    log(`Resetting the PIN for ${username} (this might take a moment)...`);
+    await recoveryService.recoverPin(username, newPin);
+    log("✅ PIN reset. Unlock with your new PIN.");
+    await updateUnlockStatus();
+  } catch (error) {
+    if (error.status === 401) {
+      log(`❌ ${error.message}`);
+      usernameInput.value = username;
+      showSection(loginSection);
+    } else {
+      log(`❌ Failed to reset the PIN: ${error.message}`);
+    }
+  } finally {
+    recoveredPinInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Shows whether the unlocked user can reset a forgotten PIN on this device,
+ * with the button that turns it on or off.
+ */
+async function renderPinRecoveryStatus() {
+  const enabled = await recoveryService.isEnabled(selectedOfflineUser);
+  pinRecoveryStatus.textContent = enabled
+    ? "PIN recovery is on."
+    : "PIN recovery is off.";
+  pinRecoveryPinInput.classList.toggle("hidden", enabled);
+  enablePinRecoveryButton.classList.toggle("hidden", enabled);
+  disablePinRecoveryButton.classList.toggle("hidden", !enabled);
+}
+
+/**
+ * Turns PIN recovery on or off for the unlocked user. Both need an online
+ * session, since the server holds a share of the recovery key.
+ * @param {Event} event - The click on the enable or disable button.
+ */
+async function handlePinRecoveryAction(event) {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    if (event.target === enablePinRecoveryButton) {
+      const pin = pinRecoveryPinInput.value;
+      if (!pin) {
+        log("ERROR: Please enter your PIN to enable PIN recovery.");
+        return;
+      }
+      await recoveryService.enable(pin);
+      log("✅ PIN recovery enabled.");
+    } else {
+      if (
+        !confirm(
+          "Disable PIN recovery? A forgotten PIN then loses all local data."
+        )
+      ) {
+        return;
+      }
+      await recoveryService.disable();
+      log("✅ PIN recovery disabled.");
+    }
+    await renderPinRecoveryStatus();
+  } catch (error) {
+    if (error.status === 401) {
+      log("❌ Log in online to change PIN recovery.");
+    } else {
+      log(`❌ Failed to change PIN recovery: ${error.message}`);
+    }
+  } finally {
+    pinRecoveryPinInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Replaces the unlocked user's DEK with a new one and re-encrypts all of their
+ * items. Use this if the current key may have been compromised.
+ */
+async function rotateEncryptionKey() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const pin = rotatePinInput.value;
+    if (!pin) {
+      log("ERROR: Please enter your PIN to rotate the encryption key.");
+      return;
+    }
+    log("Rotating encryption key and re-encrypting all items...");
+    await sessionManager.rotateDek(pin);
+    log("✅ Encryption key rotated. All items are now under the new key.");
+    await renderItemsTable();
+    await changesQueued();
+  } catch (error) {
+    log(`❌ Key rotation failed: ${error.message}`);
+  } finally {
+    rotatePinInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Downloads a passphrase-protected backup of the unlocked user's items.
+ */
+async function exportBackup() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const pin = exportPinInput.value;
+    const passphrase = exportPassphraseInput.value;
+    if (!pin) {
+      log("ERROR: Please enter your PIN to export a backup.");
+      return;
+    }
+    if (!passphrase || passphrase.length < 8) {
+      log("ERROR: The backup passphrase must be at least 8 characters.");
+      return;
+    }
+    log("Creating encrypted backup (this might take a moment)...");
+    const backup = await sessionManager.exportBackup(pin, passphrase);
+    const url = URL.createObjectURL(
+      new Blob([backup], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `backup-${selectedOfflineUser}-${new Date()
+      .toISOString()
+      .slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    log("✅ Backup exported. Keep the file and its passphrase somewhere safe.");
+  } catch (error) {
+    log(`❌ Backup export failed: ${error.message}`);
+  } finally {
+    exportPinInput.value = "";
+    exportPassphraseInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Restores items from a backup file into the unlocked user's data.
+ */
+async function importBackup() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const file = importFileInput.files[0];
+    const passphrase = importPassphraseInput.value;
+    if (!file || !passphrase) {
+      log("ERROR: Please choose a backup file and enter its passphrase.");
+      return;
+    }
+    log(`Importing backup ${file.name}...`);
+    const { restored, skipped } = await sessionManager.importBackup(
+      await file.text(),
+      passphrase
+    );
+    log(
+      `✅ Backup imported: ${restored} item(s) restored, ${skipped} already present.`
+    );
+    await renderItemsTable();
+    await changesQueued();
+  } catch (error) {
+    log(`❌ Backup import failed: ${error.message}`);
+  } finally {
+    importFileInput.value = "";
+    importPassphraseInput.value = "";
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Removes the unlocked user's profile and all of their items from this device,
+ * e.g. before handing a shared device over to someone else. Items that were
+ * already synced remain available on the server.
+ */
+async function removeFromDevice() {
+  if (sessionManager.isLocked()) {
+    log("❌ Action failed: Session is locked.");
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    const unsynced = await dbService.countOutboxForUser(selectedOfflineUser);
+    const warning =
+      unsynced > 0
+        ? ` ${unsynced} change(s) have not been synced and will be lost.`
+        : "";
+    if (
+      !confirm(
+        `Remove ${selectedOfflineUser} and all of their items from this device?${warning}`
+      )
+    ) {
+      return;
+    }
+    log(`Removing ${selectedOfflineUser} from this device...`);
+    await sessionManager.removeCurrentUser();
+  } catch (error) {
+    log(`❌ Failed to remove user: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Wipes everything this app stores on the device: the database with every
+ * user's wrapped keys and items, all service worker caches and the service
+ * worker itself. The page is reloaded afterwards, in its first-run state.
+ */
+async function resetDevice() {
+  if (
+    !confirm(
+      "Reset this device? All offline profiles and items stored here will be deleted. Items that were not synced will be lost."
+    )
+  ) {
+    return;
+  }
+  disableAllButtons(true);
+  try {
+    log("Resetting device...");
+    sessionManager.lockSession("manual");
+    await dbService.deleteDatabase();
+    if ("caches" in window) {
+      const cacheNames = await caches.keys();
+      await Promise.all(cacheNames.map((name) => caches.delete(name)));
+    }
+    if ("serviceWorker" in navigator) {
+      const registrations = await navigator.serviceWorker.getRegistrations();
+      await Promise.all(registrations.map((r) => r.unregister()));
+    }
+    sessionStorage.clear();
+    log("✅ Device reset. Reloading...");
+    location.reload();
+  } catch (error) {
+    log(`❌ Device reset failed: ${error.message}`);
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Handles the PIN entry to unlock an existing offline session.
+ */
+async function unlockSession() {
+  disableAllButtons(true);
+  try {
+    const pin = unlockPinInput.value;
+    if (!pin) {
+      log("ERROR: Please enter your PIN.");
+      return;
+    }
+    log(`Attempting to unlock session for ${selectedOfflineUser} with PIN...`);
+    const success = await sessionManager.unlockSession(
+      pin,
+      selectedOfflineUser
+    );
+    if (success) {
+      log("✅ Session unlocked successfully!");
+      sessionStorage.setItem("lastUser", selectedOfflineUser); // Remember the user for refresh
+      showSection(dataSection);
+      await renderItemsTable();
+      await updatePendingCount();
+      if (navigator.onLine) {
+        await syncItems();
+      }
+    } else {
+      log("❌ Failed to unlock session.");
+      await updateUnlockStatus();
+    }
+  } catch (error) {
+    log(`❌ Unlock process failed: ${error.message}`);
+  } finally {
+    disableAllButtons(false);
+  }
+}
+
+/**
+ * Locks the current session by clearing the in-memory key. The UI is reset by
+ * the session manager's lock listener (see handleSessionLocked).
+ */
+function lockSession() {
+  log("Locking session...");
+  sessionManager.lockSession("manual");
+}
+
+/**
+ * Reacts to the session being locked, whether by the user or automatically.
+ * Decrypted content is removed from the page in every case. After a manual
+ * lock the app returns to its starting screen; after an automatic lock the
+ * same user is asked for their PIN again.
+ * @param {{username: string, reason: string}} detail - The lock event detail.
+ */
+function handleSessionLocked({ username, reason }) {
+  itemsTableBody.replaceChildren();
+  pendingChanges.textContent = "";
+  auditSection.classList.add("hidden");
+  auditStatus.textContent = "";
+  auditList.replaceChildren();
+  for (const url of attachmentUrls) URL.revokeObjectURL(url);
+  attachmentUrls.clear();
+  attachmentItemId = null;
+  searchQueryInput.value = "";
+  unlockPinInput.value = "";
+  pinRecoveryPinInput.value = "";
+  currentPinInput.value = "";
+  newPinInput.value = "";
+  rotatePinInput.value = "";
+  exportPinInput.value = "";
+  exportPassphraseInput.value = "";
+  importPassphraseInput.value = "";
+  pairPinInput.value = "";
+  if (reason === "manual") {
+    sessionStorage.removeItem("lastUser"); // Forget the user on explicit lock
+    log("🔒 Session locked.");
+    showStartScreen();
+  } else if (reason === "removed") {
+    sessionStorage.removeItem("lastUser");
+    log(`✅ ${username} was removed from this device.`);
+    showStartScreen();
+  } else if (reason === "revoked") {
+    sessionStorage.removeItem("lastUser");
+    log(`🔒 ${username} has revoked this device. The session was locked.`);
+    showStartScreen();
+  } else if (reason === "pin-attempts") {
+    sessionStorage.removeItem("lastUser");
+    log(`🔒 Too many wrong PINs. The data of ${username} was wiped.`);
+    showUnlockScreen(username);
+  } else {
+    log(`🔒 Session locked automatically (${reason}).`);
+    showUnlockScreen(username);
+  }
+}
+
+/**
+ * Determines the initial state of the application (online, offline,
+ * provisioned, etc.) and shows the matching screen.
+ */
+async function showStartScreen() {
+  try {
+    const lastUser = sessionStorage.getItem("lastUser");
+    if (lastUser) {
+      log(`Found last active user: ${lastUser}. Going to PIN unlock.`);
+      showUnlockScreen(lastUser);
+    } else if (currentOnlineUser) {
+      log(`Found an active online session for ${currentOnlineUser}.`);
+      await checkProvisioningState();
+    } else {
+      const users = await dbService.getAllProvisionedUsers();
+      if (users && users.length > 0) {
+        log(`Found ${users.length} provisioned users. Showing user selection.`);
+        populateUserSelection(users);
+        showSection(userSelectionSection);
+      } else {
+        log("Device is not provisioned for any user.");
+        if (navigator.onLine) {
+          log("App is online. Showing login screen for first-time setup.");
+          showSection(loginSection);
+        } else {
+          log("App is offline and no users are set up. Login is disabled.");
           showSection(loginSection);
           loginButton.disabled = true;
+          singleSignOnButton.disabled = true;
           usernameInput.disabled = true;
           passwordInput.disabled = true;
         }
@@ -417,14 +2053,105 @@ async function initialize() {
       "This can happen if the database connection fails. Please check your network or try refreshing."
     );
   }
+}
+
+/**
+ * The main entry point for the application. This function registers the
+ * service worker, sets up all the necessary event listeners and shows the
+ * starting screen.
+ */
+async function initialize() {
+  log("Client initialized.");
+  if ("serviceWorker" in navigator) {
+    try {
+      await navigator.serviceWorker.register("/service-worker.js");
+      await navigator.serviceWorker.ready;
+      log("Service Worker registered and active.");
+    } catch (error) {
+      log(`Service Worker registration failed: ${error}`);
+    }
+  }
+
+  reportSingleSignOnError();
+  if (navigator.onLine) {
+    try {
+      const account = await getCurrentAccount();
+      if (account) setOnlineUser(account.username, account.admin);
+    } catch (error) {
+      log(`Could not check for an online session: ${error.message}`);
+    }
+    await showSingleSignOnOption();
+  }
+  // An existing online session renews the offline ticket, like a login.
+  if (currentOnlineUser) {
+    await registerThisDevice(currentOnlineUser, false);
+    await uploadAuditLog(currentOnlineUser);
+  }
+
+  sessionManager.configure(SESSION_OPTIONS);
+  sessionManager.onLock(handleSessionLocked);
+  sessionManager.onUnlock(() => {
+    unlockPinInput.value = ""; // Don't leave the PIN sitting in the DOM.
+    renderPinRecoveryStatus().catch((error) =>
+      log(`Could not check PIN recovery: ${error.message}`)
+    );
+  });
+  syncService.watchOutbox(() => {
+    updatePendingCount().catch((error) =>
+      log(`Could not count pending changes: ${error.message}`)
+    );
+  });
+  await checkDeviceRevocation();
+  window.addEventListener("online", async () => {
+    if (currentOnlineUser) await uploadAuditLog(currentOnlineUser);
+    const wiped = await checkDeviceRevocation();
+    // An unlocked session of a wiped user is locked by the session manager.
+    if (wiped.length > 0 && sessionManager.isLocked()) await showStartScreen();
+  });
+  await showStartScreen();
 
   loginButton.addEventListener("click", handleLogin);
+  registerButton.addEventListener("click", handleRegister);
+  singleSignOnButton.addEventListener("click", handleSingleSignOn);
+  logoutButton.addEventListener("click", handleLogout);
+  devicesButton.addEventListener("click", toggleDevices);
+  deviceList.addEventListener("click", handleDeviceAction);
+  twoFactorButton.addEventListener("click", toggleTwoFactor);
+  setupTwoFactorButton.addEventListener("click", setupTwoFactor);
+  enableTwoFactorButton.addEventListener("click", handleTwoFactorAction);
+  disableTwoFactorButton.addEventListener("click", handleTwoFactorAction);
+  newRecoveryCodesButton.addEventListener("click", handleTwoFactorAction);
+  verifyLoginCodeButton.addEventListener("click", handleLoginCode);
+  cancelLoginCodeButton.addEventListener("click", () =>
+    showSection(loginSection)
+  );
+  sessionsButton.addEventListener("click", toggleSessions);
+  sessionList.addEventListener("click", handleSessionAction);
   selectUserButton.addEventListener("click", handleUserSelection);
   setupButton.addEventListener("click", setupOfflineAccess);
+  pairDeviceButton.addEventListener("click", pairWithExistingDevice);
   unlockButton.addEventListener("click", unlockSession);
+  recoverPinButton.addEventListener("click", recoverPin);
   lockButton.addEventListener("click", lockSession);
   addButton.addEventListener("click", addNewItem);
+  syncButton.addEventListener("click", syncItems);
+  changePinButton.addEventListener("click", changePin);
+  rotateKeyButton.addEventListener("click", rotateEncryptionKey);
+  enablePinRecoveryButton.addEventListener("click", handlePinRecoveryAction);
+  disablePinRecoveryButton.addEventListener("click", handlePinRecoveryAction);
+  exportBackupButton.addEventListener("click", exportBackup);
+  importBackupButton.addEventListener("click", importBackup);
+  addDeviceButton.addEventListener("click", addDevice);
+  removeUserButton.addEventListener("click", removeFromDevice);
+  auditLogButton.addEventListener("click", toggleAuditLog);
+  searchButton.addEventListener("click", searchItems);
+  clearSearchButton.addEventListener("click", clearSearch);
+  searchQueryInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") searchItems();
+  });
+  resetDeviceButton.addEventListener("click", resetDevice);
   itemsTableBody.addEventListener("click", handleTableAction);
+  attachmentFileInput.addEventListener("change", attachFile);
 }
 
 // Start the application.
@@ -4,40 +4,246 @@
  * It provides a high-level, promise-based API for all cryptographic operations
  * required by the application, such as key derivation, key wrapping, and data
  * encryption/decryption. This isolates the complex, low-level cryptographic
- * details from the rest of the application logic.
+ * details from the rest of the application logic. It is loaded by the crypto
+ * worker (crypto-worker.js), so it only relies on globals that exist in
+ * workers as well as pages.
  */
 
+import { bufferToBase64 } from "./encoding.js";
+
 // --- Cryptographic Constants ---
 // These values are chosen based on current security best practices (NIST recommendations).
 const PBKDF2_ITERATIONS = 600000; // A high number of iterations makes brute-force attacks very slow.
 const SALT_LENGTH_BYTES = 16; // 128-bit salt is a standard size.
 const IV_LENGTH_BYTES = 12; // 96-bit IV is recommended for AES-GCM for optimal performance.
 
+// --- Key Derivation Functions ---
+// Users choose a KDF at provisioning time, and the choice is recorded in their
+// key envelope, so users of both kinds can coexist on one device. These are the
+// parameters used for new derivations with each KDF.
+const KDF_DEFAULTS = {
+  // Built into Web Crypto; cheap to attack on GPUs, but needs no extra code.
+  PBKDF2: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS },
+  // Memory-hard, which makes GPU attacks on short PINs far more expensive.
+  // Parameters follow RFC 9106's second recommended option (64 MiB, t = 3).
+  Argon2id: {
+    name: "Argon2id",
+    memorySize: 64 * 1024, // In KiB.
+    iterations: 3,
+    parallelism: 1,
+  },
+};
+const DEFAULT_KDF = "PBKDF2";
+// Key envelopes that come from outside this device, such as a backup file's,
+// are only used if their parameters lie between the defaults above and these
+// maximums: lower values would weaken the derivation, and higher ones could
+// tie up the worker or exhaust memory before the file's MAC is even checked.
+const KDF_MAXIMUMS = {
+  PBKDF2: { iterations: 10000000 },
+  Argon2id: {
+    memorySize: 1024 * 1024, // In KiB.
+    iterations: 16,
+    parallelism: 8,
+  },
+};
+
+// The blind keyword index uses an HMAC key derived from the DEK with HKDF, so
+// a user's tokens change whenever their DEK is rotated. Tokens are truncated;
+// 128 bits is plenty to keep unrelated keywords from colliding.
+const INDEX_KEY_INFO = "blind-index-v1";
+const BLIND_TOKEN_LENGTH_BYTES = 16;
+// Backup files are authenticated with another HMAC key derived from the DEK.
+const BACKUP_MAC_KEY_INFO = "backup-mac-v1";
+
+// Device pairing uses ECDH on P-256. Both devices derive a transfer key and a
+// short verification code from the shared secret with HKDF; the code has
+// PAIRING_CODE_DIGITS decimal digits.
+const PAIRING_TRANSFER_KEY_INFO = "pairing-transfer-key-v1";
+const PAIRING_CODE_INFO = "pairing-code-v1";
+const PAIRING_CODE_DIGITS = 6;
+
+// Usages of a DEK: it decrypts records written before per-item content keys
+// existed, and wraps the content keys and the user's private key.
+const DEK_USAGES = ["encrypt", "decrypt", "wrapKey", "unwrapKey"];
+
+// Sharing: each user has a long-term ECDH (P-256) key pair. An item's content
+// key is sealed for a recipient with an ephemeral ECDH key pair and a wrapping
+// key derived with HKDF (ECIES).
+const SHARE_KEY_INFO = "shared-content-key-v1";
+
+// Audit log: each entry is sealed for the user's audit public key in the same
+// way, so events can be recorded while the session is locked, but only read
+// after unlocking. Entries are chained by their SHA-256 hashes.
+const AUDIT_ENTRY_KEY_INFO = "audit-entry-key-v1";
+
+// PIN recovery: the DEK is sealed for a recovery key pair in the same way, and
+// the recovery private key is wrapped under a key that is split into two
+// random shares, one kept on the device and one escrowed with the server (see
+// recovery-service.js). Each share alone reveals nothing about the key.
+const RECOVERY_DEK_INFO = "pin-recovery-dek-v1";
+const RECOVERY_SHARE_LENGTH_BYTES = 32;
+
+// Argon2id is not part of Web Crypto. It comes from hash-wasm's self-contained
+// bundle (WASM inlined), which the server exposes under /vendor and the service
+// worker caches for offline use. It is only loaded when first needed.
+const ARGON2_MODULE_URL = "/vendor/argon2.umd.min.js";
+
+// --- Envelopes ---
+// Every provisioned user and every record stores a small, self-describing
+// "envelope" next to its ciphertext, recording exactly how it was produced.
+// The constants above only apply to *new* data; existing data is always read
+// with the parameters in its own envelope, so they can be raised at any time
+// without locking anyone out.
+
+// Key envelopes describe how a user's Master Key is derived from their PIN and
+// how the DEK is wrapped with it.
+const KEY_ENVELOPE_VERSION = 1;
+// Data envelopes describe how a record's payload is encrypted.
+const DATA_ENVELOPE_VERSION = 1;
+
+// The parameters that were implied before envelopes existed.
+const LEGACY_KEY_ENVELOPE = {
+  version: 0,
+  kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 600000 },
+  wrap: { algorithm: "AES-GCM", ivLength: 12 },
+};
+const LEGACY_DATA_ENVELOPE = {
+  version: 0,
+  algorithm: "AES-GCM",
+  ivLength: 12,
+};
+
+// Version of the record layout that is bound into each record's ciphertext as
+// AES-GCM additional authenticated data. Records without a schema version were
+// written before AAD binding existed and are migrated after unlock.
+//   1: the payload is encrypted directly under the DEK.
+//   2: the payload is encrypted under a per-item content key, which is stored
+//      in the record's `wrappedKey`, wrapped under the DEK.
+// Version 1 records stay readable and move to version 2 when next saved.
+export const RECORD_SCHEMA_VERSION = 2;
+
 export const cryptoService = {
+  /**
+   * Describes the key derivation and wrapping parameters used for new
+   * provisioning data. Store the result with the user's salt and wrapped DEK.
+   * @param {string} [kdfName] - The KDF to use, e.g. "PBKDF2" or "Argon2id".
+   * @returns {Object} A key envelope.
+   */
+  createKeyEnvelope(kdfName = DEFAULT_KDF) {
+    if (!Object.hasOwn(KDF_DEFAULTS, kdfName)) {
+      throw new Error(`Unsupported key derivation function: ${kdfName}`);
+    }
+    return {
+      version: KEY_ENVELOPE_VERSION,
+      kdf: { ...KDF_DEFAULTS[kdfName] },
+      wrap: { algorithm: "AES-GCM", ivLength: IV_LENGTH_BYTES },
+    };
+  },
+
+  /**
+   * Describes the encryption parameters used by `encryptData`. Store the result
+   * with each record.
+   * @returns {Object} A data envelope.
+   */
+  createDataEnvelope() {
+    return {
+      version: DATA_ENVELOPE_VERSION,
+      algorithm: "AES-GCM",
+      ivLength: IV_LENGTH_BYTES,
+    };
+  },
+
+  /**
+   * Checks whether a user's key envelope is weaker or older than what new
+   * provisioning data with the same KDF would use, i.e. whether the user
+   * should be re-wrapped. Users are never switched to a different KDF.
+   * @param {Object} [envelope] - The user's stored key envelope, if any.
+   * @returns {boolean} True if the user should be upgraded.
+   */
+  isKeyEnvelopeOutdated(envelope) {
+    const { version, kdf } = envelope || LEGACY_KEY_ENVELOPE;
+    const current = this.createKeyEnvelope(kdf.name);
+    return (
+      version < current.version ||
+      kdf.iterations < current.kdf.iterations ||
+      (kdf.memorySize || 0) < (current.kdf.memorySize || 0)
+    );
+  },
+
+  /**
+   * Checks that a key envelope from outside this device, such as a backup
+   * file's, uses a supported KDF with parameters within the accepted bounds.
+   * @param {Object} keyEnvelope - The key envelope to check.
+   * @returns {Object} The same key envelope.
+   * @throws {Error} If the KDF or any of its parameters is not accepted.
+   */
+  checkKeyEnvelope(keyEnvelope) {
+    const { kdf } = keyEnvelope;
+    if (!Object.hasOwn(KDF_DEFAULTS, kdf?.name)) {
+      throw new Error(`Unsupported key derivation function: ${kdf?.name}`);
+    }
+    const defaults = KDF_DEFAULTS[kdf.name];
+    for (const [param, value] of Object.entries(defaults)) {
+      const accepted =
+        typeof value === "number"
+          ? Number.isSafeInteger(kdf[param]) &&
+            kdf[param] >= value &&
+            kdf[param] <= KDF_MAXIMUMS[kdf.name][param]
+          : kdf[param] === value;
+      if (!accepted) {
+        throw new Error(`Unsupported ${kdf.name} ${param}: ${kdf[param]}`);
+      }
+    }
+    return keyEnvelope;
+  },
+
   /**
    * Generates a new, cryptographically random salt.
    * A unique salt must be created for each user to prevent rainbow table attacks.
    * @returns {Uint8Array} A 16-byte random salt.
    */
   generateSalt() {
-    return window.crypto.getRandomValues(new Uint8Array(SALT_LENGTH_BYTES));
+    return globalThis.crypto.getRandomValues(new Uint8Array(SALT_LENGTH_BYTES));
+  },
+
+  /**
+   * Generates a new, random 256-bit Data Encryption Key (DEK).
+   * The key is extractable only so that it can be wrapped with a Master Key;
+   * once unwrapped again during an unlock, it is non-extractable.
+   * @returns {Promise<CryptoKey>} The new DEK.
+   */
+  async generateDek() {
+    return globalThis.crypto.subtle.generateKey(
+      { name: "AES-GCM", length: 256 },
+      true,
+      DEK_USAGES
+    );
   },
 
   /**
    * Derives a strong Master Key (MK) from a low-entropy user PIN.
-   * This uses PBKDF2, a standard key-stretching algorithm, to make the weak PIN
-   * resistant to brute-force attacks.
+   * This uses a key-stretching algorithm (PBKDF2 or Argon2id, as recorded in the
+   * key envelope) to make the weak PIN resistant to brute-force attacks.
    * @param {string} pin - The user's PIN.
    * @param {Uint8Array} salt - The user's unique, stored salt.
+   * @param {Object} [keyEnvelope] - The user's key envelope. Defaults to the
+   *   parameters used before envelopes existed.
    * @returns {Promise<CryptoKey>} The derived master key, usable only for wrapping/unwrapping other keys.
    */
-  async deriveMasterKey(pin, salt) {
+  async deriveMasterKey(pin, salt, keyEnvelope = LEGACY_KEY_ENVELOPE) {
+    const { kdf } = keyEnvelope;
+    if (kdf.name === "Argon2id") {
+      return deriveArgon2idMasterKey(pin, salt, kdf);
+    }
+    if (kdf.name !== "PBKDF2") {
+      throw new Error(`Unsupported key derivation function: ${kdf.name}`);
+    }
     const encoder = new TextEncoder();
     const pinBuffer = encoder.encode(pin);
 
     // First, import the user's PIN as a base key for PBKDF2.
     // This key is not used for encryption itself.
-    const baseKey = await window.crypto.subtle.importKey(
+    const baseKey = await globalThis.crypto.subtle.importKey(
       "raw",
       pinBuffer,
       { name: "PBKDF2" },
@@ -48,12 +254,12 @@ export const cryptoService = {
     // Then, derive the actual master key using the specified parameters.
     // The key usages are restricted to 'wrapKey' and 'unwrapKey' for security.
     // This prevents the master key from being accidentally used to encrypt data directly.
-    return window.crypto.subtle.deriveKey(
+    return globalThis.crypto.subtle.deriveKey(
       {
         name: "PBKDF2",
         salt: salt,
-        iterations: PBKDF2_ITERATIONS,
-        hash: "SHA-256",
+        iterations: kdf.iterations,
+        hash: kdf.hash,
       },
       baseKey,
       { name: "AES-GCM", length: 256 },
@@ -67,12 +273,15 @@ export const cryptoService = {
    * This is the correct, semantic way to encrypt one key with another.
    * @param {CryptoKey} masterKey - The key to wrap with (must have 'wrapKey' usage).
    * @param {CryptoKey} dek - The key to be wrapped.
+   * @param {Object} [keyEnvelope] - The key envelope to wrap according to.
+   *   Defaults to the current parameters.
    * @returns {Promise<ArrayBuffer>} The encrypted (wrapped) DEK, prepended with its IV.
    */
-  async wrapDek(masterKey, dek) {
-    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
+  async wrapDek(masterKey, dek, keyEnvelope = this.createKeyEnvelope()) {
+    const { ivLength } = checkAesGcm(keyEnvelope.wrap);
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(ivLength));
     // Use `wrapKey` as it's semantically correct for wrapping a CryptoKey.
-    const wrappedDek = await window.crypto.subtle.wrapKey(
+    const wrappedDek = await globalThis.crypto.subtle.wrapKey(
       "raw", // The format of the key being wrapped
       dek, // The CryptoKey to wrap
       masterKey, // The wrapping key (which has 'wrapKey' usage)
@@ -90,38 +299,708 @@ export const cryptoService = {
    * Unwraps (decrypts) a Data Encryption Key (DEK) using the Master Key (MK).
    * @param {CryptoKey} masterKey - The key to unwrap with (must have 'unwrapKey' usage).
    * @param {ArrayBuffer} ivAndWrappedDek - The buffer containing the IV and the wrapped DEK.
+   * @param {boolean} [extractable=false] - Whether the DEK may be re-wrapped later.
+   *   Only set this when the key is about to be wrapped under a different Master Key.
+   * @param {Object} [keyEnvelope] - The key envelope the DEK was wrapped
+   *   according to. Defaults to the parameters used before envelopes existed.
    * @returns {Promise<CryptoKey>} The original DEK, now ready for data encryption/decryption.
    */
-  async unwrapDek(masterKey, ivAndWrappedDek) {
-    const buffer = new Uint8Array(ivAndWrappedDek);
-    const iv = buffer.slice(0, IV_LENGTH_BYTES);
-    const wrappedDek = buffer.slice(IV_LENGTH_BYTES);
+  async unwrapDek(
+    masterKey,
+    ivAndWrappedDek,
+    extractable = false,
+    keyEnvelope = LEGACY_KEY_ENVELOPE
+  ) {
+    // The DEK will be used for data operations. Non-extractable by default
+    // for better security.
+    return unwrapRawKey(
+      masterKey,
+      ivAndWrappedDek,
+      keyEnvelope,
+      { name: "AES-GCM" },
+      extractable,
+      DEK_USAGES
+    );
+  },
 
-    // unwrapKey returns the original key as a CryptoKey object with the specified permissions.
-    return window.crypto.subtle.unwrapKey(
-      "raw",
-      wrappedDek,
+  /**
+   * Derives the blind index key of a DEK. The AES-GCM DEK is non-extractable,
+   * so its wrapped bytes are unwrapped a second time as HKDF key material, from
+   * which a dedicated HMAC key is derived. The index key never encrypts
+   * anything and the DEK never computes tokens.
+   * @param {CryptoKey} masterKey - The key the DEK is wrapped under.
+   * @param {ArrayBuffer} ivAndWrappedDek - The wrapped DEK.
+   * @param {Object} [keyEnvelope] - The key envelope the DEK was wrapped
+   *   according to. Defaults to the parameters used before envelopes existed.
+   * @returns {Promise<CryptoKey>} A non-extractable HMAC-SHA-256 key.
+   */
+  async unwrapIndexKey(
+    masterKey,
+    ivAndWrappedDek,
+    keyEnvelope = LEGACY_KEY_ENVELOPE
+  ) {
+    return unwrapHmacSubkey(
       masterKey,
-      { name: "AES-GCM", iv: iv },
+      ivAndWrappedDek,
+      keyEnvelope,
+      INDEX_KEY_INFO
+    );
+  },
+
+  /**
+   * Derives the key that authenticates a backup file from the DEK wrapped in
+   * it, the same way `unwrapIndexKey` does. Only someone who can unwrap the
+   * backup's DEK can produce or check the MAC.
+   * @param {CryptoKey} masterKey - The backup's passphrase-derived key.
+   * @param {ArrayBuffer} ivAndWrappedDek - The DEK as wrapped in the backup.
+   * @param {Object} keyEnvelope - The backup's key envelope.
+   * @returns {Promise<CryptoKey>} A non-extractable HMAC-SHA-256 key.
+   */
+  async unwrapBackupMacKey(masterKey, ivAndWrappedDek, keyEnvelope) {
+    return unwrapHmacSubkey(
+      masterKey,
+      ivAndWrappedDek,
+      keyEnvelope,
+      BACKUP_MAC_KEY_INFO
+    );
+  },
+
+  /**
+   * Computes the blind index token of a keyword. Equal keywords give equal
+   * tokens under the same index key, which is what makes them searchable, but
+   * the token reveals nothing about the keyword without the key.
+   * @param {CryptoKey} indexKey - A key from `unwrapIndexKey`.
+   * @param {string} keyword - A normalized keyword.
+   * @returns {Promise<string>} The token, base64-encoded.
+   */
+  async computeBlindToken(indexKey, keyword) {
+    const mac = await this.sign(indexKey, JSON.stringify(["keyword", keyword]));
+    return bufferToBase64(mac.slice(0, BLIND_TOKEN_LENGTH_BYTES));
+  },
+
+  /**
+   * Generates an ephemeral ECDH key pair for pairing with another device. The
+   * private key is non-extractable; the public key can always be exported.
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  async generatePairingKeyPair() {
+    return globalThis.crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+  },
+
+  /**
+   * Exports a public key in raw (uncompressed point) format.
+   * @param {CryptoKey} publicKey
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async exportPublicKey(publicKey) {
+    return globalThis.crypto.subtle.exportKey("raw", publicKey);
+  },
+
+  /**
+   * Computes the SHA-256 digest of a buffer.
+   * @param {BufferSource} data
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async digest(data) {
+    return globalThis.crypto.subtle.digest("SHA-256", data);
+  },
+
+  /**
+   * Derives the secrets of a device pairing from an ECDH exchange: a key that
+   * wraps the DEK for transfer, and a short code the user compares on both
+   * devices. The transcript (both public keys) is mixed in as the HKDF salt,
+   * so both values depend on exactly which keys were exchanged; a relay that
+   * substituted its own keys leaves the two devices with different codes.
+   * @param {CryptoKey} privateKey - This device's ECDH private key.
+   * @param {ArrayBuffer} peerPublicKey - The other device's raw public key.
+   * @param {Uint8Array} transcript - Both raw public keys, initiator first.
+   * @returns {Promise<{transferKey: CryptoKey, verificationCode: string}>}
+   *   A non-extractable AES-GCM wrapping key, and the code as decimal digits.
+   */
+  async derivePairingSecrets(privateKey, peerPublicKey, transcript) {
+    const subtle = globalThis.crypto.subtle;
+    const keyMaterial = await deriveEcdhKeyMaterial(privateKey, peerPublicKey);
+    const salt = await this.digest(transcript);
+    const hkdfParams = (info) => ({
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: salt,
+      info: new TextEncoder().encode(info),
+    });
+
+    const transferKey = await subtle.deriveKey(
+      hkdfParams(PAIRING_TRANSFER_KEY_INFO),
+      keyMaterial,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["wrapKey", "unwrapKey"]
+    );
+    const codeBits = await subtle.deriveBits(
+      hkdfParams(PAIRING_CODE_INFO),
+      keyMaterial,
+      32
+    );
+    const code =
+      new DataView(codeBits).getUint32(0) % 10 ** PAIRING_CODE_DIGITS;
+    return {
+      transferKey,
+      verificationCode: String(code).padStart(PAIRING_CODE_DIGITS, "0"),
+    };
+  },
+
+  /**
+   * Generates a random 256-bit content key for a single item. It is
+   * extractable only so that it can be wrapped under the DEK and for sharing.
+   * @returns {Promise<CryptoKey>}
+   */
+  async generateContentKey() {
+    return globalThis.crypto.subtle.generateKey(
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  /**
+   * Builds the AAD that binds a wrapped content key to its item, so a wrapped
+   * key copied onto another record does not unwrap.
+   * @param {{id: string, owner: string}} metadata - The item's record metadata.
+   * @param {string} [recipient] - For keys sealed for another user: that user.
+   * @returns {Uint8Array} The encoded AAD.
+   */
+  buildContentKeyAad({ id, owner }, recipient) {
+    return new TextEncoder().encode(
+      JSON.stringify(
+        recipient === undefined
+          ? ["content-key", owner, id]
+          : ["shared-content-key", owner, id, recipient]
+      )
+    );
+  },
+
+  /**
+   * Wraps an item's content key under the DEK.
+   * @param {CryptoKey} dek - The DEK (must have 'wrapKey' usage).
+   * @param {CryptoKey} contentKey - The extractable content key.
+   * @param {Uint8Array} associatedData - From `buildContentKeyAad`.
+   * @returns {Promise<ArrayBuffer>} The wrapped key, prepended with its IV.
+   */
+  async wrapContentKey(dek, contentKey, associatedData) {
+    return wrapKeyWithIv("raw", contentKey, dek, associatedData);
+  },
+
+  /**
+   * Unwraps an item's content key with the DEK.
+   * @param {CryptoKey} dek - The DEK (must have 'unwrapKey' usage).
+   * @param {ArrayBuffer} ivAndWrappedKey - The record's `wrappedKey`.
+   * @param {Uint8Array} associatedData - From `buildContentKeyAad`.
+   * @param {boolean} [extractable=false] - Whether the key may be wrapped
+   *   again, e.g. for sharing or for the next save of the item.
+   * @returns {Promise<CryptoKey>}
+   */
+  async unwrapContentKey(
+    dek,
+    ivAndWrappedKey,
+    associatedData,
+    extractable = false
+  ) {
+    return unwrapKeyWithIv(
+      "raw",
+      ivAndWrappedKey,
+      dek,
+      associatedData,
+      { name: "AES-GCM" },
+      extractable,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  /**
+   * Generates a user's long-term ECDH key pair for receiving shared items. The
+   * private key is extractable only so that it can be wrapped under the DEK.
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  async generateUserKeyPair() {
+    return globalThis.crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      true,
+      ["deriveBits"]
+    );
+  },
+
+  /**
+   * Wraps a user's private key under their DEK, bound to their username.
+   * @param {CryptoKey} dek - The DEK (must have 'wrapKey' usage).
+   * @param {CryptoKey} privateKey - The extractable ECDH private key.
+   * @param {string} username - The key's owner.
+   * @param {string} [purpose="private-key"] - What the key is for, bound into
+   *   the AAD so that one of the user's keys cannot stand in for another.
+   * @returns {Promise<ArrayBuffer>} The wrapped key, prepended with its IV.
+   */
+  async wrapPrivateKey(dek, privateKey, username, purpose = "private-key") {
+    return wrapKeyWithIv(
+      "pkcs8",
+      privateKey,
+      dek,
+      privateKeyAad(username, purpose)
+    );
+  },
+
+  /**
+   * Unwraps a user's private key with their DEK.
+   * @param {CryptoKey} dek - The DEK (must have 'unwrapKey' usage).
+   * @param {ArrayBuffer} ivAndWrappedKey - The wrapped private key.
+   * @param {string} username - The key's owner.
+   * @param {boolean} [extractable=false] - Whether the key may be wrapped
+   *   again, e.g. under a new DEK.
+   * @param {string} [purpose="private-key"] - The purpose it was wrapped with.
+   * @returns {Promise<CryptoKey>}
+   */
+  async unwrapPrivateKey(
+    dek,
+    ivAndWrappedKey,
+    username,
+    extractable = false,
+    purpose = "private-key"
+  ) {
+    return unwrapKeyWithIv(
+      "pkcs8",
+      ivAndWrappedKey,
+      dek,
+      privateKeyAad(username, purpose),
+      { name: "ECDH", namedCurve: "P-256" },
+      extractable,
+      ["deriveBits"]
+    );
+  },
+
+  /**
+   * Seals a content key for another user, so that only the holder of their
+   * private key can open it: an ephemeral ECDH key pair is combined with the
+   * recipient's public key, and the resulting secret wraps the content key.
+   * @param {ArrayBuffer} recipientPublicKey - The recipient's raw public key.
+   * @param {CryptoKey} contentKey - The extractable content key.
+   * @param {Uint8Array} associatedData - From `buildContentKeyAad` with the
+   *   recipient.
+   * @returns {Promise<{ephemeralPublicKey: ArrayBuffer, wrappedKey: ArrayBuffer}>}
+   */
+  async sealContentKey(recipientPublicKey, contentKey, associatedData) {
+    const ephemeral = await globalThis.crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const ephemeralPublicKey = await this.exportPublicKey(ephemeral.publicKey);
+    const sealingKey = await deriveSealingKey(
+      ephemeral.privateKey,
+      recipientPublicKey,
+      ephemeralPublicKey,
+      recipientPublicKey
+    );
+    const wrappedKey = await wrapKeyWithIv(
+      "raw",
+      contentKey,
+      sealingKey,
+      associatedData
+    );
+    return { ephemeralPublicKey, wrappedKey };
+  },
+
+  /**
+   * Opens a content key sealed with `sealContentKey`.
+   * @param {CryptoKey} privateKey - The recipient's private key.
+   * @param {ArrayBuffer} publicKey - The recipient's own raw public key.
+   * @param {ArrayBuffer} ephemeralPublicKey - The sender's ephemeral raw public key.
+   * @param {ArrayBuffer} wrappedKey - The sealed content key.
+   * @param {Uint8Array} associatedData - The AAD it was sealed with.
+   * @returns {Promise<CryptoKey>} The non-extractable content key.
+   */
+  async openContentKey(
+    privateKey,
+    publicKey,
+    ephemeralPublicKey,
+    wrappedKey,
+    associatedData
+  ) {
+    const sealingKey = await deriveSealingKey(
+      privateKey,
+      ephemeralPublicKey,
+      ephemeralPublicKey,
+      publicKey
+    );
+    return unwrapKeyWithIv(
+      "raw",
+      wrappedKey,
+      sealingKey,
+      associatedData,
       { name: "AES-GCM" },
-      false, // Make the unwrapped key non-extractable for better security.
-      ["encrypt", "decrypt"] // The DEK will be used for data operations.
+      false,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  /**
+   * Generates the two shares of a new recovery key. The key is the XOR of the
+   * shares, so either share on its own is just random bytes.
+   * @returns {{deviceShare: Uint8Array, serverShare: Uint8Array}}
+   */
+  generateRecoveryShares() {
+    const random = () =>
+      globalThis.crypto.getRandomValues(
+        new Uint8Array(RECOVERY_SHARE_LENGTH_BYTES)
+      );
+    return { deviceShare: random(), serverShare: random() };
+  },
+
+  /**
+   * Combines the two shares of a recovery key into a wrapping key.
+   * @param {Uint8Array} deviceShare - The share kept on the device.
+   * @param {Uint8Array} serverShare - The share escrowed with the server.
+   * @returns {Promise<CryptoKey>} A non-extractable AES-GCM wrapping key.
+   */
+  async importRecoveryKey(deviceShare, serverShare) {
+    if (
+      deviceShare.length !== RECOVERY_SHARE_LENGTH_BYTES ||
+      serverShare.length !== RECOVERY_SHARE_LENGTH_BYTES
+    ) {
+      throw new Error("A recovery key share has the wrong length.");
+    }
+    const rawKey = deviceShare.map((byte, i) => byte ^ serverShare[i]);
+    try {
+      return await globalThis.crypto.subtle.importKey(
+        "raw",
+        rawKey,
+        { name: "AES-GCM" },
+        false,
+        ["wrapKey", "unwrapKey"]
+      );
+    } finally {
+      rawKey.fill(0);
+    }
+  },
+
+  /**
+   * Seals a user's DEK for their recovery public key, like `sealContentKey`.
+   * @param {ArrayBuffer} recoveryPublicKey - The raw recovery public key.
+   * @param {CryptoKey} dek - The extractable DEK.
+   * @param {string} username - The DEK's owner, bound into the AAD.
+   * @returns {Promise<{ephemeralPublicKey: ArrayBuffer, wrappedKey: ArrayBuffer}>}
+   */
+  async sealRecoveryDek(recoveryPublicKey, dek, username) {
+    const ephemeral = await globalThis.crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const ephemeralPublicKey = await this.exportPublicKey(ephemeral.publicKey);
+    const sealingKey = await deriveSealingKey(
+      ephemeral.privateKey,
+      recoveryPublicKey,
+      ephemeralPublicKey,
+      recoveryPublicKey,
+      RECOVERY_DEK_INFO
+    );
+    const wrappedKey = await wrapKeyWithIv(
+      "raw",
+      dek,
+      sealingKey,
+      recoveryDekAad(username)
+    );
+    return { ephemeralPublicKey, wrappedKey };
+  },
+
+  /**
+   * Opens a DEK sealed with `sealRecoveryDek`. The DEK is extractable, so it
+   * can be wrapped under a Master Key derived from the user's new PIN.
+   * @param {CryptoKey} privateKey - The recovery private key.
+   * @param {ArrayBuffer} publicKey - The raw recovery public key.
+   * @param {{ephemeralPublicKey: ArrayBuffer, wrappedKey: ArrayBuffer}} sealedDek
+   * @param {string} username - The DEK's owner.
+   * @returns {Promise<CryptoKey>} The DEK.
+   */
+  async openRecoveryDek(privateKey, publicKey, sealedDek, username) {
+    const sealingKey = await deriveSealingKey(
+      privateKey,
+      sealedDek.ephemeralPublicKey,
+      sealedDek.ephemeralPublicKey,
+      publicKey,
+      RECOVERY_DEK_INFO
+    );
+    return unwrapKeyWithIv(
+      "raw",
+      sealedDek.wrappedKey,
+      sealingKey,
+      recoveryDekAad(username),
+      { name: "AES-GCM" },
+      true,
+      DEK_USAGES
+    );
+  },
+
+  /**
+   * Builds the AAD that binds an audit log entry's ciphertext to its owner and
+   * position in the chain.
+   * @param {{owner: string, seq: number}} entry
+   * @returns {Uint8Array} The encoded AAD.
+   */
+  buildAuditEntryAad({ owner, seq }) {
+    return new TextEncoder().encode(
+      JSON.stringify(["audit-entry", owner, seq])
+    );
+  },
+
+  /**
+   * Encrypts an audit event so that only the holder of the user's audit
+   * private key can read it, using an ephemeral ECDH key pair as in
+   * `sealContentKey`.
+   * @param {ArrayBuffer} publicKey - The user's raw audit public key.
+   * @param {string} event - The event, serialized.
+   * @param {Uint8Array} associatedData - From `buildAuditEntryAad`.
+   * @returns {Promise<{ephemeralPublicKey: ArrayBuffer, data: ArrayBuffer, envelope: Object}>}
+   */
+  async sealAuditEvent(publicKey, event, associatedData) {
+    const ephemeral = await globalThis.crypto.subtle.generateKey(
+      { name: "ECDH", namedCurve: "P-256" },
+      false,
+      ["deriveBits"]
+    );
+    const ephemeralPublicKey = await this.exportPublicKey(ephemeral.publicKey);
+    const key = await deriveSealingKey(
+      ephemeral.privateKey,
+      publicKey,
+      ephemeralPublicKey,
+      publicKey,
+      AUDIT_ENTRY_KEY_INFO,
+      ["encrypt"]
+    );
+    return {
+      ephemeralPublicKey,
+      data: await this.encryptData(key, event, associatedData),
+      envelope: this.createDataEnvelope(),
+    };
+  },
+
+  /**
+   * Decrypts an audit event sealed with `sealAuditEvent`.
+   * @param {CryptoKey} privateKey - The user's audit private key.
+   * @param {ArrayBuffer} publicKey - The user's raw audit public key.
+   * @param {{ephemeralPublicKey: ArrayBuffer, data: ArrayBuffer, envelope: Object}} sealed
+   * @param {Uint8Array} associatedData - The AAD it was sealed with.
+   * @returns {Promise<string>} The serialized event.
+   */
+  async openAuditEvent(
+    privateKey,
+    publicKey,
+    { ephemeralPublicKey, data, envelope },
+    associatedData
+  ) {
+    const key = await deriveSealingKey(
+      privateKey,
+      ephemeralPublicKey,
+      ephemeralPublicKey,
+      publicKey,
+      AUDIT_ENTRY_KEY_INFO,
+      ["decrypt"]
+    );
+    return this.decryptData(key, data, associatedData, envelope);
+  },
+
+  /**
+   * Computes the hash that chains an audit log entry to the next one. It
+   * covers the hash of the previous entry, so changing, removing or reordering
+   * any entry breaks every later link. The server recomputes it when the log
+   * is uploaded; see auditEntryMessage in server.js.
+   * @param {{owner: string, seq: number, prevHash: string, ephemeralPublicKey: string, data: string, envelope: Object}} entry -
+   *   The entry, with its binary fields base64-encoded.
+   * @returns {Promise<string>} The hash, hex-encoded.
+   */
+  async hashAuditEntry({
+    owner,
+    seq,
+    prevHash,
+    ephemeralPublicKey,
+    data,
+    envelope,
+  }) {
+    const message = JSON.stringify([
+      "audit-entry",
+      owner,
+      seq,
+      prevHash,
+      ephemeralPublicKey,
+      data,
+      envelope,
+    ]);
+    const hash = await this.digest(new TextEncoder().encode(message));
+    return Array.from(new Uint8Array(hash), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  },
+
+  /**
+   * Generates a device integrity key used to detect tampering with local state
+   * (such as the PIN attempt counter). The key is an HMAC key that can never be
+   * exported, so even with full access to IndexedDB its raw value cannot be read.
+   * @returns {Promise<CryptoKey>} A non-extractable HMAC-SHA-256 key.
+   */
+  async generateIntegrityKey() {
+    return globalThis.crypto.subtle.generateKey(
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign", "verify"]
+    );
+  },
+
+  /**
+   * Computes an HMAC over a string.
+   * @param {CryptoKey} key - An HMAC key with 'sign' usage.
+   * @param {string} message - The message to authenticate.
+   * @returns {Promise<ArrayBuffer>} The MAC.
+   */
+  async sign(key, message) {
+    return globalThis.crypto.subtle.sign(
+      "HMAC",
+      key,
+      new TextEncoder().encode(message)
+    );
+  },
+
+  /**
+   * Verifies an HMAC over a string in constant time.
+   * @param {CryptoKey} key - An HMAC key with 'verify' usage.
+   * @param {ArrayBuffer} mac - The MAC to check.
+   * @param {string} message - The message that was authenticated.
+   * @returns {Promise<boolean>} True if the MAC is valid.
+   */
+  async verify(key, mac, message) {
+    return globalThis.crypto.subtle.verify(
+      "HMAC",
+      key,
+      mac,
+      new TextEncoder().encode(message)
+    );
+  },
+
+  /**
+   * Verifies an ECDSA (P-256, SHA-256) signature made by the server over a
+   * string, such as an offline ticket.
+   * @param {ArrayBuffer} publicKey - The server's public key (SPKI).
+   * @param {ArrayBuffer} signature - The raw (r || s) signature.
+   * @param {string} message - The message that was signed.
+   * @returns {Promise<boolean>} True if the signature is valid.
+   */
+  async verifySignature(publicKey, signature, message) {
+    const key = await globalThis.crypto.subtle.importKey(
+      "spki",
+      publicKey,
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"]
+    );
+    return globalThis.crypto.subtle.verify(
+      { name: "ECDSA", hash: "SHA-256" },
+      key,
+      signature,
+      new TextEncoder().encode(message)
+    );
+  },
+
+  /**
+   * Builds the additional authenticated data (AAD) for a stored record. Binding
+   * the record's ID, owner and schema version into the ciphertext means a blob
+   * copied into another record (or another user's record) fails to decrypt,
+   * instead of silently decrypting as the wrong item.
+   * @param {{id: string, owner: string, schemaVersion: number}} metadata - The
+   *   record's plaintext metadata.
+   * @returns {Uint8Array} The encoded AAD.
+   */
+  buildRecordAad({ id, owner, schemaVersion }) {
+    // JSON encoding keeps the fields unambiguous, whatever characters they contain.
+    return new TextEncoder().encode(
+      JSON.stringify(["record", schemaVersion, owner, id])
+    );
+  },
+
+  /**
+   * Builds the AAD for the parts of an attachment: its wrapped key, its
+   * encrypted metadata and each of its chunks. A chunk's AAD includes its
+   * index and whether it is the last one, so chunks cannot be reordered,
+   * dropped from the end or moved to another attachment without decryption
+   * failing.
+   * @param {{id: string, itemId: string, owner: string}} attachment - The
+   *   attachment's plaintext metadata.
+   * @param {Array<string|number|boolean>} part - `["key"]`, `["metadata"]` or
+   *   `["chunk", index, final]`.
+   * @returns {Uint8Array} The encoded AAD.
+   */
+  buildAttachmentAad({ id, itemId, owner }, part) {
+    return new TextEncoder().encode(
+      JSON.stringify(["attachment", owner, itemId, id, ...part])
     );
   },
 
   /**
    * Encrypts a string of plaintext data using the provided Data Encryption Key (DEK).
+   * The parameters used are those returned by `createDataEnvelope()`.
    * @param {CryptoKey} dek - The key to use for encryption (must have 'encrypt' usage).
    * @param {string} plaintext - The data to encrypt.
+   * @param {Uint8Array} [associatedData] - Optional AAD that must be supplied
+   *   again, unchanged, to decrypt the data.
    * @returns {Promise<ArrayBuffer>} The encrypted data, prepended with its unique IV.
    */
-  async encryptData(dek, plaintext) {
-    const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
-    const encodedData = new TextEncoder().encode(plaintext);
-    const ciphertext = await window.crypto.subtle.encrypt(
-      { name: "AES-GCM", iv: iv },
+  async encryptData(dek, plaintext, associatedData) {
+    return this.encryptBytes(
       dek,
-      encodedData
+      new TextEncoder().encode(plaintext),
+      associatedData
+    );
+  },
+
+  /**
+   * Decrypts a buffer of ciphertext using the provided Data Encryption Key (DEK).
+   * @param {CryptoKey} dek - The key to use for decryption (must have 'decrypt' usage).
+   * @param {ArrayBuffer} ivAndCiphertext - The buffer containing the IV and the ciphertext.
+   * @param {Uint8Array} [associatedData] - The AAD the data was encrypted with, if any.
+   * @param {Object} [dataEnvelope] - The data envelope stored with the
+   *   ciphertext. Defaults to the parameters used before envelopes existed.
+   * @returns {Promise<string>} The decrypted plaintext string.
+   */
+  async decryptData(
+    dek,
+    ivAndCiphertext,
+    associatedData,
+    dataEnvelope = LEGACY_DATA_ENVELOPE
+  ) {
+    return new TextDecoder().decode(
+      await this.decryptBytes(
+        dek,
+        ivAndCiphertext,
+        associatedData,
+        dataEnvelope
+      )
+    );
+  },
+
+  /**
+   * Encrypts binary data, such as one chunk of an attachment, under a fresh
+   * IV. The parameters used are those returned by `createDataEnvelope()`.
+   * @param {CryptoKey} key - The key to use for encryption (must have 'encrypt' usage).
+   * @param {BufferSource} plaintext - The data to encrypt.
+   * @param {Uint8Array} [associatedData] - Optional AAD that must be supplied
+   *   again, unchanged, to decrypt the data.
+   * @returns {Promise<ArrayBuffer>} The encrypted data, prepended with its unique IV.
+   */
+  async encryptBytes(key, plaintext, associatedData) {
+    const { ivLength } = this.createDataEnvelope();
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(ivLength));
+    const ciphertext = await globalThis.crypto.subtle.encrypt(
+      aesGcmParams(iv, associatedData),
+      key,
+      plaintext
     );
     const ivAndCiphertext = new Uint8Array(iv.length + ciphertext.byteLength);
     ivAndCiphertext.set(iv);
@@ -130,20 +1009,300 @@ export const cryptoService = {
   },
 
   /**
-   * Decrypts a buffer of ciphertext using the provided Data Encryption Key (DEK).
-   * @param {CryptoKey} dek - The key to use for decryption (must have 'decrypt' usage).
+   * Decrypts binary data encrypted with `encryptBytes`.
+   * @param {CryptoKey} key - The key to use for decryption (must have 'decrypt' usage).
    * @param {ArrayBuffer} ivAndCiphertext - The buffer containing the IV and the ciphertext.
-   * @returns {Promise<string>} The decrypted plaintext string.
+   * @param {Uint8Array} [associatedData] - The AAD the data was encrypted with, if any.
+   * @param {Object} [dataEnvelope] - The data envelope stored with the
+   *   ciphertext. Defaults to the parameters used before envelopes existed.
+   * @returns {Promise<ArrayBuffer>} The decrypted data.
    */
-  async decryptData(dek, ivAndCiphertext) {
+  async decryptBytes(
+    key,
+    ivAndCiphertext,
+    associatedData,
+    dataEnvelope = LEGACY_DATA_ENVELOPE
+  ) {
+    const { ivLength } = checkAesGcm(dataEnvelope);
     const buffer = new Uint8Array(ivAndCiphertext);
-    const iv = buffer.slice(0, IV_LENGTH_BYTES);
-    const ciphertext = buffer.slice(IV_LENGTH_BYTES);
-    const decryptedData = await window.crypto.subtle.decrypt(
-      { name: "AES-GCM", iv: iv },
-      dek,
+    const iv = buffer.slice(0, ivLength);
+    const ciphertext = buffer.slice(ivLength);
+    return globalThis.crypto.subtle.decrypt(
+      aesGcmParams(iv, associatedData),
+      key,
       ciphertext
     );
-    return new TextDecoder().decode(decryptedData);
   },
 };
+
+/**
+ * Derives a Master Key with Argon2id. The raw derived bytes are imported as a
+ * non-extractable AES-GCM wrapping key and then overwritten.
+ * @param {string} pin - The user's PIN.
+ * @param {Uint8Array} salt - The user's unique, stored salt.
+ * @param {{memorySize: number, iterations: number, parallelism: number}} kdf -
+ *   The Argon2id parameters from the user's key envelope.
+ * @returns {Promise<CryptoKey>} The derived master key.
+ */
+async function deriveArgon2idMasterKey(pin, salt, kdf) {
+  // The UMD bundle registers itself on the global object when imported.
+  await import(ARGON2_MODULE_URL);
+  const rawKey = await globalThis.hashwasm.argon2id({
+    password: pin,
+    salt: salt,
+    memorySize: kdf.memorySize,
+    iterations: kdf.iterations,
+    parallelism: kdf.parallelism,
+    hashLength: 32, // 256 bits for AES-256.
+    outputType: "binary",
+  });
+  try {
+    return await globalThis.crypto.subtle.importKey(
+      "raw",
+      rawKey,
+      { name: "AES-GCM" },
+      false,
+      ["wrapKey", "unwrapKey"]
+    );
+  } finally {
+    rawKey.fill(0);
+  }
+}
+
+/**
+ * Unwraps a raw key that was wrapped with `wrapDek`, importing it for the
+ * given algorithm and usages.
+ * @param {CryptoKey} masterKey - The key to unwrap with.
+ * @param {ArrayBuffer} ivAndWrappedKey - The IV followed by the wrapped key.
+ * @param {Object} keyEnvelope - The key envelope the key was wrapped according to.
+ * @param {Object} algorithm - The algorithm to import the key for.
+ * @param {boolean} extractable - Whether the unwrapped key may be exported.
+ * @param {Array<string>} usages - The unwrapped key's usages.
+ * @returns {Promise<CryptoKey>}
+ */
+async function unwrapRawKey(
+  masterKey,
+  ivAndWrappedKey,
+  keyEnvelope,
+  algorithm,
+  extractable,
+  usages
+) {
+  const { ivLength } = checkAesGcm(keyEnvelope.wrap);
+  const buffer = new Uint8Array(ivAndWrappedKey);
+  const iv = buffer.slice(0, ivLength);
+  const wrappedKey = buffer.slice(ivLength);
+
+  // unwrapKey returns the original key as a CryptoKey object with the specified permissions.
+  return globalThis.crypto.subtle.unwrapKey(
+    "raw",
+    wrappedKey,
+    masterKey,
+    { name: "AES-GCM", iv: iv },
+    algorithm,
+    extractable,
+    usages
+  );
+}
+
+/**
+ * Unwraps a wrapped DEK as HKDF key material and derives a purpose-specific
+ * HMAC key from it.
+ * @param {CryptoKey} masterKey - The key the DEK is wrapped under.
+ * @param {ArrayBuffer} ivAndWrappedDek - The wrapped DEK.
+ * @param {Object} keyEnvelope - The key envelope the DEK was wrapped according to.
+ * @param {string} info - The HKDF info string naming the key's purpose.
+ * @returns {Promise<CryptoKey>} A non-extractable HMAC-SHA-256 key.
+ */
+async function unwrapHmacSubkey(masterKey, ivAndWrappedDek, keyEnvelope, info) {
+  const keyMaterial = await unwrapRawKey(
+    masterKey,
+    ivAndWrappedDek,
+    keyEnvelope,
+    { name: "HKDF" },
+    false,
+    ["deriveKey"]
+  );
+  return globalThis.crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(),
+      info: new TextEncoder().encode(info),
+    },
+    keyMaterial,
+    { name: "HMAC", hash: "SHA-256", length: 256 },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+/**
+ * Imports a peer's raw P-256 public key, performs ECDH with a private key and
+ * imports the shared secret as HKDF key material.
+ * @param {CryptoKey} privateKey - An ECDH private key.
+ * @param {ArrayBuffer} peerPublicKey - The peer's raw public key.
+ * @returns {Promise<CryptoKey>} HKDF key material ('deriveKey', 'deriveBits').
+ */
+async function deriveEcdhKeyMaterial(privateKey, peerPublicKey) {
+  const subtle = globalThis.crypto.subtle;
+  const peerKey = await subtle.importKey(
+    "raw",
+    peerPublicKey,
+    { name: "ECDH", namedCurve: "P-256" },
+    false,
+    []
+  );
+  const sharedSecret = await subtle.deriveBits(
+    { name: "ECDH", public: peerKey },
+    privateKey,
+    256
+  );
+  return subtle.importKey("raw", sharedSecret, { name: "HKDF" }, false, [
+    "deriveKey",
+    "deriveBits",
+  ]);
+}
+
+/**
+ * Derives the key that seals a content key (or an audit event) for a
+ * recipient. Both public keys are mixed in as the HKDF salt, binding the key
+ * to this exact exchange.
+ * @param {CryptoKey} privateKey - The ephemeral or the recipient's private key.
+ * @param {ArrayBuffer} peerPublicKey - The other side's raw public key.
+ * @param {ArrayBuffer} ephemeralPublicKey - The ephemeral raw public key.
+ * @param {ArrayBuffer} recipientPublicKey - The recipient's raw public key.
+ * @param {string} [info=SHARE_KEY_INFO] - The HKDF info for the key's purpose.
+ * @param {Array<string>} [usages] - The key's usages; wrapping by default.
+ * @returns {Promise<CryptoKey>} A non-extractable AES-GCM key.
+ */
+async function deriveSealingKey(
+  privateKey,
+  peerPublicKey,
+  ephemeralPublicKey,
+  recipientPublicKey,
+  info = SHARE_KEY_INFO,
+  usages = ["wrapKey", "unwrapKey"]
+) {
+  const keyMaterial = await deriveEcdhKeyMaterial(privateKey, peerPublicKey);
+  const transcript = new Uint8Array(
+    ephemeralPublicKey.byteLength + recipientPublicKey.byteLength
+  );
+  transcript.set(new Uint8Array(ephemeralPublicKey));
+  transcript.set(
+    new Uint8Array(recipientPublicKey),
+    ephemeralPublicKey.byteLength
+  );
+  return globalThis.crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: await globalThis.crypto.subtle.digest("SHA-256", transcript),
+      info: new TextEncoder().encode(info),
+    },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    usages
+  );
+}
+
+/**
+ * Builds the AAD that binds a wrapped private key to its owner and purpose.
+ * @param {string} username
+ * @param {string} purpose - "private-key" for the sharing key pair.
+ * @returns {Uint8Array}
+ */
+function privateKeyAad(username, purpose) {
+  return new TextEncoder().encode(JSON.stringify([purpose, username]));
+}
+
+/**
+ * Builds the AAD that binds a DEK sealed for PIN recovery to its owner.
+ * @param {string} username
+ * @returns {Uint8Array}
+ */
+function recoveryDekAad(username) {
+  return new TextEncoder().encode(
+    JSON.stringify(["pin-recovery-dek", username])
+  );
+}
+
+/**
+ * Wraps a key with AES-GCM and AAD under a fresh IV.
+ * @param {string} format - The format to export the wrapped key in.
+ * @param {CryptoKey} key - The extractable key to wrap.
+ * @param {CryptoKey} wrappingKey - An AES-GCM key with 'wrapKey' usage.
+ * @param {Uint8Array} associatedData
+ * @returns {Promise<ArrayBuffer>} The IV followed by the wrapped key.
+ */
+async function wrapKeyWithIv(format, key, wrappingKey, associatedData) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH_BYTES));
+  const wrappedKey = await globalThis.crypto.subtle.wrapKey(
+    format,
+    key,
+    wrappingKey,
+    aesGcmParams(iv, associatedData)
+  );
+  const ivAndWrappedKey = new Uint8Array(iv.length + wrappedKey.byteLength);
+  ivAndWrappedKey.set(iv);
+  ivAndWrappedKey.set(new Uint8Array(wrappedKey), iv.length);
+  return ivAndWrappedKey.buffer;
+}
+
+/**
+ * Unwraps a key wrapped with `wrapKeyWithIv`.
+ * @param {string} format - The format the key was wrapped in.
+ * @param {ArrayBuffer} ivAndWrappedKey - The IV followed by the wrapped key.
+ * @param {CryptoKey} wrappingKey - An AES-GCM key with 'unwrapKey' usage.
+ * @param {Uint8Array} associatedData - The AAD the key was wrapped with.
+ * @param {Object} algorithm - The algorithm to import the key for.
+ * @param {boolean} extractable - Whether the unwrapped key may be exported.
+ * @param {Array<string>} usages - The unwrapped key's usages.
+ * @returns {Promise<CryptoKey>}
+ */
+async function unwrapKeyWithIv(
+  format,
+  ivAndWrappedKey,
+  wrappingKey,
+  associatedData,
+  algorithm,
+  extractable,
+  usages
+) {
+  const buffer = new Uint8Array(ivAndWrappedKey);
+  return globalThis.crypto.subtle.unwrapKey(
+    format,
+    buffer.slice(IV_LENGTH_BYTES),
+    wrappingKey,
+    aesGcmParams(buffer.slice(0, IV_LENGTH_BYTES), associatedData),
+    algorithm,
+    extractable,
+    usages
+  );
+}
+
+/**
+ * Ensures that envelope parameters describe AES-GCM, the only cipher this
+ * version of the app can read.
+ * @param {{algorithm: string, ivLength: number}} params
+ * @returns {{algorithm: string, ivLength: number}} The same parameters.
+ */
+function checkAesGcm(params) {
+  if (params.algorithm !== "AES-GCM") {
+    throw new Error(`Unsupported cipher: ${params.algorithm}`);
+  }
+  return params;
+}
+
+/**
+ * Builds the AES-GCM algorithm parameters, including AAD only when given.
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} [associatedData]
+ * @returns {AesGcmParams}
+ */
+function aesGcmParams(iv, associatedData) {
+  return associatedData
+    ? { name: "AES-GCM", iv: iv, additionalData: associatedData }
+    : { name: "AES-GCM", iv: iv };
+}
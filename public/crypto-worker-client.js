@@ -0,0 +1,477 @@
+/**
+ * @file crypto-worker-client.js
+ * @description The page-side interface to `crypto-worker.js`. It starts the
+ * worker on demand, turns each operation into a request message and resolves
+ * the matching response. Errors raised in the worker are rebuilt with their
+ * original name, so callers can still recognize a wrong PIN by its
+ * "OperationError". Keys other than the device integrity key never cross
+ * this boundary; callers refer to unlocked DEKs by slot name instead.
+ */
+
+const WORKER_URL = new URL("./crypto-worker.js", import.meta.url);
+
+let worker = null;
+let nextRequestId = 1;
+// Callbacks of requests that have not been answered yet, by request ID.
+const pendingRequests = new Map();
+
+/**
+ * Returns the running worker, starting it if necessary.
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(WORKER_URL, { type: "module" });
+    worker.addEventListener("message", (event) => {
+      const { id, result, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(Object.assign(new Error(error.message), error));
+      } else {
+        request.resolve(result);
+      }
+    });
+    worker.addEventListener("error", (event) => {
+      console.error("Crypto worker failed:", event.message);
+      stopWorker(new Error("The crypto worker failed."));
+    });
+  }
+  return worker;
+}
+
+/**
+ * Terminates the worker, if running, and fails any unanswered requests.
+ * @param {Error} reason - The error unanswered requests are rejected with.
+ */
+function stopWorker(reason) {
+  worker?.terminate();
+  worker = null;
+  for (const request of pendingRequests.values()) {
+    request.reject(reason);
+  }
+  pendingRequests.clear();
+}
+
+/**
+ * Sends an operation to the worker and waits for its result.
+ * @param {string} operation - The name of the worker operation.
+ * @param {Object} [params] - Structured-cloneable parameters.
+ * @returns {Promise<*>} The operation's result.
+ */
+function request(operation, params) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, operation, params });
+  });
+}
+
+/**
+ * Picks the stored fields the worker needs to unwrap a user's keys.
+ * @param {Object} user - The user's provisioning record.
+ * @returns {Object}
+ */
+function keyMaterial({ salt, wrappedDek, pendingWrappedDek, keyEnvelope }) {
+  return { salt, wrappedDek, pendingWrappedDek, keyEnvelope };
+}
+
+export const cryptoWorker = {
+  /**
+   * Creates a new user's salt, wrapped DEK and audit key pair, and optionally
+   * their PIN recovery data.
+   * @param {string} username - The user to provision.
+   * @param {string} pin - The PIN the user chose.
+   * @param {string} [kdfName] - The key derivation function to use.
+   * @param {boolean} [pinRecovery=false] - Whether to set up PIN recovery.
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object, auditKey: {publicKey: string, wrappedPrivateKey: ArrayBuffer}, recovery?: Object, serverShare?: Uint8Array}>}
+   */
+  provisionUser(username, pin, kdfName, pinRecovery = false) {
+    return request("provisionUser", { pin, kdfName, username, pinRecovery });
+  },
+
+  /**
+   * Unlocks a user's DEK (and pending DEK, if any) inside the worker.
+   * @param {string} pin - The user's PIN.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<{keyEnvelopeOutdated: boolean}>}
+   */
+  unlock(pin, user) {
+    return request("unlock", { pin, user: keyMaterial(user) });
+  },
+
+  /**
+   * Wraps a user's DEK under a new PIN and a fresh salt.
+   * @param {string} oldPin - The PIN the DEK is currently wrapped under.
+   * @param {string} newPin - The PIN to wrap the DEK under.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object}>}
+   */
+  rewrapDek(oldPin, newPin, user) {
+    return request("rewrapDek", { oldPin, newPin, user: keyMaterial(user) });
+  },
+
+  /**
+   * Generates a new DEK for a key rotation and unlocks it into the pending slot.
+   * @param {string} username - The user whose DEK is rotated.
+   * @param {string} pin - The user's PIN.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<{pendingWrappedDek: ArrayBuffer, pendingSealedDek?: Object}>}
+   *   The new DEK, wrapped, and sealed for the user's recovery key if they
+   *   have PIN recovery.
+   */
+  beginRotation(username, pin, user) {
+    return request("beginRotation", {
+      pin,
+      user: { ...keyMaterial(user), recovery: user.recovery },
+      username,
+    });
+  },
+
+  /**
+   * Creates PIN recovery data for a provisioned user.
+   * @param {string} username - The user.
+   * @param {string} pin - The user's PIN.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<{recovery: Object, serverShare: Uint8Array}>}
+   */
+  enablePinRecovery(username, pin, user) {
+    return request("enablePinRecovery", {
+      pin,
+      user: keyMaterial(user),
+      username,
+    });
+  },
+
+  /**
+   * Wraps a user's DEK under a new PIN, opening it with their recovery key.
+   * @param {string} username - The user.
+   * @param {Object} user - The user's provisioning record, with its recovery
+   *   data.
+   * @param {Uint8Array} serverShare - The server's share of the recovery key.
+   * @param {string} newPin - The PIN to wrap the DEK under.
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, pendingWrappedDek?: ArrayBuffer, keyEnvelope: Object, recovery: Object, serverShare: Uint8Array}>}
+   *   The new key material, and the recovery data with fresh shares.
+   */
+  recoverPin(username, user, serverShare, newPin) {
+    return request("recoverPin", {
+      user: { ...keyMaterial(user), recovery: user.recovery },
+      username,
+      serverShare,
+      newPin,
+    });
+  },
+
+  /**
+   * Replaces the session's DEK with the pending one.
+   * @returns {Promise<void>}
+   */
+  finishRotation() {
+    return request("finishRotation");
+  },
+
+  /**
+   * Encrypts an item into the fields stored on its record, including its
+   * wrapped content key and blind index tokens.
+   * @param {Object} item - The item, including its 'id' and 'owner'.
+   * @param {string} [slot] - "pendingDek" to wrap the content key under the
+   *   pending DEK.
+   * @param {ArrayBuffer} [wrappedKey] - The item's current wrapped content key,
+   *   to keep using it. Without it, a new content key is generated.
+   * @returns {Promise<{data: ArrayBuffer, schemaVersion: number, envelope: Object, wrappedKey: ArrayBuffer, tokens: Array<string>}>}
+   */
+  encryptItem(item, slot, wrappedKey) {
+    return request("encryptItem", { item, slot, wrappedKey });
+  },
+
+  /**
+   * Decrypts a stored record and checks it against its metadata.
+   * @param {Object} record - The encrypted record from the database.
+   * @param {string} [slot] - "pendingDek" to decrypt with the pending DEK.
+   * @returns {Promise<Object>} The decrypted item.
+   */
+  decryptRecord(record, slot) {
+    return request("decryptRecord", { record, slot });
+  },
+
+  /**
+   * Computes the blind index tokens of a stored record.
+   * @param {Object} record - The encrypted record from the database.
+   * @returns {Promise<Array<string>>}
+   */
+  indexRecord(record) {
+    return request("indexRecord", { record });
+  },
+
+  /**
+   * Computes the blind index tokens of a search query's keywords.
+   * @param {string} query - The search text.
+   * @returns {Promise<Array<string>>}
+   */
+  searchTokens(query) {
+    return request("searchTokens", { query });
+  },
+
+  /**
+   * Creates a passphrase-protected backup of a user's records.
+   * @param {string} pin - The user's PIN, needed to re-wrap the DEK.
+   * @param {string} passphrase - The passphrase protecting the backup.
+   * @param {Object} user - The user's provisioning record.
+   * @param {Array<Object>} records - The user's encrypted records.
+   * @returns {Promise<Object>} The backup, ready to be serialized as JSON.
+   */
+  createBackup(pin, passphrase, user, records) {
+    return request("createBackup", {
+      pin,
+      passphrase,
+      user: keyMaterial(user),
+      username: user.username,
+      records,
+    });
+  },
+
+  /**
+   * Verifies a backup and re-encrypts its items under the session's DEK.
+   * @param {Object} backup - The parsed backup file.
+   * @param {string} passphrase - The backup passphrase.
+   * @returns {Promise<Array<Object>>} The re-encrypted records.
+   */
+  restoreBackup(backup, passphrase) {
+    return request("restoreBackup", { backup, passphrase });
+  },
+
+  /**
+   * Generates a user's key pair for receiving shared items.
+   * @param {string} username - The key pair's owner.
+   * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer}>}
+   */
+  createUserKeyPair(username) {
+    return request("createUserKeyPair", { username });
+  },
+
+  /**
+   * Generates an audit key pair for the unlocked user.
+   * @param {string} username - The key pair's owner.
+   * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer}>}
+   */
+  createAuditKey(username) {
+    return request("createAuditKey", { username });
+  },
+
+  /**
+   * Wraps a user's private key under the pending DEK of a key rotation.
+   * @param {string} username - The key pair's owner.
+   * @param {ArrayBuffer} wrappedPrivateKey - The key, wrapped under the DEK.
+   * @param {boolean} [audit=false] - Whether it is the audit private key.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  rewrapPrivateKey(username, wrappedPrivateKey, audit = false) {
+    return request("rewrapPrivateKey", { username, wrappedPrivateKey, audit });
+  },
+
+  /**
+   * Seals an audit event as the next entry of a user's audit log.
+   * @param {{owner: string, seq: number, prevHash: string, event: Object, publicKey: string}} params
+   * @returns {Promise<Object>} The chained entry.
+   */
+  sealAuditEntry(params) {
+    return request("sealAuditEntry", params);
+  },
+
+  /**
+   * Verifies and decrypts the unlocked user's audit log.
+   * @param {string} username - The log's owner.
+   * @param {Array<Object>} entries - The stored entries in order.
+   * @param {{publicKey: string, wrappedPrivateKey: ArrayBuffer}} auditKey
+   * @returns {Promise<{events: Array<{seq: number, event: Object|null}>, brokenAt: number|null}>}
+   */
+  openAuditLog(username, entries, auditKey) {
+    return request("openAuditLog", { username, entries, auditKey });
+  },
+
+  /**
+   * Seals a record's content key for another user.
+   * @param {Object} record - The encrypted record from the database.
+   * @param {string} recipient - The user to share with.
+   * @param {string} recipientPublicKey - Their base64 raw public key.
+   * @returns {Promise<{ephemeralPublicKey: string, wrappedKey: string}>}
+   */
+  shareItem(record, recipient, recipientPublicKey) {
+    return request("shareItem", { record, recipient, recipientPublicKey });
+  },
+
+  /**
+   * Decrypts an item another user shared with this user.
+   * @param {Object} share - The stored share.
+   * @param {string} username - The recipient.
+   * @param {{publicKey: string, wrappedPrivateKey: ArrayBuffer}} keyPair - The
+   *   recipient's stored key pair.
+   * @returns {Promise<Object>} The decrypted item.
+   */
+  decryptSharedItem(share, username, { publicKey, wrappedPrivateKey }) {
+    return request("decryptSharedItem", {
+      share,
+      username,
+      keyPair: { publicKey, wrappedPrivateKey },
+    });
+  },
+
+  /**
+   * Creates an attachment's wrapped key and encrypted metadata.
+   * @param {{id: string, itemId: string, owner: string}} attachment
+   * @param {{name: string, type: string, size: number}} metadata
+   * @returns {Promise<{wrappedKey: ArrayBuffer, metadata: ArrayBuffer, envelope: Object}>}
+   */
+  createAttachment(attachment, metadata) {
+    return request("createAttachment", { attachment, metadata });
+  },
+
+  /**
+   * Decrypts an attachment's metadata.
+   * @param {Object} attachment - The stored attachment.
+   * @returns {Promise<{name: string, type: string, size: number}>}
+   */
+  decryptAttachmentMetadata(attachment) {
+    return request("decryptAttachmentMetadata", { attachment });
+  },
+
+  /**
+   * Encrypts one chunk of an attachment.
+   * @param {Object} attachment - The stored attachment, with its `chunkCount`.
+   * @param {number} index - The chunk's index.
+   * @param {ArrayBuffer} chunk - The chunk's plaintext.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  encryptAttachmentChunk(attachment, index, chunk) {
+    return request("encryptAttachmentChunk", { attachment, index, chunk });
+  },
+
+  /**
+   * Decrypts one chunk of an attachment.
+   * @param {Object} attachment - The stored attachment, with its `chunkCount`.
+   * @param {number} index - The chunk's index.
+   * @param {ArrayBuffer} data - The stored ciphertext of the chunk.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  decryptAttachmentChunk(attachment, index, data) {
+    return request("decryptAttachmentChunk", { attachment, index, data });
+  },
+
+  /**
+   * Wraps an attachment's key under the pending DEK of a key rotation.
+   * @param {Object} attachment - The stored attachment.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  rewrapAttachmentKey(attachment) {
+    return request("rewrapAttachmentKey", { attachment });
+  },
+
+  /**
+   * Starts this device's side of a pairing with a fresh ECDH key pair.
+   * @returns {Promise<{publicKey: string, commitment: string}>}
+   */
+  beginPairing() {
+    return request("beginPairing");
+  },
+
+  /**
+   * Derives the pairing's transfer key and verification code.
+   * @param {{commitment: string, initiatorKey: string, responderKey: string}} exchange
+   * @returns {Promise<{verificationCode: string}>}
+   */
+  completePairingExchange(exchange) {
+    return request("completePairingExchange", exchange);
+  },
+
+  /**
+   * Encrypts a user's DEK under the pairing's transfer key.
+   * @param {string} pin - The user's PIN.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<ArrayBuffer>}
+   */
+  wrapDekForPairing(pin, user) {
+    return request("wrapDekForPairing", { pin, user: keyMaterial(user) });
+  },
+
+  /**
+   * Creates a user's provisioning data from a DEK received through a pairing.
+   * @param {string} username - The user to provision.
+   * @param {ArrayBuffer} encryptedKey - The DEK, encrypted under the transfer key.
+   * @param {string} pin - The PIN the user chose for this device.
+   * @param {string} [kdfName] - The key derivation function to use.
+   * @param {boolean} [pinRecovery=false] - Whether to set up PIN recovery.
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object, auditKey: {publicKey: string, wrappedPrivateKey: ArrayBuffer}, recovery?: Object, serverShare?: Uint8Array}>}
+   */
+  provisionPairedUser(
+    username,
+    encryptedKey,
+    pin,
+    kdfName,
+    pinRecovery = false
+  ) {
+    return request("provisionPairedUser", {
+      encryptedKey,
+      pin,
+      kdfName,
+      username,
+      pinRecovery,
+    });
+  },
+
+  /**
+   * Abandons the pairing in progress, if any.
+   * @returns {Promise<void>}
+   */
+  cancelPairing() {
+    return request("cancelPairing");
+  },
+
+  /**
+   * Generates a non-extractable HMAC key for device integrity checks.
+   * @returns {Promise<CryptoKey>}
+   */
+  generateIntegrityKey() {
+    return request("generateIntegrityKey");
+  },
+
+  /**
+   * Computes an HMAC over a string.
+   * @param {CryptoKey} key
+   * @param {string} message
+   * @returns {Promise<ArrayBuffer>}
+   */
+  sign(key, message) {
+    return request("sign", { key, message });
+  },
+
+  /**
+   * Verifies an HMAC over a string.
+   * @param {CryptoKey} key
+   * @param {ArrayBuffer} mac
+   * @param {string} message
+   * @returns {Promise<boolean>}
+   */
+  verify(key, mac, message) {
+    return request("verify", { key, mac, message });
+  },
+
+  /**
+   * Verifies a signature made by the server over a string.
+   * @param {ArrayBuffer} publicKey - The server's public key (SPKI).
+   * @param {ArrayBuffer} signature
+   * @param {string} message
+   * @returns {Promise<boolean>}
+   */
+  verifySignature(publicKey, signature, message) {
+    return request("verifySignature", { publicKey, signature, message });
+  },
+
+  /**
+   * Terminates the worker, erasing every key it holds. Unanswered requests
+   * are rejected. The next request starts a fresh, locked worker.
+   */
+  terminate() {
+    stopWorker(new Error("Session is locked."));
+  },
+};
@@ -0,0 +1,1188 @@
+/**
+ * @file crypto-worker.js
+ * @description A dedicated Web Worker that performs all of the application's
+ * cryptography and owns the unlocked Data Encryption Key (DEK). Keys are held
+ * in named slots inside the worker and are never posted back to the page, so
+ * the DEK never exists in the page's JavaScript heap, where an XSS payload
+ * could reach it. Running here also keeps the slow key derivation off the main
+ * thread, so the UI stays responsive during unlock.
+ *
+ * The page talks to the worker through `crypto-worker-client.js`. Each message
+ * is `{ id, operation, params }` and is answered with `{ id, result }` or
+ * `{ id, error: { name, message } }`. Locking the session terminates the
+ * worker, which erases every key it holds.
+ */
+
+import { cryptoService, RECORD_SCHEMA_VERSION } from "./crypto-service.js";
+import { base64ToBuffer, bufferToBase64 } from "./encoding.js";
+
+// The slot holding the session's DEK, and the slot holding the new DEK while a
+// key rotation is in progress.
+const DEK_SLOT = "dek";
+const PENDING_DEK_SLOT = "pendingDek";
+
+// Unlocked, non-extractable keys by slot name. Each slot holds a DEK and the
+// blind index key derived from it: `{ dek, indexKey }`.
+const keySlots = new Map();
+
+// Limits for the blind keyword index. Keywords are runs of letters and digits;
+// shorter ones are too common to be useful search terms.
+const MIN_KEYWORD_LENGTH = 2;
+const MAX_KEYWORDS_PER_ITEM = 256;
+
+// Identifies backup files and the version of their layout.
+const BACKUP_FORMAT = "secure-offline-pwa-backup";
+const BACKUP_VERSION = 1;
+
+// The purposes bound into the wrapping of a user's audit private key and of
+// their PIN recovery private key.
+const AUDIT_KEY_PURPOSE = "audit-key";
+const RECOVERY_KEY_PURPOSE = "pin-recovery-key";
+
+// The device pairing in progress, if any: this device's ephemeral ECDH key
+// pair and, once both public keys are known, the derived transfer key.
+let pairing = null;
+
+/**
+ * The operations the page may request. Parameters and results are plain,
+ * structured-cloneable values; no DEK is ever part of a result.
+ */
+const operations = {
+  /**
+   * Creates the provisioning data for a new user: a fresh salt and DEK, with
+   * the DEK wrapped under a Master Key derived from the PIN, the user's audit
+   * key pair (see createAuditKey) and, if asked for, their PIN recovery data
+   * (see createRecovery).
+   * @param {{pin: string, kdfName?: string, username: string, pinRecovery?: boolean}} params
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object, auditKey: Object, recovery?: Object, serverShare?: Uint8Array}>}
+   */
+  async provisionUser({ pin, kdfName, username, pinRecovery = false }) {
+    const keyEnvelope = cryptoService.createKeyEnvelope(kdfName);
+    const salt = cryptoService.generateSalt();
+    const dek = await cryptoService.generateDek();
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      salt,
+      keyEnvelope
+    );
+    const wrappedDek = await cryptoService.wrapDek(masterKey, dek, keyEnvelope);
+    const auditKey = await createAuditKey(dek, username);
+    return {
+      salt,
+      wrappedDek,
+      keyEnvelope,
+      auditKey,
+      ...(pinRecovery && (await createRecovery(dek, username))),
+    };
+  },
+
+  /**
+   * Unlocks a user's DEK into the DEK slot. If a key rotation was interrupted,
+   * the pending DEK is unlocked into the pending slot as well. Fails with an
+   * OperationError if the PIN is wrong.
+   * @param {{pin: string, user: Object}} params - `user` holds the stored
+   *   `salt`, `wrappedDek`, `keyEnvelope` and optional `pendingWrappedDek`.
+   * @returns {Promise<{keyEnvelopeOutdated: boolean}>} Whether the user's KDF
+   *   parameters should be upgraded.
+   */
+  async unlock({ pin, user }) {
+    const { salt, wrappedDek, pendingWrappedDek, keyEnvelope } = user;
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      salt,
+      keyEnvelope
+    );
+    keySlots.clear();
+    keySlots.set(
+      DEK_SLOT,
+      await unwrapSlot(masterKey, wrappedDek, keyEnvelope)
+    );
+    // A pending DEK is wrapped under the same Master Key as the current one.
+    if (pendingWrappedDek) {
+      keySlots.set(
+        PENDING_DEK_SLOT,
+        await unwrapSlot(masterKey, pendingWrappedDek, keyEnvelope)
+      );
+    }
+    return {
+      keyEnvelopeOutdated: cryptoService.isKeyEnvelopeOutdated(keyEnvelope),
+    };
+  },
+
+  /**
+   * Wraps a user's DEK under a new Master Key, derived from the new PIN and a
+   * fresh salt with the current parameters of the user's KDF. Fails with an
+   * OperationError if the old PIN is wrong.
+   * @param {{oldPin: string, newPin: string, user: Object}} params
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object}>}
+   */
+  async rewrapDek({ oldPin, newPin, user }) {
+    const oldMasterKey = await cryptoService.deriveMasterKey(
+      oldPin,
+      user.salt,
+      user.keyEnvelope
+    );
+    // The DEK is unwrapped as extractable so it can be wrapped again below.
+    const dek = await cryptoService.unwrapDek(
+      oldMasterKey,
+      user.wrappedDek,
+      true,
+      user.keyEnvelope
+    );
+
+    // Keep the user's KDF; only its parameters are brought up to date. Users
+    // provisioned before key envelopes existed use the default (PBKDF2).
+    const keyEnvelope = cryptoService.createKeyEnvelope(
+      user.keyEnvelope?.kdf.name
+    );
+    const salt = cryptoService.generateSalt();
+    const newMasterKey = await cryptoService.deriveMasterKey(
+      newPin,
+      salt,
+      keyEnvelope
+    );
+    const wrappedDek = await cryptoService.wrapDek(
+      newMasterKey,
+      dek,
+      keyEnvelope
+    );
+    return { salt, wrappedDek, keyEnvelope };
+  },
+
+  /**
+   * Sets up PIN recovery for a provisioned user (see createRecovery). The DEK
+   * is unwrapped with the PIN. Fails with an OperationError if the PIN is
+   * wrong.
+   * @param {{pin: string, user: Object, username: string}} params
+   * @returns {Promise<{recovery: Object, serverShare: Uint8Array}>}
+   */
+  async enablePinRecovery({ pin, user, username }) {
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      user.salt,
+      user.keyEnvelope
+    );
+    // Extractable, so that it can be sealed for the recovery key.
+    const dek = await cryptoService.unwrapDek(
+      masterKey,
+      user.wrappedDek,
+      true,
+      user.keyEnvelope
+    );
+    return createRecovery(dek, username);
+  },
+
+  /**
+   * Sets a new PIN for a user who forgot theirs, with the server's share of
+   * their recovery key. The recovery private key opens the sealed DEK (and the
+   * pending DEK of an interrupted rotation), which is wrapped under a Master
+   * Key derived from the new PIN, like in rewrapDek. The server's share has
+   * now been seen outside the device, so the recovery private key is wrapped
+   * again under a key with fresh shares. Fails with an OperationError if the
+   * share does not fit.
+   * @param {{user: Object, username: string, serverShare: Uint8Array, newPin: string}} params
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, pendingWrappedDek?: ArrayBuffer, keyEnvelope: Object, recovery: Object, serverShare: Uint8Array}>}
+   */
+  async recoverPin({ user, username, serverShare, newPin }) {
+    const { recovery } = user;
+    if (user.pendingWrappedDek && !recovery.pendingSealedDek) {
+      throw new Error(
+        "The pending DEK of the key rotation cannot be recovered."
+      );
+    }
+    const privateKey = await cryptoService.unwrapPrivateKey(
+      await cryptoService.importRecoveryKey(recovery.deviceShare, serverShare),
+      recovery.wrappedPrivateKey,
+      username,
+      true,
+      RECOVERY_KEY_PURPOSE
+    );
+    const publicKey = base64ToBuffer(recovery.publicKey);
+    const openDek = (sealedDek) =>
+      cryptoService.openRecoveryDek(privateKey, publicKey, sealedDek, username);
+
+    const keyEnvelope = cryptoService.createKeyEnvelope(
+      user.keyEnvelope?.kdf.name
+    );
+    const salt = cryptoService.generateSalt();
+    const masterKey = await cryptoService.deriveMasterKey(
+      newPin,
+      salt,
+      keyEnvelope
+    );
+    const wrappedDek = await cryptoService.wrapDek(
+      masterKey,
+      await openDek(recovery.sealedDek),
+      keyEnvelope
+    );
+    const pendingWrappedDek =
+      user.pendingWrappedDek &&
+      (await cryptoService.wrapDek(
+        masterKey,
+        await openDek(recovery.pendingSealedDek),
+        keyEnvelope
+      ));
+
+    const shares = cryptoService.generateRecoveryShares();
+    return {
+      salt,
+      wrappedDek,
+      pendingWrappedDek,
+      keyEnvelope,
+      recovery: {
+        ...recovery,
+        wrappedPrivateKey: await cryptoService.wrapPrivateKey(
+          await cryptoService.importRecoveryKey(
+            shares.deviceShare,
+            shares.serverShare
+          ),
+          privateKey,
+          username,
+          RECOVERY_KEY_PURPOSE
+        ),
+        deviceShare: shares.deviceShare,
+      },
+      serverShare: shares.serverShare,
+    };
+  },
+
+  /**
+   * Starts a DEK rotation: generates a new DEK, wraps it under the user's
+   * Master Key with the user's key envelope and unlocks it into the pending
+   * slot. If the user has PIN recovery, the new DEK is sealed for their
+   * recovery key as well. Fails with an OperationError if the PIN is wrong.
+   * @param {{pin: string, user: Object, username: string}} params
+   * @returns {Promise<{pendingWrappedDek: ArrayBuffer, pendingSealedDek?: Object}>}
+   *   The new DEK, wrapped, and sealed for recovery.
+   */
+  async beginRotation({ pin, user, username }) {
+    const { salt, wrappedDek, keyEnvelope } = user;
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      salt,
+      keyEnvelope
+    );
+    // Unwrapping the current DEK proves the PIN is correct before we commit
+    // to a rotation that would otherwise be wrapped under the wrong key.
+    await cryptoService.unwrapDek(masterKey, wrappedDek, false, keyEnvelope);
+
+    const dek = await cryptoService.generateDek();
+    const pendingWrappedDek = await cryptoService.wrapDek(
+      masterKey,
+      dek,
+      keyEnvelope
+    );
+    const pendingSealedDek =
+      user.recovery &&
+      (await cryptoService.sealRecoveryDek(
+        base64ToBuffer(user.recovery.publicKey),
+        dek,
+        username
+      ));
+    // Re-import the new DEK as non-extractable for use in this session.
+    keySlots.set(
+      PENDING_DEK_SLOT,
+      await unwrapSlot(masterKey, pendingWrappedDek, keyEnvelope)
+    );
+    return { pendingWrappedDek, pendingSealedDek };
+  },
+
+  /**
+   * Makes the pending DEK the session's DEK once every record has been
+   * re-encrypted under it.
+   */
+  async finishRotation() {
+    keySlots.set(DEK_SLOT, getSlot(PENDING_DEK_SLOT));
+    keySlots.delete(PENDING_DEK_SLOT);
+  },
+
+  /**
+   * Encrypts an item into the fields stored on its record. The payload is
+   * encrypted under the item's content key, which is wrapped under the DEK.
+   * The ciphertext is bound to the record's ID, owner and schema version via
+   * AES-GCM AAD, and the item's keywords are turned into blind index tokens.
+   * @param {{item: Object, slot?: string, wrappedKey?: ArrayBuffer}} params -
+   *   The item, including its 'id' and 'owner'; the slot of the DEK to wrap
+   *   the content key under; and the item's current wrapped content key, if
+   *   it has one. Without it, a new content key is generated.
+   * @returns {Promise<{data: ArrayBuffer, schemaVersion: number, envelope: Object, wrappedKey: ArrayBuffer, tokens: Array<string>}>}
+   */
+  async encryptItem({ item, slot = DEK_SLOT, wrappedKey }) {
+    const { dek, indexKey } = getSlot(slot);
+    const schemaVersion = RECORD_SCHEMA_VERSION;
+    const keyAad = cryptoService.buildContentKeyAad(item);
+    // An item keeps its content key when it is saved again, so that the
+    // copies of the key shared with other users stay valid.
+    const contentKey = wrappedKey
+      ? await cryptoService.unwrapContentKey(
+          getSlot(DEK_SLOT).dek,
+          wrappedKey,
+          keyAad,
+          true
+        )
+      : await cryptoService.generateContentKey();
+    const aad = cryptoService.buildRecordAad({
+      id: item.id,
+      owner: item.owner,
+      schemaVersion,
+    });
+    const data = await cryptoService.encryptData(
+      contentKey,
+      JSON.stringify(item),
+      aad
+    );
+    return {
+      data,
+      schemaVersion,
+      envelope: cryptoService.createDataEnvelope(),
+      wrappedKey: await cryptoService.wrapContentKey(dek, contentKey, keyAad),
+      tokens: await computeTokens(indexKey, itemKeywords(item)),
+    };
+  },
+
+  /**
+   * Decrypts a stored record and checks that the decrypted item matches the
+   * record's metadata. Records with a schema version fail to decrypt if their
+   * ID, owner or version was tampered with; legacy records have no AAD, so the
+   * ID and owner inside the payload are the only defense for them.
+   * @param {{record: Object, slot?: string}} params - The encrypted record from
+   *   the database, and the slot of the DEK to decrypt with.
+   * @returns {Promise<Object>} The decrypted item.
+   */
+  async decryptRecord({ record, slot = DEK_SLOT }) {
+    return decryptRecord(record, getSlot(slot).dek);
+  },
+
+  /**
+   * Computes the blind index tokens of a stored record, for records that were
+   * stored without them (e.g. pulled from the server, where tokens are not
+   * kept).
+   * @param {{record: Object}} params - The encrypted record from the database.
+   * @returns {Promise<Array<string>>} The record's tokens.
+   */
+  async indexRecord({ record }) {
+    const { dek, indexKey } = getSlot(DEK_SLOT);
+    const item = await decryptRecord(record, dek);
+    return computeTokens(indexKey, itemKeywords(item));
+  },
+
+  /**
+   * Turns a search query into the tokens of its keywords. A record matches
+   * the query if it has all of them.
+   * @param {{query: string}} params
+   * @returns {Promise<Array<string>>} The query's tokens; empty if it has no
+   *   searchable keywords.
+   */
+  async searchTokens({ query }) {
+    return computeTokens(getSlot(DEK_SLOT).indexKey, extractKeywords(query));
+  },
+
+  /**
+   * Creates a passphrase-protected backup of a user's records. The user's DEK
+   * is unwrapped with their PIN and wrapped again under a key derived from the
+   * backup passphrase, with a fresh salt and the current parameters of the
+   * user's KDF. The records are copied as they are (still encrypted under the
+   * DEK), and the whole file is authenticated with an HMAC key derived from
+   * the DEK. Fails with an OperationError if the PIN is wrong.
+   * @param {{pin: string, passphrase: string, user: Object, username: string, records: Array<Object>}} params
+   * @returns {Promise<Object>} The backup, ready to be serialized as JSON.
+   */
+  async createBackup({ pin, passphrase, user, username, records }) {
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      user.salt,
+      user.keyEnvelope
+    );
+    // Extractable, so that it can be wrapped under the backup key.
+    const dek = await cryptoService.unwrapDek(
+      masterKey,
+      user.wrappedDek,
+      true,
+      user.keyEnvelope
+    );
+
+    const keyEnvelope = cryptoService.createKeyEnvelope(
+      user.keyEnvelope?.kdf.name
+    );
+    const salt = cryptoService.generateSalt();
+    const backupKey = await cryptoService.deriveMasterKey(
+      passphrase,
+      salt,
+      keyEnvelope
+    );
+    const wrappedDek = await cryptoService.wrapDek(backupKey, dek, keyEnvelope);
+    const macKey = await cryptoService.unwrapBackupMacKey(
+      backupKey,
+      wrappedDek,
+      keyEnvelope
+    );
+
+    const body = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      username,
+      createdAt: new Date().toISOString(),
+      salt: bufferToBase64(salt),
+      keyEnvelope,
+      wrappedDek: bufferToBase64(wrappedDek),
+      records: records.map((record) => ({
+        id: record.id,
+        data: bufferToBase64(record.data),
+        schemaVersion: record.schemaVersion,
+        envelope: record.envelope,
+        wrappedKey: record.wrappedKey && bufferToBase64(record.wrappedKey),
+        revision: record.revision || 0,
+      })),
+    };
+    const mac = await cryptoService.sign(macKey, JSON.stringify(body));
+    return { ...body, mac: bufferToBase64(mac) };
+  },
+
+  /**
+   * Opens a backup and re-encrypts its items under the session's DEK, so they
+   * can be stored on this device whatever DEK the backup was made with. The
+   * backup's DEK is unwrapped with the passphrase and used only within this
+   * operation. Fails if the passphrase is wrong (OperationError), the file's
+   * MAC does not verify, or any record does not decrypt.
+   * @param {{backup: Object, passphrase: string}} params - The parsed backup file.
+   * @returns {Promise<Array<Object>>} The backup's records, re-encrypted, each
+   *   with `id`, `data`, `schemaVersion`, `envelope`, `tokens` and the
+   *   `revision` it had when the backup was made.
+   */
+  async restoreBackup({ backup, passphrase }) {
+    const { mac, ...body } = backup;
+    if (
+      body.format !== BACKUP_FORMAT ||
+      body.version !== BACKUP_VERSION ||
+      typeof mac !== "string" ||
+      typeof body.username !== "string" ||
+      typeof body.salt !== "string" ||
+      typeof body.wrappedDek !== "string" ||
+      typeof body.keyEnvelope?.kdf !== "object" ||
+      !Array.isArray(body.records)
+    ) {
+      throw new Error("This is not a supported backup file.");
+    }
+    cryptoService.checkKeyEnvelope(body.keyEnvelope);
+    const backupKey = await cryptoService.deriveMasterKey(
+      passphrase,
+      new Uint8Array(base64ToBuffer(body.salt)),
+      body.keyEnvelope
+    );
+    const wrappedDek = base64ToBuffer(body.wrappedDek);
+    const backupDek = await cryptoService.unwrapDek(
+      backupKey,
+      wrappedDek,
+      false,
+      body.keyEnvelope
+    );
+    const macKey = await cryptoService.unwrapBackupMacKey(
+      backupKey,
+      wrappedDek,
+      body.keyEnvelope
+    );
+    const valid = await cryptoService.verify(
+      macKey,
+      base64ToBuffer(mac),
+      JSON.stringify(body)
+    );
+    if (!valid) {
+      throw new Error("The backup file has been modified or is corrupt.");
+    }
+
+    const restored = [];
+    for (const record of body.records) {
+      const item = await decryptRecord(
+        {
+          ...record,
+          owner: body.username,
+          data: base64ToBuffer(record.data),
+          wrappedKey: record.wrappedKey && base64ToBuffer(record.wrappedKey),
+        },
+        backupDek
+      );
+      restored.push({
+        id: record.id,
+        revision: record.revision,
+        ...(await operations.encryptItem({ item })),
+      });
+    }
+    return restored;
+  },
+
+  /**
+   * Generates a user's long-term key pair for receiving shared items. The
+   * private key is wrapped under the DEK; only the wrapped form leaves the
+   * worker.
+   * @param {{username: string}} params
+   * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer}>}
+   *   The raw public key, base64-encoded, and the wrapped private key.
+   */
+  async createUserKeyPair({ username }) {
+    const keyPair = await cryptoService.generateUserKeyPair();
+    const publicKey = await cryptoService.exportPublicKey(keyPair.publicKey);
+    return {
+      publicKey: bufferToBase64(publicKey),
+      wrappedPrivateKey: await cryptoService.wrapPrivateKey(
+        getSlot(DEK_SLOT).dek,
+        keyPair.privateKey,
+        username
+      ),
+    };
+  },
+
+  /**
+   * Generates the audit key pair of a user provisioned before audit logs
+   * existed.
+   * @param {{username: string}} params
+   * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer}>}
+   */
+  async createAuditKey({ username }) {
+    return createAuditKey(getSlot(DEK_SLOT).dek, username);
+  },
+
+  /**
+   * Wraps a user's private key, currently wrapped under the DEK, under the
+   * pending DEK of a key rotation.
+   * @param {{username: string, wrappedPrivateKey: ArrayBuffer, audit?: boolean}} params -
+   *   Set `audit` for the audit private key instead of the sharing one.
+   * @returns {Promise<ArrayBuffer>} The private key wrapped under the pending DEK.
+   */
+  async rewrapPrivateKey({ username, wrappedPrivateKey, audit = false }) {
+    const purpose = audit ? AUDIT_KEY_PURPOSE : undefined;
+    const privateKey = await cryptoService.unwrapPrivateKey(
+      getSlot(DEK_SLOT).dek,
+      wrappedPrivateKey,
+      username,
+      true,
+      purpose
+    );
+    return cryptoService.wrapPrivateKey(
+      getSlot(PENDING_DEK_SLOT).dek,
+      privateKey,
+      username,
+      purpose
+    );
+  },
+
+  /**
+   * Seals an audit event for a user and links it to the previous entry of
+   * their audit log. Needs no unlocked key, so events are also recorded while
+   * the session is locked.
+   * @param {{owner: string, seq: number, prevHash: string, event: Object, publicKey: string}} params -
+   *   The entry's owner and position, the previous entry's hash ("" for the
+   *   first entry), the event, and the owner's base64 audit public key.
+   * @returns {Promise<{owner: string, seq: number, prevHash: string, ephemeralPublicKey: string, data: string, envelope: Object, hash: string}>}
+   *   The entry, ready to be stored and uploaded as is.
+   */
+  async sealAuditEntry({ owner, seq, prevHash, event, publicKey }) {
+    const sealed = await cryptoService.sealAuditEvent(
+      base64ToBuffer(publicKey),
+      JSON.stringify(event),
+      cryptoService.buildAuditEntryAad({ owner, seq })
+    );
+    const entry = {
+      owner,
+      seq,
+      prevHash,
+      ephemeralPublicKey: bufferToBase64(sealed.ephemeralPublicKey),
+      data: bufferToBase64(sealed.data),
+      envelope: sealed.envelope,
+    };
+    return { ...entry, hash: await cryptoService.hashAuditEntry(entry) };
+  },
+
+  /**
+   * Checks the hash chain of a user's audit log and decrypts its events.
+   * Entries sealed for an earlier audit key (before the user was provisioned
+   * on this device again) are reported as unreadable.
+   * @param {{username: string, entries: Array<Object>, auditKey: {publicKey: string, wrappedPrivateKey: ArrayBuffer}}} params -
+   *   The stored entries in order, and the user's audit key pair.
+   * @returns {Promise<{events: Array<{seq: number, event: Object|null}>, brokenAt: number|null}>}
+   *   The events, and the sequence number of the first entry that does not
+   *   link to the one before it (null if the chain is intact).
+   */
+  async openAuditLog({ username, entries, auditKey }) {
+    const privateKey = await cryptoService.unwrapPrivateKey(
+      getSlot(DEK_SLOT).dek,
+      auditKey.wrappedPrivateKey,
+      username,
+      false,
+      AUDIT_KEY_PURPOSE
+    );
+    const publicKey = base64ToBuffer(auditKey.publicKey);
+    const events = [];
+    let brokenAt = null;
+    let prevHash = "";
+    for (const entry of entries) {
+      if (
+        brokenAt === null &&
+        (entry.owner !== username ||
+          entry.seq !== events.length + 1 ||
+          entry.prevHash !== prevHash ||
+          entry.hash !== (await cryptoService.hashAuditEntry(entry)))
+      ) {
+        brokenAt = entry.seq;
+      }
+      prevHash = entry.hash;
+      let event = null;
+      try {
+        event = JSON.parse(
+          await cryptoService.openAuditEvent(
+            privateKey,
+            publicKey,
+            {
+              ephemeralPublicKey: base64ToBuffer(entry.ephemeralPublicKey),
+              data: base64ToBuffer(entry.data),
+              envelope: entry.envelope,
+            },
+            cryptoService.buildAuditEntryAad(entry)
+          )
+        );
+      } catch {
+        // Sealed for an earlier audit key, or modified.
+      }
+      events.push({ seq: entry.seq, event });
+    }
+    return { events, brokenAt };
+  },
+
+  /**
+   * Seals a record's content key for another user.
+   * @param {{record: Object, recipient: string, recipientPublicKey: string}} params -
+   *   The encrypted record (with a `wrappedKey`), and the recipient's username
+   *   and base64 raw public key.
+   * @returns {Promise<{ephemeralPublicKey: string, wrappedKey: string}>} The
+   *   sealed key, base64-encoded.
+   */
+  async shareItem({ record, recipient, recipientPublicKey }) {
+    const contentKey = await cryptoService.unwrapContentKey(
+      getSlot(DEK_SLOT).dek,
+      record.wrappedKey,
+      cryptoService.buildContentKeyAad(record),
+      true
+    );
+    const { ephemeralPublicKey, wrappedKey } =
+      await cryptoService.sealContentKey(
+        base64ToBuffer(recipientPublicKey),
+        contentKey,
+        cryptoService.buildContentKeyAad(record, recipient)
+      );
+    return {
+      ephemeralPublicKey: bufferToBase64(ephemeralPublicKey),
+      wrappedKey: bufferToBase64(wrappedKey),
+    };
+  },
+
+  /**
+   * Decrypts an item another user shared with this user. The user's private
+   * key is unwrapped with their DEK, opens the item's content key, and the
+   * content key decrypts the owner's record.
+   * @param {{share: Object, username: string, keyPair: Object}} params - The
+   *   stored share (`owner`, `itemId`, `ephemeralPublicKey`, `wrappedKey`,
+   *   `data`, `schemaVersion`, `envelope`), the recipient, and the
+   *   recipient's stored key pair.
+   * @returns {Promise<Object>} The decrypted item.
+   */
+  async decryptSharedItem({ share, username, keyPair }) {
+    const privateKey = await cryptoService.unwrapPrivateKey(
+      getSlot(DEK_SLOT).dek,
+      keyPair.wrappedPrivateKey,
+      username
+    );
+    const record = {
+      id: share.itemId,
+      owner: share.owner,
+      schemaVersion: share.schemaVersion,
+    };
+    const contentKey = await cryptoService.openContentKey(
+      privateKey,
+      base64ToBuffer(keyPair.publicKey),
+      share.ephemeralPublicKey,
+      share.wrappedKey,
+      cryptoService.buildContentKeyAad(record, username)
+    );
+    const item = JSON.parse(
+      await cryptoService.decryptData(
+        contentKey,
+        share.data,
+        cryptoService.buildRecordAad(record),
+        share.envelope
+      )
+    );
+    if (item.id !== record.id || item.owner !== record.owner) {
+      throw new Error(`Item ${record.id} does not match its share metadata.`);
+    }
+    return item;
+  },
+
+  /**
+   * Creates an attachment's key, wrapped under the DEK, and encrypts its
+   * metadata (file name, type and size) with it.
+   * @param {{attachment: Object, metadata: Object}} params - The attachment's
+   *   `id`, `itemId` and `owner`, and its metadata.
+   * @returns {Promise<{wrappedKey: ArrayBuffer, metadata: ArrayBuffer, envelope: Object}>}
+   */
+  async createAttachment({ attachment, metadata }) {
+    const key = await cryptoService.generateContentKey();
+    return {
+      wrappedKey: await cryptoService.wrapContentKey(
+        getSlot(DEK_SLOT).dek,
+        key,
+        cryptoService.buildAttachmentAad(attachment, ["key"])
+      ),
+      metadata: await cryptoService.encryptData(
+        key,
+        JSON.stringify(metadata),
+        cryptoService.buildAttachmentAad(attachment, ["metadata"])
+      ),
+      envelope: cryptoService.createDataEnvelope(),
+    };
+  },
+
+  /**
+   * Decrypts an attachment's metadata.
+   * @param {{attachment: Object}} params - The stored attachment.
+   * @returns {Promise<{name: string, type: string, size: number}>}
+   */
+  async decryptAttachmentMetadata({ attachment }) {
+    return JSON.parse(
+      await cryptoService.decryptData(
+        await unwrapAttachmentKey(attachment),
+        attachment.metadata,
+        cryptoService.buildAttachmentAad(attachment, ["metadata"]),
+        attachment.envelope
+      )
+    );
+  },
+
+  /**
+   * Encrypts one chunk of an attachment under a fresh IV. The last chunk is
+   * the one whose index is `chunkCount - 1`.
+   * @param {{attachment: Object, index: number, chunk: ArrayBuffer}} params
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async encryptAttachmentChunk({ attachment, index, chunk }) {
+    return cryptoService.encryptBytes(
+      await unwrapAttachmentKey(attachment),
+      chunk,
+      attachmentChunkAad(attachment, index)
+    );
+  },
+
+  /**
+   * Decrypts one chunk of an attachment.
+   * @param {{attachment: Object, index: number, data: ArrayBuffer}} params
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async decryptAttachmentChunk({ attachment, index, data }) {
+    return cryptoService.decryptBytes(
+      await unwrapAttachmentKey(attachment),
+      data,
+      attachmentChunkAad(attachment, index),
+      attachment.envelope
+    );
+  },
+
+  /**
+   * Wraps an attachment's key, currently wrapped under the DEK, under the
+   * pending DEK of a key rotation. The chunks themselves are not re-encrypted.
+   * @param {{attachment: Object}} params - The stored attachment.
+   * @returns {Promise<ArrayBuffer>} The key wrapped under the pending DEK.
+   */
+  async rewrapAttachmentKey({ attachment }) {
+    return cryptoService.wrapContentKey(
+      getSlot(PENDING_DEK_SLOT).dek,
+      await unwrapAttachmentKey(attachment, true),
+      cryptoService.buildAttachmentAad(attachment, ["key"])
+    );
+  },
+
+  /**
+   * Starts this device's side of a pairing with a fresh ECDH key pair,
+   * replacing any pairing in progress.
+   * @returns {Promise<{publicKey: string, commitment: string}>} The raw public
+   *   key and its SHA-256 hash, both base64-encoded.
+   */
+  async beginPairing() {
+    const keyPair = await cryptoService.generatePairingKeyPair();
+    const publicKey = await cryptoService.exportPublicKey(keyPair.publicKey);
+    pairing = { keyPair, publicKey: bufferToBase64(publicKey) };
+    return {
+      publicKey: pairing.publicKey,
+      commitment: bufferToBase64(await cryptoService.digest(publicKey)),
+    };
+  },
+
+  /**
+   * Derives the pairing's transfer key and verification code once both public
+   * keys are known. The initiator's key is checked against the commitment it
+   * made before it saw the responder's key.
+   * @param {{commitment: string, initiatorKey: string, responderKey: string}} params
+   *   The pairing's commitment and public keys, base64-encoded.
+   * @returns {Promise<{verificationCode: string}>} The code to show the user.
+   */
+  async completePairingExchange({ commitment, initiatorKey, responderKey }) {
+    if (!pairing) throw new Error("No pairing is in progress.");
+    const isInitiator = pairing.publicKey === initiatorKey;
+    if (!isInitiator && pairing.publicKey !== responderKey) {
+      throw new Error("This device's key is not part of the pairing.");
+    }
+    const initiatorBytes = new Uint8Array(base64ToBuffer(initiatorKey));
+    const expected = await cryptoService.digest(initiatorBytes);
+    if (bufferToBase64(expected) !== commitment) {
+      throw new Error("The other device's key does not match its commitment.");
+    }
+
+    const responderBytes = new Uint8Array(base64ToBuffer(responderKey));
+    const transcript = new Uint8Array(
+      initiatorBytes.length + responderBytes.length
+    );
+    transcript.set(initiatorBytes);
+    transcript.set(responderBytes, initiatorBytes.length);
+    const { transferKey, verificationCode } =
+      await cryptoService.derivePairingSecrets(
+        pairing.keyPair.privateKey,
+        (isInitiator ? responderBytes : initiatorBytes).buffer,
+        transcript
+      );
+    pairing.transferKey = transferKey;
+    return { verificationCode };
+  },
+
+  /**
+   * Encrypts the user's DEK under the pairing's transfer key, for the new
+   * device. The DEK is unwrapped with the PIN, which doubles as the user's
+   * approval of the pairing. Ends the pairing. Fails with an OperationError
+   * if the PIN is wrong.
+   * @param {{pin: string, user: Object}} params
+   * @returns {Promise<ArrayBuffer>} The encrypted DEK, prepended with its IV.
+   */
+  async wrapDekForPairing({ pin, user }) {
+    const transferKey = getPairingTransferKey();
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      user.salt,
+      user.keyEnvelope
+    );
+    // Extractable, so that it can be wrapped under the transfer key.
+    const dek = await cryptoService.unwrapDek(
+      masterKey,
+      user.wrappedDek,
+      true,
+      user.keyEnvelope
+    );
+    const encryptedKey = await cryptoService.wrapDek(transferKey, dek);
+    pairing = null;
+    return encryptedKey;
+  },
+
+  /**
+   * Creates the provisioning data for a user from a DEK received from their
+   * other device: the DEK is decrypted with the pairing's transfer key and
+   * wrapped under a Master Key derived from this device's new PIN. Ends the
+   * pairing.
+   * @param {{encryptedKey: ArrayBuffer, pin: string, kdfName?: string, username: string, pinRecovery?: boolean}} params
+   * @returns {Promise<{salt: Uint8Array, wrappedDek: ArrayBuffer, keyEnvelope: Object, auditKey: Object, recovery?: Object, serverShare?: Uint8Array}>}
+   */
+  async provisionPairedUser({
+    encryptedKey,
+    pin,
+    kdfName,
+    username,
+    pinRecovery = false,
+  }) {
+    const keyEnvelope = cryptoService.createKeyEnvelope(kdfName);
+    const dek = await cryptoService.unwrapDek(
+      getPairingTransferKey(),
+      encryptedKey,
+      true,
+      keyEnvelope
+    );
+    pairing = null;
+    const salt = cryptoService.generateSalt();
+    const masterKey = await cryptoService.deriveMasterKey(
+      pin,
+      salt,
+      keyEnvelope
+    );
+    const wrappedDek = await cryptoService.wrapDek(masterKey, dek, keyEnvelope);
+    const auditKey = await createAuditKey(dek, username);
+    return {
+      salt,
+      wrappedDek,
+      keyEnvelope,
+      auditKey,
+      ...(pinRecovery && (await createRecovery(dek, username))),
+    };
+  },
+
+  /**
+   * Abandons the pairing in progress, if any.
+   */
+  async cancelPairing() {
+    pairing = null;
+  },
+
+  /**
+   * Generates a non-extractable device integrity key. Unlike the DEK, this key
+   * is returned to the page so it can be stored in IndexedDB; being
+   * non-extractable, its raw value can never be read.
+   * @returns {Promise<CryptoKey>}
+   */
+  async generateIntegrityKey() {
+    return cryptoService.generateIntegrityKey();
+  },
+
+  /**
+   * Computes an HMAC over a string.
+   * @param {{key: CryptoKey, message: string}} params
+   * @returns {Promise<ArrayBuffer>} The MAC.
+   */
+  async sign({ key, message }) {
+    return cryptoService.sign(key, message);
+  },
+
+  /**
+   * Verifies an HMAC over a string.
+   * @param {{key: CryptoKey, mac: ArrayBuffer, message: string}} params
+   * @returns {Promise<boolean>} True if the MAC is valid.
+   */
+  async verify({ key, mac, message }) {
+    return cryptoService.verify(key, mac, message);
+  },
+
+  /**
+   * Verifies a signature made by the server over a string.
+   * @param {{publicKey: ArrayBuffer, signature: ArrayBuffer, message: string}} params
+   * @returns {Promise<boolean>} True if the signature is valid.
+   */
+  async verifySignature({ publicKey, signature, message }) {
+    return cryptoService.verifySignature(publicKey, signature, message);
+  },
+};
+
+/**
+ * Unwraps an attachment's key with the DEK.
+ * @param {Object} attachment - The stored attachment, with its `wrappedKey`.
+ * @param {boolean} [extractable=false] - Whether the key may be wrapped again.
+ * @returns {Promise<CryptoKey>}
+ */
+function unwrapAttachmentKey(attachment, extractable = false) {
+  return cryptoService.unwrapContentKey(
+    getSlot(DEK_SLOT).dek,
+    attachment.wrappedKey,
+    cryptoService.buildAttachmentAad(attachment, ["key"]),
+    extractable
+  );
+}
+
+/**
+ * Builds the AAD of one chunk of an attachment, marking the last chunk as
+ * final so that a truncated attachment does not decrypt.
+ * @param {Object} attachment - The stored attachment, with its `chunkCount`.
+ * @param {number} index - The chunk's index.
+ * @returns {Uint8Array}
+ */
+function attachmentChunkAad(attachment, index) {
+  return cryptoService.buildAttachmentAad(attachment, [
+    "chunk",
+    index,
+    index === attachment.chunkCount - 1,
+  ]);
+}
+
+/**
+ * Generates a user's audit key pair. Audit events are sealed for the public
+ * key, which is stored in the clear; the private key that reads them is
+ * wrapped under the DEK.
+ * @param {CryptoKey} dek - The user's DEK.
+ * @param {string} username - The key's owner.
+ * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer}>}
+ */
+async function createAuditKey(dek, username) {
+  const keyPair = await cryptoService.generateUserKeyPair();
+  const publicKey = await cryptoService.exportPublicKey(keyPair.publicKey);
+  return {
+    publicKey: bufferToBase64(publicKey),
+    wrappedPrivateKey: await cryptoService.wrapPrivateKey(
+      dek,
+      keyPair.privateKey,
+      username,
+      AUDIT_KEY_PURPOSE
+    ),
+  };
+}
+
+/**
+ * Creates a user's PIN recovery data: a recovery key pair, the DEK sealed for
+ * its public key, and its private key wrapped under a recovery key made of two
+ * random shares. The device keeps everything but the server's share, which is
+ * escrowed with the server and never stored here; the server holds nothing
+ * else, so neither side can open the DEK alone. The sealed DEK can be replaced
+ * without either share, e.g. when the DEK is rotated.
+ * @param {CryptoKey} dek - The user's extractable DEK.
+ * @param {string} username - The DEK's owner.
+ * @returns {Promise<{recovery: {publicKey: string, wrappedPrivateKey: ArrayBuffer, sealedDek: Object, deviceShare: Uint8Array}, serverShare: Uint8Array}>}
+ */
+async function createRecovery(dek, username) {
+  const keyPair = await cryptoService.generateUserKeyPair();
+  const publicKey = await cryptoService.exportPublicKey(keyPair.publicKey);
+  const { deviceShare, serverShare } = cryptoService.generateRecoveryShares();
+  const recoveryKey = await cryptoService.importRecoveryKey(
+    deviceShare,
+    serverShare
+  );
+  return {
+    recovery: {
+      publicKey: bufferToBase64(publicKey),
+      wrappedPrivateKey: await cryptoService.wrapPrivateKey(
+        recoveryKey,
+        keyPair.privateKey,
+        username,
+        RECOVERY_KEY_PURPOSE
+      ),
+      sealedDek: await cryptoService.sealRecoveryDek(publicKey, dek, username),
+      deviceShare,
+    },
+    serverShare,
+  };
+}
+
+/**
+ * Looks up the unlocked keys in a slot.
+ * @param {string} slot
+ * @returns {{dek: CryptoKey, indexKey: CryptoKey}}
+ */
+function getSlot(slot) {
+  const keys = keySlots.get(slot);
+  if (!keys) throw new Error("Session is locked.");
+  return keys;
+}
+
+/**
+ * Looks up the transfer key of the pairing in progress.
+ * @returns {CryptoKey}
+ */
+function getPairingTransferKey() {
+  if (!pairing?.transferKey) {
+    throw new Error("The pairing has not been verified yet.");
+  }
+  return pairing.transferKey;
+}
+
+/**
+ * Unwraps a DEK and derives its blind index key.
+ * @param {CryptoKey} masterKey - The key the DEK is wrapped under.
+ * @param {ArrayBuffer} wrappedDek - The wrapped DEK.
+ * @param {Object} [keyEnvelope] - The user's key envelope.
+ * @returns {Promise<{dek: CryptoKey, indexKey: CryptoKey}>}
+ */
+async function unwrapSlot(masterKey, wrappedDek, keyEnvelope) {
+  return {
+    dek: await cryptoService.unwrapDek(
+      masterKey,
+      wrappedDek,
+      false,
+      keyEnvelope
+    ),
+    indexKey: await cryptoService.unwrapIndexKey(
+      masterKey,
+      wrappedDek,
+      keyEnvelope
+    ),
+  };
+}
+
+/**
+ * Decrypts a stored record and checks that the decrypted item matches the
+ * record's metadata.
+ * @param {Object} record - The encrypted record from the database.
+ * @param {CryptoKey} dek - The DEK to decrypt with.
+ * @returns {Promise<Object>} The decrypted item.
+ */
+async function decryptRecord(record, dek) {
+  const aad = record.schemaVersion
+    ? cryptoService.buildRecordAad(record)
+    : undefined;
+  // Records from before per-item content keys are encrypted under the DEK.
+  const key = record.wrappedKey
+    ? await cryptoService.unwrapContentKey(
+        dek,
+        record.wrappedKey,
+        cryptoService.buildContentKeyAad(record)
+      )
+    : dek;
+  const item = JSON.parse(
+    await cryptoService.decryptData(key, record.data, aad, record.envelope)
+  );
+  if (item.id !== record.id || item.owner !== record.owner) {
+    throw new Error(`Item ${record.id} does not match its record metadata.`);
+  }
+  return item;
+}
+
+/**
+ * Splits text into normalized, unique keywords: lower-cased runs of letters
+ * and digits.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractKeywords(text) {
+  const words = text
+    .normalize("NFKC")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return [...new Set(words)].filter(
+    (word) => word.length >= MIN_KEYWORD_LENGTH
+  );
+}
+
+/**
+ * Collects the searchable keywords of an item: those of every string field
+ * except its ID and owner.
+ * @param {Object} item
+ * @returns {Array<string>}
+ */
+function itemKeywords(item) {
+  const text = Object.entries(item)
+    .filter(
+      ([field, value]) =>
+        field !== "id" && field !== "owner" && typeof value === "string"
+    )
+    .map(([, value]) => value)
+    .join(" ");
+  return extractKeywords(text).slice(0, MAX_KEYWORDS_PER_ITEM);
+}
+
+/**
+ * Computes the blind index tokens of a list of keywords.
+ * @param {CryptoKey} indexKey
+ * @param {Array<string>} keywords
+ * @returns {Promise<Array<string>>}
+ */
+function computeTokens(indexKey, keywords) {
+  return Promise.all(
+    keywords.map((keyword) =>
+      cryptoService.computeBlindToken(indexKey, keyword)
+    )
+  );
+}
+
+self.addEventListener("message", async (event) => {
+  const { id, operation, params } = event.data;
+  try {
+    if (!Object.hasOwn(operations, operation)) {
+      throw new Error(`Unknown crypto operation: ${operation}`);
+    }
+    const result = await operations[operation](params || {});
+    self.postMessage({ id, result });
+  } catch (error) {
+    // Errors are not structured-cloneable in every browser; send the parts the
+    // page relies on, such as the "OperationError" name for a wrong PIN.
+    self.postMessage({
+      id,
+      error: { name: error.name, message: error.message },
+    });
+  }
+});
@@ -6,13 +6,26 @@
  * the database connection, schema, and all data access methods.
  */
 
-import { openDB } from "idb";
+import { deleteDB, openDB } from "idb";
+import { bufferToBase64 } from "./encoding.js";
+import { compareVersions } from "./version-vector.js";
 
 // --- Database Configuration ---
 const DB_NAME = "secure-offline-pwa-db";
-const DB_VERSION = 2; // Version must be an integer. Increment it when the schema changes.
+const DB_VERSION = 8; // Version must be an integer. Increment it when the schema changes.
 const USERS_STORE = "users"; // Stores provisioning data for each user (salt, wrappedDek).
 const DATA_STORE = "app-data"; // Stores the actual encrypted application data.
+const DEVICE_STORE = "device"; // Stores device-wide values, such as the integrity key.
+const SHARED_STORE = "shared-items"; // Stores items other users shared with a user.
+const ATTACHMENTS_STORE = "attachments"; // Stores each attachment's wrapped key and encrypted metadata.
+const CHUNKS_STORE = "attachment-chunks"; // Stores the encrypted chunks of attachments.
+// Stores the pending server operation of each changed record. The service
+// worker reads this store directly, so its name and layout must match
+// service-worker.js.
+const OUTBOX_STORE = "outbox";
+// Stores each user's hash-chained, encrypted audit log, keyed by owner and
+// sequence number.
+const AUDIT_STORE = "audit-log";
 
 // --- Database Initialization ---
 // The 'idb' library's openDB function returns a promise that resolves to a DB instance.
@@ -52,6 +65,59 @@ const dbPromise = openDB(DB_NAME, DB_VERSION, {
         db.deleteObjectStore("metadata");
       }
     }
+    if (oldVersion < 3) {
+      // Device-wide key/value pairs, keyed by name.
+      db.createObjectStore(DEVICE_STORE, { keyPath: "name" });
+    }
+    if (oldVersion < 4) {
+      // Blind keyword index: each record carries an array of opaque tokens
+      // (see crypto-worker.js), and multiEntry indexes every token separately.
+      transaction
+        .objectStore(DATA_STORE)
+        .createIndex("by_token", "tokens", { unique: false, multiEntry: true });
+    }
+    if (oldVersion < 5) {
+      // Items shared with a user, as downloaded from the server: the content
+      // key sealed for the recipient and the owner's ciphertext. An item may be
+      // shared with several users of this device, so the recipient is part of
+      // the key.
+      const sharedStore = db.createObjectStore(SHARED_STORE, {
+        keyPath: ["recipient", "owner", "itemId"],
+      });
+      sharedStore.createIndex("by_recipient", "recipient", { unique: false });
+    }
+    if (oldVersion < 6) {
+      // Attachments are split into fixed-size chunks that are encrypted and
+      // stored separately, so a file never has to be held in memory at once.
+      const attachmentsStore = db.createObjectStore(ATTACHMENTS_STORE, {
+        keyPath: "id",
+      });
+      attachmentsStore.createIndex("by_item", "itemId", { unique: false });
+      attachmentsStore.createIndex("by_owner", "owner", { unique: false });
+      db.createObjectStore(CHUNKS_STORE, {
+        keyPath: ["attachmentId", "index"],
+      });
+    }
+    if (oldVersion < 7) {
+      // One pending operation per changed record, ready to be sent to the
+      // server as is. Records that were already waiting to be pushed are
+      // queued right away.
+      const outboxStore = db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+      outboxStore.createIndex("by_owner", "owner", { unique: false });
+      transaction
+        .objectStore(DATA_STORE)
+        .getAll()
+        .then((records) =>
+          Promise.all(
+            records
+              .filter((record) => record.dirty)
+              .map((record) => outboxStore.put(toOutboxEntry(record)))
+          )
+        );
+    }
+    if (oldVersion < 8) {
+      db.createObjectStore(AUDIT_STORE, { keyPath: ["owner", "seq"] });
+    }
   },
 });
 
@@ -64,10 +130,32 @@ export const dbService = {
    * @param {string} username - The user's unique identifier.
    * @param {Uint8Array} salt - The user's unique salt for key derivation.
    * @param {ArrayBuffer} wrappedDek - The user's Data Encryption Key, wrapped with their Master Key.
+   * @param {Object} keyEnvelope - The KDF and wrapping parameters used to produce `wrappedDek`.
    */
-  async saveProvisionedUser(username, salt, wrappedDek) {
+  async saveProvisionedUser(username, salt, wrappedDek, keyEnvelope) {
     const db = await dbPromise;
-    return db.put(USERS_STORE, { username, salt, wrappedDek });
+    return db.put(USERS_STORE, { username, salt, wrappedDek, keyEnvelope });
+  },
+
+  /**
+   * Merges additional fields into an existing user's provisioning record.
+   * @param {string} username - The user to update.
+   * @param {Object} changes - The fields to set on the stored record.
+   * @returns {Promise<Object>} The updated user record.
+   */
+  async updateProvisionedUser(username, changes) {
+    const db = await dbPromise;
+    const tx = db.transaction(USERS_STORE, "readwrite");
+    const user = await tx.store.get(username);
+    if (!user) {
+      throw new Error(
+        `No provisioning information found for user: ${username}`
+      );
+    }
+    const updatedUser = { ...user, ...changes };
+    await tx.store.put(updatedUser);
+    await tx.done;
+    return updatedUser;
   },
 
   /**
@@ -89,6 +177,119 @@ export const dbService = {
     return db.getAll(USERS_STORE);
   },
 
+  /**
+   * Crypto-shreds a user: their wrapped DEK is destroyed and all of their
+   * encrypted records, attachments, pending changes and the items shared with
+   * them are deleted, in a single transaction. Without the wrapped
+   * DEK, any copies of the ciphertext that survive elsewhere are unreadable.
+   * The user record itself is kept, flagged as `wiped`, so the UI can explain
+   * what happened.
+   * @param {string} username - The user to shred.
+   * @param {string} reason - Why the user is shredded: "pin-attempts" or
+   *   "revoked".
+   */
+  async shredUser(username, reason) {
+    const db = await dbPromise;
+    const tx = db.transaction(
+      [
+        USERS_STORE,
+        DATA_STORE,
+        SHARED_STORE,
+        ATTACHMENTS_STORE,
+        CHUNKS_STORE,
+        OUTBOX_STORE,
+      ],
+      "readwrite"
+    );
+    const usersStore = tx.objectStore(USERS_STORE);
+    const user = await usersStore.get(username);
+    if (user) {
+      // The audit log is kept, and its public key with it, so that the wipe
+      // itself is recorded and the log can still be uploaded.
+      await usersStore.put({
+        username,
+        wiped: true,
+        wipeReason: reason,
+        pinAttempts: user.pinAttempts,
+        auditKey: user.auditKey,
+        auditUploadedSeq: user.auditUploadedSeq,
+      });
+    }
+    const dataStore = tx.objectStore(DATA_STORE);
+    const ids = await dataStore.index("by_owner").getAllKeys(username);
+    await Promise.all(ids.map((id) => dataStore.delete(id)));
+    await deleteSharedItems(tx, username);
+    await deleteAttachments(tx, "by_owner", username);
+    await deleteOutboxEntries(tx, username);
+    await tx.done;
+  },
+
+  /**
+   * Removes a user from this device: their provisioning record, all of their
+   * records, attachments and pending changes, their audit log and the items
+   * shared with them are deleted in a single transaction. Unlike `shredUser`,
+   * nothing is kept, so the user no longer appears in the offline user list.
+   * @param {string} username - The user to remove.
+   */
+  async deleteProvisionedUser(username) {
+    const db = await dbPromise;
+    const tx = db.transaction(
+      [
+        USERS_STORE,
+        DATA_STORE,
+        SHARED_STORE,
+        ATTACHMENTS_STORE,
+        CHUNKS_STORE,
+        OUTBOX_STORE,
+        AUDIT_STORE,
+      ],
+      "readwrite"
+    );
+    await tx.objectStore(AUDIT_STORE).delete(auditLogRange(username));
+    await tx.objectStore(USERS_STORE).delete(username);
+    const dataStore = tx.objectStore(DATA_STORE);
+    const ids = await dataStore.index("by_owner").getAllKeys(username);
+    await Promise.all(ids.map((id) => dataStore.delete(id)));
+    await deleteSharedItems(tx, username);
+    await deleteAttachments(tx, "by_owner", username);
+    await deleteOutboxEntries(tx, username);
+    await tx.done;
+  },
+
+  /**
+   * Deletes the entire database, including every user, record and device key.
+   * The connection used by this service is closed first, so the service cannot
+   * be used again until the page is reloaded.
+   */
+  async deleteDatabase() {
+    (await dbPromise).close();
+    await deleteDB(DB_NAME, {
+      blocked() {
+        console.warn("Database deletion is waiting for other tabs to close.");
+      },
+    });
+  },
+
+  /**
+   * Retrieves a device-wide value by name.
+   * @param {string} name - The name of the value.
+   * @returns {Promise<*>} The stored value, or undefined if not set.
+   */
+  async getDeviceValue(name) {
+    const entry = await (await dbPromise).get(DEVICE_STORE, name);
+    return entry?.value;
+  },
+
+  /**
+   * Saves a device-wide value. Values may be anything IndexedDB can store,
+   * including non-extractable CryptoKey objects.
+   * @param {string} name - The name of the value.
+   * @param {*} value - The value to store.
+   */
+  async saveDeviceValue(name, value) {
+    return (await dbPromise).put(DEVICE_STORE, { name, value });
+  },
+
   /**
    * Retrieves a single encrypted data record by its ID.
    * @param {string} id - The unique ID of the data record.
@@ -99,23 +300,593 @@ export const dbService = {
   },
 
   /**
-   * Retrieves all encrypted data records for a specific user.
-   * This function uses the 'by_owner' index for efficient querying.
+   * Retrieves all encrypted data records for a specific user, excluding
+   * deletion tombstones. This function uses the 'by_owner' index for efficient
+   * querying.
    * @param {string} username - The owner of the data.
    * @returns {Promise<Array<Object>>} An array of encrypted data records.
    */
   async getAllDataForUser(username) {
-    const db = await dbPromise;
-    const tx = db.transaction(DATA_STORE, "readonly");
-    const index = tx.store.index("by_owner");
-    return index.getAll(username);
+    const records = await getAllRecordsForUser(username);
+    return records.filter((record) => !record.deleted);
+  },
+
+  /**
+   * Retrieves a user's records that carry the given blind index token. Tokens
+   * are computed with a per-user key, but the index spans all users, so the
+   * results are filtered by owner as well.
+   * @param {string} username - The owner of the data.
+   * @param {string} token - A blind index token.
+   * @returns {Promise<Array<Object>>} The matching encrypted data records.
+   */
+  async getDataForUserByToken(username, token) {
+    const records = await (
+      await dbPromise
+    ).getAllFromIndex(DATA_STORE, "by_token", token);
+    return records.filter(
+      (record) => record.owner === username && !record.deleted
+    );
   },
 
   /**
-   * Saves or updates a single encrypted data record.
+   * Saves or updates a single encrypted data record. If the record is marked
+   * `dirty`, its ciphertext-only server operation is queued in the outbox in
+   * the same transaction, replacing any operation still pending for it.
+   *
+   * The record's version vector must include every write of the stored
+   * version. Otherwise the record was changed (e.g. by a pull) after the
+   * caller read it, and saving fails with a ConflictError instead of
+   * overwriting the newer version.
    * @param {Object} data - The encrypted data record to save.
    */
   async saveEncryptedData(data) {
-    return (await dbPromise).put(DATA_STORE, data);
+    const db = await dbPromise;
+    const tx = db.transaction([DATA_STORE, OUTBOX_STORE], "readwrite");
+    const dataStore = tx.objectStore(DATA_STORE);
+    const stored = await dataStore.get(data.id);
+    const order = stored && compareVersions(data.versions, stored.versions);
+    if (order === "before" || order === "concurrent") {
+      const error = new Error(
+        `Item ${data.id} was changed elsewhere in the meantime.`
+      );
+      error.name = "ConflictError";
+      throw error;
+    }
+    await dataStore.put(data);
+    if (data.dirty) {
+      await tx.objectStore(OUTBOX_STORE).put(toOutboxEntry(data));
+    }
+    await tx.done;
+  },
+
+  /**
+   * Deletes a single data record outright, together with its pending server
+   * operation.
+   * @param {string} id - The unique ID of the data record.
+   */
+  async deleteEncryptedData(id) {
+    const db = await dbPromise;
+    const tx = db.transaction([DATA_STORE, OUTBOX_STORE], "readwrite");
+    await tx.objectStore(DATA_STORE).delete(id);
+    await tx.objectStore(OUTBOX_STORE).delete(id);
+    await tx.done;
+  },
+
+  /**
+   * Records that the server accepted a pushed record. The dirty flag and the
+   * outbox entry are only cleared if the record was not modified again while
+   * the push was in flight; otherwise the newer pending operation is rebased
+   * on the new revision. A tombstone the server has accepted is no longer
+   * needed and is removed. The service worker applies the same rules when it
+   * replays the outbox (see service-worker.js).
+   * @param {string} id - The ID of the pushed record.
+   * @param {number} revision - The new server revision of the record.
+   * @param {number} pushedUpdatedAt - The `updatedAt` value of the pushed version.
+   */
+  async markDataSynced(id, revision, pushedUpdatedAt) {
+    const db = await dbPromise;
+    const tx = db.transaction([DATA_STORE, OUTBOX_STORE], "readwrite");
+    const dataStore = tx.objectStore(DATA_STORE);
+    const outboxStore = tx.objectStore(OUTBOX_STORE);
+    const record = await dataStore.get(id);
+    if (record && record.deleted && record.updatedAt === pushedUpdatedAt) {
+      await dataStore.delete(id);
+    } else if (record) {
+      record.revision = revision;
+      if (record.updatedAt === pushedUpdatedAt) {
+        record.dirty = false;
+      }
+      await dataStore.put(record);
+    }
+    const entry = await outboxStore.get(id);
+    if (entry && entry.updatedAt === pushedUpdatedAt) {
+      await outboxStore.delete(id);
+    } else if (entry) {
+      entry.operation.baseRevision = revision;
+      await outboxStore.put(entry);
+    }
+    await tx.done;
+  },
+
+  /**
+   * Retrieves a user's pending server operations.
+   * @param {string} username - The owner of the changed records.
+   * @returns {Promise<Array<{id: string, owner: string, operation: Object, updatedAt: number, attempts: number, nextAttemptAt: number, conflict: boolean}>>}
+   */
+  async getOutboxForUser(username) {
+    return (await dbPromise).getAllFromIndex(
+      OUTBOX_STORE,
+      "by_owner",
+      username
+    );
+  },
+
+  /**
+   * Counts a user's changes that are waiting to be sent to the server.
+   * @param {string} username - The owner of the changed records.
+   * @returns {Promise<number>}
+   */
+  async countOutboxForUser(username) {
+    return (await dbPromise).countFromIndex(OUTBOX_STORE, "by_owner", username);
+  },
+
+  /**
+   * Flags pending operations the server rejected because the record changed
+   * elsewhere. The service worker stops replaying them; they are still sent
+   * by a manual sync. An entry replaced in the meantime is left alone.
+   * @param {Array<{id: string, updatedAt: number}>} pushedEntries - The
+   *   rejected entries, as they were pushed.
+   */
+  async markOutboxConflicts(pushedEntries) {
+    const db = await dbPromise;
+    const tx = db.transaction(OUTBOX_STORE, "readwrite");
+    for (const pushed of pushedEntries) {
+      const entry = await tx.store.get(pushed.id);
+      if (entry && entry.updatedAt === pushed.updatedAt) {
+        await tx.store.put({ ...entry, conflict: true });
+      }
+    }
+    await tx.done;
+  },
+
+  /**
+   * Stores records pulled from the server. A remote record that is not newer
+   * than the local copy is ignored. If the local copy has pending changes, the
+   * version vectors decide:
+   * - The local copy already includes the remote changes: it is kept and its
+   *   pending operation is rebased on the remote revision.
+   * - The remote record includes the local changes: it replaces the local copy
+   *   and the pending operation is dropped.
+   * - Both were changed concurrently: the local copy is kept and the remote
+   *   version is stored next to it as `conflict`, until the user resolves the
+   *   conflict. An edit made elsewhere wins over a local deletion, though.
+   * Remote tombstones (`deleted: true`) delete the local copy and its
+   * attachments.
+   * @param {string} username - The owner of the pulled records.
+   * @param {Array<Object>} remoteRecords - Records with `id`, `data` (ArrayBuffer),
+   *   `schemaVersion`, `envelope`, `wrappedKey`, `versions` and `revision`, or
+   *   `id`, `deleted`, `versions` and `revision`.
+   * @returns {Promise<{applied: Array<string>, conflicts: Array<string>}>} The affected record IDs.
+   */
+  async applyRemoteData(username, remoteRecords) {
+    const db = await dbPromise;
+    const tx = db.transaction(
+      [DATA_STORE, OUTBOX_STORE, ATTACHMENTS_STORE, CHUNKS_STORE],
+      "readwrite"
+    );
+    const dataStore = tx.objectStore(DATA_STORE);
+    const outboxStore = tx.objectStore(OUTBOX_STORE);
+    const applied = [];
+    const conflicts = [];
+    for (const remote of remoteRecords) {
+      const local = await dataStore.get(remote.id);
+      if (local && local.revision >= remote.revision) continue;
+      if (local && local.dirty) {
+        const order = compareVersions(local.versions, remote.versions);
+        if (order === "after") {
+          local.revision = remote.revision;
+          delete local.conflict;
+          await dataStore.put(local);
+          const entry = await outboxStore.get(remote.id);
+          if (entry) {
+            entry.operation.baseRevision = remote.revision;
+            entry.conflict = false;
+            await outboxStore.put(entry);
+          }
+          continue;
+        }
+        // Records written before version vectors existed compare as equal
+        // without telling anything about their history.
+        const unknown = order === "equal" && isEmptyVersion(local.versions);
+        if ((order === "concurrent" || unknown) && !local.deleted) {
+          local.conflict = toConflictingVersion(remote);
+          await dataStore.put(local);
+          const entry = await outboxStore.get(remote.id);
+          if (entry) await outboxStore.put({ ...entry, conflict: true });
+          conflicts.push(remote.id);
+          continue;
+        }
+        await outboxStore.delete(remote.id);
+      }
+      if (remote.deleted) {
+        if (local) {
+          await dataStore.delete(remote.id);
+          await deleteAttachments(tx, "by_item", remote.id);
+          applied.push(remote.id);
+        }
+        continue;
+      }
+      await dataStore.put({
+        id: remote.id,
+        owner: username,
+        data: remote.data,
+        schemaVersion: remote.schemaVersion,
+        envelope: remote.envelope,
+        wrappedKey: remote.wrappedKey,
+        versions: remote.versions,
+        revision: remote.revision,
+        dirty: false,
+      });
+      applied.push(remote.id);
+    }
+    await tx.done;
+    return { applied, conflicts };
+  },
+
+  /**
+   * Resolves a conflict in favour of the remote version: the version stored
+   * in the record's `conflict` field replaces the local one (or deletes it, if
+   * the remote version is a deletion), and the pending operation is dropped.
+   * @param {string} id - The ID of the conflicting record.
+   */
+  async acceptConflictingVersion(id) {
+    const db = await dbPromise;
+    const tx = db.transaction(
+      [DATA_STORE, OUTBOX_STORE, ATTACHMENTS_STORE, CHUNKS_STORE],
+      "readwrite"
+    );
+    const dataStore = tx.objectStore(DATA_STORE);
+    const record = await dataStore.get(id);
+    if (!record?.conflict) {
+      throw new Error(`Item ${id} has no conflicting version.`);
+    }
+    const { deleted, ...remote } = record.conflict;
+    if (deleted) {
+      await dataStore.delete(id);
+      await deleteAttachments(tx, "by_item", id);
+    } else {
+      await dataStore.put({
+        id,
+        owner: record.owner,
+        ...remote,
+        dirty: false,
+      });
+    }
+    await tx.objectStore(OUTBOX_STORE).delete(id);
+    await tx.done;
+  },
+
+  /**
+   * Replaces the items shared with a user by the set just downloaded from the
+   * server. Shares that are no longer offered (e.g. the item was deleted) are
+   * removed.
+   * @param {string} recipient - The user the items are shared with.
+   * @param {Array<Object>} shares - Shares with `owner`, `itemId`,
+   *   `ephemeralPublicKey`, `wrappedKey` and `data` (ArrayBuffers),
+   *   `schemaVersion`, `envelope` and `revision`.
+   */
+  async replaceSharedItemsForUser(recipient, shares) {
+    const db = await dbPromise;
+    const tx = db.transaction(SHARED_STORE, "readwrite");
+    await deleteSharedItems(tx, recipient);
+    for (const share of shares) {
+      await tx.store.put({ ...share, recipient });
+    }
+    await tx.done;
+  },
+
+  /**
+   * Retrieves the items other users have shared with a user.
+   * @param {string} recipient - The user the items are shared with.
+   * @returns {Promise<Array<Object>>} The stored shares.
+   */
+  async getSharedItemsForUser(recipient) {
+    return (await dbPromise).getAllFromIndex(
+      SHARED_STORE,
+      "by_recipient",
+      recipient
+    );
+  },
+
+  /**
+   * Retrieves a single item shared with a user.
+   * @param {string} recipient - The user the item is shared with.
+   * @param {string} owner - The user who shared it.
+   * @param {string} itemId - The item's ID.
+   * @returns {Promise<Object|undefined>} The stored share.
+   */
+  async getSharedItem(recipient, owner, itemId) {
+    return (await dbPromise).get(SHARED_STORE, [recipient, owner, itemId]);
+  },
+
+  /**
+   * Saves or updates an attachment's stored fields (everything but its
+   * chunks).
+   * @param {Object} attachment - The attachment, keyed by `id`.
+   */
+  async saveAttachment(attachment) {
+    return (await dbPromise).put(ATTACHMENTS_STORE, attachment);
+  },
+
+  /**
+   * Retrieves a single attachment's stored fields.
+   * @param {string} id - The attachment's ID.
+   * @returns {Promise<Object|undefined>}
+   */
+  async getAttachment(id) {
+    return (await dbPromise).get(ATTACHMENTS_STORE, id);
+  },
+
+  /**
+   * Retrieves the attachments of an item.
+   * @param {string} itemId - The item's ID.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAttachmentsForItem(itemId) {
+    return (await dbPromise).getAllFromIndex(
+      ATTACHMENTS_STORE,
+      "by_item",
+      itemId
+    );
+  },
+
+  /**
+   * Retrieves all of a user's attachments.
+   * @param {string} owner - The owner of the attachments.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAllAttachmentsForUser(owner) {
+    return (await dbPromise).getAllFromIndex(
+      ATTACHMENTS_STORE,
+      "by_owner",
+      owner
+    );
+  },
+
+  /**
+   * Saves one encrypted chunk of an attachment.
+   * @param {{attachmentId: string, index: number, data: ArrayBuffer}} chunk
+   */
+  async saveAttachmentChunk(chunk) {
+    return (await dbPromise).put(CHUNKS_STORE, chunk);
+  },
+
+  /**
+   * Retrieves one encrypted chunk of an attachment.
+   * @param {string} attachmentId - The attachment's ID.
+   * @param {number} index - The chunk's index.
+   * @returns {Promise<{attachmentId: string, index: number, data: ArrayBuffer}|undefined>}
+   */
+  async getAttachmentChunk(attachmentId, index) {
+    return (await dbPromise).get(CHUNKS_STORE, [attachmentId, index]);
+  },
+
+  /**
+   * Deletes an attachment and all of its chunks in a single transaction.
+   * @param {string} id - The attachment's ID.
+   */
+  async deleteAttachment(id) {
+    const db = await dbPromise;
+    const tx = db.transaction([ATTACHMENTS_STORE, CHUNKS_STORE], "readwrite");
+    await tx.objectStore(ATTACHMENTS_STORE).delete(id);
+    await tx.objectStore(CHUNKS_STORE).delete(attachmentChunkRange(id));
+    await tx.done;
+  },
+
+  /**
+   * Deletes all attachments of an item, with their chunks.
+   * @param {string} itemId - The item's ID.
+   */
+  async deleteAttachmentsForItem(itemId) {
+    const db = await dbPromise;
+    const tx = db.transaction([ATTACHMENTS_STORE, CHUNKS_STORE], "readwrite");
+    await deleteAttachments(tx, "by_item", itemId);
+    await tx.done;
+  },
+
+  /**
+   * Appends an entry to a user's audit log. Fails if an entry with the same
+   * sequence number exists, so a concurrent append (e.g. from another tab)
+   * cannot overwrite an entry.
+   * @param {{owner: string, seq: number}} entry - The sealed, chained entry.
+   */
+  async appendAuditEntry(entry) {
+    return (await dbPromise).add(AUDIT_STORE, entry);
+  },
+
+  /**
+   * Retrieves the first entry of a user's audit log.
+   * @param {string} owner - The log's owner.
+   * @returns {Promise<Object|undefined>} The entry, or undefined if the log is
+   *   empty.
+   */
+  async getFirstAuditEntry(owner) {
+    return getAuditLogEnd(owner, "next");
+  },
+
+  /**
+   * Retrieves the most recent entry of a user's audit log.
+   * @param {string} owner - The log's owner.
+   * @returns {Promise<Object|undefined>} The entry, or undefined if the log is
+   *   empty.
+   */
+  async getLastAuditEntry(owner) {
+    return getAuditLogEnd(owner, "prev");
+  },
+
+  /**
+   * Retrieves a user's audit log entries in order.
+   * @param {string} owner - The log's owner.
+   * @param {number} [afterSeq=0] - Only return entries after this sequence
+   *   number, e.g. those that have not been uploaded yet.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAuditEntries(owner, afterSeq = 0) {
+    return (await dbPromise).getAll(
+      AUDIT_STORE,
+      IDBKeyRange.bound([owner, afterSeq], [owner, Infinity], true)
+    );
   },
 };
+
+/**
+ * Retrieves all of a user's records, including deletion tombstones.
+ * @param {string} username - The owner of the data.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAllRecordsForUser(username) {
+  const db = await dbPromise;
+  const tx = db.transaction(DATA_STORE, "readonly");
+  const index = tx.store.index("by_owner");
+  return index.getAll(username);
+}
+
+/**
+ * Builds the outbox entry of a changed record: the operation to send to the
+ * server, in the format `POST /api/items` expects (ciphertext only,
+ * base64-encoded), and the state of its delivery.
+ * @param {Object} record - The changed record.
+ * @returns {Object}
+ */
+function toOutboxEntry(record) {
+  const operation = record.deleted
+    ? {
+        id: record.id,
+        deleted: true,
+        versions: record.versions,
+        baseRevision: record.revision,
+      }
+    : {
+        id: record.id,
+        data: bufferToBase64(record.data),
+        schemaVersion: record.schemaVersion,
+        envelope: record.envelope,
+        wrappedKey: record.wrappedKey && bufferToBase64(record.wrappedKey),
+        versions: record.versions,
+        baseRevision: record.revision || 0,
+      };
+  return {
+    id: record.id,
+    owner: record.owner,
+    operation,
+    updatedAt: record.updatedAt,
+    attempts: 0, // Failed delivery attempts, which set the retry backoff.
+    nextAttemptAt: 0,
+    // A record with an unresolved conflict is rejected by the server until
+    // the user has resolved it.
+    conflict: Boolean(record.conflict),
+  };
+}
+
+/**
+ * Builds the `conflict` field of a local record from the conflicting remote
+ * version, in the same shape as a stored record.
+ * @param {Object} remote - The pulled record.
+ * @returns {Object}
+ */
+function toConflictingVersion(remote) {
+  return remote.deleted
+    ? { deleted: true, versions: remote.versions, revision: remote.revision }
+    : {
+        data: remote.data,
+        schemaVersion: remote.schemaVersion,
+        envelope: remote.envelope,
+        wrappedKey: remote.wrappedKey,
+        versions: remote.versions,
+        revision: remote.revision,
+      };
+}
+
+/**
+ * Tells whether a version vector is missing or empty.
+ * @param {Object<string, number>} [versions]
+ * @returns {boolean}
+ */
+function isEmptyVersion(versions) {
+  return !versions || Object.keys(versions).length === 0;
+}
+
+/**
+ * Deletes a user's pending server operations, within a transaction that
+ * includes the outbox store.
+ * @param {IDBPTransaction} tx
+ * @param {string} owner
+ */
+async function deleteOutboxEntries(tx, owner) {
+  const outboxStore = tx.objectStore(OUTBOX_STORE);
+  const ids = await outboxStore.index("by_owner").getAllKeys(owner);
+  await Promise.all(ids.map((id) => outboxStore.delete(id)));
+}
+
+/**
+ * Reads the first or last entry of a user's audit log.
+ * @param {string} owner
+ * @param {"next"|"prev"} direction - "next" for the first entry.
+ * @returns {Promise<Object|undefined>}
+ */
+async function getAuditLogEnd(owner, direction) {
+  const db = await dbPromise;
+  const cursor = await db
+    .transaction(AUDIT_STORE)
+    .store.openCursor(auditLogRange(owner), direction);
+  return cursor?.value;
+}
+
+/**
+ * Builds the key range of all entries of a user's audit log.
+ * @param {string} owner
+ * @returns {IDBKeyRange}
+ */
+function auditLogRange(owner) {
+  return IDBKeyRange.bound([owner, 0], [owner, Infinity]);
+}
+
+/**
+ * Deletes every item shared with a user, within a transaction that includes
+ * the shared items store.
+ * @param {IDBPTransaction} tx
+ * @param {string} recipient
+ */
+async function deleteSharedItems(tx, recipient) {
+  const sharedStore = tx.objectStore(SHARED_STORE);
+  const keys = await sharedStore.index("by_recipient").getAllKeys(recipient);
+  await Promise.all(keys.map((key) => sharedStore.delete(key)));
+}
+
+/**
+ * Deletes the attachments matched by an index of the attachments store, with
+ * their chunks, within a transaction that includes both attachment stores.
+ * @param {IDBPTransaction} tx
+ * @param {string} indexName - "by_item" or "by_owner".
+ * @param {string} key - The item ID or owner to match.
+ */
+async function deleteAttachments(tx, indexName, key) {
+  const attachmentsStore = tx.objectStore(ATTACHMENTS_STORE);
+  const chunksStore = tx.objectStore(CHUNKS_STORE);
+  const ids = await attachmentsStore.index(indexName).getAllKeys(key);
+  await Promise.all(
+    ids.flatMap((id) => [
+      attachmentsStore.delete(id),
+      chunksStore.delete(attachmentChunkRange(id)),
+    ])
+  );
+}
+
+/**
+ * Builds the key range that covers every chunk of an attachment.
+ * @param {string} attachmentId
+ * @returns {IDBKeyRange}
+ */
+function attachmentChunkRange(attachmentId) {
+  return IDBKeyRange.bound([attachmentId, 0], [attachmentId, Infinity]);
+}
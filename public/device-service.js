@@ -0,0 +1,109 @@
+/**
+ * @file device-service.js
+ * @description This module keeps track of the devices that hold a user's
+ * offline data, so that a lost device can be wiped remotely. Every device
+ * registers its random device ID with the server for each user provisioned on
+ * it. From any device where they are logged in online, a user can list their
+ * devices and revoke one. A revoked device crypto-shreds the user's local data
+ * (their wrapped DEK and records, see dbService.shredUser) the next time it
+ * checks its status: on startup and whenever it comes back online. The check
+ * does not need an online session, so nobody has to log in on the lost device
+ * for the wipe to happen.
+ *
+ * Registering also renews the user's offline ticket, which limits how long the
+ * device may be unlocked offline (see SessionManager.storeOfflineTicket).
+ */
+
+import {
+  getRevokedUsers,
+  listDevices,
+  registerDevice,
+  revokeDevice,
+} from "./api-client.js";
+import { dbService } from "./db-service.js";
+import { sessionManager } from "./session-manager.js";
+
+/**
+ * Describes this device for the user's device list, e.g. "Chrome on macOS".
+ * @returns {string}
+ */
+function describeDevice() {
+  const brand = navigator.userAgentData?.brands?.find(
+    ({ brand }) => !/not.?a.?brand|chromium/i.test(brand)
+  )?.brand;
+  const platform = navigator.userAgentData?.platform || navigator.platform;
+  return [brand, platform].filter(Boolean).join(" on ") || "Unknown device";
+}
+
+export const deviceService = {
+  /**
+   * Registers this device for the user who is logged in online and stores the
+   * offline ticket the server issues for it. If the user has revoked the
+   * device in the meantime, their data is wiped instead, unless they were just
+   * provisioned on it again.
+   * @param {string} username - The logged-in user.
+   * @param {{provisioned?: boolean}} [options] - Set `provisioned` right after
+   *   the user was provisioned on this device.
+   * @returns {Promise<boolean>} Whether the device is revoked for the user.
+   */
+  async registerDevice(username, { provisioned = false } = {}) {
+    const { revoked, offlineTicket } = await registerDevice({
+      id: await sessionManager.getDeviceId(),
+      name: describeDevice(),
+      provisioned,
+    });
+    if (revoked) {
+      await sessionManager.wipeRevokedUser(username);
+    } else {
+      await sessionManager.storeOfflineTicket(username, offlineTicket);
+    }
+    return revoked;
+  },
+
+  /**
+   * Asks the server whether any user provisioned on this device has revoked
+   * it, and wipes those users.
+   * @returns {Promise<Array<string>>} The users who were wiped.
+   */
+  async checkRevocation() {
+    const usernames = (await dbService.getAllProvisionedUsers())
+      .filter((user) => !user.wiped)
+      .map((user) => user.username);
+    if (usernames.length === 0) return [];
+    const revoked = await getRevokedUsers(
+      await sessionManager.getDeviceId(),
+      usernames
+    );
+    for (const username of revoked) {
+      await sessionManager.wipeRevokedUser(username);
+    }
+    return revoked;
+  },
+
+  /**
+   * Lists the logged-in user's devices.
+   * @returns {Promise<Array<{id: string, name: string, registeredAt: number, lastSeenAt: number, revokedAt: number|null, current: boolean}>>}
+   *   The devices, with `current` set for this device.
+   */
+  async listDevices() {
+    const deviceId = await sessionManager.getDeviceId();
+    const devices = await listDevices();
+    return devices.map((device) => ({
+      ...device,
+      current: device.id === deviceId,
+    }));
+  },
+
+  /**
+   * Revokes one of the logged-in user's devices. If it is this device, the
+   * user's data is wiped right away.
+   * @param {string} username - The logged-in user.
+   * @param {string} id - The device ID.
+   */
+  async revokeDevice(username, id) {
+    await revokeDevice(id);
+    if (id === (await sessionManager.getDeviceId())) {
+      await sessionManager.wipeRevokedUser(username);
+    }
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @file encoding.js
+ * @description Small helpers for converting binary data to and from base64.
+ * IndexedDB stores ArrayBuffers natively, but anything that crosses the network
+ * or ends up in a JSON document (such as sync requests) has to be text.
+ */
+
+/**
+ * Encodes binary data as a base64 string.
+ * @param {ArrayBuffer|Uint8Array} buffer - The data to encode.
+ * @returns {string} The base64 representation.
+ */
+export function bufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  // Build the string in slices to stay below the engine's argument limit.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string back into binary data.
+ * @param {string} base64 - The base64 string to decode.
+ * @returns {ArrayBuffer} The decoded bytes.
+ */
+export function base64ToBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
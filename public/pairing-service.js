@@ -0,0 +1,181 @@
+/**
+ * @file pairing-service.js
+ * @description This module provisions a new device with the Data Encryption
+ * Key (DEK) of a device that is already set up, so that both devices can read
+ * the same synced records. The two devices, logged in online as the same user,
+ * perform an ECDH (P-256) exchange relayed by the server and derive a transfer
+ * key and a short verification code from it. Once the user has confirmed that
+ * both devices show the same code, the unlocked device sends the DEK,
+ * encrypted under the transfer key. The server only relays public keys and
+ * ciphertext; the ECDH private keys and the DEK stay inside each device's
+ * crypto worker.
+ *
+ * The device that starts the pairing is the new device (the initiator); the
+ * unlocked device that answers it is the responder.
+ */
+
+import {
+  createPairing,
+  deletePairing,
+  getPairing,
+  listPairings,
+  updatePairing,
+} from "./api-client.js";
+import { cryptoWorker } from "./crypto-worker-client.js";
+import { sessionManager } from "./session-manager.js";
+import { base64ToBuffer, bufferToBase64 } from "./encoding.js";
+
+// How often a device checks whether the other device has taken its next step.
+const POLL_INTERVAL_MS = 1000;
+
+// This device's public key for the pairing it started, revealed to the other
+// device once that device has sent its own key.
+let keyToReveal = null;
+
+/**
+ * Waits until a field of a pairing has been set by the other device.
+ * @param {string} pairingId
+ * @param {string} field - The pairing field to wait for.
+ * @returns {Promise<Object>} The pairing, with the field set.
+ */
+async function waitForPairing(pairingId, field) {
+  for (;;) {
+    let pairing;
+    try {
+      pairing = await getPairing(pairingId);
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error("The pairing was cancelled or has expired.");
+      }
+      throw error;
+    }
+    if (pairing[field]) return pairing;
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+export const pairingService = {
+  /**
+   * Starts pairing this (new) device. Only a commitment to this device's
+   * public key is sent at first; the key itself is revealed once the other
+   * device has sent its own.
+   * @returns {Promise<string>} The pairing ID.
+   */
+  async requestPairing() {
+    const { publicKey, commitment } = await cryptoWorker.beginPairing();
+    const { id } = await createPairing(commitment);
+    keyToReveal = publicKey;
+    return id;
+  },
+
+  /**
+   * On the new device, waits for an unlocked device to answer the pairing,
+   * reveals this device's public key and derives the verification code.
+   * @param {string} pairingId
+   * @returns {Promise<string>} The code the user must compare with the one on
+   *   the other device.
+   */
+  async awaitVerificationCode(pairingId) {
+    const { commitment, responderKey } = await waitForPairing(
+      pairingId,
+      "responderKey"
+    );
+    await updatePairing(pairingId, { initiatorKey: keyToReveal });
+    const { verificationCode } = await cryptoWorker.completePairingExchange({
+      commitment,
+      initiatorKey: keyToReveal,
+      responderKey,
+    });
+    return verificationCode;
+  },
+
+  /**
+   * On the new device, waits for the DEK and provisions the user with it
+   * under a PIN for this device. Call only after the user has confirmed the
+   * verification code.
+   * @param {string} pairingId
+   * @param {string} username - The user to provision.
+   * @param {string} pin - The PIN the user chose for this device.
+   * @param {string} [kdfName] - The key derivation function to use.
+   * @param {Object} [options] - Provisioning options, see
+   *   SessionManager.provisionPairedUser.
+   * @returns {Promise<boolean>} Whether PIN recovery was set up.
+   */
+  async receiveKey(pairingId, username, pin, kdfName, options) {
+    const { encryptedKey, keyId } = await waitForPairing(
+      pairingId,
+      "encryptedKey"
+    );
+    const pinRecovery = await sessionManager.provisionPairedUser(
+      username,
+      pin,
+      kdfName,
+      { encryptedKey: base64ToBuffer(encryptedKey), keyId },
+      options
+    );
+    keyToReveal = null;
+    await deletePairing(pairingId);
+    return pinRecovery;
+  },
+
+  /**
+   * On an unlocked device, finds the most recent pairing started by another
+   * device of the same user.
+   * @returns {Promise<string|null>} The pairing ID, or null if no device is
+   *   waiting to pair.
+   */
+  async findPairingRequest() {
+    const pairings = await listPairings();
+    if (pairings.length === 0) return null;
+    return pairings.reduce((latest, pairing) =>
+      pairing.createdAt > latest.createdAt ? pairing : latest
+    ).id;
+  },
+
+  /**
+   * On an unlocked device, answers a pairing with this device's public key,
+   * waits for the new device to reveal its key and derives the verification
+   * code.
+   * @param {string} pairingId
+   * @returns {Promise<string>} The code the user must compare with the one on
+   *   the new device.
+   */
+  async acceptPairing(pairingId) {
+    const { publicKey: responderKey } = await cryptoWorker.beginPairing();
+    await updatePairing(pairingId, { responderKey });
+    const { commitment, initiatorKey } = await waitForPairing(
+      pairingId,
+      "initiatorKey"
+    );
+    const { verificationCode } = await cryptoWorker.completePairingExchange({
+      commitment,
+      initiatorKey,
+      responderKey,
+    });
+    return verificationCode;
+  },
+
+  /**
+   * On an unlocked device, sends the DEK to the new device. Call only after
+   * the user has confirmed the verification code.
+   * @param {string} pairingId
+   * @param {string} pin - The user's PIN, which approves the transfer.
+   */
+  async sendKey(pairingId, pin) {
+    const { encryptedKey, keyId } = await sessionManager.wrapDekForPairing(pin);
+    await updatePairing(pairingId, {
+      encryptedKey: bufferToBase64(encryptedKey),
+      keyId,
+    });
+  },
+
+  /**
+   * Abandons a pairing on this device and on the server.
+   * @param {string} pairingId
+   */
+  async cancelPairing(pairingId) {
+    keyToReveal = null;
+    await cryptoWorker.cancelPairing();
+    await deletePairing(pairingId);
+  },
+};
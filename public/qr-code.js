@@ -0,0 +1,491 @@
+/**
+ * @file qr-code.js
+ * @description A small QR code encoder (ISO/IEC 18004), used to show the
+ * otpauth:// URI of two-factor enrollment so that an authenticator app can
+ * scan it. It only covers what that needs: byte mode, error correction level
+ * M and versions 1 to 10 (up to 213 bytes). The app bundles no third-party
+ * QR library, so the symbol is built here and drawn as an SVG.
+ */
+
+const MAX_VERSION = 10;
+// Error correction level M, by version (index 0 is unused).
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+// The two format bits of level M.
+const ECC_LEVEL_M_BITS = 0b00;
+const QUIET_ZONE_MODULES = 4;
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text - The text, encoded as UTF-8.
+ * @returns {Array<Array<boolean>>} The modules, row by row; true is dark.
+ * @throws {Error} If the text is too long for the supported versions.
+ */
+export function encodeQrCode(text) {
+  const data = new TextEncoder().encode(text);
+  let version = 1;
+  while (data.length + (version < 10 ? 2 : 3) > dataCodewords(version)) {
+    if (++version > MAX_VERSION) throw new Error("The text is too long.");
+  }
+  const qr = new QrSymbol(version);
+  qr.drawCodewords(addErrorCorrection(encodeData(data, version), version));
+  qr.applyBestMask();
+  return qr.modules;
+}
+
+/**
+ * Draws text as a QR code in an SVG element, with the quiet zone around it.
+ * @param {string} text - The text to encode.
+ * @param {number} [pixelsPerModule=4] - The rendered size of a module.
+ * @returns {SVGSVGElement}
+ */
+export function renderQrCode(text, pixelsPerModule = 4) {
+  const modules = encodeQrCode(text);
+  const size = modules.length + 2 * QUIET_ZONE_MODULES;
+  let path = "";
+  modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) {
+        path += `M${x + QUIET_ZONE_MODULES} ${y + QUIET_ZONE_MODULES}h1v1h-1z`;
+      }
+    })
+  );
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("viewBox", `0 0 ${size} ${size}`);
+  svg.setAttribute("width", size * pixelsPerModule);
+  svg.setAttribute("height", size * pixelsPerModule);
+  svg.setAttribute("shape-rendering", "crispEdges");
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("width", size);
+  background.setAttribute("height", size);
+  background.setAttribute("fill", "#fff");
+  const foreground = document.createElementNS(SVG_NS, "path");
+  foreground.setAttribute("d", path);
+  foreground.setAttribute("fill", "#000");
+  svg.append(background, foreground);
+  return svg;
+}
+
+// --- Data Encoding ---
+
+/**
+ * Returns the number of modules available for data and error correction.
+ * @param {number} version
+ * @returns {number}
+ */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Returns the number of data codewords of a version at level M.
+ * @param {number} version
+ * @returns {number}
+ */
+function dataCodewords(version) {
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+  );
+}
+
+/**
+ * Builds the data codewords: a byte mode segment, the terminator and padding.
+ * @param {Uint8Array} data
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function encodeData(data, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4); // Byte mode.
+  append(data.length, version < 10 ? 8 : 16);
+  for (const byte of data) append(byte, 8);
+  const capacity = dataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length)); // Terminator.
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => byte * 2 + bit));
+  }
+  return codewords;
+}
+
+// --- Error Correction ---
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+}
+
+/**
+ * Returns the coefficients of the Reed-Solomon generator polynomial of a
+ * degree, highest power first, without the leading 1.
+ * @param {number} degree
+ * @returns {Array<number>}
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a block.
+ * @param {Array<number>} data
+ * @param {Array<number>} divisor - From reedSolomonDivisor.
+ * @returns {Array<number>}
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Splits the data codewords into blocks, appends each block's error
+ * correction codewords and interleaves the blocks.
+ * @param {Array<number>} data
+ * @param {number} version
+ * @returns {Array<number>} All codewords in the order they are drawn.
+ */
+function addErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    // Pad short blocks so that all blocks line up for interleaving.
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// --- Symbol Layout ---
+
+class QrSymbol {
+  #version;
+  #size;
+  // Modules that belong to finder, timing, alignment, format or version
+  // patterns, which data and masks leave alone.
+  #isFunction;
+
+  /**
+   * Creates the symbol of a version with all function patterns drawn.
+   * @param {number} version
+   */
+  constructor(version) {
+    this.#version = version;
+    this.#size = version * 4 + 17;
+    this.modules = Array.from({ length: this.#size }, () =>
+      new Array(this.#size).fill(false)
+    );
+    this.#isFunction = Array.from({ length: this.#size }, () =>
+      new Array(this.#size).fill(false)
+    );
+    this.#drawFunctionPatterns();
+  }
+
+  /**
+   * Places the codewords in the two-module-wide zigzag columns, from the
+   * bottom right corner.
+   * @param {Array<number>} codewords
+   */
+  drawCodewords(codewords) {
+    const size = this.#size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern.
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.#isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] =
+              ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Applies the data mask with the lowest penalty score, and draws the
+   * matching format information.
+   */
+  applyBestMask() {
+    let best = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.#applyMask(mask);
+      this.#drawFormatBits(mask);
+      const penalty = this.#penaltyScore();
+      if (penalty < bestPenalty) {
+        best = mask;
+        bestPenalty = penalty;
+      }
+      this.#applyMask(mask); // Masks are XOR, so this undoes the mask.
+    }
+    this.#applyMask(best);
+    this.#drawFormatBits(best);
+  }
+
+  #setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.#isFunction[y][x] = true;
+  }
+
+  #drawFunctionPatterns() {
+    const size = this.#size;
+    for (let i = 0; i < size; i++) {
+      this.#setFunctionModule(6, i, i % 2 === 0);
+      this.#setFunctionModule(i, 6, i % 2 === 0);
+    }
+    this.#drawFinderPattern(3, 3);
+    this.#drawFinderPattern(size - 4, 3);
+    this.#drawFinderPattern(3, size - 4);
+    const positions = this.#alignmentPatternPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) =>
+      positions.forEach((y, j) => {
+        // The corners with finder patterns have no alignment pattern.
+        if (
+          !(i === 0 && j === 0) &&
+          !(i === 0 && j === last) &&
+          !(i === last && j === 0)
+        ) {
+          this.#drawAlignmentPattern(x, y);
+        }
+      })
+    );
+    this.#drawFormatBits(0); // Reserves the area until the mask is chosen.
+    this.#drawVersionBits();
+  }
+
+  /**
+   * Draws a finder pattern and its separator, centred on (x, y).
+   */
+  #drawFinderPattern(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.#size && yy >= 0 && yy < this.#size) {
+          this.#setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draws an alignment pattern centred on (x, y).
+   */
+  #drawAlignmentPattern(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.#setFunctionModule(x + dx, y + dy, distance !== 1);
+      }
+    }
+  }
+
+  /**
+   * Returns the row and column coordinates of the alignment patterns.
+   * @returns {Array<number>}
+   */
+  #alignmentPatternPositions() {
+    if (this.#version === 1) return [];
+    const count = Math.floor(this.#version / 7) + 2;
+    const step =
+      Math.floor((this.#version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (
+      let position = this.#size - 7;
+      result.length < count;
+      position -= step
+    ) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  /**
+   * Draws both copies of the format information (level and mask), protected
+   * by a BCH code, and the dark module.
+   * @param {number} mask
+   */
+  #drawFormatBits(mask) {
+    const data = (ECC_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const size = this.#size;
+    for (let i = 0; i <= 5; i++) this.#setFunctionModule(8, i, bit(i));
+    this.#setFunctionModule(8, 7, bit(6));
+    this.#setFunctionModule(8, 8, bit(7));
+    this.#setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.#setFunctionModule(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++)
+      this.#setFunctionModule(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++)
+      this.#setFunctionModule(8, size - 15 + i, bit(i));
+    this.#setFunctionModule(8, size - 8, true);
+  }
+
+  /**
+   * Draws both copies of the version information, which versions 7 and up
+   * carry, protected by a BCH code.
+   */
+  #drawVersionBits() {
+    if (this.#version < 7) return;
+    let remainder = this.#version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.#version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.#size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.#setFunctionModule(a, b, dark);
+      this.#setFunctionModule(b, a, dark);
+    }
+  }
+
+  /**
+   * Inverts the data modules selected by a mask pattern.
+   * @param {number} mask - 0 to 7.
+   */
+  #applyMask(mask) {
+    const patterns = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+    for (let y = 0; y < this.#size; y++) {
+      for (let x = 0; x < this.#size; x++) {
+        if (!this.#isFunction[y][x] && patterns[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Scores how hard the symbol is to read: long runs of one colour, 2x2
+   * blocks, patterns that look like finder patterns and an unbalanced share
+   * of dark modules all add to the score.
+   * @returns {number}
+   */
+  #penaltyScore() {
+    const size = this.#size;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map((row) => row[i]));
+    }
+    let penalty = 0;
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map(Number).join("");
+      for (const finderLike of ["10111010000", "00001011101"]) {
+        for (
+          let index = text.indexOf(finderLike);
+          index !== -1;
+          index = text.indexOf(finderLike, index + 1)
+        ) {
+          penalty += 40;
+        }
+      }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) dark++;
+        if (
+          x + 1 < size &&
+          y + 1 < size &&
+          this.modules[y][x] === this.modules[y][x + 1] &&
+          this.modules[y][x] === this.modules[y + 1][x] &&
+          this.modules[y][x] === this.modules[y + 1][x + 1]
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+    const total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+    return penalty;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @file recovery-service.js
+ * @description This module lets a user who forgot their PIN set a new one
+ * without losing their local data. When PIN recovery is enabled, the DEK is
+ * also sealed for a recovery key whose secret is split in two shares: this
+ * device keeps one, and the server holds the other for this device (see
+ * SessionManager.enablePinRecovery). The server releases its share only
+ * shortly after a fresh online login, which includes the second factor if the
+ * user has one, and only to a device that has not been revoked.
+ *
+ * The server never sees the device's share or the sealed DEK, so it cannot
+ * decrypt anything on its own; and a stolen device alone cannot recover the
+ * PIN without the user's online credentials.
+ */
+
+import {
+  deleteRecoveryShare,
+  putRecoveryShare,
+  releaseRecoveryShare,
+} from "./api-client.js";
+import { deviceService } from "./device-service.js";
+import { base64ToBuffer, bufferToBase64 } from "./encoding.js";
+import { sessionManager } from "./session-manager.js";
+
+/**
+ * Stores the server's share of the recovery key with the server, for the
+ * user who is logged in online and this device.
+ * @param {Uint8Array} share
+ */
+async function escrowShare(share) {
+  await putRecoveryShare(
+    await sessionManager.getDeviceId(),
+    bufferToBase64(share)
+  );
+}
+
+export const recoveryService = {
+  /**
+   * Returns the options that set up PIN recovery when a user is provisioned
+   * (see SessionManager.provisionUser). The server only accepts shares from
+   * registered devices, so the device is registered for the user first.
+   * @param {string} username - The user being provisioned, who is logged in
+   *   online.
+   * @param {boolean} enabled - Whether the user wants PIN recovery.
+   * @returns {Object}
+   */
+  provisioningOptions(username, enabled) {
+    if (!enabled) return {};
+    return {
+      async escrowShare(share) {
+        await deviceService.registerDevice(username, { provisioned: true });
+        await escrowShare(share);
+      },
+    };
+  },
+
+  /**
+   * Reports whether a user can reset a forgotten PIN on this device.
+   * @param {string} username
+   * @returns {Promise<boolean>}
+   */
+  isEnabled(username) {
+    return sessionManager.hasPinRecovery(username);
+  },
+
+  /**
+   * Enables PIN recovery for the unlocked user, who must be logged in online.
+   * @param {string} pin - The user's PIN.
+   */
+  async enable(pin) {
+    await sessionManager.enablePinRecovery(pin, escrowShare);
+  },
+
+  /**
+   * Disables PIN recovery for the unlocked user, who must be logged in
+   * online: the server's share is deleted first, then the device's data.
+   */
+  async disable() {
+    await deleteRecoveryShare(await sessionManager.getDeviceId());
+    await sessionManager.disablePinRecovery();
+  },
+
+  /**
+   * Sets a new PIN for a user who forgot theirs. The user must have logged in
+   * online just now; otherwise this fails with status 401.
+   * @param {string} username - The user, who is logged in online.
+   * @param {string} newPin - The PIN to set.
+   */
+  async recoverPin(username, newPin) {
+    const share = await releaseRecoveryShare(
+      await sessionManager.getDeviceId()
+    );
+    const serverShare = new Uint8Array(base64ToBuffer(share));
+    try {
+      await sessionManager.recoverPin(
+        username,
+        serverShare,
+        newPin,
+        escrowShare
+      );
+    } finally {
+      serverShare.fill(0);
+    }
+  },
+};
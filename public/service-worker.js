@@ -3,19 +3,55 @@
  * @description This service worker is responsible for making the application work offline.
  * It uses a "cache-first" strategy. On install, it caches all the essential
  * application files. On fetch, it tries to serve requests from the cache first.
- * If a resource isn't in the cache, it falls back to the network.
+ * If a resource isn't in the cache, it falls back to the network. Page loads
+ * are the exception: they go to the network first, so that every online load
+ * gets a fresh Content-Security-Policy nonce, and only fall back to the cached
+ * page when offline.
+ *
+ * It also replays the outbox of changes made offline (see db-service.js) to
+ * the server, even after the page has been closed. The outbox only holds
+ * ciphertext, so no key is needed here. Service workers cannot use the page's
+ * import map, so IndexedDB is accessed directly.
  */
 
-const CACHE_NAME = "offline-encryption-pwa-v12-multi-user";
+const CACHE_NAME = "offline-encryption-pwa-v28-pin-recovery";
+
+// Must match db-service.js and sync-service.js.
+const DB_NAME = "secure-offline-pwa-db";
+const DATA_STORE = "app-data";
+const OUTBOX_STORE = "outbox";
+const OUTBOX_SYNC_TAG = "outbox-replay";
+const REPLAY_MESSAGE = "replay-outbox";
+const OUTBOX_UPDATED_MESSAGE = "outbox-updated";
+
+// Failed deliveries are retried after RETRY_BASE_MS, doubling with every
+// further failure up to RETRY_MAX_MS.
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Replays run one after another, so an entry is never sent twice at once.
+let replayQueue = Promise.resolve();
 
 const URLS_TO_CACHE = [
   "/",
   "/index.html",
   "/client.js",
   "/crypto-service.js",
+  "/crypto-worker.js",
+  "/crypto-worker-client.js",
   "/db-service.js",
   "/session-manager.js",
   "/api-client.js",
+  "/sync-service.js",
+  "/pairing-service.js",
+  "/sharing-service.js",
+  "/device-service.js",
+  "/audit-service.js",
+  "/recovery-service.js",
+  "/qr-code.js",
+  "/version-vector.js",
+  "/encoding.js",
+  "/vendor/argon2.umd.min.js",
   "https://cdn.jsdelivr.net/npm/idb@8/build/index.js",
 ];
 
@@ -51,6 +87,12 @@ self.addEventListener("activate", (event) => {
 });
 
 self.addEventListener("fetch", (event) => {
+  if (event.request.mode === "navigate") {
+    event.respondWith(
+      fetch(event.request).catch(() => caches.match(event.request))
+    );
+    return;
+  }
   // We only cache GET requests. Other requests (like POST) should go to the network.
   if (event.request.method === "GET") {
     event.respondWith(
@@ -66,3 +108,223 @@ self.addEventListener("fetch", (event) => {
     );
   }
 });
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    // A rejected promise makes the browser retry the sync event later.
+    event.waitUntil(queueReplay(true));
+  }
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === REPLAY_MESSAGE) {
+    event.waitUntil(
+      queueReplay(Boolean(event.data.force)).catch((error) =>
+        console.warn("Service Worker: Outbox replay failed:", error)
+      )
+    );
+  }
+});
+
+/**
+ * Queues a replay of the outbox behind any replay already running.
+ * @param {boolean} force - Whether to also send entries whose retry backoff
+ *   has not expired yet.
+ * @returns {Promise<void>}
+ */
+function queueReplay(force) {
+  const replay = replayQueue.then(() => replayOutbox(force));
+  replayQueue = replay.catch(() => {});
+  return replay;
+}
+
+/**
+ * Sends the pending operations of the user logged in online to the server
+ * and applies the result, as `syncService.pushLocalChanges` does. Entries of
+ * other users on this device wait until they log in. Entries that conflicted
+ * are left for a manual sync. Open pages are told about the new outbox state.
+ * @param {boolean} force - Whether to also send entries whose retry backoff
+ *   has not expired yet.
+ */
+async function replayOutbox(force) {
+  const db = await openDatabase();
+  if (!db) return;
+  try {
+    const meResponse = await fetch("/api/me");
+    if (!meResponse.ok) {
+      // Not logged in. Pending entries are replayed after the next login, but
+      // failing here also makes the browser retry a Background Sync later,
+      // instead of dropping it as done.
+      const pending = (
+        await requestResult(
+          db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll()
+        )
+      ).filter((entry) => !entry.conflict);
+      if (pending.length > 0) {
+        throw new Error(`The server responded with ${meResponse.status}.`);
+      }
+      return;
+    }
+    const { username } = await meResponse.json();
+
+    const now = Date.now();
+    const entries = (
+      await requestResult(
+        db
+          .transaction(OUTBOX_STORE)
+          .objectStore(OUTBOX_STORE)
+          .index("by_owner")
+          .getAll(username)
+      )
+    ).filter(
+      (entry) => !entry.conflict && (force || entry.nextAttemptAt <= now)
+    );
+    if (entries.length === 0) return;
+
+    let result;
+    try {
+      // State-changing requests need the session's CSRF token (see server.js).
+      const { csrfToken } = await (await fetch("/api/csrf-token")).json();
+      const response = await fetch("/api/items", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+        },
+        body: JSON.stringify({
+          items: entries.map((entry) => entry.operation),
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`The server responded with ${response.status}.`);
+      }
+      result = await response.json();
+    } catch (error) {
+      await recordFailedAttempt(db, entries);
+      throw error;
+    }
+    await applyReplayResult(db, entries, result);
+    console.log(
+      `Service Worker: Replayed ${result.applied.length} outbox entries.`
+    );
+  } finally {
+    db.close();
+    const clients = await self.clients.matchAll();
+    for (const client of clients) {
+      client.postMessage({ type: OUTBOX_UPDATED_MESSAGE });
+    }
+  }
+}
+
+/**
+ * Applies the server's answer to a replay: accepted operations are marked as
+ * synced following the same rules as `dbService.markDataSynced`, and rejected
+ * ones are flagged as conflicts. Entries that were replaced while the request
+ * was in flight are left pending.
+ * @param {IDBDatabase} db
+ * @param {Array<Object>} entries - The replayed outbox entries.
+ * @param {{applied: Array<{id: string, revision: number}>, conflicts: Array<{id: string}>}} result
+ */
+async function applyReplayResult(db, entries, { applied, conflicts }) {
+  const tx = db.transaction([DATA_STORE, OUTBOX_STORE], "readwrite");
+  const dataStore = tx.objectStore(DATA_STORE);
+  const outboxStore = tx.objectStore(OUTBOX_STORE);
+  for (const { id, revision } of applied) {
+    const { updatedAt } = entries.find((entry) => entry.id === id);
+    const record = await requestResult(dataStore.get(id));
+    if (record && record.deleted && record.updatedAt === updatedAt) {
+      await requestResult(dataStore.delete(id));
+    } else if (record) {
+      record.revision = revision;
+      if (record.updatedAt === updatedAt) record.dirty = false;
+      await requestResult(dataStore.put(record));
+    }
+    const entry = await requestResult(outboxStore.get(id));
+    if (entry && entry.updatedAt === updatedAt) {
+      await requestResult(outboxStore.delete(id));
+    } else if (entry) {
+      entry.operation.baseRevision = revision;
+      await requestResult(outboxStore.put(entry));
+    }
+  }
+  for (const { id } of conflicts) {
+    const { updatedAt } = entries.find((entry) => entry.id === id);
+    const entry = await requestResult(outboxStore.get(id));
+    if (entry && entry.updatedAt === updatedAt) {
+      entry.conflict = true;
+      await requestResult(outboxStore.put(entry));
+    }
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Counts a failed delivery against each replayed entry and schedules its next
+ * attempt with exponential backoff.
+ * @param {IDBDatabase} db
+ * @param {Array<Object>} entries - The replayed outbox entries.
+ */
+async function recordFailedAttempt(db, entries) {
+  const tx = db.transaction(OUTBOX_STORE, "readwrite");
+  const outboxStore = tx.objectStore(OUTBOX_STORE);
+  for (const { id, updatedAt } of entries) {
+    const entry = await requestResult(outboxStore.get(id));
+    if (!entry || entry.updatedAt !== updatedAt) continue;
+    entry.attempts += 1;
+    entry.nextAttemptAt =
+      Date.now() +
+      Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_MS);
+    await requestResult(outboxStore.put(entry));
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Opens the app's database without changing its schema, which only the page
+ * does.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if the page has
+ *   not created it (or its outbox) yet.
+ */
+function openDatabase() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(null);
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      // Let the page upgrade the database while a replay holds it open.
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+  });
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result.
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -1,39 +1,528 @@
 /**
  * @file session-manager.js
- * @description This module manages the application's session state. Its primary
- * responsibility is to hold the unlocked Data Encryption Key (DEK) in memory
- * after a successful PIN entry. It provides a secure boundary, ensuring the
- * DEK is never exposed globally and can be securely erased.
+ * @description This module manages the application's session state: which
+ * user is unlocked, PIN throttling, auto-lock and key lifecycle operations.
+ * The unlocked Data Encryption Key (DEK) itself lives in the crypto worker
+ * (see crypto-worker.js); this module only asks the worker to use it, and
+ * locking terminates the worker so the key is securely erased.
+ *
+ * It also keeps each user's audit log on this device: unlocks, failed PIN
+ * attempts, wipes, item reads and changes, and locks. Every event is sealed
+ * for the user's audit public key, so it can be recorded while the session is
+ * locked but only read after unlocking, and each entry includes the hash of
+ * the one before it. The log is uploaded by audit-service.js, and the server
+ * verifies the chain.
  */
 
-import { cryptoService } from "./crypto-service.js";
+import { cryptoWorker } from "./crypto-worker-client.js";
 import { dbService } from "./db-service.js";
+import { base64ToBuffer } from "./encoding.js";
+import { incrementVersion, mergeVersions } from "./version-vector.js";
+
+// Default session policy. Can be changed with `configure()`.
+const DEFAULT_OPTIONS = {
+  idleTimeoutMs: 5 * 60 * 1000, // Lock after this much inactivity; 0 disables auto-lock.
+  lockOnHide: false, // Lock as soon as the page is hidden (tab switch, screen off).
+  maxPinAttempts: 10, // Failed attempts after which the user's data is crypto-shredded.
+  freePinAttempts: 3, // Failed attempts allowed before lockout delays kick in.
+  pinLockoutBaseMs: 30 * 1000, // First lockout delay; doubles with every further failure.
+  pinLockoutMaxMs: 60 * 60 * 1000, // Upper bound for a single lockout delay.
+};
+
+// Name of the device-wide HMAC key that protects the PIN attempt counters.
+const INTEGRITY_KEY_NAME = "integrity-key";
+
+// How far the device clock may lag behind the server's before an offline
+// ticket counts as issued in the future (a sign of a clock set back).
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+// Name of the device-wide value holding the server's offline ticket key,
+// pinned at the first online registration and protected by the integrity key.
+const TICKET_KEY_NAME = "ticket-key";
+
+// Name of the device-wide random ID that identifies this device's writes in
+// the version vectors of records.
+const DEVICE_ID_NAME = "device-id";
+
+// Attachments are encrypted and stored in chunks of this many bytes, so only
+// one chunk of a file is in memory at a time.
+const ATTACHMENT_CHUNK_BYTES = 256 * 1024;
+// Opening an attachment collects the decrypted file into a Blob, which holds
+// it in memory, so attachments may be at most this large.
+const MAX_ATTACHMENT_BYTES = 64 * 1024 * 1024;
 
 class SessionManager {
-  // The DEK is stored in a private class field. This is a modern JavaScript
-  // feature that prevents any code outside of this class instance from accessing
-  // or modifying the key directly. It's a critical security boundary.
-  #dek = null;
+  // The user the session was unlocked for (null while locked), and the ID of
+  // their current DEK. Records are tagged with the key ID so that a DEK
+  // rotation can tell which records have already been re-encrypted.
+  #username = null;
+  #keyId = undefined;
+  #options = { ...DEFAULT_OPTIONS };
+  #integrityKey = null;
+  #deviceId = null;
+  #idleTimer = null;
+  // Audit events are appended one at a time, in the order they happened.
+  #auditQueue = Promise.resolve();
+  #lockListeners = new Set();
+  #unlockListeners = new Set();
+
+  constructor() {
+    // Any user interaction counts as activity and postpones the idle lock.
+    // The listeners are harmless while locked, so they are installed once.
+    if (typeof document !== "undefined") {
+      for (const type of ["pointerdown", "keydown", "wheel", "touchstart"]) {
+        document.addEventListener(type, () => this.recordActivity(), {
+          passive: true,
+        });
+      }
+      document.addEventListener("visibilitychange", () => {
+        if (document.hidden && this.#options.lockOnHide) {
+          this.lockSession("hidden");
+        }
+      });
+    }
+  }
+
+  /**
+   * Overrides parts of the session policy.
+   * @param {Object} options - Any of the keys in DEFAULT_OPTIONS.
+   */
+  configure(options) {
+    this.#options = { ...this.#options, ...options };
+    this.recordActivity(); // Apply a changed idle timeout right away.
+  }
+
+  /**
+   * Registers a listener that is called whenever an unlocked session is locked.
+   * @param {function({username: string, reason: string}): void} listener -
+   *   Receives the user whose session was locked and why: "manual", "idle",
+   *   "hidden", "error", "removed" (the user was removed from the device) or
+   *   "revoked" (the user revoked this device and their data was wiped).
+   * @returns {function(): void} A function that removes the listener again.
+   */
+  onLock(listener) {
+    this.#lockListeners.add(listener);
+    return () => this.#lockListeners.delete(listener);
+  }
+
+  /**
+   * Registers a listener that is called after a session has been unlocked.
+   * @param {function({username: string}): void} listener - Receives the user.
+   * @returns {function(): void} A function that removes the listener again.
+   */
+  onUnlock(listener) {
+    this.#unlockListeners.add(listener);
+    return () => this.#unlockListeners.delete(listener);
+  }
+
+  /**
+   * Restarts the inactivity timer. Called automatically on user interaction;
+   * does nothing while the session is locked.
+   */
+  recordActivity() {
+    clearTimeout(this.#idleTimer);
+    this.#idleTimer = null;
+    if (this.isLocked() || !this.#options.idleTimeoutMs) return;
+    this.#idleTimer = setTimeout(
+      () => this.lockSession("idle"),
+      this.#options.idleTimeoutMs
+    );
+  }
 
   /**
-   * Checks if the session is currently locked (i.e., no DEK in memory).
+   * Checks if the session is currently locked (i.e., no DEK in the worker).
    * @returns {boolean} True if the session is locked, false otherwise.
    */
   isLocked() {
-    return this.#dek === null;
+    return this.#username === null;
+  }
+
+  /**
+   * Securely locks the session by terminating the crypto worker, which erases
+   * the DEK. Lock listeners are notified if the session was unlocked.
+   * @param {string} [reason="manual"] - Why the session is being locked.
+   */
+  lockSession(reason = "manual") {
+    const wasUnlocked = !this.isLocked();
+    const username = this.#username;
+    cryptoWorker.terminate();
+    this.#username = null;
+    this.#keyId = undefined;
+    clearTimeout(this.#idleTimer);
+    this.#idleTimer = null;
+    if (wasUnlocked) {
+      this.#recordAudit(username, "lock", { reason });
+      this.#emit(this.#lockListeners, { username, reason });
+    }
+  }
+
+  /**
+   * Provisions a user on this device: a new DEK is generated and wrapped under a
+   * Master Key derived from the PIN and a fresh salt, using the current key
+   * envelope parameters, and a signed PIN attempt counter is initialized. Any previous provisioning data for the user is replaced.
+   * @param {string} username - The user to provision.
+   * @param {string} pin - The PIN the user chose.
+   * @param {string} [kdfName] - The key derivation function to derive the
+   *   Master Key with ("PBKDF2" or "Argon2id"). It is kept for the user's
+   *   lifetime on this device, including across PIN changes.
+   * @param {{escrowShare?: function(Uint8Array): Promise<void>}} [options] -
+   *   Pass `escrowShare` to set up PIN recovery (see enablePinRecovery).
+   * @returns {Promise<boolean>} Whether PIN recovery was set up.
+   */
+  async provisionUser(username, pin, kdfName, { escrowShare } = {}) {
+    const { salt, wrappedDek, keyEnvelope, auditKey, recovery, serverShare } =
+      await cryptoWorker.provisionUser(
+        username,
+        pin,
+        kdfName,
+        Boolean(escrowShare)
+      );
+    await dbService.saveProvisionedUser(
+      username,
+      salt,
+      wrappedDek,
+      keyEnvelope
+    );
+    await dbService.updateProvisionedUser(username, { auditKey });
+    await this.#writePinAttempts(username, 0, 0);
+    return (
+      Boolean(recovery) &&
+      this.#trySetUpRecovery(username, { recovery, serverShare }, escrowShare)
+    );
+  }
+
+  /**
+   * Provisions a user on this device with the DEK of their other device,
+   * received through a verified pairing (see pairing-service.js). The DEK is
+   * wrapped under a Master Key derived from this device's own PIN and salt,
+   * so both devices can read the same records while each keeps its own PIN.
+   * @param {string} username - The user to provision.
+   * @param {string} pin - The PIN the user chose for this device.
+   * @param {string} [kdfName] - The key derivation function to use.
+   * @param {{encryptedKey: ArrayBuffer, keyId: string|null}} transfer - The
+   *   DEK encrypted under the pairing's transfer key, and its key ID.
+   * @param {{escrowShare?: function(Uint8Array): Promise<void>}} [options] -
+   *   Pass `escrowShare` to set up PIN recovery (see enablePinRecovery).
+   * @returns {Promise<boolean>} Whether PIN recovery was set up.
+   */
+  async provisionPairedUser(
+    username,
+    pin,
+    kdfName,
+    { encryptedKey, keyId },
+    { escrowShare } = {}
+  ) {
+    const { salt, wrappedDek, keyEnvelope, auditKey, recovery, serverShare } =
+      await cryptoWorker.provisionPairedUser(
+        username,
+        encryptedKey,
+        pin,
+        kdfName,
+        Boolean(escrowShare)
+      );
+    await dbService.saveProvisionedUser(
+      username,
+      salt,
+      wrappedDek,
+      keyEnvelope
+    );
+    await dbService.updateProvisionedUser(
+      username,
+      keyId ? { auditKey, keyId } : { auditKey }
+    );
+    await this.#writePinAttempts(username, 0, 0);
+    return (
+      Boolean(recovery) &&
+      this.#trySetUpRecovery(username, { recovery, serverShare }, escrowShare)
+    );
+  }
+
+  /**
+   * Reports whether a user can reset a forgotten PIN on this device.
+   * @param {string} username - The user to look up.
+   * @returns {Promise<boolean>}
+   */
+  async hasPinRecovery(username) {
+    const user = await dbService.getProvisionedUser(username);
+    return Boolean(user?.recovery && !user.wiped);
+  }
+
+  /**
+   * Sets up PIN recovery for the unlocked user. A second copy of the DEK is
+   * sealed for a recovery key pair whose private key is wrapped under a key
+   * split in two shares: the device keeps one, and `escrowShare` must hand the
+   * other to the server. Neither the device (without its PIN) nor the server
+   * can open the DEK on its own. Any earlier recovery data is replaced.
+   * @param {string} pin - The user's PIN, needed to seal the DEK.
+   * @param {function(Uint8Array): Promise<void>} escrowShare - Stores the
+   *   server's share with the server. If it fails, nothing is changed.
+   */
+  async enablePinRecovery(pin, escrowShare) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const user = await dbService.getProvisionedUser(this.#username);
+    if (user.pendingWrappedDek) {
+      throw new Error("A key rotation is still in progress.");
+    }
+    let material;
+    try {
+      material = await this.#attemptPin(this.#username, () =>
+        cryptoWorker.enablePinRecovery(this.#username, pin, user)
+      );
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error("The PIN is incorrect.");
+      }
+      throw error;
+    }
+    await this.#storeRecovery(this.#username, material, escrowShare);
+    console.log(`PIN recovery enabled for ${this.#username}.`);
+  }
+
+  /**
+   * Removes the unlocked user's PIN recovery data from this device. The
+   * server's share should be deleted as well.
+   */
+  async disablePinRecovery() {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    await dbService.updateProvisionedUser(this.#username, {
+      recovery: undefined,
+    });
+    console.log(`PIN recovery disabled for ${this.#username}.`);
+  }
+
+  /**
+   * Sets a new PIN for a user who forgot theirs, using the server's share of
+   * their recovery key, which the server releases only after a fresh online
+   * login. The DEK stays the same, so all local data stays readable. The PIN
+   * attempt counter is reset. Because the server's share was sent to this
+   * device, the recovery key is split into fresh shares and `escrowShare`
+   * stores the new server share; if that fails, the old shares keep working.
+   * @param {string} username - The user whose PIN to reset.
+   * @param {Uint8Array} serverShare - The server's share of the recovery key.
+   * @param {string} newPin - The PIN to set.
+   * @param {function(Uint8Array): Promise<void>} escrowShare - Stores the new
+   *   server share with the server.
+   */
+  async recoverPin(username, serverShare, newPin, escrowShare) {
+    const user = await dbService.getProvisionedUser(username);
+    if (!user?.recovery || user.wiped) {
+      throw new Error(`${username} has no PIN recovery on this device.`);
+    }
+    let result;
+    try {
+      result = await cryptoWorker.recoverPin(
+        username,
+        user,
+        serverShare,
+        newPin
+      );
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error(
+          "The server's recovery share does not fit this device."
+        );
+      }
+      throw error;
+    }
+    const { salt, wrappedDek, pendingWrappedDek, keyEnvelope, ...material } =
+      result;
+    await dbService.updateProvisionedUser(username, {
+      salt,
+      wrappedDek,
+      pendingWrappedDek,
+      keyEnvelope,
+    });
+    await this.#writePinAttempts(username, 0, 0);
+    await this.#recordAudit(username, "pin-recovered");
+    await this.#trySetUpRecovery(username, material, escrowShare);
+    console.log(`PIN reset for ${username}.`);
+  }
+
+  /**
+   * Escrows the server's share of a user's recovery key, then stores the rest
+   * of their recovery data on this device. The share is not kept here.
+   * @param {string} username - The user.
+   * @param {{recovery: Object, serverShare: Uint8Array}} material - The
+   *   recovery data and the server's share, from the crypto worker.
+   * @param {function(Uint8Array): Promise<void>} escrowShare
+   */
+  async #storeRecovery(username, { recovery, serverShare }, escrowShare) {
+    try {
+      await escrowShare(serverShare);
+    } finally {
+      serverShare.fill(0);
+    }
+    await dbService.updateProvisionedUser(username, { recovery });
+  }
+
+  /**
+   * Like #storeRecovery, but only logs a failure: the user can still enable
+   * PIN recovery later.
+   * @returns {Promise<boolean>} Whether the recovery data was stored.
+   */
+  async #trySetUpRecovery(username, material, escrowShare) {
+    try {
+      await this.#storeRecovery(username, material, escrowShare);
+      return true;
+    } catch (error) {
+      console.warn(`Could not set up PIN recovery for ${username}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Reports the offline PIN throttling state of a user, for display on the
+   * unlock screen.
+   * @param {string} username - The user to look up.
+   * @returns {Promise<{failedAttempts: number, remainingAttempts: number, lockedUntil: number, tampered: boolean, wiped: boolean, wipeReason: string|undefined}|null>}
+   *   The status, or null if the user is not provisioned. `lockedUntil` is a
+   *   timestamp, or 0 if the user may try a PIN right now.
+   */
+  async getPinAttemptStatus(username) {
+    const user = await dbService.getProvisionedUser(username);
+    if (!user) return null;
+    const { count, lockedUntil, tampered } = await this.#readPinAttempts(user);
+    return {
+      failedAttempts: count,
+      remainingAttempts: Math.max(0, this.#options.maxPinAttempts - count),
+      lockedUntil: lockedUntil > Date.now() ? lockedUntil : 0,
+      tampered,
+      wiped: Boolean(user.wiped),
+      wipeReason: user.wipeReason,
+    };
+  }
+
+  /**
+   * Stores the offline ticket the server issued for a user on this device at
+   * an online login. The ticket must be signed by the server and name the
+   * user and this device. The first ticket stored on the device pins the
+   * server's public key; later tickets must be signed with the same key.
+   * @param {string} username - The provisioned user.
+   * @param {{ticket: {username: string, deviceId: string, issuedAt: number, expiresAt: number}, signature: string, publicKey: string}} offlineTicket -
+   *   The ticket, its base64 signature and the server's base64 public key.
+   */
+  async storeOfflineTicket(username, offlineTicket) {
+    const user = await dbService.getProvisionedUser(username);
+    if (!user || user.wiped) {
+      throw new Error(`${username} is not provisioned on this device.`);
+    }
+    const pinnedKey = await this.#readTicketKey();
+    if (pinnedKey && !pinnedKey.valid) {
+      throw new Error("The pinned server key has been tampered with.");
+    }
+    const publicKey = pinnedKey?.publicKey ?? offlineTicket.publicKey;
+    if (
+      offlineTicket.publicKey !== publicKey ||
+      !(await this.#verifyOfflineTicket(username, offlineTicket, publicKey))
+    ) {
+      throw new Error("The server sent an invalid offline ticket.");
+    }
+    if (!pinnedKey) {
+      await this.#pinTicketKey(publicKey);
+    }
+    await dbService.updateProvisionedUser(username, { offlineTicket });
   }
 
   /**
-   * Securely locks the session by erasing the in-memory DEK.
+   * Reports until when a user may unlock this device offline, for display on
+   * the unlock screen.
+   * @param {string} username - The user to look up.
+   * @returns {Promise<number|null>} The expiry timestamp of the user's offline
+   *   ticket, or null if they have no valid ticket.
    */
-  lockSession() {
-    this.#dek = null;
+  async getOfflineAccessExpiry(username) {
+    const user = await dbService.getProvisionedUser(username);
+    if (!user) return null;
+    return (await this.#readOfflineTicket(user)).expiresAt;
+  }
+
+  /**
+   * Reads and checks a user's stored offline ticket.
+   * @param {Object} user - The user record.
+   * @returns {Promise<{expiresAt: number|null, issuedAt: number|null}>} The
+   *   ticket's validity period, or nulls if the ticket is missing or invalid.
+   */
+  async #readOfflineTicket(user) {
+    const { offlineTicket } = user;
+    const pinnedKey = await this.#readTicketKey();
+    if (
+      !offlineTicket ||
+      !pinnedKey?.valid ||
+      !(await this.#verifyOfflineTicket(
+        user.username,
+        offlineTicket,
+        pinnedKey.publicKey
+      ))
+    ) {
+      return { expiresAt: null, issuedAt: null };
+    }
+    const { expiresAt, issuedAt } = offlineTicket.ticket;
+    return { expiresAt, issuedAt };
+  }
+
+  /**
+   * Reads the server key pinned for offline tickets and checks its MAC.
+   * @returns {Promise<{publicKey: string, valid: boolean}|null>} The pinned
+   *   base64 public key and whether its MAC is valid, or null if no key has
+   *   been pinned yet.
+   */
+  async #readTicketKey() {
+    const stored = await dbService.getDeviceValue(TICKET_KEY_NAME);
+    if (!stored) return null;
+    const key = await this.#getIntegrityKey();
+    const valid = Boolean(
+      stored.mac &&
+        (await cryptoWorker.verify(
+          key,
+          stored.mac,
+          ticketKeyMessage(stored.publicKey)
+        ))
+    );
+    return { publicKey: stored.publicKey, valid };
+  }
+
+  /**
+   * Pins the server key that offline tickets on this device must be signed
+   * with, together with its MAC.
+   * @param {string} publicKey - The server's base64 public key.
+   */
+  async #pinTicketKey(publicKey) {
+    const key = await this.#getIntegrityKey();
+    const mac = await cryptoWorker.sign(key, ticketKeyMessage(publicKey));
+    await dbService.saveDeviceValue(TICKET_KEY_NAME, { publicKey, mac });
+  }
+
+  /**
+   * Checks that an offline ticket was signed with the server's key for a user
+   * on this device. The public key stored with the ticket is not trusted.
+   * @param {string} username
+   * @param {{ticket: Object, signature: string}} offlineTicket
+   * @param {string} publicKey - The pinned base64 public key of the server.
+   * @returns {Promise<boolean>}
+   */
+  async #verifyOfflineTicket(username, { ticket, signature }, publicKey) {
+    if (
+      ticket?.username !== username ||
+      ticket.deviceId !== (await this.getDeviceId())
+    ) {
+      return false;
+    }
+    try {
+      return await cryptoWorker.verifySignature(
+        base64ToBuffer(publicKey),
+        base64ToBuffer(signature),
+        offlineTicketMessage(ticket)
+      );
+    } catch {
+      return false; // A malformed key or signature.
+    }
   }
 
   /**
    * The core unlock logic. It takes a user's PIN and username, retrieves the
-   * corresponding salt and wrappedDEK from the database, derives the master key,
-   * and attempts to unwrap the DEK. If successful, the DEK is stored in memory.
+   * corresponding salt and wrappedDEK from the database, and has the crypto
+   * worker derive the master key and unwrap the DEK. If successful, the DEK
+   * stays in the worker for the rest of the session.
    * @param {string} pin - The user's entered PIN.
    * @param {string} username - The username for which to unlock the session.
    * @returns {Promise<boolean>} True if the unlock was successful, false otherwise.
@@ -51,28 +540,322 @@ class SessionManager {
         );
       }
 
-      const { salt, wrappedDek } = user;
+      if (user.wiped) {
+        throw new Error(`The data for ${username} has been wiped.`);
+      }
 
-      if (!salt || !wrappedDek) {
+      if (!user.salt || !user.wrappedDek) {
         throw new Error(`Incomplete provisioning data for user: ${username}`);
       }
 
-      // Step 2: Derive the master key from the PIN and salt. This is slow by design.
-      const masterKey = await cryptoService.deriveMasterKey(pin, salt);
+      // Offline access is only granted for the period of the server-signed
+      // offline ticket issued at the last online login. Refusing here does not
+      // cost a PIN attempt.
+      const { expiresAt, issuedAt } = await this.#readOfflineTicket(user);
+      if (!expiresAt) {
+        throw new Error(
+          `${username} has no valid offline ticket. Log in online to unlock.`
+        );
+      }
+      if (Date.now() > expiresAt) {
+        throw new Error(
+          `Offline access for ${username} has expired. Log in online to unlock.`
+        );
+      }
+      if (Date.now() < issuedAt - MAX_CLOCK_SKEW_MS) {
+        throw new Error(
+          "The device clock is set before the ticket was issued."
+        );
+      }
+
+      // Steps 2 to 4: In the worker, derive the master key from the PIN and
+      // salt, using the KDF parameters recorded in the user's key envelope
+      // (slow by design), and use it to unwrap (decrypt) the DEK. This fails
+      // with an OperationError if the PIN is incorrect, and counts as a PIN
+      // attempt (see #attemptPin).
+      const unlockResult = await this.#attemptPin(username, () =>
+        cryptoWorker.unlock(pin, user)
+      );
+      this.#username = username;
+      this.#keyId = user.keyId;
 
-      // Step 3: Use the master key to unwrap (decrypt) the DEK.
-      // This will fail if the PIN is incorrect, throwing an error.
-      this.#dek = await cryptoService.unwrapDek(masterKey, wrappedDek);
+      // Step 5: If a previous DEK rotation was interrupted, finish it now. The
+      // new DEK was wrapped under the same master key before rotation started,
+      // so the worker has already unlocked it as the pending DEK.
+      if (user.pendingWrappedDek) {
+        console.log(`Resuming interrupted key rotation for ${username}...`);
+        await this.#completeRotation(user.pendingKeyId);
+      }
+
+      // Step 6: Bind any records written before AAD existed to their metadata.
+      await this.#migrateLegacyRecords();
+
+      // Step 7: Re-wrap the DEK if the user's KDF parameters are older or
+      // weaker than what we use today. The PIN is only available right now.
+      if (unlockResult.keyEnvelopeOutdated) {
+        await this.#rewrapDek(pin, pin);
+        console.log(`Upgraded key derivation parameters for ${username}.`);
+      }
+
+      // Step 8: Users provisioned before audit logs existed get their audit
+      // key now; their log starts with this unlock.
+      if (!user.auditKey) {
+        await dbService.updateProvisionedUser(username, {
+          auditKey: await cryptoWorker.createAuditKey(username),
+        });
+      }
+      await this.#recordAudit(username, "unlock");
 
       console.log(`Session unlocked successfully for ${username}.`);
+      this.recordActivity();
+      this.#emit(this.#unlockListeners, { username });
       return true;
     } catch (error) {
       console.error("Failed to unlock session:", error);
-      this.lockSession(); // Ensure the session is locked on any failure.
+      this.lockSession("error"); // Ensure the session is locked on any failure.
       return false;
     }
   }
 
+  /**
+   * Runs an operation that checks a user's PIN, counting it as a PIN attempt.
+   * The lockout is enforced, and the attempt is counted as failed *before* the
+   * operation runs, so that closing the tab mid-derivation doesn't dodge the
+   * counter; it is reset if the operation succeeds. Once too many attempts
+   * have failed, the user's data is crypto-shredded. Every operation that
+   * takes the PIN goes through here, so an unlocked session cannot be used
+   * to guess the PIN without throttling either.
+   * @param {string} username - The user whose PIN is checked.
+   * @param {function(): Promise<*>} operation - Fails with an OperationError
+   *   if the PIN is wrong.
+   * @returns {Promise<*>} The operation's result.
+   */
+  async #attemptPin(username, operation) {
+    const user = await dbService.getProvisionedUser(username);
+    const attempts = await this.#readPinAttempts(user);
+    if (attempts.lockedUntil > Date.now()) {
+      throw new Error(`Too many failed PIN attempts for ${username}.`);
+    }
+    const failedAttempts = attempts.count + 1;
+    await this.#writePinAttempts(
+      username,
+      failedAttempts,
+      this.#lockoutUntil(failedAttempts)
+    );
+
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      if (error.name === "OperationError") {
+        await this.#recordAudit(username, "pin-failed", { failedAttempts });
+      }
+      if (
+        error.name === "OperationError" &&
+        failedAttempts >= this.#options.maxPinAttempts
+      ) {
+        await dbService.shredUser(username, "pin-attempts");
+        await this.#recordAudit(username, "wipe", { reason: "pin-attempts" });
+        console.warn(`Maximum PIN attempts reached. Wiped ${username}.`);
+        if (this.#username === username) this.lockSession("pin-attempts");
+      }
+      throw error;
+    }
+    await this.#writePinAttempts(username, 0, 0);
+    return result;
+  }
+
+  /**
+   * Calls every listener in a set, isolating them from each other's errors.
+   * @param {Set<function>} listeners
+   * @param {Object} detail - The event detail passed to each listener.
+   */
+  #emit(listeners, detail) {
+    for (const listener of listeners) {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error("Session listener failed:", error);
+      }
+    }
+  }
+
+  /**
+   * Computes when a user may try again after the given number of failures.
+   * @param {number} failedAttempts - The number of consecutive failed attempts.
+   * @returns {number} A timestamp, or 0 if no lockout applies.
+   */
+  #lockoutUntil(failedAttempts) {
+    const { freePinAttempts, pinLockoutBaseMs, pinLockoutMaxMs } =
+      this.#options;
+    if (failedAttempts <= freePinAttempts) return 0;
+    const delay =
+      pinLockoutBaseMs * 2 ** (failedAttempts - freePinAttempts - 1);
+    return Date.now() + Math.min(delay, pinLockoutMaxMs);
+  }
+
+  /**
+   * Returns the device integrity key, creating it on first use.
+   * @returns {Promise<CryptoKey>}
+   */
+  async #getIntegrityKey() {
+    if (!this.#integrityKey) {
+      this.#integrityKey = await dbService.getDeviceValue(INTEGRITY_KEY_NAME);
+    }
+    if (!this.#integrityKey) {
+      this.#integrityKey = await cryptoWorker.generateIntegrityKey();
+      await dbService.saveDeviceValue(INTEGRITY_KEY_NAME, this.#integrityKey);
+    }
+    return this.#integrityKey;
+  }
+
+  /**
+   * Appends an event to a user's audit log. Events are recorded even if the
+   * session is locked; a failure to record one is only logged, so it never
+   * blocks the operation being audited.
+   * @param {string} username - The user the event concerns.
+   * @param {string} type - The kind of event, e.g. "unlock" or "read".
+   * @param {Object} [details] - Event details, such as the item's ID.
+   * @returns {Promise<void>} Settles once the event has been stored.
+   */
+  #recordAudit(username, type, details = {}) {
+    const event = { type, at: Date.now(), ...details };
+    this.#auditQueue = this.#auditQueue
+      .then(async () => {
+        const user = await dbService.getProvisionedUser(username);
+        if (!user?.auditKey) return; // Not unlocked since audit logs exist.
+        const last = await dbService.getLastAuditEntry(username);
+        const seal = () =>
+          cryptoWorker.sealAuditEntry({
+            owner: username,
+            seq: (last?.seq || 0) + 1,
+            prevHash: last?.hash || "",
+            event,
+            publicKey: user.auditKey.publicKey,
+          });
+        // Locking terminates the worker and fails a seal in progress. Sealing
+        // needs no unlocked key, so it is simply tried again.
+        await dbService.appendAuditEntry(await seal().catch(seal));
+      })
+      .catch((error) => {
+        console.warn(`Could not record the audit event "${type}":`, error);
+      });
+    return this.#auditQueue;
+  }
+
+  /**
+   * Decrypts the unlocked user's audit log on this device and checks its
+   * hash chain.
+   * @returns {Promise<{events: Array<{seq: number, event: Object|null}>, brokenAt: number|null, truncated: boolean, uploadedSeq: number}>}
+   *   The events in order (null for entries that cannot be decrypted, e.g.
+   *   from before the user was set up on this device again); the sequence
+   *   number of the first entry that does not link to the one before it;
+   *   whether entries that were already uploaded are missing from the end;
+   *   and the sequence number of the last uploaded entry.
+   */
+  async getAuditLog() {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    await this.#auditQueue;
+    const user = await dbService.getProvisionedUser(this.#username);
+    const entries = await dbService.getAuditEntries(this.#username);
+    const { events, brokenAt } = await cryptoWorker.openAuditLog(
+      this.#username,
+      entries,
+      user.auditKey
+    );
+    const uploadedSeq = user.auditUploadedSeq || 0;
+    return {
+      events,
+      brokenAt,
+      truncated: (entries.at(-1)?.seq || 0) < uploadedSeq,
+      uploadedSeq,
+    };
+  }
+
+  /**
+   * Returns the ID of this device, creating it on first use. The ID is shared
+   * by all users of the device; it marks the device's writes in the version
+   * vectors of records and identifies the device to the server.
+   * @returns {Promise<string>}
+   */
+  async getDeviceId() {
+    if (!this.#deviceId) {
+      this.#deviceId = await dbService.getDeviceValue(DEVICE_ID_NAME);
+    }
+    if (!this.#deviceId) {
+      this.#deviceId = crypto.randomUUID();
+      await dbService.saveDeviceValue(DEVICE_ID_NAME, this.#deviceId);
+    }
+    return this.#deviceId;
+  }
+
+  /**
+   * Returns the version vector of a write by this device on top of a version.
+   * @param {Object<string, number>} [versions] - The version the write is
+   *   based on.
+   * @returns {Promise<Object<string, number>>}
+   */
+  async #nextVersions(versions) {
+    return incrementVersion(versions, await this.getDeviceId());
+  }
+
+  /**
+   * Reads a user's PIN attempt counter and checks its MAC. A counter that is
+   * missing or fails verification has been edited outside the app; it is
+   * treated as having only one attempt left, with the lockout that goes with
+   * it, and that penalty is stored as a signed counter so that it holds.
+   * Users provisioned before PIN throttling have no counter either; they get
+   * a signed one at their next successful unlock. Note that the MAC detects
+   * edits, not the restoration of an older, genuinely signed counter.
+   * @param {Object} user - The user's provisioning record.
+   * @returns {Promise<{count: number, lockedUntil: number, tampered: boolean}>}
+   */
+  async #readPinAttempts(user) {
+    const stored = user.pinAttempts;
+    const key = await this.#getIntegrityKey();
+    const valid =
+      stored?.mac &&
+      (await cryptoWorker.verify(
+        key,
+        stored.mac,
+        pinAttemptsMessage(user.username, stored.count, stored.lockedUntil)
+      ));
+    if (valid) {
+      return {
+        count: stored.count,
+        lockedUntil: stored.lockedUntil,
+        tampered: false,
+      };
+    }
+    const count = Math.max(
+      Number.isSafeInteger(stored?.count) ? stored.count : 0,
+      this.#options.maxPinAttempts - 1
+    );
+    const lockedUntil = Math.max(
+      Number.isSafeInteger(stored?.lockedUntil) ? stored.lockedUntil : 0,
+      this.#lockoutUntil(count)
+    );
+    await this.#writePinAttempts(user.username, count, lockedUntil);
+    return { count, lockedUntil, tampered: true };
+  }
+
+  /**
+   * Stores a user's PIN attempt counter together with its MAC.
+   * @param {string} username - The user to update.
+   * @param {number} count - The number of consecutive failed attempts.
+   * @param {number} lockedUntil - Lockout expiry timestamp, or 0.
+   */
+  async #writePinAttempts(username, count, lockedUntil) {
+    const key = await this.#getIntegrityKey();
+    const mac = await cryptoWorker.sign(
+      key,
+      pinAttemptsMessage(username, count, lockedUntil)
+    );
+    await dbService.updateProvisionedUser(username, {
+      pinAttempts: { count, lockedUntil, mac },
+    });
+  }
+
   /**
    * Decrypts a single data item after the session has been unlocked.
    * @param {string} id - The ID of the item to decrypt.
@@ -81,30 +864,820 @@ class SessionManager {
   async getDecryptedItem(id) {
     if (this.isLocked()) throw new Error("Session is locked.");
     const encryptedRecord = await dbService.getEncryptedData(id);
-    if (!encryptedRecord) return null;
-    const plaintext = await cryptoService.decryptData(
-      this.#dek,
-      encryptedRecord.data
-    );
-    return JSON.parse(plaintext);
+    if (!encryptedRecord || encryptedRecord.deleted) return null;
+    if (encryptedRecord.owner !== this.#username) {
+      throw new Error(`Item ${id} does not belong to ${this.#username}.`);
+    }
+    const item = await cryptoWorker.decryptRecord(encryptedRecord);
+    await this.#recordAudit(this.#username, "read", { itemId: id });
+    return item;
+  }
+
+  /**
+   * Finds the unlocked user's items that contain every keyword of a query,
+   * using the blind keyword index. Only the matching records are decrypted.
+   * Keywords are matched whole and case-insensitively.
+   * @param {string} query - The search text.
+   * @returns {Promise<Array<Object>>} The matching items, decrypted.
+   */
+  async searchItems(query) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    await this.#indexUnindexedRecords();
+    const tokens = await cryptoWorker.searchTokens(query);
+    if (tokens.length === 0) return [];
+
+    let matchingIds = null;
+    for (const token of tokens) {
+      const records = await dbService.getDataForUserByToken(
+        this.#username,
+        token
+      );
+      const ids = new Set(records.map((record) => record.id));
+      matchingIds = matchingIds
+        ? new Set([...matchingIds].filter((id) => ids.has(id)))
+        : ids;
+      if (matchingIds.size === 0) return [];
+    }
+
+    const items = [];
+    for (const id of matchingIds) {
+      items.push(await this.getDecryptedItem(id));
+    }
+    return items;
   }
 
   /**
    * Encrypts and saves a single data item.
    * @param {Object} item - The item to save. Must include an 'owner' property.
+   * @param {Object<string, number>} [baseVersions] - The version vector of the
+   *   record when the item was read for editing. If the record has changed
+   *   since, saving fails with a ConflictError. Defaults to the stored version.
    */
-  async saveItem(item) {
+  async saveItem(item, baseVersions) {
     if (this.isLocked()) throw new Error("Session is locked.");
-    const plaintext = JSON.stringify(item);
-    const encryptedData = await cryptoService.encryptData(this.#dek, plaintext);
+    if (item.owner !== this.#username) {
+      throw new Error(`Items can only be saved for ${this.#username}.`);
+    }
+    // The last known server revision is carried over so the sync service can
+    // detect concurrent edits when the change is pushed, and the content key
+    // is kept so that the item stays readable for users it is shared with.
+    const existingRecord = await dbService.getEncryptedData(item.id);
+    const encrypted = await cryptoWorker.encryptItem(
+      item,
+      undefined,
+      existingRecord?.deleted ? undefined : existingRecord?.wrappedKey
+    );
     // The 'owner' property is added here to be stored alongside the encrypted data,
     // which allows the db-service to index and retrieve data per-user.
+    // An unresolved conflict stays attached to the record.
     await dbService.saveEncryptedData({
       id: item.id,
-      data: encryptedData,
+      ...encrypted,
       owner: item.owner,
+      keyId: this.#keyId,
+      revision: existingRecord?.revision || 0,
+      versions: await this.#nextVersions(
+        baseVersions ?? existingRecord?.versions
+      ),
+      conflict: existingRecord?.conflict,
+      dirty: true, // Marks the record as changed locally and not yet synced.
+      updatedAt: Date.now(),
+    });
+    await this.#recordAudit(this.#username, "update", { itemId: item.id });
+  }
+
+  /**
+   * Deletes a single data item of the unlocked user, with its attachments. An
+   * item that has never been synced is removed outright; otherwise it is
+   * replaced by a tombstone that carries the deletion to the server on the
+   * next sync.
+   * @param {string} id - The ID of the item to delete.
+   */
+  async deleteItem(id) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const record = await dbService.getEncryptedData(id);
+    if (!record || record.deleted) return;
+    if (record.owner !== this.#username) {
+      throw new Error(`Item ${id} does not belong to ${this.#username}.`);
+    }
+    if (record.conflict) {
+      throw new Error(`Resolve the conflict on item ${id} before deleting it.`);
+    }
+    await dbService.deleteAttachmentsForItem(id);
+    if (!record.revision) {
+      await dbService.deleteEncryptedData(id);
+    } else {
+      await dbService.saveEncryptedData({
+        id,
+        owner: record.owner,
+        deleted: true,
+        revision: record.revision,
+        versions: await this.#nextVersions(record.versions),
+        dirty: true,
+        updatedAt: Date.now(),
+      });
+    }
+    await this.#recordAudit(this.#username, "delete", { itemId: id });
+  }
+
+  /**
+   * Decrypts both versions of one of the unlocked user's items that was
+   * changed on this device and on another device at the same time.
+   * @param {string} id - The ID of the conflicting item.
+   * @returns {Promise<{local: Object, remote: Object|null}|null>} This
+   *   device's version and the other device's version (null if the other
+   *   device deleted the item), or null if the item has no conflict.
+   */
+  async getConflict(id) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const record = await this.#getOwnRecord(id);
+    if (!record.conflict) return null;
+    const local = await cryptoWorker.decryptRecord(record);
+    const remote = record.conflict.deleted
+      ? null
+      : await cryptoWorker.decryptRecord({
+          id,
+          owner: record.owner,
+          ...record.conflict,
+        });
+    return { local, remote };
+  }
+
+  /**
+   * Resolves a conflict on one of the unlocked user's items. Passing null
+   * keeps the other device's version as it is. Passing an item saves it as a
+   * new version that includes both conflicting versions, e.g. this device's
+   * version or a merge of the two; it is synced like any other change.
+   * @param {string} id - The ID of the conflicting item.
+   * @param {Object|null} item - The resolved item, or null.
+   */
+  async resolveConflict(id, item) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const record = await this.#getOwnRecord(id);
+    const remote = record.conflict;
+    if (!remote) throw new Error(`Item ${id} has no conflicting version.`);
+    if (item === null) {
+      await dbService.acceptConflictingVersion(id);
+      await this.#recordAudit(this.#username, "update", { itemId: id });
+      return;
+    }
+    // The server's content key is kept, so shares of the item stay readable.
+    const encrypted = await cryptoWorker.encryptItem(
+      { ...item, id, owner: record.owner },
+      undefined,
+      remote.deleted ? record.wrappedKey : remote.wrappedKey
+    );
+    await dbService.saveEncryptedData({
+      id,
+      ...encrypted,
+      owner: record.owner,
+      keyId: this.#keyId,
+      revision: remote.revision,
+      versions: await this.#nextVersions(
+        mergeVersions(record.versions, remote.versions)
+      ),
+      dirty: true,
+      updatedAt: Date.now(),
+    });
+    await this.#recordAudit(this.#username, "update", { itemId: id });
+  }
+
+  /**
+   * Encrypts a file and attaches it to one of the unlocked user's items. The
+   * file is read, encrypted and stored one chunk at a time. The attachment
+   * only becomes visible once every chunk has been stored. Files larger
+   * than MAX_ATTACHMENT_BYTES are refused.
+   * @param {string} itemId - The ID of the item to attach the file to.
+   * @param {Blob} file - The file (a File's name is kept in the metadata).
+   * @returns {Promise<string>} The new attachment's ID.
+   */
+  async addAttachment(itemId, file) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(
+        `Attachments are limited to ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MiB.`
+      );
+    }
+    await this.#getOwnRecord(itemId);
+    const attachment = {
+      id: crypto.randomUUID(),
+      itemId,
+      owner: this.#username,
+    };
+    const encrypted = await cryptoWorker.createAttachment(attachment, {
+      name: file.name || "attachment",
+      type: file.type,
+      size: file.size,
+    });
+    // An empty file still gets one (empty) chunk, which carries the final flag.
+    const chunkCount = Math.max(
+      1,
+      Math.ceil(file.size / ATTACHMENT_CHUNK_BYTES)
+    );
+    const stored = {
+      ...attachment,
+      ...encrypted,
+      chunkCount,
+      keyId: this.#keyId,
+      complete: false,
+      createdAt: Date.now(),
+    };
+    await dbService.saveAttachment(stored);
+    try {
+      for (let index = 0; index < chunkCount; index++) {
+        const start = index * ATTACHMENT_CHUNK_BYTES;
+        const chunk = await file
+          .slice(start, start + ATTACHMENT_CHUNK_BYTES)
+          .arrayBuffer();
+        await dbService.saveAttachmentChunk({
+          attachmentId: stored.id,
+          index,
+          data: await cryptoWorker.encryptAttachmentChunk(stored, index, chunk),
+        });
+      }
+    } catch (error) {
+      await dbService.deleteAttachment(stored.id);
+      throw error;
+    }
+    await dbService.saveAttachment({ ...stored, complete: true });
+    return stored.id;
+  }
+
+  /**
+   * Lists the attachments of one of the unlocked user's items, with their
+   * decrypted metadata.
+   * @param {string} itemId - The item's ID.
+   * @returns {Promise<Array<{id: string, name: string, type: string, size: number}>>}
+   */
+  async listAttachments(itemId) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    await this.#getOwnRecord(itemId);
+    const attachments = await dbService.getAttachmentsForItem(itemId);
+    const listed = [];
+    for (const attachment of attachments) {
+      if (!attachment.complete) continue;
+      listed.push({
+        id: attachment.id,
+        ...(await cryptoWorker.decryptAttachmentMetadata(attachment)),
+      });
+    }
+    return listed;
+  }
+
+  /**
+   * Decrypts an attachment of the unlocked user into a Blob. Chunks are read
+   * and decrypted one at a time as the Blob is assembled, so the encrypted
+   * file is never loaded in full; the decrypted file is, which is why
+   * attachments are limited to MAX_ATTACHMENT_BYTES. Decryption fails if any
+   * chunk is missing, modified, out of order or from another attachment, or
+   * if chunks were removed from the end.
+   * @param {string} id - The attachment's ID.
+   * @returns {Promise<Blob>} The decrypted file, typed with its MIME type.
+   */
+  async openAttachment(id) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const attachment = await dbService.getAttachment(id);
+    if (
+      !attachment ||
+      !attachment.complete ||
+      attachment.owner !== this.#username
+    ) {
+      throw new Error(`Attachment ${id} does not belong to ${this.#username}.`);
+    }
+    if (
+      attachment.chunkCount >
+      Math.ceil(MAX_ATTACHMENT_BYTES / ATTACHMENT_CHUNK_BYTES)
+    ) {
+      throw new Error(`Attachment ${id} is too large to open.`);
+    }
+    const { type } = await cryptoWorker.decryptAttachmentMetadata(attachment);
+    await this.#recordAudit(this.#username, "read", {
+      itemId: attachment.itemId,
+      attachmentId: id,
+    });
+    let index = 0;
+    const stream = new ReadableStream({
+      async pull(controller) {
+        const chunk = await dbService.getAttachmentChunk(id, index);
+        if (!chunk) {
+          throw new Error(`Chunk ${index} of attachment ${id} is missing.`);
+        }
+        const plaintext = await cryptoWorker.decryptAttachmentChunk(
+          attachment,
+          index,
+          chunk.data
+        );
+        controller.enqueue(new Uint8Array(plaintext));
+        if (++index === attachment.chunkCount) controller.close();
+      },
     });
+    return new Response(stream, {
+      headers: { "Content-Type": type || "application/octet-stream" },
+    }).blob();
+  }
+
+  /**
+   * Deletes an attachment of the unlocked user.
+   * @param {string} id - The attachment's ID.
+   */
+  async deleteAttachment(id) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const attachment = await dbService.getAttachment(id);
+    if (!attachment) return;
+    if (attachment.owner !== this.#username) {
+      throw new Error(`Attachment ${id} does not belong to ${this.#username}.`);
+    }
+    await dbService.deleteAttachment(id);
+  }
+
+  /**
+   * Looks up one of the unlocked user's items, failing if it does not exist,
+   * is deleted or belongs to someone else.
+   * @param {string} id - The item's ID.
+   * @returns {Promise<Object>} The encrypted record.
+   */
+  async #getOwnRecord(id) {
+    const record = await dbService.getEncryptedData(id);
+    if (!record || record.deleted || record.owner !== this.#username) {
+      throw new Error(`Item ${id} does not belong to ${this.#username}.`);
+    }
+    return record;
+  }
+
+  /**
+   * Removes the unlocked user from this device: their wrapped DEK and all of
+   * their records are deleted and the session is locked with reason
+   * "removed". Changes that were not synced yet are lost; data already on the
+   * server is not affected.
+   */
+  async removeCurrentUser() {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const username = this.#username;
+    await dbService.deleteProvisionedUser(username);
+    this.lockSession("removed");
+    console.log(`Removed ${username} from this device.`);
+  }
+
+  /**
+   * Crypto-shreds a user who revoked this device. If their session is
+   * unlocked, it is locked with reason "revoked" as well.
+   * @param {string} username - The user who revoked this device.
+   */
+  async wipeRevokedUser(username) {
+    await dbService.shredUser(username, "revoked");
+    await this.#recordAudit(username, "wipe", { reason: "revoked" });
+    if (this.#username === username) this.lockSession("revoked");
+    console.warn(`This device was revoked by ${username}. Wiped ${username}.`);
+  }
+
+  /**
+   * Exports the unlocked user's items as a passphrase-protected backup. The
+   * file holds the encrypted records and the DEK, wrapped under a key derived
+   * from the passphrase with its own salt and KDF parameters, so it can be
+   * restored on any device without the PIN.
+   * @param {string} pin - The user's PIN, needed to re-wrap the DEK.
+   * @param {string} passphrase - The passphrase that will protect the backup.
+   * @returns {Promise<string>} The backup file contents (JSON).
+   */
+  async exportBackup(pin, passphrase) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const user = await dbService.getProvisionedUser(this.#username);
+    if (user.pendingWrappedDek) {
+      throw new Error("A key rotation is still in progress.");
+    }
+    const records = await dbService.getAllDataForUser(this.#username);
+    try {
+      const backup = await this.#attemptPin(this.#username, () =>
+        cryptoWorker.createBackup(pin, passphrase, user, records)
+      );
+      return JSON.stringify(backup);
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error("The PIN is incorrect.");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypts the unlocked user's DEK for a new device, under the transfer key
+   * of a pairing whose verification code the user has confirmed.
+   * @param {string} pin - The user's PIN, needed to unwrap the DEK.
+   * @returns {Promise<{encryptedKey: ArrayBuffer, keyId: string|undefined}>}
+   *   The encrypted DEK, and the key ID the new device should record.
+   */
+  async wrapDekForPairing(pin) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const user = await dbService.getProvisionedUser(this.#username);
+    if (user.pendingWrappedDek) {
+      throw new Error("A key rotation is still in progress.");
+    }
+    try {
+      const encryptedKey = await this.#attemptPin(this.#username, () =>
+        cryptoWorker.wrapDekForPairing(pin, user)
+      );
+      return { encryptedKey, keyId: this.#keyId };
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error("The PIN is incorrect.");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the unlocked user's key pair for receiving shared items and stores
+   * it on their provisioning record, with the private key wrapped under the
+   * DEK. The key pair still has to be published to the server.
+   * @returns {Promise<{publicKey: string, wrappedPrivateKey: ArrayBuffer, published: boolean}>}
+   */
+  async createKeyPair() {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const keyPair = {
+      ...(await cryptoWorker.createUserKeyPair(this.#username)),
+      published: false,
+    };
+    await dbService.updateProvisionedUser(this.#username, { keyPair });
+    return keyPair;
   }
+
+  /**
+   * Stores a key pair the unlocked user already published from another
+   * device.
+   * @param {{publicKey: string, wrappedPrivateKey: ArrayBuffer}} keyPair
+   */
+  async storePublishedKeyPair({ publicKey, wrappedPrivateKey }) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    await dbService.updateProvisionedUser(this.#username, {
+      keyPair: { publicKey, wrappedPrivateKey, published: true },
+    });
+  }
+
+  /**
+   * Seals the content key of one of the unlocked user's items for another
+   * user. A record from before per-item content keys is re-encrypted first,
+   * so the change has to be synced before the share is of use.
+   * @param {string} id - The ID of the item to share.
+   * @param {string} recipient - The user to share it with.
+   * @param {string} recipientPublicKey - The recipient's base64 public key.
+   * @returns {Promise<{ephemeralPublicKey: string, wrappedKey: string}>}
+   */
+  async shareItem(id, recipient, recipientPublicKey) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    if (recipient === this.#username) {
+      throw new Error("Items cannot be shared with yourself.");
+    }
+    let record = await this.#getOwnRecord(id);
+    if (!record.wrappedKey) {
+      await this.saveItem(await cryptoWorker.decryptRecord(record));
+      record = await dbService.getEncryptedData(id);
+    }
+    return cryptoWorker.shareItem(record, recipient, recipientPublicKey);
+  }
+
+  /**
+   * Decrypts an item another user has shared with the unlocked user.
+   * @param {string} owner - The user who shared the item.
+   * @param {string} itemId - The item's ID.
+   * @returns {Promise<Object|null>} The decrypted item, or null if it is not
+   *   shared with the user.
+   */
+  async getSharedItem(owner, itemId) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const share = await dbService.getSharedItem(this.#username, owner, itemId);
+    if (!share) return null;
+    const user = await dbService.getProvisionedUser(this.#username);
+    if (!user.keyPair) throw new Error("This device has no sharing key yet.");
+    const item = await cryptoWorker.decryptSharedItem(
+      share,
+      this.#username,
+      user.keyPair
+    );
+    await this.#recordAudit(this.#username, "read", { owner, itemId });
+    return item;
+  }
+
+  /**
+   * Restores items from a backup made by `exportBackup` into the unlocked
+   * user's data, merging by item ID. The whole file is verified before
+   * anything is written. Items that are missing locally (or were deleted
+   * locally) are restored and marked for sync; items that exist locally keep
+   * their local version.
+   * @param {string} backupText - The backup file contents.
+   * @param {string} passphrase - The backup passphrase.
+   * @returns {Promise<{restored: number, skipped: number}>}
+   */
+  async importBackup(backupText, passphrase) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    let backup;
+    try {
+      backup = JSON.parse(backupText);
+    } catch {
+      throw new Error("This is not a supported backup file.");
+    }
+    if (backup?.username !== this.#username) {
+      throw new Error(`This backup does not belong to ${this.#username}.`);
+    }
+
+    let records;
+    try {
+      records = await cryptoWorker.restoreBackup(backup, passphrase);
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error(
+          "The backup passphrase is incorrect, or the backup is corrupt."
+        );
+      }
+      throw error;
+    }
+
+    let restored = 0;
+    for (const record of records) {
+      const existing = await dbService.getEncryptedData(record.id);
+      if (
+        existing &&
+        (!existing.deleted || existing.owner !== this.#username)
+      ) {
+        continue;
+      }
+      await dbService.saveEncryptedData({
+        ...record,
+        owner: this.#username,
+        keyId: this.#keyId,
+        // A local tombstone knows the item's latest server revision.
+        revision: existing ? existing.revision : record.revision,
+        versions: await this.#nextVersions(existing?.versions),
+        dirty: true,
+        updatedAt: Date.now(),
+      });
+      restored++;
+    }
+    console.log(`Restored ${restored} item(s) from backup.`);
+    return { restored, skipped: records.length - restored };
+  }
+
+  /**
+   * Changes the PIN protecting the current user's DEK. The DEK itself stays the
+   * same, so no data has to be re-encrypted: it is unwrapped with the old PIN
+   * and wrapped again under a Master Key derived from the new PIN and a fresh salt.
+   * @param {string} oldPin - The user's current PIN.
+   * @param {string} newPin - The PIN to set.
+   */
+  async changePin(oldPin, newPin) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    const user = await dbService.getProvisionedUser(this.#username);
+    if (user.pendingWrappedDek) {
+      throw new Error("A key rotation is still in progress.");
+    }
+
+    try {
+      await this.#attemptPin(this.#username, () =>
+        this.#rewrapDek(oldPin, newPin)
+      );
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error("The current PIN is incorrect.");
+      }
+      throw error;
+    }
+    console.log(`PIN changed for ${this.#username}.`);
+  }
+
+  /**
+   * Wraps the unlocked user's DEK under a new Master Key, derived from the given
+   * PIN and a fresh salt using the current parameters of the user's KDF. Used
+   * both to change the PIN and to upgrade outdated KDF parameters. Throws an
+   * OperationError if the old PIN is wrong.
+   * @param {string} oldPin - The PIN the DEK is currently wrapped under.
+   * @param {string} newPin - The PIN to wrap the DEK under.
+   */
+  async #rewrapDek(oldPin, newPin) {
+    const user = await dbService.getProvisionedUser(this.#username);
+    const { salt, wrappedDek, keyEnvelope } = await cryptoWorker.rewrapDek(
+      oldPin,
+      newPin,
+      user
+    );
+    await dbService.updateProvisionedUser(this.#username, {
+      salt,
+      wrappedDek,
+      keyEnvelope,
+    });
+  }
+
+  /**
+   * Replaces the current user's DEK with a newly generated one and re-encrypts
+   * every record under it. The rotation is resumable: the new DEK is persisted
+   * (wrapped under the user's Master Key) as `pendingWrappedDek` before any
+   * record is touched, and each record is tagged with the ID of the key that
+   * encrypted it. If the page dies mid-rotation, the next successful unlock
+   * picks up where it left off, so no record is ever left unreadable.
+   * @param {string} pin - The user's PIN, needed to wrap the new DEK.
+   */
+  async rotateDek(pin) {
+    if (this.isLocked()) throw new Error("Session is locked.");
+    // The remote version of a conflicting record is encrypted under the
+    // current DEK and would become unreadable.
+    const records = await dbService.getAllDataForUser(this.#username);
+    if (records.some((record) => record.conflict)) {
+      throw new Error("Resolve all conflicting items before rotating the key.");
+    }
+    const user = await dbService.getProvisionedUser(this.#username);
+    // The new DEK is wrapped with the same envelope as the current one, so
+    // both can be unwrapped with the same Master Key if rotation is resumed.
+    let pendingWrappedDek;
+    let pendingSealedDek;
+    try {
+      ({ pendingWrappedDek, pendingSealedDek } = await this.#attemptPin(
+        this.#username,
+        () => cryptoWorker.beginRotation(this.#username, pin, user)
+      ));
+    } catch (error) {
+      if (error.name === "OperationError") {
+        throw new Error("The PIN is incorrect.");
+      }
+      throw error;
+    }
+
+    // With PIN recovery, the new DEK is sealed for the recovery key too, so
+    // that a PIN reset can resume the rotation.
+    const pendingKeyId = crypto.randomUUID();
+    await dbService.updateProvisionedUser(this.#username, {
+      pendingWrappedDek,
+      pendingKeyId,
+      ...(user.recovery && {
+        recovery: { ...user.recovery, pendingSealedDek },
+      }),
+    });
+    console.log(`Rotating DEK for ${this.#username}...`);
+    await this.#completeRotation(pendingKeyId);
+  }
+
+  /**
+   * Re-encrypts every record and re-wraps every attachment key that is not
+   * yet under the pending DEK, then makes the pending DEK the user's current
+   * one. The worker must already hold the pending DEK.
+   * @param {string} pendingKeyId - The ID of the new DEK.
+   */
+  async #completeRotation(pendingKeyId) {
+    const records = await dbService.getAllDataForUser(this.#username);
+    let skipped = 0;
+    for (const record of records) {
+      // Already re-encrypted before an earlier rotation attempt was interrupted.
+      if (record.keyId === pendingKeyId) continue;
+      let item;
+      try {
+        item = await cryptoWorker.decryptRecord(record);
+      } catch {
+        // The record was not readable with the old DEK either; leave it alone.
+        skipped++;
+        continue;
+      }
+      await dbService.saveEncryptedData({
+        ...record,
+        ...(await cryptoWorker.encryptItem(item, "pendingDek")),
+        keyId: pendingKeyId,
+        versions: await this.#nextVersions(record.versions),
+        dirty: true,
+        updatedAt: Date.now(),
+      });
+    }
+    if (skipped > 0) {
+      console.warn(`${skipped} unreadable record(s) were not re-encrypted.`);
+    }
+    // Attachments keep their keys and chunks; only the keys are wrapped under
+    // the new DEK, so large files do not have to be rewritten.
+    const attachments = await dbService.getAllAttachmentsForUser(
+      this.#username
+    );
+    for (const attachment of attachments) {
+      if (attachment.keyId === pendingKeyId) continue;
+      try {
+        await dbService.saveAttachment({
+          ...attachment,
+          wrappedKey: await cryptoWorker.rewrapAttachmentKey(attachment),
+          keyId: pendingKeyId,
+        });
+      } catch {
+        console.warn(`Attachment ${attachment.id} could not be re-wrapped.`);
+      }
+    }
+
+    // Records get fresh content keys, which ends any sharing of them; the
+    // user's own key pair is kept and only wrapped under the new DEK.
+    const user = await dbService.getProvisionedUser(this.#username);
+    const keyPair = user.keyPair && {
+      publicKey: user.keyPair.publicKey,
+      wrappedPrivateKey: await cryptoWorker.rewrapPrivateKey(
+        this.#username,
+        user.keyPair.wrappedPrivateKey
+      ),
+      published: false,
+    };
+    const auditKey = user.auditKey && {
+      publicKey: user.auditKey.publicKey,
+      wrappedPrivateKey: await cryptoWorker.rewrapPrivateKey(
+        this.#username,
+        user.auditKey.wrappedPrivateKey,
+        true
+      ),
+    };
+    let recovery;
+    if (user.recovery?.pendingSealedDek) {
+      const { pendingSealedDek, ...current } = user.recovery;
+      recovery = { ...current, sealedDek: pendingSealedDek };
+    }
+    await dbService.updateProvisionedUser(this.#username, {
+      wrappedDek: user.pendingWrappedDek,
+      keyId: pendingKeyId,
+      keyPair,
+      auditKey,
+      recovery,
+      pendingWrappedDek: undefined,
+      pendingKeyId: undefined,
+    });
+    await cryptoWorker.finishRotation();
+    this.#keyId = pendingKeyId;
+    console.log(`DEK rotation complete for ${this.#username}.`);
+  }
+
+  /**
+   * Adds blind index tokens to the unlocked user's records that have none.
+   * Tokens are never synced, so this covers records pulled from the server as
+   * well as records written before the index existed.
+   */
+  async #indexUnindexedRecords() {
+    const records = await dbService.getAllDataForUser(this.#username);
+    for (const record of records) {
+      if (record.tokens) continue;
+      try {
+        const tokens = await cryptoWorker.indexRecord(record);
+        await dbService.saveEncryptedData({ ...record, tokens });
+      } catch (error) {
+        console.warn(`Could not index item ${record.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Re-encrypts the unlocked user's legacy records (written before AAD binding)
+   * so that their ciphertext is bound to their metadata. Records that cannot be
+   * decrypted or whose contents don't match their metadata are left alone.
+   */
+  async #migrateLegacyRecords() {
+    const records = await dbService.getAllDataForUser(this.#username);
+    for (const record of records) {
+      if (record.schemaVersion) continue;
+      try {
+        const item = await cryptoWorker.decryptRecord(record);
+        await dbService.saveEncryptedData({
+          ...record,
+          ...(await cryptoWorker.encryptItem(item)),
+          versions: await this.#nextVersions(record.versions),
+          dirty: true,
+          updatedAt: Date.now(),
+        });
+      } catch (error) {
+        console.warn(`Could not migrate item ${record.id}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Builds the message authenticated by a PIN attempt counter's MAC.
+ * @param {string} username
+ * @param {number} count
+ * @param {number} lockedUntil
+ * @returns {string}
+ */
+function pinAttemptsMessage(username, count, lockedUntil) {
+  return JSON.stringify(["pin-attempts", username, count, lockedUntil]);
+}
+
+/**
+ * Builds the message authenticated by the pinned offline ticket key's MAC.
+ * @param {string} publicKey
+ * @returns {string}
+ */
+function ticketKeyMessage(publicKey) {
+  return JSON.stringify(["ticket-key", publicKey]);
+}
+
+/**
+ * Builds the message signed by the server for an offline ticket. Must match
+ * offlineTicketMessage in server.js.
+ * @param {{username: string, deviceId: string, issuedAt: number, expiresAt: number}} ticket
+ * @returns {string}
+ */
+function offlineTicketMessage({ username, deviceId, issuedAt, expiresAt }) {
+  return JSON.stringify([
+    "offline-ticket",
+    username,
+    deviceId,
+    issuedAt,
+    expiresAt,
+  ]);
 }
 
 // Export a single instance of the SessionManager to be used as a singleton
@@ -0,0 +1,108 @@
+/**
+ * @file sharing-service.js
+ * @description This module lets users share single items with each other
+ * without the server ever seeing plaintext. Every user has a long-term ECDH
+ * (P-256) key pair: the public key is published in the server's key
+ * directory, and the private key is stored wrapped under the user's DEK (on
+ * the device and, so the user's other devices can use it, on the server).
+ * Each item is encrypted under its own content key; sharing an item seals
+ * that content key for the recipient's public key. The recipient downloads
+ * the sealed key together with the owner's ciphertext and decrypts it with
+ * their private key after unlocking.
+ *
+ * The server's directory is trusted to return the right public key for a
+ * username. A malicious server could substitute its own key and read items
+ * shared afterwards.
+ */
+
+import {
+  createShare,
+  getOwnKeyPair,
+  getPublicKey,
+  listShares,
+  publishKeyPair,
+} from "./api-client.js";
+import { dbService } from "./db-service.js";
+import { sessionManager } from "./session-manager.js";
+import { syncService } from "./sync-service.js";
+import { base64ToBuffer, bufferToBase64 } from "./encoding.js";
+
+export const sharingService = {
+  /**
+   * Makes sure the unlocked user has a published key pair, then downloads the
+   * items shared with them. A key pair published from another device is
+   * reused, so all of a user's devices can read the same shares.
+   * @param {string} username - The unlocked user.
+   * @returns {Promise<number>} The number of items shared with the user.
+   */
+  async syncSharing(username) {
+    const user = await dbService.getProvisionedUser(username);
+    let keyPair = user.keyPair;
+    if (!keyPair) {
+      const published = await getOwnKeyPair();
+      if (published) {
+        keyPair = {
+          publicKey: published.publicKey,
+          wrappedPrivateKey: base64ToBuffer(published.wrappedPrivateKey),
+        };
+        await sessionManager.storePublishedKeyPair(keyPair);
+      } else {
+        keyPair = await sessionManager.createKeyPair();
+      }
+    }
+    if (keyPair.published === false) {
+      await publishKeyPair(
+        keyPair.publicKey,
+        bufferToBase64(keyPair.wrappedPrivateKey)
+      );
+      await dbService.updateProvisionedUser(username, {
+        keyPair: { ...keyPair, published: true },
+      });
+    }
+
+    const shares = await listShares();
+    await dbService.replaceSharedItemsForUser(
+      username,
+      shares.map((share) => ({
+        owner: share.owner,
+        itemId: share.itemId,
+        ephemeralPublicKey: base64ToBuffer(share.ephemeralPublicKey),
+        wrappedKey: base64ToBuffer(share.wrappedKey),
+        data: base64ToBuffer(share.data),
+        schemaVersion: share.schemaVersion,
+        envelope: share.envelope,
+        revision: share.revision,
+      }))
+    );
+    return shares.length;
+  },
+
+  /**
+   * Shares one of the unlocked user's items with another user. The item is
+   * synced first, because the recipient reads the owner's ciphertext from the
+   * server.
+   * @param {string} username - The unlocked user, who owns the item.
+   * @param {string} id - The ID of the item to share.
+   * @param {string} recipient - The user to share it with.
+   */
+  async shareItem(username, id, recipient) {
+    const recipientPublicKey = await getPublicKey(recipient);
+    const { ephemeralPublicKey, wrappedKey } = await sessionManager.shareItem(
+      id,
+      recipient,
+      recipientPublicKey
+    );
+    const { conflicts } = await syncService.pushLocalChanges(username);
+    if (conflicts.includes(id)) {
+      throw new Error(
+        "The item was changed on another device. Sync, then try again."
+      );
+    }
+    await createShare({
+      recipient,
+      itemId: id,
+      ephemeralPublicKey,
+      wrappedKey,
+    });
+  },
+};
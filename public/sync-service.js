@@ -0,0 +1,204 @@
+/**
+ * @file sync-service.js
+ * @description This module keeps a user's encrypted records in step with the
+ * server. It works purely on ciphertext: records are uploaded and downloaded
+ * exactly as they are stored in IndexedDB, so the Data Encryption Key never
+ * leaves the client and the server never sees plaintext. Syncing requires an
+ * authenticated online session, but does not require the session to be unlocked.
+ *
+ * Every local change is queued as a ciphertext-only operation in the outbox
+ * (see db-service.js). Besides the explicit sync below, the service worker
+ * replays the outbox in the background: on a Background Sync `sync` event, or
+ * when the page tells it that connectivity has returned or a retry is due.
+ */
+
+import { getCurrentAccount, pullItems, pushItems } from "./api-client.js";
+import { dbService } from "./db-service.js";
+import { base64ToBuffer } from "./encoding.js";
+
+// The Background Sync tag and message types shared with service-worker.js.
+const OUTBOX_SYNC_TAG = "outbox-replay";
+const REPLAY_MESSAGE = "replay-outbox";
+const OUTBOX_UPDATED_MESSAGE = "outbox-updated";
+
+let retryTimer = null;
+
+/**
+ * Asks the active service worker to replay the outbox now.
+ * @param {boolean} force - Whether to also send entries whose retry backoff
+ *   has not expired yet.
+ */
+async function postReplayMessage(force) {
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: REPLAY_MESSAGE, force });
+}
+
+/**
+ * Makes sure that the online session belongs to the owner of the records, so
+ * that one user's records are never pushed to, or pulled from, another user's
+ * server account. The service worker checks the same before replaying.
+ * @param {string} username - The owner of the records.
+ */
+async function checkOnlineAccount(username) {
+  const account = await getCurrentAccount();
+  if (!account) {
+    const error = new Error("Not authenticated.");
+    error.status = 401;
+    throw error;
+  }
+  if (account.username !== username) {
+    const error = new Error(
+      `Logged in online as ${account.username}, not ${username}.`
+    );
+    error.status = 403;
+    throw error;
+  }
+}
+
+export const syncService = {
+  /**
+   * Sends the user's whole outbox, including deletions and operations that
+   * conflicted before, to the server. Records the server rejects because they
+   * were changed elsewhere are left dirty and reported. The user must be the
+   * one logged in online.
+   * @param {string} username - The owner of the records.
+   * @returns {Promise<{pushed: number, conflicts: Array<string>}>}
+   */
+  async pushLocalChanges(username) {
+    const entries = await dbService.getOutboxForUser(username);
+    if (entries.length === 0) return { pushed: 0, conflicts: [] };
+    await checkOnlineAccount(username);
+
+    const { applied, conflicts } = await pushItems(
+      entries.map((entry) => entry.operation)
+    );
+    for (const { id, revision } of applied) {
+      const pushed = entries.find((entry) => entry.id === id);
+      await dbService.markDataSynced(id, revision, pushed.updatedAt);
+    }
+    await dbService.markOutboxConflicts(
+      entries.filter((entry) => conflicts.some((c) => c.id === entry.id))
+    );
+    return { pushed: applied.length, conflicts: conflicts.map((c) => c.id) };
+  },
+
+  /**
+   * Downloads records that changed on the server since the last pull and
+   * stores them locally. Records that were also changed on this device are
+   * compared by their version vectors (see dbService.applyRemoteData), and
+   * concurrently edited ones are reported as conflicts. The user must be the
+   * one logged in online.
+   * @param {string} username - The owner of the records.
+   * @returns {Promise<{pulled: number, conflicts: Array<string>}>}
+   */
+  async pullRemoteChanges(username) {
+    await checkOnlineAccount(username);
+    const user = await dbService.getProvisionedUser(username);
+    const { items, cursor } = await pullItems(user?.syncCursor || 0);
+    const { applied, conflicts } = await dbService.applyRemoteData(
+      username,
+      items.map((item) =>
+        item.deleted
+          ? {
+              id: item.id,
+              deleted: true,
+              versions: item.versions,
+              revision: item.revision,
+            }
+          : {
+              id: item.id,
+              data: base64ToBuffer(item.data),
+              schemaVersion: item.schemaVersion,
+              envelope: item.envelope,
+              wrappedKey: item.wrappedKey && base64ToBuffer(item.wrappedKey),
+              versions: item.versions,
+              revision: item.revision,
+            }
+      )
+    );
+    // Conflicting remote versions are stored next to the local ones until the
+    // user resolves them, so the cursor can always move on.
+    if (user) {
+      await dbService.updateProvisionedUser(username, { syncCursor: cursor });
+    }
+    return { pulled: applied.length, conflicts };
+  },
+
+  /**
+   * Runs a full sync cycle for a user: local changes are pushed first, then
+   * remote changes are pulled. Changes the server rejected are settled by the
+   * pull: they are superseded by the remote version, rebased on it or stored
+   * as conflicts. If there were any, the outbox is pushed once more, so that
+   * rebased changes do not wait for the next sync.
+   * @param {string} username - The owner of the records.
+   * @returns {Promise<{pushed: number, pulled: number, conflicts: Array<string>}>}
+   *   A summary of the sync, including the IDs of records that conflict.
+   */
+  async syncUser(username) {
+    let pushResult = await this.pushLocalChanges(username);
+    const pullResult = await this.pullRemoteChanges(username);
+    if (pushResult.conflicts.length > 0) {
+      const retryResult = await this.pushLocalChanges(username);
+      pushResult = {
+        pushed: pushResult.pushed + retryResult.pushed,
+        conflicts: retryResult.conflicts,
+      };
+    }
+    return {
+      pushed: pushResult.pushed,
+      pulled: pullResult.pulled,
+      conflicts: [
+        ...new Set([...pushResult.conflicts, ...pullResult.conflicts]),
+      ],
+    };
+  },
+
+  /**
+   * Asks the service worker to replay the outbox once the device is online.
+   * With Background Sync this also works after the page has been closed;
+   * without it, the replay is requested right away if the device is online.
+   */
+  async requestBackgroundSync() {
+    if (!("serviceWorker" in navigator)) return;
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(OUTBOX_SYNC_TAG);
+    } else if (navigator.onLine) {
+      await postReplayMessage(true);
+    }
+  },
+
+  /**
+   * Starts watching the outbox from the page: every entry is replayed when
+   * connectivity returns. The listener is called whenever the service worker
+   * has replayed the outbox, e.g. to refresh a pending-changes count.
+   * @param {function(): void} listener
+   */
+  watchOutbox(listener) {
+    if (!("serviceWorker" in navigator)) return;
+    window.addEventListener("online", () => postReplayMessage(true));
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data?.type === OUTBOX_UPDATED_MESSAGE) listener();
+    });
+  },
+
+  /**
+   * Schedules the next retry of a user's failed outbox entries for when their
+   * backoff expires, replacing any retry scheduled before.
+   * @param {string} username - The owner of the entries.
+   */
+  async scheduleRetry(username) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (!("serviceWorker" in navigator)) return;
+    const entries = await dbService.getOutboxForUser(username);
+    const retryTimes = entries
+      .filter((entry) => !entry.conflict && entry.attempts > 0)
+      .map((entry) => entry.nextAttemptAt);
+    if (retryTimes.length === 0) return;
+    retryTimer = setTimeout(
+      () => postReplayMessage(false),
+      Math.max(0, Math.min(...retryTimes) - Date.now())
+    );
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * @file version-vector.js
+ * @description Helpers for the version vectors carried by synced records. A
+ * record's version vector counts, for each device that has written the record,
+ * how many of its writes the record includes. Comparing the vectors of two
+ * versions of a record tells whether one of them already includes every change
+ * of the other, or whether they were edited concurrently on different devices.
+ * Vectors are plain objects mapping device IDs to counters; a missing vector
+ * is the same as an empty one.
+ */
+
+/**
+ * Returns the vector of a new write by a device on top of the given version.
+ * @param {Object<string, number>} [versions] - The vector of the version the
+ *   write is based on.
+ * @param {string} deviceId - The ID of the writing device.
+ * @returns {Object<string, number>}
+ */
+export function incrementVersion(versions = {}, deviceId) {
+  return { ...versions, [deviceId]: (versions[deviceId] || 0) + 1 };
+}
+
+/**
+ * Returns the smallest vector that includes both given vectors, i.e. the base
+ * of a write that resolves a conflict between them.
+ * @param {Object<string, number>} [a]
+ * @param {Object<string, number>} [b]
+ * @returns {Object<string, number>}
+ */
+export function mergeVersions(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [deviceId, counter] of Object.entries(b)) {
+    merged[deviceId] = Math.max(merged[deviceId] || 0, counter);
+  }
+  return merged;
+}
+
+/**
+ * Compares two version vectors.
+ * @param {Object<string, number>} [a]
+ * @param {Object<string, number>} [b]
+ * @returns {"equal"|"before"|"after"|"concurrent"} "before" if `b` includes
+ *   every write of `a` and more, "after" if `a` includes every write of `b`
+ *   and more, and "concurrent" if each has writes the other lacks.
+ */
+export function compareVersions(a = {}, b = {}) {
+  let aAhead = false;
+  let bAhead = false;
+  for (const deviceId of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const difference = (a[deviceId] || 0) - (b[deviceId] || 0);
+    if (difference > 0) aAhead = true;
+    if (difference < 0) bAhead = true;
+  }
+  if (aAhead && bAhead) return "concurrent";
+  if (aAhead) return "after";
+  if (bAhead) return "before";
+  return "equal";
+}
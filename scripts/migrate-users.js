@@ -0,0 +1,30 @@
+/**
+ * @file migrate-users.js
+ * @description One-off migration that replaces plaintext `password` fields in
+ * users.json with scrypt `passwordHash` fields. Entries that are already hashed
+ * are left untouched, so the script is safe to run more than once.
+ *
+ * Usage: npm run migrate:users
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { updateJsonFile } from "../lib/json-store.js";
+import { hashPassword } from "../lib/passwords.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const USERS_FILE = path.join(__dirname, "..", "users.json");
+
+const migrated = await updateJsonFile(USERS_FILE, [], async (users) => {
+  let count = 0;
+  for (const user of users) {
+    if (typeof user.password === "string") {
+      user.passwordHash = await hashPassword(user.password);
+      delete user.password;
+      count++;
+    }
+  }
+  return count;
+});
+
+console.log(`Migrated ${migrated} user(s) to hashed passwords.`);
@@ -0,0 +1,239 @@
+/**
+ * @file mock-idp.js
+ * @description A small OpenID Connect provider for trying out and testing
+ * single sign-on locally. It implements just what the server's login needs:
+ * discovery, a JWKS with a signing key generated at startup, an authorization
+ * endpoint with a login form that accepts any username (there are no
+ * passwords), and a token endpoint that checks PKCE and returns an RS256-signed
+ * ID token. Never use it for anything but local testing.
+ *
+ * Usage: npm run mock-idp, then start the server with
+ *
+ *   OIDC_ISSUER=http://localhost:4000 \
+ *   OIDC_CLIENT_ID=offline-encryption-pwa \
+ *   OIDC_REDIRECT_URI=http://localhost:3000/auth/oidc/callback \
+ *   npm start
+ *
+ * MOCK_IDP_PORT and MOCK_IDP_CLIENT_ID change the port and the only client ID
+ * the provider accepts.
+ */
+
+import express from "express";
+import { createHash, generateKeyPairSync, randomBytes, sign } from "crypto";
+
+const port = Number(process.env.MOCK_IDP_PORT) || 4000;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_IDP_CLIENT_ID || "offline-encryption-pwa";
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{2,31}$/;
+
+const { privateKey, publicKey } = generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const keyId = randomBytes(8).toString("hex");
+
+// Authorization code -> the login it was issued for. Codes work once.
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+/**
+ * Signs a JWT with the provider's key.
+ * @param {Object} claims
+ * @returns {string} The compact JWS.
+ */
+function signJwt(claims) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const signingInput = `${encode({
+    alg: "RS256",
+    typ: "JWT",
+    kid: keyId,
+  })}.${encode(claims)}`;
+  const signature = sign("sha256", Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Sends the browser back to the client with the given parameters.
+ * @param {string} redirectUri
+ * @param {Object} params
+ */
+function redirectToClient(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(name, value);
+  }
+  res.redirect(url.toString());
+}
+
+/**
+ * Checks the parameters of an authorization request.
+ * @param {Object} params - The query (GET) or form (POST) parameters.
+ * @returns {string|null} What is wrong with them, or null if nothing is.
+ */
+function checkAuthorizationRequest(params) {
+  if (params.client_id !== clientId) return "Unknown client_id.";
+  if (typeof params.redirect_uri !== "string" || !params.redirect_uri) {
+    return "redirect_uri is required.";
+  }
+  if (params.response_type !== "code") return "response_type must be code.";
+  if (
+    !String(params.scope || "")
+      .split(" ")
+      .includes("openid")
+  ) {
+    return "scope must include openid.";
+  }
+  if (params.code_challenge_method !== "S256" || !params.code_challenge) {
+    return "PKCE with S256 is required.";
+  }
+  return null;
+}
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["none"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid: keyId, use: "sig" }],
+  });
+});
+
+// The login form, which carries the authorization request along.
+app.get("/authorize", (req, res) => {
+  const problem = checkAuthorizationRequest(req.query);
+  if (problem) return res.status(400).send(escapeHtml(problem));
+  const hidden = [
+    "client_id",
+    "redirect_uri",
+    "response_type",
+    "scope",
+    "state",
+    "nonce",
+    "code_challenge",
+    "code_challenge_method",
+  ]
+    .filter((name) => typeof req.query[name] === "string")
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(
+          req.query[name]
+        )}">`
+    )
+    .join("\n");
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock Identity Provider</title></head>
+<body>
+<h1>Mock Identity Provider</h1>
+<p>Log in to ${escapeHtml(req.query.client_id)} as any user.</p>
+<form method="post" action="/authorize">
+${hidden}
+<input name="username" placeholder="Username" autofocus>
+<button name="decision" value="allow">Log In</button>
+<button name="decision" value="deny">Cancel</button>
+</form>
+</body>
+</html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const params = req.body;
+  const problem = checkAuthorizationRequest(params);
+  if (problem) return res.status(400).send(escapeHtml(problem));
+  if (params.decision !== "allow") {
+    return redirectToClient(res, params.redirect_uri, {
+      error: "access_denied",
+      state: params.state,
+    });
+  }
+  if (!USERNAME_PATTERN.test(params.username || "")) {
+    return res.status(400).send("Enter a valid username.");
+  }
+  const code = randomBytes(32).toString("base64url");
+  codes.set(code, {
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    username: params.username,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+  redirectToClient(res, params.redirect_uri, { code, state: params.state });
+});
+
+app.post("/token", (req, res) => {
+  const params = req.body;
+  const login = codes.get(params.code);
+  codes.delete(params.code);
+  if (params.grant_type !== "authorization_code") {
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  }
+  if (params.client_id !== clientId) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  const challenge = createHash("sha256")
+    .update(String(params.code_verifier || ""))
+    .digest("base64url");
+  if (
+    !login ||
+    login.expiresAt <= Date.now() ||
+    login.redirectUri !== params.redirect_uri ||
+    login.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  res.set("Cache-Control", "no-store").json({
+    access_token: randomBytes(32).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: ID_TOKEN_TTL_SECONDS,
+    id_token: signJwt({
+      iss: issuer,
+      // A stable subject that is not the username, as with real providers.
+      sub: createHash("sha256")
+        .update(login.username)
+        .digest("hex")
+        .slice(0, 24),
+      aud: clientId,
+      iat: now,
+      exp: now + ID_TOKEN_TTL_SECONDS,
+      nonce: login.nonce,
+      preferred_username: login.username,
+      name: login.username,
+    }),
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock identity provider running at ${issuer}`);
+});
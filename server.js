@@ -3,6 +3,36 @@ import session from "express-session";
 import path from "path";
 import { fileURLToPath } from "url";
 import { promises as fs } from "fs";
+import {
+  createHash,
+  generateKeyPairSync,
+  randomBytes,
+  randomUUID,
+  sign,
+  timingSafeEqual,
+} from "crypto";
+import {
+  readJsonFile,
+  updateJsonFile,
+  writeJsonFile,
+} from "./lib/json-store.js";
+import {
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+} from "./lib/passwords.js";
+import { AttemptLimiter } from "./lib/rate-limit.js";
+import { loadConfig } from "./lib/config.js";
+import { FileSessionStore } from "./lib/session-store.js";
+import { OidcClient, safeEqual } from "./lib/oidc.js";
+import {
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  normalizeRecoveryCode,
+  totpUri,
+  verifyTotp,
+} from "./lib/totp.js";
 
 const app = express();
 const port = 3000;
@@ -10,49 +40,1847 @@ const port = 3000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-app.use(express.json());
+const USERS_FILE = path.join(__dirname, "users.json");
+const INDEX_FILE = path.join(__dirname, "public", "index.html");
+const CONFIG_FILE = path.join(__dirname, "config.json");
+
+// Server-side runtime state lives in data/, which is not checked in.
+const DATA_DIR = path.join(__dirname, "data");
+const ITEMS_FILE = path.join(DATA_DIR, "items.json");
+const KEYS_FILE = path.join(DATA_DIR, "keys.json");
+const SHARES_FILE = path.join(DATA_DIR, "shares.json");
+const DEVICES_FILE = path.join(DATA_DIR, "devices.json");
+const TICKET_KEY_FILE = path.join(DATA_DIR, "ticket-key.json");
+const AUDIT_FILE = path.join(DATA_DIR, "audit.json");
+const RECOVERY_FILE = path.join(DATA_DIR, "recovery.json");
+const SESSIONS_FILE = path.join(DATA_DIR, "sessions.json");
+const SESSION_SECRET_FILE = path.join(DATA_DIR, "session-secret.json");
+
+const config = await loadConfig(CONFIG_FILE);
+
+// Sessions end after this much inactivity, and at the latest this long after
+// login (see lib/config.js).
+const SESSION_IDLE_TIMEOUT_MS = config.sessionIdleTimeoutMinutes * 60 * 1000;
+const SESSION_ABSOLUTE_TIMEOUT_MS =
+  config.sessionAbsoluteTimeoutHours * 60 * 60 * 1000;
+
+// Rules for self-registered accounts.
+const USERNAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Two-factor login: the name authenticator apps show for the account, and how
+// long the second step may take after the password was accepted.
+const TOTP_ISSUER = "Offline Encryption PWA";
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000;
+
+// Login throttling. Every login attempt counts against the client's IP
+// address, which slows down guessing across many accounts. Failed attempts
+// also count against the username, whether or not the account exists, which
+// slows down guessing one account from many addresses. A successful login
+// clears the username's counter.
+const LOGIN_ATTEMPTS_PER_IP = {
+  maxAttempts: 50,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+};
+const LOGIN_FAILURES_PER_ACCOUNT = {
+  maxAttempts: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+};
+
+// Item IDs are client-generated (UUIDs in this app) and used as JSON keys.
+const ITEM_ID_PATTERN = /^[a-zA-Z0-9-]{1,64}$/;
+// Upper bound for a single synced record's base64-encoded ciphertext.
+const MAX_ITEM_DATA_LENGTH = 256 * 1024;
+// Upper bound for base64-encoded keys: public keys, wrapped keys and the like.
+const MAX_KEY_LENGTH = 1024;
+
+// Device IDs are random UUIDs generated on the device; names describe the
+// device to its owner and are stored as given.
+const DEVICE_ID_PATTERN = /^[a-zA-Z0-9-]{1,64}$/;
+const MAX_DEVICE_NAME_LENGTH = 100;
+// How many users a single revocation status check may ask about.
+const MAX_STATUS_USERS = 50;
+// How long a device may be unlocked offline after the user's last online
+// login on it.
+const OFFLINE_TICKET_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// PIN recovery: the server's share of a recovery key is 32 random bytes,
+// base64-encoded, and is only released this soon after an online login.
+const RECOVERY_SHARE_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+const RECOVERY_LOGIN_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Audit log entries are uploaded in batches. Their hashes (and chain IDs,
+// which are the hash of a chain's first entry) are hex-encoded SHA-256.
+const MAX_AUDIT_UPLOAD_ENTRIES = 500;
+const MAX_AUDIT_DATA_LENGTH = 4096;
+const AUDIT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Device pairings are short-lived and only ever relay public keys and
+// ciphertext, all base64-encoded.
+const PAIRING_TTL_MS = 10 * 60 * 1000;
+const PAIRING_VALUE_PATTERN = /^[A-Za-z0-9+/]{1,256}={0,2}$/;
+
+/**
+ * Wraps an async route handler so that its errors are passed to next().
+ * Express 4 ignores the promise a handler returns, so a rejection would
+ * otherwise be unhandled and end the process.
+ * @param {function(Request, Response, function): Promise<void>} handler
+ * @returns {function(Request, Response, function): void}
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    handler(req, res, next).catch(next);
+  };
+}
+
+app.use(express.json({ limit: "5mb" }));
+
+// Security headers for every response. The Content-Security-Policy itself is
+// only sent with the app page (see sendAppPage), because it carries a nonce.
+app.use((req, res, next) => {
+  res.set({
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "no-referrer",
+    "Cross-Origin-Opener-Policy": "same-origin",
+    "Cross-Origin-Resource-Policy": "same-origin",
+    "Permissions-Policy":
+      "camera=(), microphone=(), geolocation=(), payment=()",
+  });
+  next();
+});
+
+const sessionStore = new FileSessionStore(SESSIONS_FILE);
 
 app.use(
   session({
-    secret: "a-super-secret-key-for-pwa-demo",
+    secret: await loadSessionSecrets(),
+    store: sessionStore,
     resave: false,
     saveUninitialized: false,
+    // Renew the cookie on every response, so maxAge is an idle timeout.
+    rolling: true,
     cookie: {
       httpOnly: true,
       secure: false, // In production, this MUST be true
-      maxAge: 24 * 60 * 60 * 1000,
+      sameSite: "lax",
+      maxAge: SESSION_IDLE_TIMEOUT_MS,
     },
   })
 );
 
-app.use(express.static(path.join(__dirname, "public")));
+// Sessions that have outlived the absolute timeout are replaced by a fresh,
+// anonymous session, however active they are. Sessions without a login time
+// predate the timeout and are treated as expired. The new session gets its own
+// CSRF token, so the client's retry with a fresh token reaches requireAuth and
+// is answered with 401 rather than another CSRF error.
+app.use((req, res, next) => {
+  if (
+    req.session.userId &&
+    !(Date.now() - req.session.createdAt < SESSION_ABSOLUTE_TIMEOUT_MS)
+  ) {
+    return req.session.regenerate((error) => {
+      if (error) return next(error);
+      issueCsrfToken(req);
+      next();
+    });
+  }
+  next();
+});
+
+app.use("/api", requireCsrfToken);
+
+app.get(["/", "/index.html"], asyncHandler(sendAppPage));
+
+app.use(express.static(path.join(__dirname, "public"), { index: false }));
+
+// Third-party browser code that is installed through npm but must be served
+// from this origin so the service worker can cache it for offline use.
+app.get("/vendor/argon2.umd.min.js", (req, res) => {
+  res.sendFile(
+    path.join(
+      __dirname,
+      "node_modules",
+      "hash-wasm",
+      "dist",
+      "argon2.umd.min.js"
+    )
+  );
+});
+
+// --- Content Security Policy ---
+// The app page is served with a strict nonce-based policy: only scripts and
+// styles carrying the nonce of this response run, and scripts they load are
+// trusted through 'strict-dynamic' (this covers the module graph, including
+// idb from the CDN). Injected markup therefore cannot run script, even if it
+// slips past the client's habit of inserting untrusted data as text only.
+
+/**
+ * Builds the Content-Security-Policy for one response of the app page.
+ * @param {string} nonce - The nonce added to the page's script and style tags.
+ * @returns {string}
+ */
+function contentSecurityPolicy(nonce) {
+  return [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' 'strict-dynamic'`,
+    `style-src 'nonce-${nonce}'`,
+    "img-src 'self' blob: data:",
+    "connect-src 'self'",
+    "worker-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'",
+    "form-action 'self'",
+  ].join("; ");
+}
+
+/**
+ * Sends index.html with a fresh nonce on each of its script and style tags
+ * and the matching Content-Security-Policy.
+ */
+async function sendAppPage(req, res) {
+  const nonce = randomBytes(16).toString("base64");
+  const html = (await fs.readFile(INDEX_FILE, "utf8")).replace(
+    /<(script|style)\b/g,
+    `<$1 nonce="${nonce}"`
+  );
+  res.set({
+    "Content-Security-Policy": contentSecurityPolicy(nonce),
+    // A cached copy would reuse the nonce.
+    "Cache-Control": "no-cache",
+  });
+  res.type("html").send(html);
+}
+
+// --- CSRF Protection ---
+// Every state-changing API request must carry the session's CSRF token in the
+// X-CSRF-Token header. Another site can make the browser send the session
+// cookie, but cannot read the token, which is only handed out in JSON
+// responses. Login and registration start a new session, so they are checked
+// against the token of the anonymous session and answer with a new token.
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Creates a new CSRF token for the session.
+ * @returns {string} The token.
+ */
+function issueCsrfToken(req) {
+  req.session.csrfToken = randomBytes(32).toString("base64url");
+  return req.session.csrfToken;
+}
+
+function requireCsrfToken(req, res, next) {
+  if (CSRF_SAFE_METHODS.has(req.method)) return next();
+  const expected = Buffer.from(req.session.csrfToken || "");
+  const actual = Buffer.from(req.get("X-CSRF-Token") || "");
+  if (
+    expected.length === 0 ||
+    actual.length !== expected.length ||
+    !timingSafeEqual(actual, expected)
+  ) {
+    return res.status(403).json({ error: "Invalid or missing CSRF token." });
+  }
+  next();
+}
+
+app.get("/api/csrf-token", (req, res) => {
+  const csrfToken = req.session.csrfToken || issueCsrfToken(req);
+  res.set("Cache-Control", "no-store").status(200).json({ csrfToken });
+});
+
+/**
+ * Returns the secrets that sign session cookies. Without configured secrets a
+ * random one is generated once and kept in data/, so sessions still survive
+ * restarts.
+ * @returns {Promise<Array<string>>}
+ */
+async function loadSessionSecrets() {
+  if (config.sessionSecrets.length > 0) return config.sessionSecrets;
+  let stored = await readJsonFile(SESSION_SECRET_FILE, null);
+  if (!stored) {
+    stored = { secret: randomBytes(32).toString("base64") };
+    await writeJsonFile(SESSION_SECRET_FILE, stored);
+    console.warn(
+      "No session secret is configured; generated one in data/. Set SESSION_SECRETS in production."
+    );
+  }
+  return [stored.secret];
+}
 
 async function getUsers() {
-  const usersData = await fs.readFile(path.join(__dirname, "users.json"));
+  const usersData = await fs.readFile(USERS_FILE);
   return JSON.parse(usersData);
 }
 
-app.post("/api/login", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password) {
-    return res
-      .status(400)
-      .json({ error: "Username and password are required." });
-  }
-  const users = await getUsers();
-  const user = users.find((u) => u.username === username);
-  if (user && user.password === password) {
-    req.session.userId = user.username;
+/**
+ * Issues a fresh session ID before a user is authenticated, so that a session
+ * ID planted before login (session fixation) is never elevated.
+ * @returns {Promise<void>}
+ */
+function regenerateSession(req) {
+  return new Promise((resolve, reject) =>
+    req.session.regenerate((error) => (error ? reject(error) : resolve()))
+  );
+}
+
+/**
+ * Saves the session now rather than when the response ends. Needed before a
+ * redirect: express-session sends the headers before its own save completes,
+ * so the browser could follow the redirect before the session is stored.
+ * @returns {Promise<void>}
+ */
+function saveSession(req) {
+  return new Promise((resolve, reject) =>
+    req.session.save((error) => (error ? reject(error) : resolve()))
+  );
+}
+
+/**
+ * Starts a new authenticated session for a user. The login time and the
+ * client's address and browser are kept for the absolute timeout and the
+ * session list of administrators.
+ * @param {string} username
+ * @returns {Promise<string>} The CSRF token of the new session.
+ */
+async function startUserSession(req, username) {
+  await regenerateSession(req);
+  req.session.userId = username;
+  req.session.createdAt = Date.now();
+  req.session.ip = req.ip;
+  req.session.userAgent = (req.get("User-Agent") || "").slice(0, 200);
+  return issueCsrfToken(req);
+}
+
+/**
+ * Whether a user may list and revoke everyone's sessions.
+ * @param {string} username
+ * @returns {boolean}
+ */
+function isAdmin(username) {
+  return config.adminUsers.includes(username);
+}
+
+const loginAttemptsByIp = new AttemptLimiter(LOGIN_ATTEMPTS_PER_IP);
+const loginFailuresByAccount = new AttemptLimiter(LOGIN_FAILURES_PER_ACCOUNT);
+
+app.post(
+  "/api/login",
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    if (
+      typeof username !== "string" ||
+      typeof password !== "string" ||
+      !username ||
+      !password
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Username and password are required." });
+    }
+    if (!recordLoginAttempt(req, res, username)) return;
+    const users = await getUsers();
+    const user = users.find((u) => u.username === username);
+    // Always run scrypt, even for unknown users and single sign-on users without
+    // a password, so response times don't reveal which usernames exist.
+    const valid =
+      (await verifyPassword(
+        password,
+        user?.passwordHash || DUMMY_PASSWORD_HASH
+      )) && Boolean(user?.passwordHash);
+    if (user && valid && user.totp) {
+      // The failure counter is only reset once the second step succeeds, so
+      // knowing the password does not give unlimited guesses at the code.
+      await regenerateSession(req);
+      req.session.pendingLogin = {
+        username: user.username,
+        expiresAt: Date.now() + PENDING_LOGIN_TTL_MS,
+      };
+      res.status(200).json({
+        message: "Enter your authentication code.",
+        twoFactorRequired: true,
+        csrfToken: issueCsrfToken(req),
+      });
+    } else if (user && valid) {
+      loginFailuresByAccount.reset(username);
+      const csrfToken = await startUserSession(req, user.username);
+      res.status(200).json({
+        message: "Login successful.",
+        username: user.username,
+        admin: isAdmin(user.username),
+        csrfToken,
+      });
+    } else {
+      res.status(401).json({ error: "Invalid credentials." });
+    }
+  })
+);
+
+/**
+ * Counts a login attempt (a password or a second factor) against the client's
+ * IP address and the account, or responds with 429 if either is locked out.
+ * Attempts are counted before the credentials are checked, so that concurrent
+ * guesses cannot all slip in before the first failure is recorded.
+ * @param {string} username
+ * @returns {boolean} Whether the attempt may go ahead; if not, a response was
+ *   sent.
+ */
+function recordLoginAttempt(req, res, username) {
+  const retryAfter = Math.max(
+    loginAttemptsByIp.retryAfter(req.ip),
+    loginFailuresByAccount.retryAfter(username)
+  );
+  if (retryAfter > 0) {
+    const minutes = Math.ceil(retryAfter / 60000);
     res
-      .status(200)
-      .json({ message: "Login successful.", username: user.username });
+      .status(429)
+      .set("Retry-After", String(Math.ceil(retryAfter / 1000)))
+      .json({
+        error: `Too many login attempts. Try again in ${minutes} minute(s).`,
+      });
+    return false;
+  }
+  loginAttemptsByIp.record(req.ip);
+  loginFailuresByAccount.record(username);
+  return true;
+}
+
+app.post(
+  "/api/register",
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        error:
+          "Username must be 3-32 characters of letters, digits, '.', '_' or '-'.",
+      });
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    }
+    const passwordHash = await hashPassword(password);
+    const created = await updateJsonFile(USERS_FILE, [], (users) => {
+      if (users.some((u) => u.username === username)) return false;
+      users.push({ username, passwordHash });
+      return true;
+    });
+    if (!created) {
+      return res.status(409).json({ error: "Username is already taken." });
+    }
+    const csrfToken = await startUserSession(req, username);
+    res.status(201).json({
+      message: "Registration successful.",
+      username,
+      admin: isAdmin(username),
+      csrfToken,
+    });
+  })
+);
+
+app.post("/api/logout", (req, res) => {
+  req.session.destroy((error) => {
+    if (error) {
+      return res.status(500).json({ error: "Logout failed." });
+    }
+    res.clearCookie("connect.sid");
+    res.status(200).json({ message: "Logged out." });
+  });
+});
+
+// --- Two-Factor Authentication ---
+// Users can add a TOTP authenticator app (see lib/totp.js) as a second factor
+// for online login, which is what allows provisioning a new device. Login then
+// takes two steps: the password starts a pending login in an anonymous
+// session, and POST /api/login/2fa completes it with a code from the app or a
+// recovery code. Both steps count against the login throttling. The TOTP
+// secret is stored in users.json, because the server must compute the codes;
+// recovery codes are stored hashed.
+//
+// Enrolling takes two steps as well: the secret is kept in the session until
+// the user proves with a first code that their app has it. Turning 2FA off or
+// replacing the recovery codes requires a current code, so a hijacked session
+// alone cannot weaken the account. Every route that takes a code, including
+// the confirmation of a new secret, counts against the login throttling.
+
+/**
+ * Checks a second factor of a user and marks it as used: a TOTP code is only
+ * accepted for a later time step than the last accepted one, and a recovery
+ * code is removed. Mutates the user record; call inside updateJsonFile.
+ * @param {Object} user - The user's record in users.json.
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {boolean} Whether the factor is valid.
+ */
+function consumeSecondFactor(user, { code, recoveryCode }) {
+  if (!user.totp) return false;
+  if (recoveryCode !== undefined) {
+    const normalized = normalizeRecoveryCode(recoveryCode);
+    const index = normalized
+      ? user.recoveryCodes.indexOf(hashRecoveryCode(normalized))
+      : -1;
+    if (index === -1) return false;
+    user.recoveryCodes.splice(index, 1);
+    return true;
+  }
+  const counter = verifyTotp(user.totp.secret, code, user.totp.lastCounter);
+  if (counter === null) return false;
+  user.totp.lastCounter = counter;
+  return true;
+}
+
+/**
+ * Verifies the second factor in the request body and, if it is valid, applies
+ * a change to the user's record in the same write. Counts as a login attempt
+ * (see recordLoginAttempt), so codes cannot be guessed through any of the
+ * routes that take one.
+ * @param {string} username
+ * @param {function(Object): Object} [change] - Changes the user record in
+ *   place; its return value is passed back.
+ * @returns {Promise<Object|null>} The change's result, or null if a response
+ *   (401 or 429) was sent.
+ */
+async function verifySecondFactor(req, res, username, change = () => ({})) {
+  if (!recordLoginAttempt(req, res, username)) return null;
+  const result = await updateJsonFile(USERS_FILE, [], (users) => {
+    const user = users.find((u) => u.username === username);
+    if (!user || !consumeSecondFactor(user, req.body)) return null;
+    return change(user);
+  });
+  if (!result) {
+    res.status(401).json({ error: "Invalid authentication code." });
+    return null;
+  }
+  loginFailuresByAccount.reset(username);
+  return result;
+}
+
+app.post(
+  "/api/login/2fa",
+  asyncHandler(async (req, res) => {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return res
+        .status(401)
+        .json({ error: "Log in with your password first." });
+    }
+    const result = await verifySecondFactor(
+      req,
+      res,
+      pending.username,
+      (user) => ({
+        recoveryCodesLeft: user.recoveryCodes.length,
+      })
+    );
+    if (!result) return;
+    const csrfToken = await startUserSession(req, pending.username);
+    res.status(200).json({
+      message: "Login successful.",
+      username: pending.username,
+      admin: isAdmin(pending.username),
+      recoveryCodesLeft: result.recoveryCodesLeft,
+      csrfToken,
+    });
+  })
+);
+
+app.get(
+  "/api/2fa",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const users = await getUsers();
+    const user = users.find((u) => u.username === req.session.userId);
+    res.status(200).json({
+      enabled: Boolean(user?.totp),
+      recoveryCodesLeft: user?.totp ? user.recoveryCodes.length : 0,
+      // Single sign-on users log in at their identity provider, which decides
+      // about second factors.
+      available: Boolean(user?.passwordHash),
+    });
+  })
+);
+
+// Starts enrollment with a new secret, which is only saved once confirmed.
+app.post(
+  "/api/2fa/setup",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const users = await getUsers();
+    const user = users.find((u) => u.username === req.session.userId);
+    if (user?.totp) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already on." });
+    }
+    if (!user?.passwordHash) {
+      return res.status(409).json({
+        error: "Single sign-on accounts use your identity provider's 2FA.",
+      });
+    }
+    const secret = generateTotpSecret();
+    req.session.pendingTotpSecret = secret;
+    res.status(200).json({
+      secret,
+      otpauthUri: totpUri(TOTP_ISSUER, req.session.userId, secret),
+    });
+  })
+);
+
+// Confirms enrollment with a first code and hands out the recovery codes.
+app.post(
+  "/api/2fa/enable",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) {
+      return res
+        .status(400)
+        .json({ error: "Start setting up two-factor authentication first." });
+    }
+    if (!recordLoginAttempt(req, res, req.session.userId)) return;
+    const counter = verifyTotp(secret, req.body.code);
+    if (counter === null) {
+      return res.status(400).json({ error: "Invalid authentication code." });
+    }
+    loginFailuresByAccount.reset(req.session.userId);
+    const { codes, hashes } = generateRecoveryCodes();
+    const enabled = await updateJsonFile(USERS_FILE, [], (users) => {
+      const user = users.find((u) => u.username === req.session.userId);
+      if (!user || user.totp) return false;
+      user.totp = { secret, lastCounter: counter, enabledAt: Date.now() };
+      user.recoveryCodes = hashes;
+      return true;
+    });
+    if (!enabled) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already on." });
+    }
+    delete req.session.pendingTotpSecret;
+    res.status(200).json({ recoveryCodes: codes });
+  })
+);
+
+app.post(
+  "/api/2fa/disable",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const result = await verifySecondFactor(
+      req,
+      res,
+      req.session.userId,
+      (user) => {
+        delete user.totp;
+        delete user.recoveryCodes;
+        return {};
+      }
+    );
+    if (!result) return;
+    res.status(200).json({ message: "Two-factor authentication is off." });
+  })
+);
+
+// Replaces all recovery codes, e.g. when most of them are used up.
+app.post(
+  "/api/2fa/recovery-codes",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const result = await verifySecondFactor(
+      req,
+      res,
+      req.session.userId,
+      (user) => {
+        user.recoveryCodes = hashes;
+        return {};
+      }
+    );
+    if (!result) return;
+    res.status(200).json({ recoveryCodes: codes });
+  })
+);
+
+// --- Single Sign-On (OpenID Connect) ---
+// If an OpenID Connect provider is configured (see lib/config.js), users can
+// log in through it instead of with a password: /auth/oidc/login sends the
+// browser to the provider with the authorization code flow and PKCE, and the
+// provider sends it back to /auth/oidc/callback, where the ID token is
+// validated against the provider's keys (see lib/oidc.js). These are browser
+// navigations, not API calls, so errors are reported by redirecting to the app
+// with a loginError query parameter.
+//
+// The provider's subject (`sub`) is linked to a username in users.json on the
+// first login, and that username becomes the session's userId exactly as with
+// a password login, so all per-user data and device provisioning work the same
+// way. New usernames come from the configured claim; a name that is already
+// taken by a local account is refused rather than taken over. Users created
+// this way have no password, and their second factor is up to the provider.
+
+const oidcClient = config.oidc.issuer ? new OidcClient(config.oidc) : null;
+// How long the user may take at the provider.
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Ends a single sign-on attempt by sending the browser back to the app with an
+ * error message to show.
+ * @param {string} message
+ */
+function redirectWithLoginError(res, message) {
+  res.redirect(`/?${new URLSearchParams({ loginError: message })}`);
+}
+
+/**
+ * Finds the user linked to a provider subject, creating one on the first
+ * login.
+ * @param {Object} claims - The validated ID token claims.
+ * @returns {Promise<{username: string}|{error: string}>}
+ */
+function findOrCreateOidcUser(claims) {
+  const { usernameClaim } = config.oidc;
+  return updateJsonFile(USERS_FILE, [], (users) => {
+    const linked = users.find(
+      (u) => u.oidc?.issuer === claims.iss && u.oidc.sub === claims.sub
+    );
+    if (linked) return { username: linked.username };
+    const username = claims[usernameClaim];
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      return {
+        error: `The identity provider's ${usernameClaim} claim is not a valid username.`,
+      };
+    }
+    if (users.some((u) => u.username === username)) {
+      return {
+        error: `The username ${username} already belongs to a local account.`,
+      };
+    }
+    users.push({ username, oidc: { issuer: claims.iss, sub: claims.sub } });
+    return { username };
+  });
+}
+
+app.get("/api/oidc", (req, res) => {
+  res.status(200).json({ enabled: Boolean(oidcClient) });
+});
+
+app.get(
+  "/auth/oidc/login",
+  asyncHandler(async (req, res) => {
+    if (!oidcClient) {
+      return redirectWithLoginError(res, "Single sign-on is not configured.");
+    }
+    let request;
+    try {
+      request = await oidcClient.createAuthorizationRequest();
+    } catch (error) {
+      console.warn("OIDC discovery failed:", error.message);
+      return redirectWithLoginError(
+        res,
+        "The identity provider is not reachable."
+      );
+    }
+    const { url, state, nonce, codeVerifier } = request;
+    req.session.oidcLogin = {
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: Date.now() + OIDC_LOGIN_TTL_MS,
+    };
+    await saveSession(req);
+    res.redirect(url);
+  })
+);
+
+app.get(
+  "/auth/oidc/callback",
+  asyncHandler(async (req, res) => {
+    const pending = req.session.oidcLogin;
+    delete req.session.oidcLogin;
+    const { code, state, error } = req.query;
+    if (!oidcClient) {
+      return redirectWithLoginError(res, "Single sign-on is not configured.");
+    }
+    if (typeof error === "string") {
+      // The error code comes from the URL, so only a well-formed one is shown.
+      const reason = /^[a-z_]{1,40}$/.test(error) ? ` (${error})` : "";
+      return redirectWithLoginError(
+        res,
+        `The identity provider did not log you in${reason}.`
+      );
+    }
+    if (
+      !pending ||
+      pending.expiresAt <= Date.now() ||
+      typeof state !== "string" ||
+      !safeEqual(state, pending.state) ||
+      typeof code !== "string"
+    ) {
+      return redirectWithLoginError(
+        res,
+        "The single sign-on login expired or was not started here. Please try again."
+      );
+    }
+    let claims;
+    try {
+      claims = await oidcClient.completeLogin(code, pending);
+    } catch (error) {
+      console.warn("OIDC login failed:", error.message);
+      return redirectWithLoginError(
+        res,
+        "The identity provider's answer could not be verified."
+      );
+    }
+    const result = await findOrCreateOidcUser(claims);
+    if (result.error) return redirectWithLoginError(res, result.error);
+    await startUserSession(req, result.username);
+    await saveSession(req);
+    res.redirect("/");
+  })
+);
+
+app.get("/api/me", requireAuth, (req, res) => {
+  res
+    .status(200)
+    .json({ username: req.session.userId, admin: isAdmin(req.session.userId) });
+});
+
+/**
+ * Checks that a value is a plain JSON object of modest size, for client-supplied
+ * metadata the server stores but never interprets.
+ */
+function isSmallObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    JSON.stringify(value).length <= 1024
+  );
+}
+
+/**
+ * Checks that a value is a version vector: a small object mapping device IDs
+ * to positive write counters.
+ */
+function isVersionVector(value) {
+  return (
+    isSmallObject(value) &&
+    Object.values(value).every(
+      (counter) => Number.isSafeInteger(counter) && counter > 0
+    )
+  );
+}
+
+/**
+ * Checks that a value is a base64 string of key size, such as a public key or
+ * a wrapped key the server stores but cannot use.
+ */
+function isKeyValue(value) {
+  return (
+    typeof value === "string" &&
+    value.length <= MAX_KEY_LENGTH &&
+    /^[A-Za-z0-9+/]+={0,2}$/.test(value)
+  );
+}
+
+/**
+ * Rejects requests that do not belong to an authenticated online session.
+ */
+function requireAuth(req, res, next) {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: "Not authenticated." });
+  }
+  next();
+}
+
+// --- Encrypted Item Sync ---
+// The server only ever sees opaque `{ id, owner, data }` envelopes. `data` is the
+// base64-encoded AES-GCM ciphertext produced on the client; the server has no
+// key material and cannot decrypt it. `schemaVersion` and `envelope` are
+// plaintext metadata the client needs to decrypt the record again (the AAD
+// version and the cipher parameters), and `wrappedKey` is the item's content
+// key, wrapped under the owner's DEK. Items are stored per owner in items.json:
+//
+//   { "<owner>": { "seq": 7, "items": { "<id>": { id, owner, data, schemaVersion, envelope, wrappedKey, versions, revision, seq } } } }
+//
+// A deleted item is kept as a tombstone, `{ id, owner, deleted: true, versions, revision, seq }`,
+// so that other devices learn about the deletion on their next pull.
+//
+// `revision` counts writes to a single record and is used for optimistic
+// concurrency. `seq` is a per-owner change counter that lets clients pull only
+// what changed since their last sync. `versions` is the record's version
+// vector (writes per device), which clients use to tell concurrent edits
+// apart from edits they already have; the server only stores it.
+
+app.get(
+  "/api/items",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const owner = req.session.userId;
+    const since = Number.parseInt(req.query.since, 10) || 0;
+    const allItems = await readJsonFile(ITEMS_FILE, {});
+    const ownerItems = Object.hasOwn(allItems, owner)
+      ? allItems[owner]
+      : { seq: 0, items: {} };
+    const items = Object.values(ownerItems.items).filter(
+      (item) => item.seq > since
+    );
+    res.status(200).json({ items, cursor: ownerItems.seq });
+  })
+);
+
+app.post(
+  "/api/items",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const owner = req.session.userId;
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: "An array of items is required." });
+    }
+    const invalid = items.some(
+      (item) =>
+        typeof item !== "object" ||
+        item === null ||
+        typeof item.id !== "string" ||
+        !ITEM_ID_PATTERN.test(item.id) ||
+        (item.deleted !== undefined && item.deleted !== true) ||
+        (!item.deleted &&
+          (typeof item.data !== "string" ||
+            item.data.length > MAX_ITEM_DATA_LENGTH)) ||
+        (item.schemaVersion !== undefined &&
+          !Number.isInteger(item.schemaVersion)) ||
+        (item.baseRevision !== undefined &&
+          !Number.isSafeInteger(item.baseRevision)) ||
+        (item.envelope !== undefined && !isSmallObject(item.envelope)) ||
+        (item.wrappedKey !== undefined && !isKeyValue(item.wrappedKey)) ||
+        (item.versions !== undefined && !isVersionVector(item.versions))
+    );
+    if (invalid) {
+      return res.status(400).json({ error: "Malformed item in sync request." });
+    }
+
+    const result = await updateJsonFile(ITEMS_FILE, {}, (allItems) => {
+      if (!Object.hasOwn(allItems, owner)) {
+        allItems[owner] = { seq: 0, items: {} };
+      }
+      const ownerItems = allItems[owner];
+      const applied = [];
+      const conflicts = [];
+      for (const {
+        id,
+        data,
+        schemaVersion,
+        envelope,
+        wrappedKey,
+        versions,
+        deleted,
+        baseRevision = 0,
+      } of items) {
+        const current = Object.hasOwn(ownerItems.items, id)
+          ? ownerItems.items[id]
+          : null;
+        const currentRevision = current ? current.revision : 0;
+        if (baseRevision !== currentRevision) {
+          // Someone else wrote this record since the client last saw it.
+          conflicts.push({ id, revision: currentRevision });
+          continue;
+        }
+        const seq = ++ownerItems.seq;
+        const revision = currentRevision + 1;
+        ownerItems.items[id] = deleted
+          ? { id, owner, deleted, versions, revision, seq }
+          : {
+              id,
+              owner,
+              data,
+              schemaVersion,
+              envelope,
+              wrappedKey,
+              versions,
+              revision,
+              seq,
+            };
+        applied.push({ id, revision });
+      }
+      return { applied, conflicts, cursor: ownerItems.seq };
+    });
+    res.status(200).json(result);
+  })
+);
+
+// --- Key Directory and Sharing ---
+// Each user has an ECDH key pair for receiving shared items. The public key is
+// published here for other users to look up. The private key is stored too,
+// but only wrapped under the owner's DEK, so that the owner's paired devices
+// can fetch it; the server cannot unwrap it. keys.json holds:
+//
+//   { "<username>": { publicKey, wrappedPrivateKey } }
+//
+// To share an item, the owner seals the item's content key for the recipient
+// and posts it here. The recipient downloads the sealed key together with the
+// owner's current ciphertext of the item, so later edits reach them as well.
+// shares.json holds, per recipient:
+//
+//   { "<recipient>": { "<owner>/<itemId>": { owner, itemId, ephemeralPublicKey, wrappedKey, sharedAt } } }
+
+app.get(
+  "/api/keys",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const keys = await readJsonFile(KEYS_FILE, {});
+    if (!Object.hasOwn(keys, req.session.userId)) {
+      return res.status(404).json({ error: "No key pair has been published." });
+    }
+    res.status(200).json(keys[req.session.userId]);
+  })
+);
+
+app.put(
+  "/api/keys",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { publicKey, wrappedPrivateKey } = req.body;
+    if (!isKeyValue(publicKey) || !isKeyValue(wrappedPrivateKey)) {
+      return res.status(400).json({ error: "Malformed key pair." });
+    }
+    const owner = req.session.userId;
+    const stored = await updateJsonFile(KEYS_FILE, {}, (keys) => {
+      // Replacing the public key would make every item shared with the user
+      // unreadable, so only the wrapping of the private key may change (after a
+      // DEK rotation).
+      if (Object.hasOwn(keys, owner) && keys[owner].publicKey !== publicKey) {
+        return false;
+      }
+      keys[owner] = { publicKey, wrappedPrivateKey };
+      return true;
+    });
+    if (!stored) {
+      return res
+        .status(409)
+        .json({ error: "A different key pair is already published." });
+    }
+    res.status(200).json({ publicKey });
+  })
+);
+
+app.get(
+  "/api/directory/:username",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { username } = req.params;
+    const keys = await readJsonFile(KEYS_FILE, {});
+    if (!Object.hasOwn(keys, username)) {
+      return res
+        .status(404)
+        .json({ error: `${username} cannot receive shared items yet.` });
+    }
+    res.status(200).json({ username, publicKey: keys[username].publicKey });
+  })
+);
+
+app.post(
+  "/api/shares",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const owner = req.session.userId;
+    const { recipient, itemId, ephemeralPublicKey, wrappedKey } = req.body;
+    if (
+      typeof recipient !== "string" ||
+      typeof itemId !== "string" ||
+      !ITEM_ID_PATTERN.test(itemId) ||
+      !isKeyValue(ephemeralPublicKey) ||
+      !isKeyValue(wrappedKey)
+    ) {
+      return res.status(400).json({ error: "Malformed share." });
+    }
+    if (recipient === owner) {
+      return res
+        .status(400)
+        .json({ error: "Items cannot be shared with yourself." });
+    }
+    const keys = await readJsonFile(KEYS_FILE, {});
+    if (!Object.hasOwn(keys, recipient)) {
+      return res
+        .status(404)
+        .json({ error: `${recipient} cannot receive shared items yet.` });
+    }
+    const allItems = await readJsonFile(ITEMS_FILE, {});
+    const item = Object.hasOwn(allItems, owner)
+      ? allItems[owner].items[itemId]
+      : undefined;
+    if (!item || item.deleted) {
+      return res
+        .status(409)
+        .json({ error: "Sync the item before sharing it." });
+    }
+    await updateJsonFile(SHARES_FILE, {}, (shares) => {
+      if (!Object.hasOwn(shares, recipient)) shares[recipient] = {};
+      shares[recipient][`${owner}/${itemId}`] = {
+        owner,
+        itemId,
+        ephemeralPublicKey,
+        wrappedKey,
+        sharedAt: Date.now(),
+      };
+    });
+    res.status(201).json({ owner, itemId, recipient });
+  })
+);
+
+// The items shared with the logged-in user, with the owners' current
+// ciphertext. Shares of items that were deleted are left out.
+app.get(
+  "/api/shares",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const recipient = req.session.userId;
+    const shares = await readJsonFile(SHARES_FILE, {});
+    const allItems = await readJsonFile(ITEMS_FILE, {});
+    const received = Object.hasOwn(shares, recipient)
+      ? Object.values(shares[recipient])
+      : [];
+    const result = [];
+    for (const share of received) {
+      const item = Object.hasOwn(allItems, share.owner)
+        ? allItems[share.owner].items[share.itemId]
+        : undefined;
+      if (!item || item.deleted) continue;
+      const { data, schemaVersion, envelope, revision } = item;
+      result.push({ ...share, data, schemaVersion, envelope, revision });
+    }
+    res.status(200).json({ shares: result });
+  })
+);
+
+// --- Device Registration and Revocation ---
+// A device registers its ID for every user that is provisioned on it, so the
+// user can see which devices hold their offline data and revoke one that was
+// lost. A revoked device crypto-shreds the user's data the next time it checks
+// its status. devices.json holds, per user:
+//
+//   { "<username>": { "<deviceId>": { id, name, registeredAt, lastSeenAt, revokedAt } } }
+//
+// A revoked device stays revoked when it registers again, unless the user was
+// provisioned on it afresh (after an online login and a new PIN).
+//
+// Registering a device that is not revoked also issues an offline ticket: the
+// user, the device and an expiry, signed with the server's ECDSA P-256 key.
+// The device only allows offline unlocks until the ticket expires, so users
+// have to log in online again regularly. The key pair is created on first use
+// and kept in data/ticket-key.json.
+
+let ticketKeyPromise = null;
+
+/**
+ * Loads the server's offline ticket signing key, creating it on first use.
+ * @returns {Promise<{privateKey: string, publicKey: string}>} The PEM private
+ *   key and the base64 SPKI public key.
+ */
+async function loadTicketKey() {
+  const stored = await readJsonFile(TICKET_KEY_FILE, null);
+  if (stored) return stored;
+  const { privateKey, publicKey } = generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "der" },
+  });
+  const key = { privateKey, publicKey: publicKey.toString("base64") };
+  await writeJsonFile(TICKET_KEY_FILE, key);
+  return key;
+}
+
+/**
+ * Builds the message signed for an offline ticket. Must match
+ * offlineTicketMessage in public/session-manager.js.
+ */
+function offlineTicketMessage({ username, deviceId, issuedAt, expiresAt }) {
+  return JSON.stringify([
+    "offline-ticket",
+    username,
+    deviceId,
+    issuedAt,
+    expiresAt,
+  ]);
+}
+
+/**
+ * Issues a signed offline ticket for a user on a device.
+ * @returns {Promise<{ticket: Object, signature: string, publicKey: string}>}
+ */
+async function issueOfflineTicket(username, deviceId) {
+  ticketKeyPromise ??= loadTicketKey();
+  const { privateKey, publicKey } = await ticketKeyPromise;
+  const issuedAt = Date.now();
+  const ticket = {
+    username,
+    deviceId,
+    issuedAt,
+    expiresAt: issuedAt + OFFLINE_TICKET_TTL_MS,
+  };
+  // IEEE P1363 (r || s) is the signature format WebCrypto expects.
+  const signature = sign("sha256", Buffer.from(offlineTicketMessage(ticket)), {
+    key: privateKey,
+    dsaEncoding: "ieee-p1363",
+  });
+  return { ticket, signature: signature.toString("base64"), publicKey };
+}
+
+app.post(
+  "/api/devices",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const username = req.session.userId;
+    const { id, name, provisioned = false } = req.body;
+    if (
+      typeof id !== "string" ||
+      !DEVICE_ID_PATTERN.test(id) ||
+      typeof name !== "string" ||
+      name.length > MAX_DEVICE_NAME_LENGTH ||
+      typeof provisioned !== "boolean"
+    ) {
+      return res.status(400).json({ error: "Malformed device." });
+    }
+    const device = await updateJsonFile(DEVICES_FILE, {}, (devices) => {
+      if (!Object.hasOwn(devices, username)) devices[username] = {};
+      const now = Date.now();
+      const existing = Object.hasOwn(devices[username], id)
+        ? devices[username][id]
+        : null;
+      if (existing?.revokedAt && !provisioned) {
+        existing.lastSeenAt = now;
+        return existing;
+      }
+      devices[username][id] = {
+        id,
+        name,
+        registeredAt: provisioned || !existing ? now : existing.registeredAt,
+        lastSeenAt: now,
+        revokedAt: null,
+      };
+      return devices[username][id];
+    });
+    if (device.revokedAt) {
+      return res.status(200).json({ ...device, revoked: true });
+    }
+    res.status(200).json({
+      ...device,
+      revoked: false,
+      offlineTicket: await issueOfflineTicket(username, id),
+    });
+  })
+);
+
+app.get(
+  "/api/devices",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const devices = await readJsonFile(DEVICES_FILE, {});
+    const userDevices = Object.hasOwn(devices, req.session.userId)
+      ? Object.values(devices[req.session.userId])
+      : [];
+    userDevices.sort((a, b) => a.registeredAt - b.registeredAt);
+    res.status(200).json({ devices: userDevices });
+  })
+);
+
+app.delete(
+  "/api/devices/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const username = req.session.userId;
+    const { id } = req.params;
+    const device = await updateJsonFile(DEVICES_FILE, {}, (devices) => {
+      if (
+        !Object.hasOwn(devices, username) ||
+        !Object.hasOwn(devices[username], id)
+      ) {
+        return null;
+      }
+      devices[username][id].revokedAt ??= Date.now();
+      return devices[username][id];
+    });
+    if (!device) {
+      return res.status(404).json({ error: "Unknown device." });
+    }
+    // A revoked device must not be able to reset its PIN.
+    await deleteRecoveryShare(username, id);
+    res.status(200).json(device);
+  })
+);
+
+// A device asks which of the users provisioned on it have revoked it. This
+// does not require an online session, so that a lost device is wiped as soon
+// as it is online, even if nobody logs in on it. The answer only covers the
+// given device ID, which is a random value known to the device and its users.
+// Being unauthenticated, the check is read-only: a device's lastSeenAt is only
+// updated when it registers with an online session.
+app.post(
+  "/api/devices/status",
+  asyncHandler(async (req, res) => {
+    const { id, usernames } = req.body;
+    if (
+      typeof id !== "string" ||
+      !DEVICE_ID_PATTERN.test(id) ||
+      !Array.isArray(usernames) ||
+      usernames.length > MAX_STATUS_USERS ||
+      !usernames.every((username) => typeof username === "string")
+    ) {
+      return res.status(400).json({ error: "Malformed status request." });
+    }
+    const devices = await readJsonFile(DEVICES_FILE, {});
+    const revoked = usernames.filter(
+      (username) =>
+        Object.hasOwn(devices, username) &&
+        Object.hasOwn(devices[username], id) &&
+        Boolean(devices[username][id].revokedAt)
+    );
+    res.status(200).json({ revoked });
+  })
+);
+
+// --- PIN Recovery ---
+// A device can escrow one share of a user's PIN recovery key here, so that the
+// user can set a new PIN if they forget theirs (see public/recovery-service.js).
+// The device keeps the other share and the DEK sealed for the recovery key;
+// the server never sees either, so it cannot decrypt anything on its own.
+// recovery.json holds, per user:
+//
+//   { "<username>": { "<deviceId>": { share, createdAt, releasedAt } } }
+//
+// Shares are only accepted from, and released to, a device that is registered
+// to the user and not revoked, and only released within
+// RECOVERY_LOGIN_MAX_AGE_MS of an online login. Sessions of users with
+// two-factor login only start after the second factor, so the release needs it
+// too. Revoking the device deletes its share.
+
+/**
+ * Looks up a device registered to a user.
+ * @param {string} username
+ * @param {string} deviceId
+ * @returns {Promise<Object|null>} The device, or null if it is not registered
+ *   to the user.
+ */
+async function findDevice(username, deviceId) {
+  const devices = await readJsonFile(DEVICES_FILE, {});
+  return Object.hasOwn(devices, username) &&
+    Object.hasOwn(devices[username], deviceId)
+    ? devices[username][deviceId]
+    : null;
+}
+
+/**
+ * Deletes the escrowed recovery share of a user's device, if there is one.
+ * @param {string} username
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} Whether there was a share.
+ */
+async function deleteRecoveryShare(username, deviceId) {
+  return updateJsonFile(RECOVERY_FILE, {}, (shares) => {
+    if (
+      !Object.hasOwn(shares, username) ||
+      !Object.hasOwn(shares[username], deviceId)
+    ) {
+      return false;
+    }
+    delete shares[username][deviceId];
+    if (Object.keys(shares[username]).length === 0) delete shares[username];
+    return true;
+  });
+}
+
+app.put(
+  "/api/recovery/:deviceId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const username = req.session.userId;
+    const { deviceId } = req.params;
+    const { share } = req.body;
+    if (
+      !DEVICE_ID_PATTERN.test(deviceId) ||
+      typeof share !== "string" ||
+      !RECOVERY_SHARE_PATTERN.test(share)
+    ) {
+      return res.status(400).json({ error: "Malformed recovery share." });
+    }
+    const device = await findDevice(username, deviceId);
+    if (!device) {
+      return res.status(404).json({ error: "Unknown device." });
+    }
+    if (device.revokedAt) {
+      return res.status(403).json({ error: "This device has been revoked." });
+    }
+    const createdAt = Date.now();
+    await updateJsonFile(RECOVERY_FILE, {}, (shares) => {
+      if (!Object.hasOwn(shares, username)) shares[username] = {};
+      shares[username][deviceId] = { share, createdAt, releasedAt: null };
+    });
+    res.status(200).json({ createdAt });
+  })
+);
+
+app.delete(
+  "/api/recovery/:deviceId",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    if (!(await deleteRecoveryShare(req.session.userId, req.params.deviceId))) {
+      return res
+        .status(404)
+        .json({ error: "No recovery share for this device." });
+    }
+    res.status(204).end();
+  })
+);
+
+app.post(
+  "/api/recovery/:deviceId/release",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const username = req.session.userId;
+    const { deviceId } = req.params;
+    if (!(Date.now() - req.session.createdAt <= RECOVERY_LOGIN_MAX_AGE_MS)) {
+      return res
+        .status(401)
+        .json({ error: "Log in again to recover your PIN." });
+    }
+    const device = await findDevice(username, deviceId);
+    if (!device || device.revokedAt) {
+      return res
+        .status(403)
+        .json({ error: "This device may not recover the PIN." });
+    }
+    const share = await updateJsonFile(RECOVERY_FILE, {}, (shares) => {
+      if (
+        !Object.hasOwn(shares, username) ||
+        !Object.hasOwn(shares[username], deviceId)
+      ) {
+        return null;
+      }
+      shares[username][deviceId].releasedAt = Date.now();
+      return shares[username][deviceId].share;
+    });
+    if (!share) {
+      return res
+        .status(404)
+        .json({ error: "No recovery share for this device." });
+    }
+    res.set("Cache-Control", "no-store").status(200).json({ share });
+  })
+);
+
+// --- Audit Logs ---
+// Each device keeps an encrypted, hash-chained audit log per user (see
+// public/session-manager.js) and uploads it here when it is online. Events
+// are sealed for the user's audit key, so the server only ever sees
+// ciphertext, but it checks that every uploaded entry links to the one before
+// it. Once entries are stored, the device cannot change, drop or reorder them
+// without the next upload being rejected. audit.json holds, per user and
+// device, each chain by its ID (the hash of its first entry):
+//
+//   { "<username>": { "<deviceId>": { "<chainId>": [entry, ...] } } }
+//
+// A device starts a new chain when the user is removed from it and set up
+// again; the old chain stays on the server.
+
+/**
+ * Builds the message an audit entry's hash is computed over. Must match
+ * hashAuditEntry in public/crypto-service.js.
+ */
+function auditEntryMessage({
+  owner,
+  seq,
+  prevHash,
+  ephemeralPublicKey,
+  data,
+  envelope,
+}) {
+  return JSON.stringify([
+    "audit-entry",
+    owner,
+    seq,
+    prevHash,
+    ephemeralPublicKey,
+    data,
+    envelope,
+  ]);
+}
+
+/**
+ * Checks the shape of an uploaded audit entry. Whether it belongs in the
+ * chain is checked by appendAuditEntries.
+ */
+function isAuditEntry(entry) {
+  return (
+    entry !== null &&
+    typeof entry === "object" &&
+    typeof entry.owner === "string" &&
+    Number.isSafeInteger(entry.seq) &&
+    entry.seq > 0 &&
+    (entry.prevHash === "" || AUDIT_HASH_PATTERN.test(entry.prevHash)) &&
+    isKeyValue(entry.ephemeralPublicKey) &&
+    typeof entry.data === "string" &&
+    entry.data.length <= MAX_AUDIT_DATA_LENGTH &&
+    isSmallObject(entry.envelope) &&
+    AUDIT_HASH_PATTERN.test(entry.hash)
+  );
+}
+
+/**
+ * Appends uploaded entries to a stored chain, verifying each link. Entries the
+ * chain already holds are skipped if they are unchanged, so a device may
+ * upload the same entries again after a lost response.
+ * @param {Array<Object>} chain - The stored chain; appended to in place.
+ * @param {string} chainId - The hash of the chain's first entry.
+ * @param {Array<Object>} entries - The uploaded entries, in order.
+ * @returns {number|null} The sequence number of the first entry that does
+ *   not fit the chain, or null if all of them do.
+ */
+function appendAuditEntries(chain, chainId, entries) {
+  for (const entry of entries) {
+    if (entry.seq <= chain.length) {
+      if (chain[entry.seq - 1].hash !== entry.hash) return entry.seq;
+      continue;
+    }
+    const hash = createHash("sha256")
+      .update(auditEntryMessage(entry))
+      .digest("hex");
+    if (
+      entry.seq !== chain.length + 1 ||
+      entry.prevHash !== (chain.at(-1)?.hash ?? "") ||
+      entry.hash !== hash ||
+      (entry.seq === 1 && hash !== chainId)
+    ) {
+      return entry.seq;
+    }
+    chain.push(entry);
+  }
+  return null;
+}
+
+app.post(
+  "/api/audit",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const username = req.session.userId;
+    const { deviceId, chainId, entries } = req.body;
+    if (
+      typeof deviceId !== "string" ||
+      !DEVICE_ID_PATTERN.test(deviceId) ||
+      typeof chainId !== "string" ||
+      !AUDIT_HASH_PATTERN.test(chainId) ||
+      !Array.isArray(entries) ||
+      entries.length > MAX_AUDIT_UPLOAD_ENTRIES ||
+      !entries.every(isAuditEntry)
+    ) {
+      return res.status(400).json({ error: "Malformed audit log upload." });
+    }
+    if (entries.some((entry) => entry.owner !== username)) {
+      return res.status(403).json({ error: "Entries belong to another user." });
+    }
+    const result = await updateJsonFile(AUDIT_FILE, {}, (logs) => {
+      if (!Object.hasOwn(logs, username)) logs[username] = {};
+      if (!Object.hasOwn(logs[username], deviceId))
+        logs[username][deviceId] = {};
+      const chains = logs[username][deviceId];
+      const chain = Object.hasOwn(chains, chainId) ? chains[chainId] : [];
+      const brokenAt = appendAuditEntries(chain, chainId, entries);
+      // Entries before a broken link were verified and are kept.
+      if (chain.length > 0) chains[chainId] = chain;
+      return { brokenAt, uploadedSeq: chain.length };
+    });
+    if (result.brokenAt !== null) {
+      return res.status(409).json({
+        error: `The audit log does not match the uploaded chain at entry ${result.brokenAt}.`,
+        seq: result.brokenAt,
+        uploadedSeq: result.uploadedSeq,
+      });
+    }
+    res.status(200).json({ uploadedSeq: result.uploadedSeq });
+  })
+);
+
+// --- Device Pairing ---
+// Lets a user's new device obtain the DEK from one of their unlocked devices.
+// Both devices must be logged in as the same user. The server only relays the
+// messages of the exchange and never learns the DEK:
+//
+//   1. The new device (initiator) creates a pairing with a commitment: the
+//      SHA-256 hash of its ECDH public key.
+//   2. The unlocked device (responder) picks the pairing up and posts its own
+//      ECDH public key.
+//   3. The initiator reveals its public key. Both devices now derive the same
+//      transfer key and a short verification code, which the user compares.
+//   4. The responder posts the DEK, encrypted under the transfer key.
+//
+// The commitment keeps a malicious relay from choosing its own keys after
+// seeing the devices' keys, which would let it search for a matching code.
+// Pairings live in memory only and expire after PAIRING_TTL_MS.
+const pairings = new Map();
+
+/**
+ * Looks up a pairing of the logged-in user, dropping expired pairings first.
+ * Responds with 404 if there is no such pairing.
+ * @returns {Object|null} The pairing, or null if a response was sent.
+ */
+function findPairing(req, res) {
+  const now = Date.now();
+  for (const [id, pairing] of pairings) {
+    if (pairing.expiresAt <= now) pairings.delete(id);
+  }
+  const pairing = pairings.get(req.params.id);
+  if (!pairing || pairing.owner !== req.session.userId) {
+    res.status(404).json({ error: "Pairing not found or expired." });
+    return null;
+  }
+  return pairing;
+}
+
+/**
+ * The fields of a pairing that are shown to its devices; which sessions took
+ * part stays on the server.
+ */
+function pairingView(pairing) {
+  const { owner, initiatorSession, responderSession, ...view } = pairing;
+  return view;
+}
+
+function isPairingValue(value) {
+  return typeof value === "string" && PAIRING_VALUE_PATTERN.test(value);
+}
+
+app.post("/api/pairings", requireAuth, (req, res) => {
+  const { commitment } = req.body;
+  if (!isPairingValue(commitment)) {
+    return res.status(400).json({ error: "A key commitment is required." });
+  }
+  const owner = req.session.userId;
+  // A user pairs one new device at a time; starting over replaces the old one.
+  for (const [id, pairing] of pairings) {
+    if (pairing.owner === owner) pairings.delete(id);
+  }
+  const now = Date.now();
+  const pairing = {
+    id: randomUUID(),
+    owner,
+    initiatorSession: req.sessionID,
+    responderSession: null,
+    createdAt: now,
+    expiresAt: now + PAIRING_TTL_MS,
+    commitment,
+    responderKey: null,
+    initiatorKey: null,
+    encryptedKey: null,
+    keyId: null,
+  };
+  pairings.set(pairing.id, pairing);
+  res.status(201).json(pairingView(pairing));
+});
+
+// Pairings still waiting for a device to respond.
+app.get("/api/pairings", requireAuth, (req, res) => {
+  const now = Date.now();
+  const pending = [...pairings.values()]
+    .filter(
+      (pairing) =>
+        pairing.owner === req.session.userId &&
+        pairing.expiresAt > now &&
+        !pairing.responderKey &&
+        pairing.initiatorSession !== req.sessionID
+    )
+    .map(({ id, createdAt, expiresAt }) => ({ id, createdAt, expiresAt }));
+  res.status(200).json({ pairings: pending });
+});
+
+app.get("/api/pairings/:id", requireAuth, (req, res) => {
+  const pairing = findPairing(req, res);
+  if (pairing) res.status(200).json(pairingView(pairing));
+});
+
+// Advances a pairing by one step. Each step is taken once, in order, by the
+// device it belongs to.
+app.patch("/api/pairings/:id", requireAuth, (req, res) => {
+  const pairing = findPairing(req, res);
+  if (!pairing) return;
+  const { responderKey, initiatorKey, encryptedKey, keyId } = req.body;
+  const isInitiator = pairing.initiatorSession === req.sessionID;
+  const isResponder = pairing.responderSession === req.sessionID;
+
+  if (responderKey !== undefined) {
+    if (!isPairingValue(responderKey)) {
+      return res.status(400).json({ error: "Malformed public key." });
+    }
+    if (isInitiator || pairing.responderKey) {
+      return res
+        .status(409)
+        .json({ error: "Pairing already has a responder." });
+    }
+    pairing.responderKey = responderKey;
+    pairing.responderSession = req.sessionID;
+  } else if (initiatorKey !== undefined) {
+    if (!isPairingValue(initiatorKey)) {
+      return res.status(400).json({ error: "Malformed public key." });
+    }
+    if (!isInitiator || !pairing.responderKey || pairing.initiatorKey) {
+      return res
+        .status(409)
+        .json({ error: "Pairing is not awaiting this key." });
+    }
+    pairing.initiatorKey = initiatorKey;
+  } else if (encryptedKey !== undefined) {
+    if (
+      !isPairingValue(encryptedKey) ||
+      (keyId !== undefined &&
+        (typeof keyId !== "string" || !ITEM_ID_PATTERN.test(keyId)))
+    ) {
+      return res.status(400).json({ error: "Malformed encrypted key." });
+    }
+    if (!isResponder || !pairing.initiatorKey || pairing.encryptedKey) {
+      return res.status(409).json({ error: "Pairing is not awaiting a key." });
+    }
+    pairing.encryptedKey = encryptedKey;
+    pairing.keyId = keyId ?? null;
   } else {
-    res.status(401).json({ error: "Invalid credentials." });
+    return res.status(400).json({ error: "Nothing to update." });
   }
+  res.status(200).json(pairingView(pairing));
 });
 
-app.get("*", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
+// Either device may cancel; the new device also removes the pairing once it
+// has received the key.
+app.delete("/api/pairings/:id", requireAuth, (req, res) => {
+  const pairing = findPairing(req, res);
+  if (!pairing) return;
+  pairings.delete(pairing.id);
+  res.status(204).end();
+});
+
+// --- Session Administration ---
+// Administrators (see ADMIN_USERS in lib/config.js) can list the active
+// sessions of every user and revoke them, e.g. after a password leak. Sessions
+// are listed under a hash of their ID: the ID itself is a bearer secret that
+// even an administrator has no use for.
+
+function requireAdmin(req, res, next) {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: "Not authenticated." });
+  }
+  if (!isAdmin(req.session.userId)) {
+    return res.status(403).json({ error: "Administrator access required." });
+  }
+  next();
+}
+
+/**
+ * Returns the ID under which a session is listed.
+ * @param {string} sid - The session ID.
+ * @returns {string}
+ */
+function sessionHandle(sid) {
+  return createHash("sha256").update(sid).digest("hex").slice(0, 32);
+}
+
+/**
+ * Lists the active authenticated sessions, optionally of one user only.
+ * @param {string} [username]
+ * @returns {Promise<Array<{sid: string, session: Object, expiresAt: number}>>}
+ *   The sessions, with `expiresAt` capped by the absolute timeout.
+ */
+async function listUserSessions(username) {
+  const now = Date.now();
+  return (await sessionStore.list())
+    .filter(
+      ({ session }) =>
+        session.userId &&
+        (!username || session.userId === username) &&
+        now - session.createdAt < SESSION_ABSOLUTE_TIMEOUT_MS
+    )
+    .map(({ sid, session, expiresAt }) => ({
+      sid,
+      session,
+      expiresAt: Math.min(
+        expiresAt,
+        session.createdAt + SESSION_ABSOLUTE_TIMEOUT_MS
+      ),
+    }));
+}
+
+function destroySession(sid) {
+  return new Promise((resolve, reject) =>
+    sessionStore.destroy(sid, (error) => (error ? reject(error) : resolve()))
+  );
+}
+
+app.get(
+  "/api/admin/sessions",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { username } = req.query;
+    if (username !== undefined && typeof username !== "string") {
+      return res.status(400).json({ error: "Malformed username." });
+    }
+    const sessions = (await listUserSessions(username))
+      .map(({ sid, session, expiresAt }) => ({
+        id: sessionHandle(sid),
+        username: session.userId,
+        createdAt: session.createdAt,
+        // The cookie is renewed on every request, so its expiry tells when
+        // the session was last used (to within a minute, see session-store.js).
+        lastActiveAt:
+          new Date(session.cookie.expires).getTime() - SESSION_IDLE_TIMEOUT_MS,
+        expiresAt,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        current: sid === req.sessionID,
+      }))
+      .sort(
+        (a, b) =>
+          a.username.localeCompare(b.username) || a.createdAt - b.createdAt
+      );
+    res.status(200).json({ sessions });
+  })
+);
+
+app.delete(
+  "/api/admin/sessions/:id",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const match = (await listUserSessions()).find(
+      ({ sid }) => sessionHandle(sid) === req.params.id
+    );
+    if (!match) {
+      return res.status(404).json({ error: "Session not found or expired." });
+    }
+    await destroySession(match.sid);
+    res.status(204).end();
+  })
+);
+
+// Revokes every session of one user.
+app.delete(
+  "/api/admin/users/:username/sessions",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const sessions = await listUserSessions(req.params.username);
+    for (const { sid } of sessions) {
+      await destroySession(sid);
+    }
+    res.status(200).json({ revoked: sessions.length });
+  })
+);
+
+app.get("*", asyncHandler(sendAppPage));
+
+// Errors of the middleware and route handlers end up here, instead of in
+// Express's default error page. Client errors, such as a body that is not
+// valid JSON, keep their status; anything else is logged and answered with a
+// plain 500, without details.
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: "Malformed request." });
+  }
+  console.error(`${req.method} ${req.path} failed:`, error);
+  res.status(500).json({ error: "Internal server error." });
 });
 
 app.listen(port, () => {
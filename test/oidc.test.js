@@ -0,0 +1,256 @@
+/**
+ * @file oidc.test.js
+ * @description Behaviour tests for the OIDC relying party in lib/oidc.js:
+ * validation of ID tokens against the provider's JWKS, and the PKCE values
+ * of the authorization request. The provider is a mocked fetch.
+ */
+
+import assert from "node:assert/strict";
+import { createHash, generateKeyPairSync, sign } from "node:crypto";
+import { beforeEach, test } from "node:test";
+import { OidcClient, safeEqual } from "../lib/oidc.js";
+
+const ISSUER = "https://idp.example.com";
+const CLIENT_ID = "offline-app";
+const NONCE = "nonce-123";
+
+const rsaKey = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherRsaKey = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const ecKey = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+
+let now;
+let published;
+let requests;
+
+/**
+ * Publishes public keys in the mocked provider's JWKS.
+ * @param {Object<string, import("crypto").KeyObject>} keysById
+ */
+function publish(keysById) {
+  published = Object.entries(keysById).map(([kid, key]) => ({
+    ...key.export({ format: "jwk" }),
+    kid,
+    use: "sig",
+  }));
+}
+
+/**
+ * Builds a compact JWS the way a provider would.
+ * @param {Object} claims - Merged over valid default claims.
+ * @param {{alg?: string, kid?: string, key?: import("crypto").KeyObject}} [options]
+ * @returns {string}
+ */
+function makeToken(claims = {}, options = {}) {
+  const { alg = "RS256", kid = "rsa", key = rsaKey.privateKey } = options;
+  const seconds = Math.floor(now / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const input = `${encode({ alg, kid, typ: "JWT" })}.${encode({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: "user-1",
+    iat: seconds,
+    exp: seconds + 300,
+    nonce: NONCE,
+    ...claims,
+  })}`;
+  const signature =
+    alg === "ES256"
+      ? sign("sha256", Buffer.from(input), { key, dsaEncoding: "ieee-p1363" })
+      : sign("sha256", Buffer.from(input), key);
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+function createClient() {
+  return new OidcClient({
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    redirectUri: "http://localhost:3000/auth/oidc/callback",
+  });
+}
+
+beforeEach((t) => {
+  now = 1700000000000;
+  requests = [];
+  publish({ rsa: rsaKey.publicKey, ec: ecKey.publicKey });
+  t.mock.method(Date, "now", () => now);
+  t.mock.method(globalThis, "fetch", async (url) => {
+    requests.push(String(url));
+    const documents = {
+      [`${ISSUER}/.well-known/openid-configuration`]: {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+      },
+      [`${ISSUER}/jwks`]: { keys: published },
+    };
+    const body = documents[String(url)];
+    return new Response(JSON.stringify(body || {}), {
+      status: body ? 200 : 404,
+    });
+  });
+});
+
+test("a valid RS256 or ES256 ID token yields its claims", async () => {
+  const client = createClient();
+  const claims = await client.verifyIdToken(makeToken(), NONCE);
+  assert.equal(claims.sub, "user-1");
+  const ecClaims = await client.verifyIdToken(
+    makeToken({}, { alg: "ES256", kid: "ec", key: ecKey.privateKey }),
+    NONCE
+  );
+  assert.equal(ecClaims.sub, "user-1");
+});
+
+test("a token signed by another key is rejected", async () => {
+  await assert.rejects(
+    createClient().verifyIdToken(
+      makeToken({}, { key: otherRsaKey.privateKey }),
+      NONCE
+    ),
+    /signature is invalid/
+  );
+});
+
+test("a token whose claims were altered is rejected", async () => {
+  const [header, , signature] = makeToken().split(".");
+  const claims = Buffer.from(
+    JSON.stringify({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: "admin",
+      iat: Math.floor(now / 1000),
+      exp: Math.floor(now / 1000) + 300,
+      nonce: NONCE,
+    })
+  ).toString("base64url");
+  await assert.rejects(
+    createClient().verifyIdToken(`${header}.${claims}.${signature}`, NONCE),
+    /signature is invalid/
+  );
+});
+
+test("unsigned and symmetric tokens are rejected", async () => {
+  const client = createClient();
+  const [, claims] = makeToken().split(".");
+  for (const alg of ["none", "HS256"]) {
+    const header = Buffer.from(JSON.stringify({ alg, kid: "rsa" })).toString(
+      "base64url"
+    );
+    await assert.rejects(
+      client.verifyIdToken(`${header}.${claims}.`, NONCE),
+      /are not accepted/
+    );
+  }
+  await assert.rejects(client.verifyIdToken("not-a-token", NONCE), /malformed/);
+});
+
+test("a key of the wrong type for the algorithm is rejected", async () => {
+  await assert.rejects(
+    createClient().verifyIdToken(makeToken({}, { kid: "ec" }), NONCE),
+    /does not fit RS256/
+  );
+});
+
+test("the issuer, audience and nonce must match", async () => {
+  const client = createClient();
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ iss: "https://evil.example" }), NONCE),
+    /another provider/
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ aud: "other-app" }), NONCE),
+    /another client/
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ aud: [CLIENT_ID, "other-app"] }), NONCE),
+    /another client/
+  );
+  await client.verifyIdToken(
+    makeToken({ aud: [CLIENT_ID, "other-app"], azp: CLIENT_ID }),
+    NONCE
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken(), "another-nonce"),
+    /does not belong to this login/
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ sub: "" }), NONCE),
+    /no subject/
+  );
+});
+
+test("the token lifetime is checked with some clock skew", async () => {
+  const client = createClient();
+  const seconds = Math.floor(now / 1000);
+  await client.verifyIdToken(makeToken({ exp: seconds - 30 }), NONCE);
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ exp: seconds - 60 }), NONCE),
+    /has expired/
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ exp: undefined }), NONCE),
+    /has expired/
+  );
+  await assert.rejects(
+    client.verifyIdToken(makeToken({ iat: seconds + 120 }), NONCE),
+    /in the future/
+  );
+});
+
+test("rotated keys are fetched, but not more than once a minute", async () => {
+  const client = createClient();
+  await client.verifyIdToken(makeToken(), NONCE);
+  const rotatedKey = generateKeyPairSync("rsa", { modulusLength: 2048 });
+  publish({ rotated: rotatedKey.publicKey });
+  const rotatedToken = makeToken(
+    {},
+    { kid: "rotated", key: rotatedKey.privateKey }
+  );
+
+  await assert.rejects(
+    client.verifyIdToken(rotatedToken, NONCE),
+    /unknown key/
+  );
+  const jwksFetches = () =>
+    requests.filter((url) => url === `${ISSUER}/jwks`).length;
+  assert.equal(jwksFetches(), 1);
+
+  now += 60 * 1000;
+  const claims = await client.verifyIdToken(rotatedToken, NONCE);
+  assert.equal(claims.sub, "user-1");
+  assert.equal(jwksFetches(), 2);
+});
+
+test("a discovery document naming another issuer is refused", async (t) => {
+  t.mock.method(globalThis, "fetch", async () =>
+    Response.json({ issuer: "https://evil.example", jwks_uri: "x" })
+  );
+  await assert.rejects(
+    createClient().verifyIdToken(makeToken(), NONCE),
+    /names another issuer/
+  );
+});
+
+test("the authorization request carries an S256 PKCE challenge", async () => {
+  const { url, state, nonce, codeVerifier } =
+    await createClient().createAuthorizationRequest();
+  const params = new URL(url).searchParams;
+  assert.equal(params.get("client_id"), CLIENT_ID);
+  assert.equal(params.get("state"), state);
+  assert.equal(params.get("nonce"), nonce);
+  assert.equal(params.get("code_challenge_method"), "S256");
+  assert.equal(
+    params.get("code_challenge"),
+    createHash("sha256").update(codeVerifier).digest("base64url")
+  );
+  assert.notEqual(state, nonce);
+});
+
+test("safeEqual compares strings of any length", () => {
+  assert.equal(safeEqual("abc", "abc"), true);
+  assert.equal(safeEqual("abc", "abd"), false);
+  assert.equal(safeEqual("abc", "abcd"), false);
+  assert.equal(safeEqual(undefined, "abc"), false);
+});
@@ -0,0 +1,62 @@
+/**
+ * @file passwords.test.js
+ * @description Behaviour tests for the scrypt password hashes in
+ * lib/passwords.js.
+ */
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import { promisify } from "node:util";
+import {
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+} from "../lib/passwords.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+test("hashes are self-describing and salted", async () => {
+  const first = await hashPassword("correct horse");
+  const second = await hashPassword("correct horse");
+  assert.match(
+    first,
+    /^scrypt\$32768\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/
+  );
+  assert.notEqual(first, second);
+});
+
+test("only the right password verifies", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("correct hors", hash), false);
+  assert.equal(await verifyPassword("", hash), false);
+});
+
+test("a hash with other cost parameters verifies with its own", async () => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt("old password", salt, 64, { N: 1024, r: 8, p: 1 });
+  const encoded = `scrypt$1024$8$1$${salt.toString("base64")}$${hash.toString(
+    "base64"
+  )}`;
+  assert.equal(await verifyPassword("old password", encoded), true);
+  assert.equal(await verifyPassword("new password", encoded), false);
+});
+
+test("tampered and malformed hashes never verify", async () => {
+  const hash = await hashPassword("correct horse");
+  const parts = hash.split("$");
+  const digest = Buffer.from(parts[5], "base64");
+  digest[0] ^= 1;
+  parts[5] = digest.toString("base64");
+  assert.equal(await verifyPassword("correct horse", parts.join("$")), false);
+  parts[5] = digest.subarray(1).toString("base64");
+  assert.equal(await verifyPassword("correct horse", parts.join("$")), false);
+  for (const encoded of [undefined, "", "plaintext", "bcrypt$1$2$3$4$5"]) {
+    assert.equal(await verifyPassword("correct horse", encoded), false);
+  }
+});
+
+test("the dummy hash does not verify an empty password", async () => {
+  assert.equal(await verifyPassword("", DUMMY_PASSWORD_HASH), false);
+});
@@ -0,0 +1,70 @@
+/**
+ * @file rate-limit.test.js
+ * @description Behaviour tests for the AttemptLimiter in lib/rate-limit.js,
+ * which throttles logins and second-factor codes.
+ */
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { AttemptLimiter } from "../lib/rate-limit.js";
+
+const OPTIONS = {
+  maxAttempts: 3,
+  windowMs: 60 * 1000,
+  lockoutMs: 5 * 60 * 1000,
+};
+
+let now;
+
+beforeEach((t) => {
+  now = 1000000;
+  t.mock.method(Date, "now", () => now);
+});
+
+test("a key is locked out once it reaches the limit", () => {
+  const limiter = new AttemptLimiter(OPTIONS);
+  limiter.record("alice");
+  limiter.record("alice");
+  assert.equal(limiter.retryAfter("alice"), 0);
+  limiter.record("alice");
+  assert.equal(limiter.retryAfter("alice"), OPTIONS.lockoutMs);
+  now += 1000;
+  assert.equal(limiter.retryAfter("alice"), OPTIONS.lockoutMs - 1000);
+});
+
+test("a lockout holds until it ends, even after the window", () => {
+  const limiter = new AttemptLimiter(OPTIONS);
+  for (let i = 0; i < OPTIONS.maxAttempts; i++) limiter.record("alice");
+  now += OPTIONS.windowMs;
+  assert.ok(limiter.retryAfter("alice") > 0);
+  now += OPTIONS.lockoutMs;
+  assert.equal(limiter.retryAfter("alice"), 0);
+  limiter.record("alice");
+  assert.equal(limiter.retryAfter("alice"), 0, "counting starts over");
+});
+
+test("attempts older than the window are forgotten", () => {
+  const limiter = new AttemptLimiter(OPTIONS);
+  limiter.record("alice");
+  limiter.record("alice");
+  now += OPTIONS.windowMs;
+  limiter.record("alice");
+  limiter.record("alice");
+  assert.equal(limiter.retryAfter("alice"), 0);
+});
+
+test("keys are counted separately", () => {
+  const limiter = new AttemptLimiter(OPTIONS);
+  for (let i = 0; i < OPTIONS.maxAttempts; i++) limiter.record("alice");
+  assert.ok(limiter.retryAfter("alice") > 0);
+  assert.equal(limiter.retryAfter("bob"), 0);
+});
+
+test("reset lifts a lockout", () => {
+  const limiter = new AttemptLimiter(OPTIONS);
+  for (let i = 0; i < OPTIONS.maxAttempts; i++) limiter.record("alice");
+  limiter.reset("alice");
+  assert.equal(limiter.retryAfter("alice"), 0);
+  limiter.record("alice");
+  assert.equal(limiter.retryAfter("alice"), 0);
+});
@@ -0,0 +1,94 @@
+/**
+ * @file totp.test.js
+ * @description Behaviour tests for the TOTP codes and recovery codes in
+ * lib/totp.js: RFC 6238 compatibility, the clock drift window and replay
+ * protection.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  normalizeRecoveryCode,
+  totpUri,
+  verifyTotp,
+} from "../lib/totp.js";
+
+// The SHA-1 secret of RFC 6238's test vectors ("12345678901234567890"),
+// base32-encoded, with the last six digits of its codes.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  { seconds: 59, code: "287082" },
+  { seconds: 1111111109, code: "081804" },
+  { seconds: 1234567890, code: "005924" },
+  { seconds: 2000000000, code: "279037" },
+];
+
+test("accepts the RFC 6238 test vectors at their time", () => {
+  for (const { seconds, code } of RFC_VECTORS) {
+    assert.equal(
+      verifyTotp(RFC_SECRET, code, -1, seconds * 1000),
+      Math.floor(seconds / 30)
+    );
+  }
+});
+
+test("accepts a code one time step early or late, but no further", () => {
+  // "287082" is the code of time step 1 (30 to 59 seconds).
+  const at = (seconds) => verifyTotp(RFC_SECRET, "287082", -1, seconds * 1000);
+  assert.equal(at(0), 1);
+  assert.equal(at(45), 1);
+  assert.equal(at(89), 1);
+  assert.equal(at(90), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", -1, 150 * 1000), null);
+});
+
+test("never accepts a code for a time step that was already used", () => {
+  const counter = verifyTotp(RFC_SECRET, "287082", -1, 59 * 1000);
+  assert.equal(counter, 1);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", counter, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", counter + 1, 59 * 1000), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", counter - 1, 59 * 1000), 1);
+});
+
+test("rejects wrong and malformed codes", () => {
+  for (const code of ["287083", "28708", "2870820", " 287082", 287082, null]) {
+    assert.equal(verifyTotp(RFC_SECRET, code, -1, 59 * 1000), null);
+  }
+  assert.equal(verifyTotp(generateTotpSecret(), "287082", -1, 59 * 1000), null);
+});
+
+test("secrets are random base32 and exported in the otpauth URI", () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(secret, generateTotpSecret());
+  const uri = new URL(totpUri("Demo App", "alice", secret));
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(uri.pathname, "/Demo%20App%3Aalice");
+  assert.equal(uri.searchParams.get("secret"), secret);
+  assert.equal(uri.searchParams.get("period"), "30");
+});
+
+test("recovery codes are distinct and stored only as their hashes", () => {
+  const { codes, hashes } = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, codes.length);
+  for (const [index, code] of codes.entries()) {
+    assert.match(code, /^[a-z2-7]{4}(-[a-z2-7]{4}){3}$/);
+    assert.equal(hashes[index], hashRecoveryCode(code));
+    assert.ok(!hashes[index].includes(code));
+  }
+});
+
+test("recovery codes are normalized as typed", () => {
+  const [code] = generateRecoveryCodes().codes;
+  const typed = ` ${code.toUpperCase().replaceAll("-", " ")} `;
+  assert.equal(normalizeRecoveryCode(typed), code);
+  assert.equal(normalizeRecoveryCode(code.replaceAll("-", "")), code);
+  for (const bad of [code.slice(1), `${code}a`, "abcd-efgh-ijkl-mno1", 42]) {
+    assert.equal(normalizeRecoveryCode(bad), null);
+  }
+});
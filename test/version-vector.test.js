@@ -0,0 +1,56 @@
+/**
+ * @file version-vector.test.js
+ * @description Behaviour tests for the version vectors in
+ * public/version-vector.js, which decide whether a synced record is a newer
+ * version of the local one or a concurrent edit that must be resolved.
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  compareVersions,
+  incrementVersion,
+  mergeVersions,
+} from "../public/version-vector.js";
+
+test("a write counts once for the writing device", () => {
+  const first = incrementVersion(undefined, "phone");
+  assert.deepEqual(first, { phone: 1 });
+  assert.deepEqual(incrementVersion(first, "laptop"), { phone: 1, laptop: 1 });
+  assert.deepEqual(first, { phone: 1 }, "the base vector is not modified");
+});
+
+test("a later write on any device is ordered after its base", () => {
+  const base = incrementVersion(undefined, "phone");
+  const edited = incrementVersion(base, "laptop");
+  assert.equal(compareVersions(base, edited), "before");
+  assert.equal(compareVersions(edited, base), "after");
+  assert.equal(compareVersions(edited, { ...edited }), "equal");
+});
+
+test("missing vectors are empty", () => {
+  assert.equal(compareVersions(undefined, undefined), "equal");
+  assert.equal(compareVersions(undefined, { phone: 1 }), "before");
+  assert.equal(compareVersions({ phone: 1 }, undefined), "after");
+  assert.equal(compareVersions({ phone: 0 }, undefined), "equal");
+});
+
+test("edits of the same version on two devices are concurrent", () => {
+  const base = incrementVersion(undefined, "phone");
+  const onPhone = incrementVersion(base, "phone");
+  const onLaptop = incrementVersion(base, "laptop");
+  assert.equal(compareVersions(onPhone, onLaptop), "concurrent");
+  assert.equal(compareVersions(onLaptop, onPhone), "concurrent");
+});
+
+test("a resolved conflict is ordered after both versions", () => {
+  const base = incrementVersion(undefined, "phone");
+  const onPhone = incrementVersion(base, "phone");
+  const onLaptop = incrementVersion(base, "laptop");
+  const merged = mergeVersions(onPhone, onLaptop);
+  assert.deepEqual(merged, { phone: 2, laptop: 1 });
+  const resolved = incrementVersion(merged, "laptop");
+  assert.equal(compareVersions(resolved, onPhone), "after");
+  assert.equal(compareVersions(resolved, onLaptop), "after");
+  assert.deepEqual(mergeVersions(undefined, onPhone), onPhone);
+});